@@ -7,7 +7,10 @@ import TorrentPageNetflix from './components/TorrentPageNetflix';
 import RecentPage from './components/RecentPage';
 import SettingsPage from './components/SettingsPage';
 import CacheManagementPage from './components/CacheManagementPage';
+import QueuePage from './components/QueuePage';
+import RssPage from './components/RssPage';
 import SearchSourcesPage from './components/SearchSourcesPage';
+import TorrentSearchPage from './components/TorrentSearchPage';
 import LoginScreen from './components/LoginScreen';
 import './App.css';
 
@@ -57,7 +60,10 @@ const AuthenticatedApp = () => {
         <Route path="/" element={<Layout />}>
           <Route index element={<HomePage />} />
           <Route path="recent" element={<RecentPage />} />
-          <Route path="search" element={<SearchSourcesPage />} />
+          <Route path="queue" element={<QueuePage />} />
+          <Route path="rss" element={<RssPage />} />
+          <Route path="search" element={<TorrentSearchPage />} />
+          <Route path="search/sources" element={<SearchSourcesPage />} />
           <Route path="settings" element={<SettingsPage />} />
           <Route path="cache" element={<CacheManagementPage />} />
         </Route>
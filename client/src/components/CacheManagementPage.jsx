@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { Trash2, HardDrive, Activity, File, Calendar, ArrowLeft, RefreshCw, Download } from 'lucide-react';
+import { Trash2, HardDrive, Activity, File, Calendar, ArrowLeft, RefreshCw, Download, Pin, PinOff, Scissors } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import './CacheManagementPage.css';
 
 const CacheManagementPage = () => {
@@ -24,8 +25,8 @@ const CacheManagementPage = () => {
     try {
       setRefreshing(true);
       const [statsResponse, torrentsResponse] = await Promise.all([
-        fetch(config.getApiUrl('/api/cache/stats')),
-        fetch(config.api.torrents)
+        apiFetch(config.getApiUrl('/api/cache/stats')),
+        apiFetch(config.api.torrents)
       ]);
 
       const stats = await statsResponse.json();
@@ -58,7 +59,7 @@ const CacheManagementPage = () => {
     }
 
     try {
-      const response = await fetch(config.getTorrentUrl(infoHash), {
+      const response = await apiFetch(config.getTorrentUrl(infoHash), {
         method: 'DELETE'
       });
 
@@ -81,7 +82,7 @@ const CacheManagementPage = () => {
     }
 
     try {
-      const response = await fetch(config.api.torrents, {
+      const response = await apiFetch(config.api.torrents, {
         method: 'DELETE'
       });
 
@@ -98,30 +99,80 @@ const CacheManagementPage = () => {
     }
   };
 
-  const clearOldCache = async (days) => {
-    if (!window.confirm(`Clear cache older than ${days} days? This will remove old torrent data.`)) {
-      return;
+  // Ask the server what a cleanup would remove, confirm, then run it for real
+  const runCleanup = async (rules, description) => {
+    const request = (dryRun) => apiFetch(config.getApiUrl('/api/cache/clear-old'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ...rules, dryRun })
+    });
+
+    try {
+      const previewResponse = await request(true);
+      const preview = await previewResponse.json();
+
+      if (!previewResponse.ok) {
+        alert(preview.error || 'Failed to preview cleanup');
+        return;
+      }
+
+      if (preview.candidates.length === 0) {
+        alert(`Nothing to remove: no unpinned torrents match ${description}.`);
+        return;
+      }
+
+      const listed = preview.candidates.slice(0, 10)
+        .map(candidate => `• ${candidate.name} (${formatBytes(candidate.size)}, ${candidate.reason})`)
+        .join('\n');
+      const more = preview.candidates.length > 10 ? `\n…and ${preview.candidates.length - 10} more` : '';
+
+      if (!window.confirm(`Remove ${preview.candidates.length} torrents (${formatBytes(preview.reclaimableSpace)}) matching ${description}?\n\n${listed}${more}`)) {
+        return;
+      }
+
+      const response = await request(false);
+      const result = await response.json();
+
+      if (response.ok) {
+        alert(`Cache cleaned! Removed ${result.deletedTorrents || 0} torrents (${result.deletedFiles || 0} files), freed: ${formatBytes(result.freedSpace || 0)}`);
+        loadCacheStats();
+      } else {
+        alert(result.error || 'Failed to clean cache');
+      }
+    } catch (error) {
+      console.error('Error cleaning cache:', error);
+      alert('Error cleaning cache: ' + error.message);
     }
+  };
 
+  // Age rule only - the buttons should do exactly what they say
+  const clearOldCache = (days) => runCleanup(
+    { maxAgeDays: days, unwatchedDays: -1, quotaBytes: -1 },
+    `"added more than ${days} days ago"`
+  );
+
+  const enforceCachePolicy = () => runCleanup({}, 'the cache policy');
+
+  const togglePin = async (infoHash, pinned) => {
     try {
-      const response = await fetch(config.getApiUrl('/api/cache/clear-old'), {
-        method: 'POST',
+      const response = await apiFetch(config.getTorrentUrl(infoHash, 'pin'), {
+        method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ days })
+        body: JSON.stringify({ pinned })
       });
 
       if (response.ok) {
-        const result = await response.json();
-        alert(`Old cache cleared! Removed ${result.deletedFiles || 0} files, freed: ${formatBytes(result.freedSpace || 0)}`);
         loadCacheStats();
       } else {
-        alert('Failed to clear old cache');
+        alert('Failed to update pin');
       }
     } catch (error) {
-      console.error('Error clearing old cache:', error);
-      alert('Error clearing old cache: ' + error.message);
+      console.error('Error pinning torrent:', error);
+      alert('Error pinning torrent: ' + error.message);
     }
   };
 
@@ -196,6 +247,9 @@ const CacheManagementPage = () => {
           </div>
           <div className="cache-info">
             <p>This shows only WebTorrent cache data, not system-wide disk usage.</p>
+            {cacheStats.policy?.autoCleanup && cacheStats.cacheLimitBytes >= 0 && (
+              <p>Least recently streamed torrents are removed automatically once the cache is over its limit. Pinned torrents are kept.</p>
+            )}
           </div>
         </div>
       </div>
@@ -253,6 +307,13 @@ const CacheManagementPage = () => {
             <Calendar size={16} />
             Clear 30+ Day Old Files
           </button>
+          <button 
+            onClick={enforceCachePolicy} 
+            className="action-button warning"
+          >
+            <Scissors size={16} />
+            Apply Cache Policy
+          </button>
           <button 
             onClick={clearAllCache} 
             className="action-button danger"
@@ -271,7 +332,10 @@ const CacheManagementPage = () => {
             {cacheStats.torrents.map((torrent) => (
               <div key={torrent.infoHash} className="torrent-item">
                 <div className="torrent-info">
-                  <h3>{torrent.name}</h3>
+                  <h3>
+                    {torrent.pinned && <Pin size={14} className="pinned-icon" />}
+                    {torrent.name}
+                  </h3>
                   <div className="torrent-stats">
                     <span>{formatBytes(torrent.size || 0)} total</span>
                     <span>{formatBytes(torrent.downloaded || 0)} downloaded</span>
@@ -293,6 +357,14 @@ const CacheManagementPage = () => {
                   >
                     View
                   </button>
+                  <button 
+                    onClick={() => togglePin(torrent.infoHash, !torrent.pinned)}
+                    className={`pin-button ${torrent.pinned ? 'active' : ''}`}
+                    title={torrent.pinned ? 'Unpin (allow cleanup)' : 'Pin (never clean up)'}
+                  >
+                    {torrent.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                    {torrent.pinned ? 'Unpin' : 'Pin'}
+                  </button>
                   <button 
                     onClick={() => clearSingleTorrent(torrent.infoHash, torrent.name)}
                     className="remove-button"
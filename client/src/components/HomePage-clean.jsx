@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Upload, Plus, Link, Download, Leaf, Clock, Search, Trash2 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import torrentHistoryService from '../services/torrentHistoryService';
 import './HomePage.css';
 
@@ -25,7 +26,7 @@ const HomePage = () => {
   const addTorrent = async (torrentData) => {
     setLoading(true);
     try {
-      const response = await fetch(config.api.torrents, {
+      const response = await apiFetch(config.api.torrents, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -79,7 +80,7 @@ const HomePage = () => {
     
     setLoading(true);
     try {
-      const response = await fetch(config.getApiUrl('/api/torrents/upload'), {
+      const response = await apiFetch(config.getApiUrl('/api/torrents/upload'), {
         method: 'POST',
         body: formData
       });
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Upload, Plus, Link, Download, Leaf, Clock, Search, Trash2, Zap } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import torrentHistoryService from '../services/torrentHistoryService';
 import './HomePage.css';
 
@@ -22,7 +23,7 @@ const HomePage = () => {
 
   const checkServerMode = async () => {
     try {
-      const response = await fetch(config.api.health);
+      const response = await apiFetch(config.api.health);
       const data = await response.json();
       if (data.status?.includes('REVOLUTIONARY')) {
         setRevolutionaryMode(true);
@@ -48,7 +49,7 @@ const HomePage = () => {
     
     while (Date.now() - startTime < maxWait) {
       try {
-        const response = await fetch(`${config.api.base}/sync/${syncId}`);
+        const response = await apiFetch(`${config.api.base}/sync/${syncId}`);
         if (response.ok) {
           const syncData = await response.json();
           
@@ -91,7 +92,7 @@ const HomePage = () => {
     try {
       console.log('🚀 REVOLUTIONARY ADD: Starting torrent addition');
       
-      const response = await fetch(config.api.torrents, {
+      const response = await apiFetch(config.api.torrents, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -118,7 +119,7 @@ const HomePage = () => {
           await waitForSyncCompletion(data.syncId);
           
           // Extra safety: Verify torrent exists before navigation
-          const verifyResponse = await fetch(`${config.api.torrents}/${data.hash}`);
+          const verifyResponse = await apiFetch(`${config.api.torrents}/${data.hash}`);
           if (!verifyResponse.ok) {
             console.log('⚠️ VERIFICATION FAILED: Waiting extra time');
             await new Promise(resolve => setTimeout(resolve, 1000));
@@ -176,7 +177,7 @@ const HomePage = () => {
     
     setLoading(true);
     try {
-      const response = await fetch(config.getApiUrl('/api/torrents/upload'), {
+      const response = await apiFetch(config.getApiUrl('/api/torrents/upload'), {
         method: 'POST',
         body: formData
       });
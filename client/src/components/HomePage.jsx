@@ -2,21 +2,38 @@ import React, { useState, useEffect } from 'react';
 import { Upload, Plus, Link as LinkIcon, Download, Leaf, Clock, Search, Trash2 } from 'lucide-react';
 import { useNavigate, Link } from 'react-router-dom';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import torrentHistoryService from '../services/torrentHistoryService';
+import { useAuth } from '../context/AuthContext';
+import { getMetadataPosters } from '../services/api';
 import './HomePage.css';
 
 const HomePage = () => {
   const navigate = useNavigate();
+  const { hasRole } = useAuth();
   const [torrentUrl, setTorrentUrl] = useState('');
   const [loading, setLoading] = useState(false);
   const [recentTorrents, setRecentTorrents] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [posters, setPosters] = useState({}); // torrent name -> { title, year, poster } or null
 
   useEffect(() => {
     loadRecentTorrents();
   }, []);
 
+  // One request for every card's poster; unknown names come back null
+  useEffect(() => {
+    const names = recentTorrents
+      .map(torrent => torrent.name)
+      .filter(name => name && name !== 'Unknown Torrent' && name !== 'Loading...');
+    if (names.length === 0) return;
+
+    getMetadataPosters(names)
+      .then(data => setPosters(data.posters || {}))
+      .catch(error => console.error('Error loading posters:', error));
+  }, [recentTorrents]);
+
   const loadRecentTorrents = () => {
     const recent = torrentHistoryService.getRecentTorrents(8);
     setRecentTorrents(recent);
@@ -25,7 +42,7 @@ const HomePage = () => {
   const addTorrent = async (torrentData) => {
     setLoading(true);
     try {
-      const response = await fetch(config.api.torrents, {
+      const response = await apiFetch(config.api.torrents, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -77,7 +94,7 @@ const HomePage = () => {
     
     setLoading(true);
     try {
-      const response = await fetch(config.getApiUrl('/api/torrents/upload'), {
+      const response = await apiFetch(config.getApiUrl('/api/torrents/upload'), {
         method: 'POST',
         body: formData
       });
@@ -180,61 +197,67 @@ const HomePage = () => {
         {/* URL Input Section */}
         <div className="url-input-section">
           <h2>Add Torrent or Magnet Link</h2>
-          <form onSubmit={handleUrlSubmit} className="url-form">
-            <div className="input-group">
-              <LinkIcon size={20} className="input-icon" />
-              <input
-                type="text"
-                value={torrentUrl}
-                onChange={(e) => setTorrentUrl(e.target.value)}
-                placeholder="Paste your torrent URL or magnet link here..."
-                className="url-input"
-                disabled={loading}
-              />
-              <button 
-                type="submit" 
-                className="add-button"
-                disabled={loading || !torrentUrl.trim()}
-              >
-                {loading ? (
-                  <div className="loading-spinner" />
-                ) : (
-                  <>
-                    <Download size={20} />
-                    Add Torrent
-                  </>
-                )}
-              </button>
+          {hasRole('member') ? (
+            <form onSubmit={handleUrlSubmit} className="url-form">
+              <div className="input-group">
+                <LinkIcon size={20} className="input-icon" />
+                <input
+                  type="text"
+                  value={torrentUrl}
+                  onChange={(e) => setTorrentUrl(e.target.value)}
+                  placeholder="Paste your torrent URL or magnet link here..."
+                  className="url-input"
+                  disabled={loading}
+                />
+                <button 
+                  type="submit" 
+                  className="add-button"
+                  disabled={loading || !torrentUrl.trim()}
+                >
+                  {loading ? (
+                    <div className="loading-spinner" />
+                  ) : (
+                    <>
+                      <Download size={20} />
+                      Add Torrent
+                    </>
+                  )}
+                </button>
               
-              {/* Compact File Upload Button */}
-              <input
-                type="file"
-                accept=".torrent"
-                onChange={handleFileSelect}
-                style={{ display: 'none' }}
-                id="torrent-upload"
-                disabled={loading}
-              />
-              <label 
-                htmlFor="torrent-upload" 
-                className={`file-upload-button ${loading ? 'disabled' : ''}`}
-                title="Upload .torrent file"
-              >
-                {loading ? (
-                  <div className="loading-spinner" />
-                ) : (
-                  <>
-                    <Upload size={20} />
-                    Choose File
-                  </>
-                )}
-              </label>
-            </div>
-          </form>
+                {/* Compact File Upload Button */}
+                <input
+                  type="file"
+                  accept=".torrent"
+                  onChange={handleFileSelect}
+                  style={{ display: 'none' }}
+                  id="torrent-upload"
+                  disabled={loading}
+                />
+                <label 
+                  htmlFor="torrent-upload" 
+                  className={`file-upload-button ${loading ? 'disabled' : ''}`}
+                  title="Upload .torrent file"
+                >
+                  {loading ? (
+                    <div className="loading-spinner" />
+                  ) : (
+                    <>
+                      <Upload size={20} />
+                      Choose File
+                    </>
+                  )}
+                </label>
+              </div>
+            </form>
+          ) : (
+            <p className="url-form-note">
+              Your account can browse and stream. Adding torrents needs the member role.
+            </p>
+          )}
           
           {/* Search Sources Link */}
           <div className="search-sources-link">
-            <Link to="/search" className="search-link">
+            <Link to="/search/sources" className="search-link">
               <Search size={18} /> Browse Custom Search Sources
             </Link>
           </div>
@@ -286,6 +309,14 @@ const HomePage = () => {
                 className="torrent-card"
                 onClick={() => goToTorrent(torrent.infoHash)}
               >
+                {posters[torrent.name]?.poster && (
+                  <img
+                    className="torrent-poster"
+                    src={posters[torrent.name].poster}
+                    alt={posters[torrent.name].title}
+                    loading="lazy"
+                  />
+                )}
                 <div className="torrent-info">
                   <h3>{torrent.name}</h3>
                   <div className="torrent-meta">
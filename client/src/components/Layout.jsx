@@ -1,11 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation, Outlet } from 'react-router-dom';
-import { Home, Clock, Settings, Leaf, Menu, X, HardDrive, Search } from 'lucide-react';
+import { Home, Clock, Settings, Leaf, Menu, X, HardDrive, Search, ListOrdered, Turtle, Rss } from 'lucide-react';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
+import { getBandwidth, updateBandwidth } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import './Layout.css';
 
 const Layout = () => {
   const location = useLocation();
+  const { hasRole } = useAuth();
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [cacheStats, setCacheStats] = useState({
@@ -13,10 +17,14 @@ const Layout = () => {
     activeTorrents: 0,
     diskUsage: { percentage: 0 }
   });
+  const [bandwidth, setBandwidth] = useState(null);
+  const [turtleBusy, setTurtleBusy] = useState(false);
 
   const navigationItems = [
     { path: '/', icon: Home, label: 'Home' },
     { path: '/recent', icon: Clock, label: 'Recent' },
+    { path: '/queue', icon: ListOrdered, label: 'Queue' },
+    ...(hasRole('admin') ? [{ path: '/rss', icon: Rss, label: 'RSS' }] : []),
     { path: '/search', icon: Search, label: 'Search' },
     { path: '/settings', icon: Settings, label: 'Settings' }
   ];
@@ -25,9 +33,9 @@ const Layout = () => {
     const loadCacheStats = async () => {
       try {
         const [statsResponse, torrentsResponse, diskResponse] = await Promise.all([
-          fetch(config.getApiUrl('/api/cache/stats')),
-          fetch(config.api.torrents),
-          fetch(config.getApiUrl('/api/system/disk'))
+          apiFetch(config.getApiUrl('/api/cache/stats')),
+          apiFetch(config.api.torrents),
+          apiFetch(config.getApiUrl('/api/system/disk'))
         ]);
 
         const stats = await statsResponse.json().catch(() => ({}));
@@ -68,6 +76,60 @@ const Layout = () => {
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    const loadBandwidth = async () => {
+      try {
+        const data = await getBandwidth();
+        if (data && !data.error) setBandwidth(data);
+      } catch (error) {
+        console.error('Error loading bandwidth policy:', error);
+      }
+    };
+
+    loadBandwidth();
+    // The schedule can switch modes on its own, so keep polling
+    const interval = setInterval(loadBandwidth, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const toggleTurtleMode = async () => {
+    if (!bandwidth || turtleBusy) return;
+
+    setTurtleBusy(true);
+    try {
+      const data = await updateBandwidth({ turtleMode: !bandwidth.turtleMode });
+      if (data && !data.error) setBandwidth(data);
+    } catch (error) {
+      console.error('Error toggling turtle mode:', error);
+    } finally {
+      setTurtleBusy(false);
+    }
+  };
+
+  const formatRate = (limit) => {
+    if (limit < 0) return 'unlimited';
+    if (limit >= 1024 * 1024) return `${(limit / 1024 / 1024).toFixed(1)} MB/s`;
+    return `${Math.round(limit / 1024)} KB/s`;
+  };
+
+  const turtleTitle = bandwidth
+    ? `Alternative speed limits ${bandwidth.turtleMode ? 'on' : 'off'}` +
+      (bandwidth.reason === 'schedule' ? ' (scheduled)' : '') +
+      ` - ↓ ${formatRate(bandwidth.current.downloadLimit)}, ↑ ${formatRate(bandwidth.current.uploadLimit)}`
+    : 'Alternative speed limits';
+
+  const turtleButton = (
+    <button
+      onClick={toggleTurtleMode}
+      className={`turtle-toggle ${bandwidth?.turtleMode ? 'active' : ''}`}
+      title={turtleTitle}
+      aria-pressed={!!bandwidth?.turtleMode}
+      disabled={!bandwidth || turtleBusy}
+    >
+      <Turtle size={18} />
+    </button>
+  );
+
   const toggleSidebar = () => {
     setSidebarCollapsed(!sidebarCollapsed);
   };
@@ -87,6 +149,7 @@ const Layout = () => {
           <Leaf size={24} />
           <span>SeedBox Lite</span>
         </div>
+        {turtleButton}
       </div>
 
       {/* Sidebar */}
@@ -97,9 +160,12 @@ const Layout = () => {
             {!sidebarCollapsed && <span>SeedBox Lite</span>}
           </div>
           {!sidebarCollapsed && (
-            <button onClick={toggleSidebar} className="sidebar-toggle desktop-only">
-              <Menu size={20} />
-            </button>
+            <div className="sidebar-header-actions">
+              {turtleButton}
+              <button onClick={toggleSidebar} className="sidebar-toggle desktop-only">
+                <Menu size={20} />
+              </button>
+            </div>
           )}
           {sidebarCollapsed && (
             <button onClick={toggleSidebar} className="sidebar-toggle desktop-only collapsed-toggle">
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { Lock, Eye, EyeOff, Shield } from 'lucide-react';
+import { Lock, Eye, EyeOff, Shield, User } from 'lucide-react';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import './LoginScreen.css';
 
 const LoginScreen = ({ onAuthSuccess }) => {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -20,23 +22,21 @@ const LoginScreen = ({ onAuthSuccess }) => {
     setError('');
 
     try {
-      const response = await fetch(config.getApiUrl('/api/auth/login'), {
+      const response = await apiFetch(config.getApiUrl('/api/auth/login'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ password }),
+        // Without a username the server logs in its admin account
+        body: JSON.stringify({ username: username.trim() || undefined, password }),
       });
 
       const data = await response.json();
 
       if (data.success) {
-        // Store authentication in localStorage
-        localStorage.setItem('seedbox_authenticated', 'true');
-        localStorage.setItem('seedbox_auth_timestamp', Date.now().toString());
-        
-        console.log('✅ Authentication successful, stored in localStorage');
-        onAuthSuccess();
+        // The server set the session cookie; nothing to keep here
+        console.log('✅ Authentication successful');
+        onAuthSuccess(data.session, data.user);
       } else {
         setError(data.error || 'Authentication failed');
         setPassword(''); // Clear password on failure
@@ -56,10 +56,24 @@ const LoginScreen = ({ onAuthSuccess }) => {
           <div className="login-header">
             <Shield size={48} className="login-icon" />
             <h1>Seedbox Access</h1>
-            <p>Enter your password to access the torrent dashboard</p>
+            <p>Sign in to access the torrent dashboard</p>
           </div>
 
           <form onSubmit={handleSubmit} className="login-form">
+            <div className="password-input-container">
+              <User size={20} className="input-icon" />
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username (admin)"
+                className="password-input"
+                disabled={loading}
+                autoComplete="username"
+                autoFocus
+              />
+            </div>
+
             <div className="password-input-container">
               <Lock size={20} className="input-icon" />
               <input
@@ -69,7 +83,7 @@ const LoginScreen = ({ onAuthSuccess }) => {
                 placeholder="Enter password"
                 className="password-input"
                 disabled={loading}
-                autoFocus
+                autoComplete="current-password"
               />
               <button
                 type="button"
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ListOrdered, GripVertical, ChevronUp, ChevronDown, ChevronsUp, ChevronsDown, RefreshCw, ArrowLeft } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { getQueue, setQueueLimits, reorderQueue, moveInQueue } from '../services/api';
+import './QueuePage.css';
+
+const QUEUE_STATE_LABELS = {
+  downloading: 'Downloading',
+  seeding: 'Seeding',
+  queued: 'Queued',
+  paused: 'Paused',
+  forced: 'Forced',
+  streaming: 'Streaming'
+};
+
+const QueuePage = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [queue, setQueue] = useState({ maxActiveDownloads: -1, maxActiveSeeds: -1, torrents: [] });
+  const [limitInputs, setLimitInputs] = useState({ maxActiveDownloads: '', maxActiveSeeds: '' });
+  const [message, setMessage] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const draggingRef = useRef(false);
+
+  const applyQueue = useCallback((data, { syncInputs = false } = {}) => {
+    if (!data || !Array.isArray(data.torrents)) return;
+
+    setQueue(data);
+    if (syncInputs) {
+      setLimitInputs({
+        maxActiveDownloads: data.maxActiveDownloads < 0 ? '' : String(data.maxActiveDownloads),
+        maxActiveSeeds: data.maxActiveSeeds < 0 ? '' : String(data.maxActiveSeeds)
+      });
+    }
+  }, []);
+
+  const loadQueue = useCallback(async (options) => {
+    // Don't reshuffle rows under the cursor mid-drag
+    if (draggingRef.current) return;
+
+    try {
+      setRefreshing(true);
+      applyQueue(await getQueue(), options);
+    } catch (error) {
+      console.error('Error loading queue:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [applyQueue]);
+
+  useEffect(() => {
+    loadQueue({ syncInputs: true });
+    const interval = setInterval(loadQueue, 5000);
+    return () => clearInterval(interval);
+  }, [loadQueue]);
+
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const handleMove = async (infoHash, direction) => {
+    try {
+      const result = await moveInQueue(infoHash, direction);
+      if (result.error) {
+        setMessage(result.error);
+        return;
+      }
+      await loadQueue();
+    } catch (error) {
+      setMessage('Failed to move torrent: ' + error.message);
+    }
+  };
+
+  const handleSaveLimits = async (e) => {
+    e.preventDefault();
+
+    // Blank means unlimited
+    const toLimit = (value) => (value === '' ? -1 : parseInt(value, 10));
+    const limits = {
+      maxActiveDownloads: toLimit(limitInputs.maxActiveDownloads),
+      maxActiveSeeds: toLimit(limitInputs.maxActiveSeeds)
+    };
+
+    if (Object.values(limits).some(value => Number.isNaN(value) || value < -1)) {
+      setMessage('Limits must be whole numbers (leave blank for unlimited)');
+      return;
+    }
+
+    try {
+      const result = await setQueueLimits(limits);
+      if (result.error) {
+        setMessage(result.error);
+        return;
+      }
+      applyQueue(result, { syncInputs: true });
+      setMessage('Queue limits saved');
+    } catch (error) {
+      setMessage('Failed to save queue limits: ' + error.message);
+    }
+  };
+
+  const handleDragStart = (e, index) => {
+    draggingRef.current = true;
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox won't start a drag without data
+    e.dataTransfer.setData('text/plain', queue.torrents[index].infoHash);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (index !== dropIndex) setDropIndex(index);
+  };
+
+  const handleDragEnd = () => {
+    draggingRef.current = false;
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = async (e, index) => {
+    e.preventDefault();
+    const from = dragIndex;
+    handleDragEnd();
+    if (from === null || from === index) return;
+
+    const torrents = [...queue.torrents];
+    const [moved] = torrents.splice(from, 1);
+    torrents.splice(index, 0, moved);
+
+    // Show the new order right away, then take the server's answer
+    setQueue({ ...queue, torrents });
+
+    try {
+      const result = await reorderQueue(torrents.map(torrent => torrent.infoHash));
+      if (result.error) {
+        setMessage(result.error);
+        await loadQueue();
+        return;
+      }
+      applyQueue(result);
+    } catch (error) {
+      setMessage('Failed to reorder queue: ' + error.message);
+      await loadQueue();
+    }
+  };
+
+  const describeLimit = (value) => (value < 0 ? 'unlimited' : value);
+
+  return (
+    <div className="queue-page">
+      <div className="queue-header">
+        <button onClick={() => navigate(-1)} className="queue-header-button">
+          <ArrowLeft size={20} />
+          Back
+        </button>
+        <div className="queue-header-content">
+          <h1>
+            <ListOrdered size={28} />
+            Download Queue
+          </h1>
+          <p>
+            {describeLimit(queue.maxActiveDownloads)} active downloads • {describeLimit(queue.maxActiveSeeds)} active seeds
+          </p>
+        </div>
+        <button
+          onClick={() => loadQueue()}
+          className="queue-header-button"
+          disabled={refreshing}
+        >
+          <RefreshCw size={16} className={refreshing ? 'spinning' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      <form className="queue-section queue-limits" onSubmit={handleSaveLimits}>
+        <label>
+          <span>Max active downloads</span>
+          <input
+            type="number"
+            min="0"
+            placeholder="Unlimited"
+            value={limitInputs.maxActiveDownloads}
+            onChange={(e) => setLimitInputs({ ...limitInputs, maxActiveDownloads: e.target.value })}
+          />
+        </label>
+        <label>
+          <span>Max active seeds</span>
+          <input
+            type="number"
+            min="0"
+            placeholder="Unlimited"
+            value={limitInputs.maxActiveSeeds}
+            onChange={(e) => setLimitInputs({ ...limitInputs, maxActiveSeeds: e.target.value })}
+          />
+        </label>
+        <button type="submit" className="queue-save-button">Save Limits</button>
+      </form>
+
+      {message && (
+        <div className="queue-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      <div className="queue-section">
+        {loading ? (
+          <div className="queue-empty">Loading queue...</div>
+        ) : queue.torrents.length === 0 ? (
+          <div className="queue-empty">
+            <ListOrdered size={48} />
+            <h3>Queue is empty</h3>
+            <p>Torrents you add will line up here</p>
+          </div>
+        ) : (
+          <ol className="queue-list">
+            {queue.torrents.map((torrent, index) => (
+              <li
+                key={torrent.infoHash}
+                className={[
+                  'queue-item',
+                  dragIndex === index ? 'dragging' : '',
+                  dropIndex === index && dragIndex !== index ? 'drop-target' : ''
+                ].filter(Boolean).join(' ')}
+                draggable
+                onDragStart={(e) => handleDragStart(e, index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDrop={(e) => handleDrop(e, index)}
+                onDragEnd={handleDragEnd}
+              >
+                <span className="queue-grip" title="Drag to reorder">
+                  <GripVertical size={18} />
+                </span>
+                <span className="queue-position">{torrent.queuePosition}</span>
+                <div className="queue-info" onClick={() => navigate(`/torrent/${torrent.infoHash}`)}>
+                  <h3>{torrent.name}</h3>
+                  <div className="queue-stats">
+                    <span className={`queue-state ${torrent.queueState}`}>
+                      {QUEUE_STATE_LABELS[torrent.queueState] || torrent.queueState}
+                    </span>
+                    <span>{(torrent.progress * 100).toFixed(1)}% of {formatBytes(torrent.size)}</span>
+                    <span>↓ {formatBytes(torrent.downloadSpeed)}/s</span>
+                    <span>↑ {formatBytes(torrent.uploadSpeed)}/s</span>
+                  </div>
+                  <div className="queue-progress">
+                    <div className="queue-progress-fill" style={{ width: `${torrent.progress * 100}%` }} />
+                  </div>
+                </div>
+                <div className="queue-actions">
+                  <button onClick={() => handleMove(torrent.infoHash, 'top')} disabled={index === 0} title="Move to top">
+                    <ChevronsUp size={16} />
+                  </button>
+                  <button onClick={() => handleMove(torrent.infoHash, 'up')} disabled={index === 0} title="Move up">
+                    <ChevronUp size={16} />
+                  </button>
+                  <button onClick={() => handleMove(torrent.infoHash, 'down')} disabled={index === queue.torrents.length - 1} title="Move down">
+                    <ChevronDown size={16} />
+                  </button>
+                  <button onClick={() => handleMove(torrent.infoHash, 'bottom')} disabled={index === queue.torrents.length - 1} title="Move to bottom">
+                    <ChevronsDown size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueuePage;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Rss, RefreshCw, ArrowLeft, Eye, Trash2, Plus, Play } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import {
+  getRss,
+  createRssFeed,
+  updateRssFeed,
+  deleteRssFeed,
+  refreshRssFeed,
+  previewRssFeed,
+  createRssRule,
+  updateRssRule,
+  deleteRssRule
+} from '../services/api';
+import './RssPage.css';
+
+const QUALITIES = ['2160p', '1080p', '720p', '576p', '480p', 'unknown'];
+
+const EMPTY_FEED = { url: '', name: '', interval: '', enabled: false };
+const EMPTY_RULE = {
+  name: '',
+  include: '',
+  exclude: '',
+  qualities: [],
+  feedId: '',
+  category: '',
+  downloadPath: '',
+  skipDownloaded: true
+};
+
+const ACTION_LABELS = {
+  download: 'Download',
+  skip: 'Skip',
+  ignore: 'No match'
+};
+
+const RssPage = () => {
+  const navigate = useNavigate();
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [rss, setRss] = useState({ feeds: [], rules: [], activity: [] });
+  const [feedForm, setFeedForm] = useState(EMPTY_FEED);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadRss = useCallback(async () => {
+    try {
+      setRefreshing(true);
+      const data = await getRss();
+      if (data && Array.isArray(data.feeds)) setRss(data);
+    } catch (error) {
+      console.error('Error loading RSS feeds:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return undefined;
+    loadRss();
+    const interval = setInterval(loadRss, 30000);
+    return () => clearInterval(interval);
+  }, [isAdmin, loadRss]);
+
+  // Run an API change, then show its error or reload
+  const apply = async (request, successMessage) => {
+    try {
+      const result = await request();
+      if (result.error) {
+        setMessage(result.error);
+        return null;
+      }
+      if (successMessage) setMessage(successMessage);
+      await loadRss();
+      return result;
+    } catch (error) {
+      setMessage(error.message);
+      return null;
+    }
+  };
+
+  const feedName = (feedId) => rss.feeds.find(feed => feed.id === feedId)?.name || feedId;
+
+  const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+  const handleAddFeed = async (e) => {
+    e.preventDefault();
+    const feed = { url: feedForm.url.trim(), enabled: feedForm.enabled };
+    if (feedForm.name.trim()) feed.name = feedForm.name.trim();
+    if (feedForm.interval !== '') feed.interval = parseInt(feedForm.interval, 10);
+
+    const result = await apply(() => createRssFeed(feed), 'Feed added');
+    if (result) {
+      setFeedForm(EMPTY_FEED);
+      // Show straight away what the rules would pick
+      if (!result.feed.enabled) runPreview({ feedId: result.feed.id }, result.feed.name);
+    }
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    const result = await apply(() => createRssRule(ruleFromForm()), 'Rule added');
+    if (result) setRuleForm(EMPTY_RULE);
+  };
+
+  const ruleFromForm = () => ({
+    name: ruleForm.name.trim() || null,
+    include: ruleForm.include,
+    exclude: ruleForm.exclude || null,
+    // Most wanted first, in the order of the list above
+    qualities: QUALITIES.filter(quality => ruleForm.qualities.includes(quality)),
+    feedIds: ruleForm.feedId ? [ruleForm.feedId] : [],
+    category: ruleForm.category.trim() || null,
+    downloadPath: ruleForm.downloadPath.trim() || null,
+    skipDownloaded: ruleForm.skipDownloaded
+  });
+
+  const toggleQuality = (quality) => {
+    const qualities = ruleForm.qualities.includes(quality)
+      ? ruleForm.qualities.filter(other => other !== quality)
+      : [...ruleForm.qualities, quality];
+    setRuleForm({ ...ruleForm, qualities });
+  };
+
+  const runPreview = async (options, label) => {
+    setPreviewing(true);
+    try {
+      const result = await previewRssFeed(options);
+      if (result.error) {
+        setMessage(result.error);
+        return;
+      }
+      setPreview({ ...result, label });
+    } catch (error) {
+      setMessage('Failed to preview feed: ' + error.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handlePreviewRule = () => {
+    const feedId = ruleForm.feedId || rss.feeds[0]?.id;
+    if (!feedId) {
+      setMessage('Add a feed to try the rule on');
+      return;
+    }
+    runPreview({ feedId, rule: ruleFromForm() }, `Unsaved rule on ${feedName(feedId)}`);
+  };
+
+  const handleRefresh = async (feed) => {
+    const result = await apply(() => refreshRssFeed(feed.id));
+    if (result) {
+      setMessage(`${feed.name}: ${result.items} items, ${result.matched} matched, ${result.downloading} being added`);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="rss-page">
+        <div className="rss-empty">
+          <Rss size={48} />
+          <h3>RSS feeds</h3>
+          <p>Only admins can manage feed subscriptions</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rss-page">
+      <div className="rss-header">
+        <button onClick={() => navigate(-1)} className="rss-header-button">
+          <ArrowLeft size={20} />
+          Back
+        </button>
+        <div className="rss-header-content">
+          <h1>
+            <Rss size={28} />
+            RSS Feeds
+          </h1>
+          <p>
+            {rss.feeds.filter(feed => feed.enabled).length} of {rss.feeds.length} feeds enabled • {rss.rules.length} rules
+          </p>
+        </div>
+        <button onClick={loadRss} className="rss-header-button" disabled={refreshing}>
+          <RefreshCw size={16} className={refreshing ? 'spinning' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      {message && (
+        <div className="rss-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      <section className="rss-section">
+        <h2>Feeds</h2>
+        {loading ? (
+          <div className="rss-empty">Loading feeds...</div>
+        ) : rss.feeds.length === 0 ? (
+          <p className="rss-hint">No feeds yet. Add one disabled to preview what your rules would pick before it downloads anything.</p>
+        ) : (
+          <ul className="rss-list">
+            {rss.feeds.map(feed => (
+              <li key={feed.id} className="rss-item">
+                <div className="rss-item-info">
+                  <h3>{feed.name}</h3>
+                  <div className="rss-item-detail">{feed.url}</div>
+                  <div className="rss-item-meta">
+                    Every {feed.interval} min • Last checked {formatTime(feed.lastCheckedAt)}
+                    {feed.lastError && <span className="rss-error"> • {feed.lastError}</span>}
+                  </div>
+                </div>
+                <div className="rss-item-actions">
+                  <label className="rss-toggle">
+                    <input
+                      type="checkbox"
+                      checked={feed.enabled}
+                      onChange={() => apply(() => updateRssFeed(feed.id, { enabled: !feed.enabled }))}
+                    />
+                    Enabled
+                  </label>
+                  <button onClick={() => runPreview({ feedId: feed.id }, feed.name)} disabled={previewing} title="Preview matches">
+                    <Eye size={16} />
+                  </button>
+                  <button onClick={() => handleRefresh(feed)} disabled={!feed.enabled} title="Check now">
+                    <Play size={16} />
+                  </button>
+                  <button
+                    onClick={() => window.confirm(`Remove feed "${feed.name}"?`) && apply(() => deleteRssFeed(feed.id), 'Feed removed')}
+                    title="Remove feed"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form className="rss-form" onSubmit={handleAddFeed}>
+          <input
+            type="text"
+            placeholder="https://... or file:///path/to/feed.xml"
+            value={feedForm.url}
+            onChange={(e) => setFeedForm({ ...feedForm, url: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Name (optional)"
+            value={feedForm.name}
+            onChange={(e) => setFeedForm({ ...feedForm, name: e.target.value })}
+          />
+          <input
+            type="number"
+            min="1"
+            max="1440"
+            placeholder="Minutes"
+            value={feedForm.interval}
+            onChange={(e) => setFeedForm({ ...feedForm, interval: e.target.value })}
+          />
+          <label className="rss-toggle">
+            <input
+              type="checkbox"
+              checked={feedForm.enabled}
+              onChange={(e) => setFeedForm({ ...feedForm, enabled: e.target.checked })}
+            />
+            Enabled
+          </label>
+          <button type="submit" className="rss-save-button">
+            <Plus size={16} />
+            Add Feed
+          </button>
+        </form>
+      </section>
+
+      <section className="rss-section">
+        <h2>Download Rules</h2>
+        {rss.rules.length === 0 ? (
+          <p className="rss-hint">Items are only downloaded when a rule matches their title.</p>
+        ) : (
+          <ul className="rss-list">
+            {rss.rules.map(rule => (
+              <li key={rule.id} className="rss-item">
+                <div className="rss-item-info">
+                  <h3>{rule.name}</h3>
+                  <div className="rss-item-detail">
+                    /{rule.include}/{rule.exclude && <> but not /{rule.exclude}/</>}
+                  </div>
+                  <div className="rss-item-meta">
+                    {rule.qualities.length > 0 ? rule.qualities.join(' > ') : 'Any quality'}
+                    {' • '}{rule.feedIds.length > 0 ? rule.feedIds.map(feedName).join(', ') : 'All feeds'}
+                    {rule.category && <> • Category {rule.category}</>}
+                    {rule.skipDownloaded && <> • Skips downloaded episodes</>}
+                    {' • '}Last match {formatTime(rule.lastMatchedAt)}
+                  </div>
+                </div>
+                <div className="rss-item-actions">
+                  <label className="rss-toggle">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={() => apply(() => updateRssRule(rule.id, { enabled: !rule.enabled }))}
+                    />
+                    Enabled
+                  </label>
+                  <button
+                    onClick={() => window.confirm(`Remove rule "${rule.name}"?`) && apply(() => deleteRssRule(rule.id), 'Rule removed')}
+                    title="Remove rule"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form className="rss-form rss-rule-form" onSubmit={handleAddRule}>
+          <input
+            type="text"
+            placeholder="Include regex, e.g. the.?office"
+            value={ruleForm.include}
+            onChange={(e) => setRuleForm({ ...ruleForm, include: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Exclude regex (optional)"
+            value={ruleForm.exclude}
+            onChange={(e) => setRuleForm({ ...ruleForm, exclude: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Name (optional)"
+            value={ruleForm.name}
+            onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+          />
+          <select value={ruleForm.feedId} onChange={(e) => setRuleForm({ ...ruleForm, feedId: e.target.value })}>
+            <option value="">All feeds</option>
+            {rss.feeds.map(feed => (
+              <option key={feed.id} value={feed.id}>{feed.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Category (optional)"
+            value={ruleForm.category}
+            onChange={(e) => setRuleForm({ ...ruleForm, category: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Download path (optional)"
+            value={ruleForm.downloadPath}
+            onChange={(e) => setRuleForm({ ...ruleForm, downloadPath: e.target.value })}
+          />
+          <div className="rss-qualities" title="Only these qualities; when an episode comes in several, the first one listed wins">
+            {QUALITIES.map(quality => (
+              <label key={quality} className="rss-toggle">
+                <input
+                  type="checkbox"
+                  checked={ruleForm.qualities.includes(quality)}
+                  onChange={() => toggleQuality(quality)}
+                />
+                {quality}
+              </label>
+            ))}
+          </div>
+          <label className="rss-toggle">
+            <input
+              type="checkbox"
+              checked={ruleForm.skipDownloaded}
+              onChange={(e) => setRuleForm({ ...ruleForm, skipDownloaded: e.target.checked })}
+            />
+            Skip episodes already downloaded
+          </label>
+          <div className="rss-form-buttons">
+            <button type="button" className="rss-header-button" onClick={handlePreviewRule} disabled={!ruleForm.include || previewing}>
+              <Eye size={16} />
+              Try It
+            </button>
+            <button type="submit" className="rss-save-button">
+              <Plus size={16} />
+              Add Rule
+            </button>
+          </div>
+        </form>
+      </section>
+
+      {preview && (
+        <section className="rss-section">
+          <h2>Preview: {preview.label}</h2>
+          <p className="rss-hint">Nothing is added from a preview. {preview.title && <>Feed title: {preview.title}</>}</p>
+          {preview.items.length === 0 ? (
+            <p className="rss-hint">The feed has no items</p>
+          ) : (
+            <ul className="rss-list rss-preview">
+              {preview.items.map((item, index) => (
+                <li key={`${item.title}-${index}`} className="rss-item">
+                  <span className={`rss-action ${item.action}`}>{ACTION_LABELS[item.action]}</span>
+                  <div className="rss-item-info">
+                    <h3>{item.title}</h3>
+                    <div className="rss-item-meta">
+                      {[item.episode, item.quality !== 'unknown' && item.quality, item.ruleName && `Rule: ${item.ruleName}`, item.reason]
+                        .filter(Boolean)
+                        .join(' • ')}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <section className="rss-section">
+        <h2>Recently Added</h2>
+        {rss.activity.length === 0 ? (
+          <p className="rss-hint">Nothing added from a feed yet</p>
+        ) : (
+          <ul className="rss-list">
+            {rss.activity.map((entry, index) => (
+              <li key={`${entry.at}-${index}`} className="rss-item">
+                <span className={`rss-action ${entry.outcome === 'added' ? 'download' : 'failed'}`}>
+                  {entry.outcome === 'added' ? 'Added' : 'Failed'}
+                </span>
+                <div
+                  className="rss-item-info"
+                  onClick={() => entry.infoHash && navigate(`/torrent/${entry.infoHash}`)}
+                >
+                  <h3>{entry.title}</h3>
+                  <div className="rss-item-meta">
+                    {formatTime(entry.at)} • {entry.feedName} • Rule: {entry.ruleName}
+                    {entry.reason && <span className="rss-error"> • {entry.reason}</span>}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default RssPage;
@@ -1,13 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { Settings, Trash2, Download, Globe, Shield, HardDrive, ExternalLink, LogOut, Search } from 'lucide-react';
+import { Settings, Trash2, Download, Globe, Shield, HardDrive, ExternalLink, LogOut, Search, Key } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import { useAuth } from '../context/AuthContext';
 import progressService from '../services/progressService';
+import {
+  getSessions,
+  revokeSession,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  getLoginAudit,
+  getLoginLockouts,
+  clearLoginLockouts,
+  getShareLinks,
+  revokeShareLink,
+  getMetadataSettings,
+  updateMetadataSettings,
+  clearMetadataCache
+} from '../services/api';
 import './SettingsPage.css';
 
 const SettingsPage = () => {
-  const { logout } = useAuth();
+  const { logout, user, hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
   const [settings, setSettings] = useState({
     downloadPath: '/tmp/seedbox-downloads',
     maxConnections: 50,
@@ -19,6 +36,16 @@ const SettingsPage = () => {
   });
   
   const [stats, setStats] = useState({});
+  const [sessions, setSessions] = useState([]);
+  const [apiTokens, setApiTokens] = useState([]);
+  const [tokenScopes, setTokenScopes] = useState([]);
+  const [tokenForm, setTokenForm] = useState({ name: '', scopes: ['torrents:read'], expiresInDays: '90' });
+  const [createdToken, setCreatedToken] = useState(null); // { name, token } - the secret is only shown once
+  const [loginAudit, setLoginAudit] = useState([]);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [lockouts, setLockouts] = useState(null);
+  const [metadata, setMetadata] = useState(null);
+  const [metadataLanguage, setMetadataLanguage] = useState('');
   
   useEffect(() => {
     const loadSettings = () => {
@@ -75,7 +102,7 @@ const SettingsPage = () => {
   const clearWebTorrentCache = async () => {
     if (window.confirm('Clear WebTorrent cache? This will remove all downloaded torrent data and stop active torrents.')) {
       try {
-        const response = await fetch(config.api.torrents, {
+        const response = await apiFetch(config.api.torrents, {
           method: 'DELETE'
         });
         
@@ -146,6 +173,162 @@ const SettingsPage = () => {
     event.target.value = ''; // Reset file input
   };
 
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const data = await getSessions();
+        setSessions(data.sessions || []);
+      } catch (error) {
+        console.error('Error loading sessions:', error);
+      }
+    };
+    loadSessions();
+  }, []);
+
+  useEffect(() => {
+    const loadApiTokens = async () => {
+      try {
+        const data = await getApiTokens();
+        setApiTokens(data.tokens || []);
+        setTokenScopes(data.scopes || []);
+      } catch (error) {
+        console.error('Error loading API tokens:', error);
+      }
+    };
+    loadApiTokens();
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    const loadLoginActivity = async () => {
+      try {
+        const [audit, lockoutStatus] = await Promise.all([getLoginAudit({ limit: 50 }), getLoginLockouts()]);
+        setLoginAudit(audit.entries || []);
+        setLockouts(lockoutStatus);
+      } catch (error) {
+        console.error('Error loading login activity:', error);
+      }
+    };
+    loadLoginActivity();
+  }, [isAdmin]);
+
+  const handleClearLockouts = async (ip = null) => {
+    try {
+      const data = await clearLoginLockouts(ip);
+      setLockouts(data);
+    } catch (error) {
+      alert('Failed to clear lockouts: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    const loadMetadata = async () => {
+      try {
+        const data = await getMetadataSettings();
+        setMetadata(data);
+        setMetadataLanguage(data.language || '');
+      } catch (error) {
+        console.error('Error loading metadata settings:', error);
+      }
+    };
+    loadMetadata();
+  }, [isAdmin]);
+
+  const handleSaveMetadataLanguage = async () => {
+    try {
+      const data = await updateMetadataSettings(metadataLanguage.trim());
+      setMetadata(data);
+    } catch (error) {
+      alert('Failed to update metadata language: ' + error.message);
+    }
+  };
+
+  const handleClearMetadataCache = async () => {
+    if (!window.confirm('Forget every cached poster and plot? They are looked up again as torrents are viewed.')) return;
+    try {
+      await clearMetadataCache();
+      setMetadata(await getMetadataSettings());
+    } catch (error) {
+      alert('Failed to clear metadata cache: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadShareLinks = async () => {
+      try {
+        const data = await getShareLinks();
+        setShareLinks(data.links || []);
+      } catch (error) {
+        console.error('Error loading share links:', error);
+      }
+    };
+    loadShareLinks();
+  }, []);
+
+  const handleRevokeShareLink = async (link) => {
+    try {
+      await revokeShareLink(link.id);
+      setShareLinks(prev => prev.filter(item => item.id !== link.id));
+    } catch (error) {
+      alert('Failed to revoke share link: ' + error.message);
+    }
+  };
+
+  const toggleTokenScope = (scope) => {
+    setTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreateToken = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await createApiToken({
+        name: tokenForm.name,
+        scopes: tokenForm.scopes,
+        expiresInDays: tokenForm.expiresInDays ? parseInt(tokenForm.expiresInDays, 10) : null
+      });
+      if (!data.success) {
+        alert('Failed to create token: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      setApiTokens(prev => [{ ...data.apiToken, username: user?.username }, ...prev]);
+      setCreatedToken({ name: data.apiToken.name, token: data.token });
+      setTokenForm(prev => ({ ...prev, name: '' }));
+    } catch (error) {
+      alert('Failed to create token: ' + error.message);
+    }
+  };
+
+  const handleRevokeToken = async (apiToken) => {
+    if (!window.confirm(`Revoke the API token "${apiToken.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+    try {
+      await revokeApiToken(apiToken.id);
+      setApiTokens(prev => prev.filter(item => item.id !== apiToken.id));
+    } catch (error) {
+      alert('Failed to revoke token: ' + error.message);
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    if (session.current) {
+      handleLogout();
+      return;
+    }
+    try {
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (error) {
+      alert('Failed to revoke session: ' + error.message);
+    }
+  };
+
   const handleLogout = () => {
     if (window.confirm('Are you sure you want to logout? You will need to enter the password again to access the dashboard.')) {
       logout();
@@ -296,7 +479,7 @@ const SettingsPage = () => {
       <div className="settings-section">
         <h2>🗃️ Data Management</h2>
         <div className="data-actions">
-          <Link to="/search" className="action-button search-management">
+          <Link to="/search/sources" className="action-button search-management">
             <Search size={16} />
             Manage Search Sources
             <ExternalLink size={14} />
@@ -346,8 +529,32 @@ const SettingsPage = () => {
         <h2>🔐 Security</h2>
         <div className="security-section">
           <div className="security-info">
-            <p>Your authentication is stored locally on this device for convenience. You can logout to require password entry on next access.</p>
+            {user && (
+              <p>Signed in as <strong>{user.username}</strong> ({user.role})</p>
+            )}
+            <p>You stay signed in on this device until the session expires or you logout. Sessions on other devices can be revoked here.</p>
           </div>
+          {sessions.length > 0 && (
+            <div className="session-list">
+              {sessions.map(session => (
+                <div key={session.id} className="session-item">
+                  <div className="session-details">
+                    <span className="session-agent">
+                      {session.username && session.username !== user?.username && `${session.username} · `}
+                      {session.userAgent || 'Unknown client'}
+                      {session.current && <span className="session-current"> (this device)</span>}
+                    </span>
+                    <span className="session-meta">
+                      {session.ip || 'unknown IP'} · last active {new Date(session.lastSeenAt).toLocaleString()} · expires {new Date(session.expiresAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <button onClick={() => handleRevokeSession(session)} className="action-button danger">
+                    {session.current ? 'Logout' : 'Revoke'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
           <div className="action-buttons">
             <button onClick={handleLogout} className="action-button danger">
               <LogOut size={16} />
@@ -357,6 +564,233 @@ const SettingsPage = () => {
         </div>
       </div>
 
+      {/* API Tokens */}
+      <div className="settings-section">
+        <h2>🔑 API Tokens</h2>
+        <div className="security-section">
+          <div className="security-info">
+            <p>Tokens let scripts and home automation use the API without logging in. Send one as <code>Authorization: Bearer &lt;token&gt;</code>; it can only do what its scopes and your role allow.</p>
+          </div>
+
+          {createdToken && (
+            <div className="token-created">
+              <p>Copy the token for <strong>{createdToken.name}</strong> now - it won't be shown again.</p>
+              <code className="token-secret">{createdToken.token}</code>
+              <button onClick={() => setCreatedToken(null)} className="action-button">
+                Done
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={handleCreateToken} className="token-form">
+            <input
+              type="text"
+              value={tokenForm.name}
+              onChange={(e) => setTokenForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Token name, e.g. home-assistant"
+              maxLength={64}
+            />
+            <div className="token-scopes">
+              {tokenScopes.map(scope => (
+                <label key={scope}>
+                  <input
+                    type="checkbox"
+                    checked={tokenForm.scopes.includes(scope)}
+                    onChange={() => toggleTokenScope(scope)}
+                  />
+                  {scope}
+                </label>
+              ))}
+            </div>
+            <select
+              value={tokenForm.expiresInDays}
+              onChange={(e) => setTokenForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+            >
+              <option value="30">Expires in 30 days</option>
+              <option value="90">Expires in 90 days</option>
+              <option value="365">Expires in a year</option>
+              <option value="">Never expires</option>
+            </select>
+            <button
+              type="submit"
+              className="action-button"
+              disabled={!tokenForm.name.trim() || tokenForm.scopes.length === 0}
+            >
+              <Key size={16} />
+              Create Token
+            </button>
+          </form>
+
+          {apiTokens.length > 0 && (
+            <div className="session-list">
+              {apiTokens.map(apiToken => (
+                <div key={apiToken.id} className="session-item">
+                  <div className="session-details">
+                    <span className="session-agent">
+                      {apiToken.username && apiToken.username !== user?.username && `${apiToken.username} · `}
+                      {apiToken.name}
+                      {apiToken.expired && <span className="token-expired"> (expired)</span>}
+                    </span>
+                    <span className="session-meta">
+                      {apiToken.scopes.join(', ')} · last used {apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).toLocaleString() : 'never'} · {apiToken.expiresAt ? `expires ${new Date(apiToken.expiresAt).toLocaleDateString()}` : 'never expires'}
+                    </span>
+                  </div>
+                  <button onClick={() => handleRevokeToken(apiToken)} className="action-button danger">
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Share Links */}
+      {shareLinks.length > 0 && (
+        <div className="settings-section">
+          <h2>🔗 Share Links</h2>
+          <div className="security-section">
+            <div className="security-info">
+              <p>Links to single files for people without an account. Create them from a torrent's page.</p>
+            </div>
+            <div className="session-list">
+              {shareLinks.map(link => (
+                <div key={link.id} className="session-item">
+                  <div className="session-details">
+                    <span className="session-agent">
+                      {link.createdBy && link.createdBy.username !== user?.username && `${link.createdBy.username} · `}
+                      {link.fileName}
+                    </span>
+                    <span className="session-meta">
+                      {link.mode} · {link.uses}{link.maxUses !== null ? ` of ${link.maxUses}` : ''} uses
+                      {link.bandwidthLimit ? ` · ${Math.round(link.bandwidthLimit / 1024)} KB/s cap` : ''}
+                      {' '}· expires {new Date(link.expiresAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <button onClick={() => navigator.clipboard?.writeText(link.url)} className="action-button">
+                    Copy
+                  </button>
+                  <button onClick={() => handleRevokeShareLink(link)} className="action-button danger">
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Login Activity - admins only */}
+      {isAdmin && (
+        <div className="settings-section">
+          <h2>🛡️ Login Activity</h2>
+          <div className="security-section">
+            {lockouts && (
+              <div className="security-info">
+                <p>
+                  After {lockouts.maxAttemptsPerIP} failed logins within {lockouts.windowMinutes} minutes an address is locked out, longer each time.
+                  {lockouts.global.lockedUntil
+                    ? ` All logins are locked until ${new Date(lockouts.global.lockedUntil).toLocaleTimeString()}.`
+                    : ` ${lockouts.global.recentFailures} recent failures overall.`}
+                </p>
+              </div>
+            )}
+
+            {lockouts?.ips.length > 0 && (
+              <div className="session-list">
+                {lockouts.ips.map(entry => (
+                  <div key={entry.ip} className="session-item">
+                    <div className="session-details">
+                      <span className="session-agent">
+                        {entry.ip}
+                        {entry.lockedUntil && <span className="token-expired"> (locked until {new Date(entry.lockedUntil).toLocaleTimeString()})</span>}
+                      </span>
+                      <span className="session-meta">
+                        {entry.recentFailures} recent failures · {entry.strikes} lockouts
+                      </span>
+                    </div>
+                    <button onClick={() => handleClearLockouts(entry.ip)} className="action-button">
+                      Clear
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {loginAudit.length > 0 && (
+              <div className="session-list">
+                {loginAudit.map((entry, index) => (
+                  <div key={`${entry.at}-${index}`} className="session-item">
+                    <div className="session-details">
+                      <span className="session-agent">
+                        <span className={`login-outcome ${entry.outcome}`}>{entry.outcome}</span>
+                        {' '}{entry.username || 'unknown user'} from {entry.ip || 'unknown IP'}
+                      </span>
+                      <span className="session-meta">
+                        {new Date(entry.at).toLocaleString()}{entry.reason && ` · ${entry.reason}`} · {entry.userAgent || 'Unknown client'}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="action-buttons">
+              <button onClick={() => handleClearLockouts()} className="action-button">
+                <Shield size={16} />
+                Clear All Lockouts
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Metadata - admins only */}
+      {isAdmin && metadata && (
+        <div className="settings-section">
+          <h2>🎞️ Metadata</h2>
+          <div className="settings-grid">
+            <div className="setting-item">
+              <label>
+                <span>Lookup Language</span>
+                <p>
+                  Titles and plots are asked for in this language where the provider has it
+                  ({metadata.providers.map(provider => provider.name).join(', ') || 'no providers configured'})
+                </p>
+              </label>
+              <input
+                type="text"
+                value={metadataLanguage}
+                onChange={(e) => setMetadataLanguage(e.target.value)}
+                placeholder="en-US"
+                className="setting-input"
+              />
+              <button
+                onClick={handleSaveMetadataLanguage}
+                className="action-button"
+                disabled={!metadataLanguage.trim() || metadataLanguage.trim() === metadata.language}
+              >
+                Save
+              </button>
+            </div>
+          </div>
+          <div className="security-section">
+            <div className="security-info">
+              <p>
+                {metadata.cache.entries} cached answers ({metadata.cache.misses} not found).
+                Found titles are kept {metadata.cache.ttlHours} hours, misses {metadata.cache.missTtlHours} hours.
+              </p>
+            </div>
+            <div className="action-buttons">
+              <button onClick={handleClearMetadataCache} className="action-button warning">
+                <Trash2 size={16} />
+                Clear Metadata Cache
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* About */}
       <div className="settings-section">
         <h2>ℹ️ About</h2>
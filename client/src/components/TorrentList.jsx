@@ -1,28 +1,48 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { usePollingWithBackoff } from '../hooks/usePollingWithBackoff';
-import { getTorrentsWithRetry } from '../services/api';
+import { useTorrentEvents } from '../hooks/useTorrentEvents';
+import { useAuth } from '../context/AuthContext';
+import {
+  getTorrentsWithRetry,
+  pauseTorrent,
+  resumeTorrent,
+  forceStartTorrent,
+  recheckTorrent,
+  setTorrentLimits,
+  setTorrentStrategy
+} from '../services/api';
 import ErrorBoundary from './ErrorBoundary';
 
 /**
- * TorrentList component with resilient polling
+ * TorrentList component fed by the server's event stream, with resilient
+ * polling whenever the stream isn't connected
  */
 const TorrentList = () => {
   // Start with a longer polling interval to reduce load
   const [pollingInterval, setPollingInterval] = useState(5000);
+  const [busyHash, setBusyHash] = useState(null);
+  const [limitEditor, setLimitEditor] = useState(null); // { infoHash, download, upload }
+  
+  const { torrents: liveTorrents, connected } = useTorrentEvents();
+  const { canManageTorrent } = useAuth();
   
   const { 
-    data, 
-    isLoading, 
-    error, 
+    data: polledData, 
+    isLoading: isPolling, 
+    error: pollingError, 
     refetch 
   } = usePollingWithBackoff(
     getTorrentsWithRetry,
     pollingInterval,
-    true, // enabled
+    !connected, // only poll while the event stream is down
     30000, // max backoff
     true // immediate
   );
+  
+  const data = connected ? { torrents: liveTorrents } : polledData;
+  const isLoading = !connected && isPolling;
+  const error = connected ? null : pollingError;
 
   // Format sizes for better readability
   const formatSize = (bytes) => {
@@ -38,6 +58,45 @@ const TorrentList = () => {
     return `${formatSize(bytesPerSec)}/s`;
   };
 
+  // Run a control action without following the row link, then refresh
+  const runAction = async (event, infoHash, action) => {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    try {
+      setBusyHash(infoHash);
+      await action();
+      refetch();
+    } catch (err) {
+      console.error(`Torrent action failed for ${infoHash}:`, err);
+    } finally {
+      setBusyHash(null);
+    }
+  };
+
+  const openLimitEditor = (event, torrent) => {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    // Editor works in KB/s; blank means unlimited
+    const toKb = (limit) => (limit === undefined || limit < 0) ? '' : String(Math.round(limit / 1024));
+    setLimitEditor({
+      infoHash: torrent.infoHash,
+      download: toKb(torrent.downloadLimit),
+      upload: toKb(torrent.uploadLimit)
+    });
+  };
+
+  const applyLimits = (event) => {
+    const toBytes = (value) => value === '' ? -1 : Math.max(0, Math.round(parseFloat(value) * 1024));
+    const { infoHash, download, upload } = limitEditor;
+    
+    runAction(event, infoHash, () => setTorrentLimits(infoHash, {
+      downloadLimit: toBytes(download),
+      uploadLimit: toBytes(upload)
+    })).then(() => setLimitEditor(null));
+  };
+
   // Handle the loading state
   if (isLoading && !data) {
     return <div className="loading-indicator">Loading torrents...</div>;
@@ -63,15 +122,19 @@ const TorrentList = () => {
     <div className="torrent-list">
       <div className="list-controls">
         <button onClick={refetch}>Refresh</button>
-        <select 
-          value={pollingInterval} 
-          onChange={(e) => setPollingInterval(parseInt(e.target.value))}
-        >
-          <option value="2000">Fast (2s)</option>
-          <option value="5000">Normal (5s)</option>
-          <option value="10000">Slow (10s)</option>
-          <option value="30000">Very Slow (30s)</option>
-        </select>
+        {connected ? (
+          <span className="live-indicator">● Live</span>
+        ) : (
+          <select 
+            value={pollingInterval} 
+            onChange={(e) => setPollingInterval(parseInt(e.target.value))}
+          >
+            <option value="2000">Fast (2s)</option>
+            <option value="5000">Normal (5s)</option>
+            <option value="10000">Slow (10s)</option>
+            <option value="30000">Very Slow (30s)</option>
+          </select>
+        )}
       </div>
       
       <div className="torrent-table">
@@ -81,30 +144,111 @@ const TorrentList = () => {
           <div className="progress-column">Progress</div>
           <div className="speed-column">Speed</div>
           <div className="peers-column">Peers</div>
+          <div className="actions-column">Actions</div>
         </div>
         
         {data.torrents.map(torrent => (
-          <Link
-            to={`/torrent/${torrent.infoHash}`}
-            key={torrent.infoHash}
-            className="torrent-row"
-          >
-            <div className="name-column">{torrent.name}</div>
-            <div className="size-column">{formatSize(torrent.size)}</div>
-            <div className="progress-column">
-              <div className="progress-bar">
-                <div 
-                  className="progress-fill" 
-                  style={{ width: `${(torrent.progress * 100).toFixed(0)}%` }}
-                />
-                <span className="progress-text">
-                  {(torrent.progress * 100).toFixed(1)}%
-                </span>
+          <React.Fragment key={torrent.infoHash}>
+            <Link
+              to={`/torrent/${torrent.infoHash}`}
+              className={`torrent-row ${torrent.paused ? 'paused' : ''}`}
+            >
+              <div className="name-column">
+                {torrent.name}
+                {torrent.addedBy && <span className="torrent-owner"> · {torrent.addedBy.username}</span>}
+              </div>
+              <div className="size-column">{formatSize(torrent.size)}</div>
+              <div className="progress-column">
+                <div className="progress-bar">
+                  <div 
+                    className="progress-fill" 
+                    style={{ width: `${(torrent.progress * 100).toFixed(0)}%` }}
+                  />
+                  <span className="progress-text">
+                    {(torrent.progress * 100).toFixed(1)}%
+                  </span>
+                </div>
+              </div>
+              <div className="speed-column">{formatSpeed(torrent.downloadSpeed)}</div>
+              <div className="peers-column">{torrent.peers}</div>
+              <div className="actions-column">
+                {canManageTorrent(torrent) && (
+                  <>
+                    {torrent.paused ? (
+                      <button
+                        disabled={busyHash === torrent.infoHash}
+                        onClick={(e) => runAction(e, torrent.infoHash, () => resumeTorrent(torrent.infoHash))}
+                      >
+                        Resume
+                      </button>
+                    ) : (
+                      <button
+                        disabled={busyHash === torrent.infoHash}
+                        onClick={(e) => runAction(e, torrent.infoHash, () => pauseTorrent(torrent.infoHash))}
+                      >
+                        Pause
+                      </button>
+                    )}
+                    <button
+                      disabled={busyHash === torrent.infoHash}
+                      className={torrent.forceStart ? 'active' : ''}
+                      onClick={(e) => runAction(e, torrent.infoHash, () => forceStartTorrent(torrent.infoHash))}
+                    >
+                      Force Start
+                    </button>
+                    <button
+                      disabled={busyHash === torrent.infoHash}
+                      onClick={(e) => runAction(e, torrent.infoHash, () => recheckTorrent(torrent.infoHash))}
+                    >
+                      Recheck
+                    </button>
+                    <button
+                      disabled={busyHash === torrent.infoHash}
+                      title="Toggle between sequential and rarest-first piece order"
+                      onClick={(e) => runAction(e, torrent.infoHash, () => setTorrentStrategy(
+                        torrent.infoHash,
+                        torrent.strategy === 'sequential' ? 'rarest' : 'sequential'
+                      ))}
+                    >
+                      {torrent.strategy === 'sequential' ? 'Sequential' : 'Rarest First'}
+                    </button>
+                    <button
+                      disabled={busyHash === torrent.infoHash}
+                      onClick={(e) => openLimitEditor(e, torrent)}
+                    >
+                      Limits
+                    </button>
+                  </>
+                )}
+              </div>
+            </Link>
+            {limitEditor?.infoHash === torrent.infoHash && (
+              <div className="torrent-limits-editor">
+                <label>
+                  Download KB/s
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Unlimited"
+                    value={limitEditor.download}
+                    onChange={(e) => setLimitEditor(prev => ({ ...prev, download: e.target.value }))}
+                  />
+                </label>
+                <label>
+                  Upload KB/s
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Unlimited"
+                    value={limitEditor.upload}
+                    onChange={(e) => setLimitEditor(prev => ({ ...prev, upload: e.target.value }))}
+                  />
+                </label>
+                <button onClick={applyLimits}>Apply</button>
+                <button onClick={() => setLimitEditor(null)}>Cancel</button>
               </div>
-            </div>
-            <div className="speed-column">{formatSpeed(torrent.downloadSpeed)}</div>
-            <div className="peers-column">{torrent.peers}</div>
-          </Link>
+            )}
+          </React.Fragment>
         ))}
       </div>
     </div>
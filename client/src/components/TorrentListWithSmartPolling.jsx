@@ -1,6 +1,7 @@
 // src/components/TorrentListWithSmartPolling.jsx
 import React, { useCallback } from 'react';
 import useSmartPolling from '../hooks/useSmartPolling';
+import useTorrentEvents from '../hooks/useTorrentEvents';
 import { api } from '../utils/apiClient';
 
 /**
@@ -14,20 +15,22 @@ const TorrentListWithSmartPolling = () => {
     return response;
   }, []);
   
-  // Use our smart polling hook
-  const { 
-    data: torrents, 
-    error, 
-    isLoading, 
-    lastUpdated, 
-    refresh 
-  } = useSmartPolling(fetchTorrents, {
+  // Pushed updates first; smart polling only while the stream is down
+  const live = useTorrentEvents();
+  const polled = useSmartPolling(fetchTorrents, {
     initialInterval: 3000,   // Poll every 3 seconds initially
     minInterval: 2000,       // Never poll faster than every 2 seconds
     maxInterval: 20000,      // Never poll slower than every 20 seconds
-    adaptiveSpeed: true      // Adjust polling speed based on response time
+    adaptiveSpeed: true,     // Adjust polling speed based on response time
+    enablePolling: !live.connected
   });
   
+  const torrents = live.connected ? live.torrents : polled.data;
+  const error = live.connected ? null : polled.error;
+  const isLoading = !live.connected && polled.isLoading;
+  const lastUpdated = live.connected ? live.lastUpdated : polled.lastUpdated;
+  const { refresh } = polled;
+  
   // Show loading state
   if (isLoading && !torrents) {
     return <div>Loading torrents...</div>;
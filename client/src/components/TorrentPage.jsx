@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { ArrowLeft, Play, Download, Star, Calendar, Clock, Users, Award, Info, Share, Plus, ThumbsUp, Volume2 } from 'lucide-react';
 import VideoPlayer from './VideoPlayer';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import progressService from '../services/progressService';
 import './TorrentPage.css';
 
@@ -21,7 +22,7 @@ const TorrentPage = () => {
   const fetchIMDBData = useCallback(async () => {
     try {
       setImdbLoading(true);
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}/imdb`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}/imdb`);
       const data = await response.json();
       
       if (data.success && data.imdb) {
@@ -44,7 +45,7 @@ const TorrentPage = () => {
       setLoading(true);
       
       // Use the Universal API endpoint that returns both torrent info and files
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
       
       if (!response.ok) {
         throw new Error(`Failed to fetch torrent data`);
@@ -65,7 +66,7 @@ const TorrentPage = () => {
 
   const fetchTorrentProgress = useCallback(async () => {
     try {
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
       if (response.ok) {
         const data = await response.json();
         setTorrent(prev => ({ ...prev, ...data.torrent }));
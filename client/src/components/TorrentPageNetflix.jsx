@@ -1,11 +1,44 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Play, Download, Star, Calendar, Clock, Users, Award, Info, Share, Plus, ThumbsUp, Volume2 } from 'lucide-react';
+import { ArrowLeft, Play, Download, Star, Calendar, Clock, Users, Award, Info, Share, Plus, ThumbsUp, Volume2, Pause, FastForward, RefreshCw } from 'lucide-react';
 import VideoPlayer from './VideoPlayer';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
+import { releaseBadges } from '../utils/releaseBadges';
+import {
+  pauseTorrent,
+  resumeTorrent,
+  forceStartTorrent,
+  recheckTorrent,
+  setTorrentLimits,
+  setTorrentStrategy,
+  updateTorrentFiles,
+  getMediaInfo,
+  createShareLink
+} from '../services/api';
 import progressService from '../services/progressService';
+import { useTorrentEvents } from '../hooks/useTorrentEvents';
+import { useAuth } from '../context/AuthContext';
 import './TorrentPageNetflix.css';
 
+// Torrent fields returned by the control endpoints
+const CONTROL_FIELDS = ['paused', 'forceStart', 'strategy', 'downloadLimit', 'uploadLimit'];
+
+const VIDEO_FILE_PATTERN = /\.(mp4|avi|mkv|mov|wmv|flv|webm|m4v)$/i;
+
+const PLAYBACK_LABELS = {
+  'direct-play': 'direct play',
+  remux: 'needs remux',
+  transcode: 'needs transcode'
+};
+
+const FILE_PRIORITY_LABELS = {
+  skip: 'Skip',
+  low: 'Low',
+  normal: 'Normal',
+  high: 'High'
+};
+
 const TorrentPageNetflix = () => {
   const { torrentHash } = useParams();
   const navigate = useNavigate();
@@ -16,10 +49,18 @@ const TorrentPageNetflix = () => {
   const [selectedVideo, setSelectedVideo] = useState(null);
   const [recentProgress, setRecentProgress] = useState({});
   const [imdbData, setImdbData] = useState(null);
+  const [controlBusy, setControlBusy] = useState(false);
+  const [shareFile, setShareFile] = useState(null);
+  const [shareOptions, setShareOptions] = useState({ mode: 'stream', expiresInHours: '24', maxUses: '', bandwidthLimit: '' });
+  const [shareLink, setShareLink] = useState(null);
+  const [shareBusy, setShareBusy] = useState(false);
+  const [controlMessage, setControlMessage] = useState(null);
+  const [limitInputs, setLimitInputs] = useState({ download: '', upload: '' });
+  const [mediaInfo, setMediaInfo] = useState({});
 
   const fetchIMDBData = useCallback(async () => {
     try {
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}/imdb`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}/imdb`);
       const data = await response.json();
       
       if (data.success && data.imdb) {
@@ -40,7 +81,7 @@ const TorrentPageNetflix = () => {
     try {
       setLoading(true);
       
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
       
       if (!response.ok) {
         throw new Error(`Failed to fetch torrent data`);
@@ -61,7 +102,7 @@ const TorrentPageNetflix = () => {
 
   const fetchTorrentProgress = useCallback(async () => {
     try {
-      const response = await fetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
+      const response = await apiFetch(`${config.apiBaseUrl}/api/torrents/${torrentHash}`);
       if (response.ok) {
         const data = await response.json();
         setTorrent(prev => ({ ...prev, ...data.torrent }));
@@ -93,17 +134,63 @@ const TorrentPageNetflix = () => {
       console.log('📊 Direct progress for file 0:', directProgress);
       
       setRecentProgress(torrentProgress);
-      
-      // Only run progress fetching if no video is selected
-      const progressInterval = setInterval(() => {
-        if (!selectedVideo) {
-          fetchTorrentProgress();
-        }
-      }, 2000);
-      
-      return () => clearInterval(progressInterval);
     }
-  }, [torrentHash, fetchTorrentDetails, fetchIMDBData, fetchTorrentProgress, selectedVideo]);
+  }, [torrentHash, fetchTorrentDetails, fetchIMDBData]);
+
+  // Progress comes from the event stream; poll only while it's down
+  const { torrents: liveTorrents, connected: eventsConnected } = useTorrentEvents();
+  const { canManageTorrent } = useAuth();
+  const liveTorrent = liveTorrents?.find(item => item.infoHash === (torrent?.infoHash || torrentHash));
+
+  useEffect(() => {
+    if (liveTorrent && !selectedVideo) {
+      setTorrent(prev => (prev ? { ...prev, ...liveTorrent } : prev));
+    }
+  }, [liveTorrent, selectedVideo]);
+
+  useEffect(() => {
+    if (!torrentHash || eventsConnected) return;
+    
+    // Only run progress fetching if no video is selected
+    const progressInterval = setInterval(() => {
+      if (!selectedVideo) {
+        fetchTorrentProgress();
+      }
+    }, 2000);
+    
+    return () => clearInterval(progressInterval);
+  }, [torrentHash, eventsConnected, fetchTorrentProgress, selectedVideo]);
+
+  // Compatibility badges, probed one file at a time so a season pack
+  // doesn't start a burst of ffprobes
+  const videoFileIndexes = files
+    .filter(file => VIDEO_FILE_PATTERN.test(file.name))
+    .map(file => file.index)
+    .join(',');
+
+  useEffect(() => {
+    if (!torrentHash || !videoFileIndexes) return;
+    let cancelled = false;
+
+    const probeFiles = async () => {
+      for (const fileIndex of videoFileIndexes.split(',').map(Number)) {
+        if (cancelled) return;
+        try {
+          const info = await getMediaInfo(torrentHash, fileIndex);
+          if (!cancelled && !info.error) {
+            setMediaInfo(prev => ({ ...prev, [fileIndex]: info }));
+          }
+        } catch (err) {
+          console.log(`Could not probe file ${fileIndex}:`, err.message);
+        }
+      }
+    };
+
+    probeFiles();
+    return () => {
+      cancelled = true;
+    };
+  }, [torrentHash, videoFileIndexes]);
 
   const formatFileSize = (bytes) => {
     const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
@@ -121,6 +208,108 @@ const TorrentPageNetflix = () => {
     return parseFloat((bytesPerSecond / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   };
 
+  const formatLimit = (limit) => {
+    if (limit === undefined || limit < 0) return 'Unlimited';
+    if (limit === 0) return 'Blocked';
+    return formatSpeed(limit);
+  };
+
+  // Run a control action and merge the returned state into the torrent
+  const runTorrentAction = async (action, successMessage) => {
+    try {
+      setControlBusy(true);
+      setControlMessage(null);
+      
+      const result = await action();
+      if (result?.error) {
+        throw new Error(result.error);
+      }
+      
+      const controlState = {};
+      CONTROL_FIELDS.forEach(field => {
+        if (result && result[field] !== undefined) controlState[field] = result[field];
+      });
+      setTorrent(prev => ({ ...prev, ...controlState }));
+      setControlMessage(successMessage);
+    } catch (err) {
+      console.error('Torrent action failed:', err);
+      setControlMessage(`Failed: ${err.message}`);
+    } finally {
+      setControlBusy(false);
+    }
+  };
+
+  const handleApplyLimits = () => {
+    // Inputs are KB/s; blank means unlimited
+    const toBytes = (value) => value === '' ? -1 : Math.max(0, Math.round(parseFloat(value) * 1024));
+    
+    runTorrentAction(
+      () => setTorrentLimits(torrentHash, {
+        downloadLimit: toBytes(limitInputs.download),
+        uploadLimit: toBytes(limitInputs.upload)
+      }),
+      'Speed limits updated'
+    );
+  };
+
+  // Update file/folder selection and merge the new state into the file list
+  const handleFileSelection = async (changes) => {
+    try {
+      const result = await updateTorrentFiles(torrentHash, changes);
+      if (!result?.files) {
+        throw new Error(result?.error || 'No files returned');
+      }
+      
+      setFiles(prev => prev.map(file => {
+        const updated = result.files[file.index];
+        return updated ? { ...file, selected: updated.selected, priority: updated.priority } : file;
+      }));
+    } catch (err) {
+      console.error('Error updating file selection:', err);
+      setControlMessage(`Failed to update files: ${err.message}`);
+    }
+  };
+
+  const renderFileSelection = (file) => (
+    <div className="netflix-file-selection" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="checkbox"
+        checked={file.selected !== false}
+        onChange={(e) => handleFileSelection({ files: [{ index: file.index, selected: e.target.checked }] })}
+        title={file.selected !== false ? 'Skip this file' : 'Download this file'}
+      />
+      <select
+        value={file.priority || 'normal'}
+        onChange={(e) => handleFileSelection({ files: [{ index: file.index, priority: e.target.value }] })}
+        title="Download priority"
+      >
+        {Object.entries(FILE_PRIORITY_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // "4K HDR · DTS-HD MA · needs transcode"
+  const renderMediaBadges = (info) => {
+    if (!info) return null;
+
+    const audio = info.audio.find(track => track.default) || info.audio[0];
+    const details = [
+      [info.resolution, info.hdr].filter(Boolean).join(' '),
+      audio?.label
+    ].filter(Boolean);
+
+    return (
+      <p className="netflix-episode-media" title={info.reasons.join('\n')}>
+        {details.map(detail => `${detail} · `).join('')}
+        <span className={`netflix-playback netflix-playback-${info.playback}`}>
+          {PLAYBACK_LABELS[info.playback]}
+        </span>
+      </p>
+    );
+  };
+
   const handleDownload = (fileIndex) => {
     const downloadUrl = config.getDownloadUrl(torrentHash, fileIndex);
     const link = document.createElement('a');
@@ -131,6 +320,124 @@ const TorrentPageNetflix = () => {
     document.body.removeChild(link);
   };
 
+  const openShare = (file) => {
+    setShareFile(file);
+    setShareLink(null);
+    // The panel sits under the title, above the episode list
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const closeShare = () => {
+    setShareFile(null);
+    setShareLink(null);
+  };
+
+  const handleCreateShare = async () => {
+    setShareBusy(true);
+    try {
+      const data = await createShareLink(torrentHash, shareFile.index, {
+        mode: shareOptions.mode,
+        expiresInHours: parseInt(shareOptions.expiresInHours, 10),
+        maxUses: shareOptions.maxUses ? parseInt(shareOptions.maxUses, 10) : null,
+        bandwidthLimit: shareOptions.bandwidthLimit ? parseInt(shareOptions.bandwidthLimit, 10) : null
+      });
+      if (!data.success) {
+        alert('Failed to create share link: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      setShareLink(data.link);
+    } catch (error) {
+      alert('Failed to create share link: ' + error.message);
+    } finally {
+      setShareBusy(false);
+    }
+  };
+
+  const renderSharePanel = () => (
+    <div className="netflix-info-card netflix-share-panel">
+      <h3>Share {shareFile.name}</h3>
+      {shareLink ? (
+        <>
+          <input
+            className="netflix-share-url"
+            readOnly
+            value={shareLink.url}
+            onFocus={(e) => e.target.select()}
+          />
+          <p className="netflix-control-message">
+            Anyone with this link can {shareLink.mode === 'stream' ? 'watch' : 'download'} the file until {new Date(shareLink.expiresAt).toLocaleString()}.
+          </p>
+          <div className="netflix-torrent-controls">
+            <button className="netflix-control-btn" onClick={() => navigator.clipboard?.writeText(shareLink.url)}>
+              Copy Link
+            </button>
+            <button className="netflix-control-btn" onClick={closeShare}>
+              Done
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="netflix-control-row">
+            <label htmlFor="share-mode">Link opens</label>
+            <select
+              id="share-mode"
+              value={shareOptions.mode}
+              onChange={(e) => setShareOptions(prev => ({ ...prev, mode: e.target.value }))}
+            >
+              <option value="stream">A player</option>
+              <option value="download">A download</option>
+            </select>
+          </div>
+          <div className="netflix-control-row">
+            <label htmlFor="share-expiry">Expires after</label>
+            <select
+              id="share-expiry"
+              value={shareOptions.expiresInHours}
+              onChange={(e) => setShareOptions(prev => ({ ...prev, expiresInHours: e.target.value }))}
+            >
+              <option value="1">1 hour</option>
+              <option value="24">1 day</option>
+              <option value="168">1 week</option>
+              <option value="720">30 days</option>
+            </select>
+          </div>
+          <div className="netflix-control-row">
+            <label htmlFor="share-uses">Max plays</label>
+            <input
+              id="share-uses"
+              type="number"
+              min="1"
+              placeholder="Unlimited"
+              value={shareOptions.maxUses}
+              onChange={(e) => setShareOptions(prev => ({ ...prev, maxUses: e.target.value }))}
+            />
+          </div>
+          <div className="netflix-control-row">
+            <label htmlFor="share-bandwidth">Speed cap (KB/s)</label>
+            <input
+              id="share-bandwidth"
+              type="number"
+              min="1"
+              placeholder="Unlimited"
+              value={shareOptions.bandwidthLimit}
+              onChange={(e) => setShareOptions(prev => ({ ...prev, bandwidthLimit: e.target.value }))}
+            />
+          </div>
+          <div className="netflix-torrent-controls">
+            <button className="netflix-control-btn" disabled={shareBusy} onClick={handleCreateShare}>
+              <Share size={16} />
+              Create Link
+            </button>
+            <button className="netflix-control-btn" onClick={closeShare}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="netflix-page">
@@ -208,6 +515,22 @@ const TorrentPageNetflix = () => {
     !/\.(mp4|avi|mkv|mov|wmv|flv|webm|m4v)$/i.test(file.name)
   );
 
+  // Sub-folders inside the torrent (the root folder is the whole torrent)
+  const folders = Array.from(new Set(files.flatMap(file => {
+    const parts = (file.path || '').split('/').slice(0, -1);
+    return parts.slice(1).map((_, i) => parts.slice(0, i + 2).join('/'));
+  }))).sort().map(folderPath => {
+    const folderFiles = files.filter(file => file.path?.startsWith(`${folderPath}/`));
+    return {
+      path: folderPath,
+      name: folderPath.split('/').slice(1).join('/'),
+      count: folderFiles.length,
+      selected: folderFiles.every(file => file.selected !== false)
+    };
+  });
+
+  const badges = releaseBadges(torrent?.release);
+
   return (
     <div className="netflix-page">
       {/* Hero Section */}
@@ -254,6 +577,14 @@ const TorrentPageNetflix = () => {
               </div>
             )}
 
+            {badges.length > 0 && (
+              <div className="netflix-release-badges">
+                {badges.map(badge => (
+                  <span key={badge.key} className={`netflix-release-badge ${badge.kind}`}>{badge.label}</span>
+                ))}
+              </div>
+            )}
+
             <div className="netflix-action-buttons">
               {mainVideoFile && (
                 <button 
@@ -286,12 +617,20 @@ const TorrentPageNetflix = () => {
                 Rate
               </button>
               
-              <button className="netflix-secondary-btn">
-                <Share size={20} />
-                Share
-              </button>
+              {mainVideoFile && canManageTorrent(torrent) && (
+                <button
+                  className="netflix-secondary-btn"
+                  onClick={() => openShare(mainVideoFile)}
+                  title="Create a link for someone without an account"
+                >
+                  <Share size={20} />
+                  Share
+                </button>
+              )}
             </div>
 
+            {shareFile && renderSharePanel()}
+
             {imdbData?.Plot && (
               <p className="netflix-description">
                 {imdbData.Plot}
@@ -345,6 +684,7 @@ const TorrentPageNetflix = () => {
                         </span>
                       </div>
                       <p className="netflix-episode-title">{file.name}</p>
+                      {renderMediaBadges(mediaInfo[file.index])}
                       {progress && progress.currentTime != null && progress.duration != null && (
                         <p className="netflix-episode-progress">
                           {progressService.formatTime(progress.currentTime)} / {progressService.formatTime(progress.duration)}
@@ -353,6 +693,7 @@ const TorrentPageNetflix = () => {
                     </div>
                     
                     <div className="netflix-episode-actions">
+                      {renderFileSelection(file)}
                       <button 
                         className="netflix-episode-download"
                         onClick={() => handleDownload(file.index)}
@@ -360,6 +701,15 @@ const TorrentPageNetflix = () => {
                       >
                         <Download size={18} />
                       </button>
+                      {canManageTorrent(torrent) && (
+                        <button
+                          className="netflix-episode-download"
+                          onClick={() => openShare(file)}
+                          title="Share episode"
+                        >
+                          <Share size={18} />
+                        </button>
+                      )}
                     </div>
                   </div>
                 );
@@ -367,6 +717,28 @@ const TorrentPageNetflix = () => {
             </div>
           </div>
 
+          {/* Folders */}
+          {folders.length > 0 && (
+            <div className="netflix-section">
+              <h2>Folders</h2>
+              <div className="netflix-files">
+                {folders.map(folder => (
+                  <label key={folder.path} className="netflix-file netflix-folder">
+                    <input
+                      type="checkbox"
+                      checked={folder.selected}
+                      onChange={(e) => handleFileSelection({ folders: [{ path: folder.path, selected: e.target.checked }] })}
+                    />
+                    <div className="netflix-file-info">
+                      <span className="netflix-file-name">{folder.name}/</span>
+                      <span className="netflix-file-size">{folder.count} files</span>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Additional Files */}
           {otherFiles.length > 0 && (
             <div className="netflix-section">
@@ -386,6 +758,7 @@ const TorrentPageNetflix = () => {
                       <span className="netflix-file-name">{file.name}</span>
                       <span className="netflix-file-size">{formatFileSize(file.size)}</span>
                     </div>
+                    {renderFileSelection(file)}
                   </div>
                 ))}
               </div>
@@ -443,6 +816,103 @@ const TorrentPageNetflix = () => {
             </>
           )}
 
+          {/* Torrent Controls - only for admins and whoever added it */}
+          {canManageTorrent(torrent) && (
+            <div className="netflix-info-card">
+              <h3>Torrent Controls</h3>
+              <div className="netflix-torrent-controls">
+                {torrent?.paused ? (
+                  <button
+                    className="netflix-control-btn"
+                    disabled={controlBusy}
+                    onClick={() => runTorrentAction(() => resumeTorrent(torrentHash), 'Torrent resumed')}
+                  >
+                    <Play size={16} />
+                    Resume
+                  </button>
+                ) : (
+                  <button
+                    className="netflix-control-btn"
+                    disabled={controlBusy}
+                    onClick={() => runTorrentAction(() => pauseTorrent(torrentHash), 'Torrent paused')}
+                  >
+                    <Pause size={16} />
+                    Pause
+                  </button>
+                )}
+                <button
+                  className={`netflix-control-btn ${torrent?.forceStart ? 'active' : ''}`}
+                  disabled={controlBusy}
+                  onClick={() => runTorrentAction(() => forceStartTorrent(torrentHash), 'Torrent force-started')}
+                  title="Start now, ignoring automatic limits"
+                >
+                  <FastForward size={16} />
+                  Force Start
+                </button>
+                <button
+                  className="netflix-control-btn"
+                  disabled={controlBusy}
+                  onClick={() => runTorrentAction(() => recheckTorrent(torrentHash), 'Recheck started')}
+                  title="Re-verify downloaded pieces"
+                >
+                  <RefreshCw size={16} />
+                  Recheck
+                </button>
+              </div>
+
+              <div className="netflix-control-row">
+                <label htmlFor="torrent-strategy">Piece order</label>
+                <select
+                  id="torrent-strategy"
+                  value={torrent?.strategy || 'rarest'}
+                  disabled={controlBusy}
+                  onChange={(e) => {
+                    const strategy = e.target.value;
+                    runTorrentAction(() => setTorrentStrategy(torrentHash, strategy), `Strategy set to ${strategy}`);
+                  }}
+                >
+                  <option value="rarest">Rarest first</option>
+                  <option value="sequential">Sequential</option>
+                </select>
+              </div>
+
+              <div className="netflix-control-row">
+                <label htmlFor="torrent-download-limit">Download (KB/s)</label>
+                <input
+                  id="torrent-download-limit"
+                  type="number"
+                  min="0"
+                  placeholder={formatLimit(torrent?.downloadLimit)}
+                  value={limitInputs.download}
+                  onChange={(e) => setLimitInputs(prev => ({ ...prev, download: e.target.value }))}
+                />
+              </div>
+              <div className="netflix-control-row">
+                <label htmlFor="torrent-upload-limit">Upload (KB/s)</label>
+                <input
+                  id="torrent-upload-limit"
+                  type="number"
+                  min="0"
+                  placeholder={formatLimit(torrent?.uploadLimit)}
+                  value={limitInputs.upload}
+                  onChange={(e) => setLimitInputs(prev => ({ ...prev, upload: e.target.value }))}
+                />
+              </div>
+              <button
+                className="netflix-control-btn netflix-control-apply"
+                disabled={controlBusy}
+                onClick={handleApplyLimits}
+                title="Leave blank for unlimited"
+              >
+                Apply Limits
+              </button>
+
+              {controlMessage && (
+                <p className="netflix-control-message">{controlMessage}</p>
+              )}
+            </div>
+          )}
+
           {/* Torrent Stats */}
           <div className="netflix-info-card">
             <h3>Download Info</h3>
@@ -463,6 +933,16 @@ const TorrentPageNetflix = () => {
                 <span>Peers</span>
                 <span>{torrent?.peers || 0}</span>
               </div>
+              <div className="netflix-stat">
+                <span>Status</span>
+                <span>{torrent?.paused ? 'Paused' : torrent?.progress >= 1 ? 'Complete' : 'Active'}</span>
+              </div>
+              {torrent?.addedBy && (
+                <div className="netflix-stat">
+                  <span>Added by</span>
+                  <span>{torrent.addedBy.username}</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
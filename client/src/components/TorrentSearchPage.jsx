@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Search, ArrowLeft, Plus, Play, ExternalLink, Globe, Loader } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getSearchProviders, searchTorrents, addSearchResult } from '../services/api';
+import { releaseBadges } from '../utils/releaseBadges';
+import './TorrentSearchPage.css';
+
+const TorrentSearchPage = () => {
+  const navigate = useNavigate();
+  const { hasRole } = useAuth();
+  const canAdd = hasRole('member');
+  const [providers, setProviders] = useState([]);
+  const [form, setForm] = useState({ q: '', category: 'All', sort: 'relevance', providers: [] });
+  const [searching, setSearching] = useState(false);
+  const [search, setSearch] = useState(null);
+  const [adding, setAdding] = useState({}); // result id -> true while its magnet is looked up
+  const [added, setAdded] = useState({}); // result id -> info hash
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const loadProviders = async () => {
+      try {
+        const data = await getSearchProviders();
+        if (Array.isArray(data.providers)) {
+          setProviders(data.providers.filter(provider => provider.enabled));
+        }
+      } catch (error) {
+        console.error('Error loading search providers:', error);
+      }
+    };
+    loadProviders();
+  }, []);
+
+  // Categories any selected provider knows
+  const selectedProviders = form.providers.length > 0
+    ? providers.filter(provider => form.providers.includes(provider.name))
+    : providers;
+  const categories = Array.from(new Set(['All', ...selectedProviders.flatMap(provider => provider.categories || [])]));
+
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const runSearch = async (options) => {
+    if (!options.q.trim()) return;
+    setSearching(true);
+    setMessage(null);
+    try {
+      const result = await searchTorrents(options);
+      if (result.error) {
+        setMessage(result.error);
+        return;
+      }
+      setSearch(result);
+    } catch (error) {
+      setMessage('Search failed: ' + error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(form);
+  };
+
+  const handleSort = (sort) => {
+    const next = { ...form, sort };
+    setForm(next);
+    if (search) runSearch({ ...next, q: search.query });
+  };
+
+  const toggleProvider = (name) => {
+    const selected = form.providers.includes(name)
+      ? form.providers.filter(other => other !== name)
+      : [...form.providers, name];
+    setForm({ ...form, providers: selected, category: 'All' });
+  };
+
+  const handleAdd = async (result) => {
+    setAdding(current => ({ ...current, [result.id]: true }));
+    try {
+      const response = await addSearchResult(result.id);
+      if (response.error) {
+        setMessage(response.error);
+        return;
+      }
+      setAdded(current => ({ ...current, [result.id]: response.infoHash }));
+      setMessage(`Added ${response.name === 'Loading...' ? result.title : response.name}`);
+    } catch (error) {
+      setMessage('Failed to add torrent: ' + error.message);
+    } finally {
+      setAdding(current => ({ ...current, [result.id]: false }));
+    }
+  };
+
+  return (
+    <div className="torrent-search-page">
+      <div className="torrent-search-header">
+        <button onClick={() => navigate(-1)} className="torrent-search-header-button">
+          <ArrowLeft size={20} />
+          Back
+        </button>
+        <div className="torrent-search-header-content">
+          <h1>
+            <Search size={28} />
+            Torrent Search
+          </h1>
+          <p>{providers.length} providers searched at once</p>
+        </div>
+        <button onClick={() => navigate('/search/sources')} className="torrent-search-header-button">
+          <Globe size={16} />
+          Search Sources
+        </button>
+      </div>
+
+      <form className="torrent-search-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="Movie, show, album..."
+          value={form.q}
+          onChange={(e) => setForm({ ...form, q: e.target.value })}
+          autoFocus
+        />
+        <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+          {categories.map(category => (
+            <option key={category} value={category}>{category}</option>
+          ))}
+        </select>
+        <select value={form.sort} onChange={(e) => handleSort(e.target.value)}>
+          <option value="relevance">Best match</option>
+          <option value="seeders">Most seeders</option>
+          <option value="size">Largest</option>
+        </select>
+        <button type="submit" className="torrent-search-button" disabled={searching || !form.q.trim()}>
+          {searching ? <Loader size={16} className="spinning" /> : <Search size={16} />}
+          Search
+        </button>
+        {providers.length > 1 && (
+          <div className="torrent-search-providers" title="Search only these; none ticked searches all of them">
+            {providers.map(provider => (
+              <label key={provider.name} className="torrent-search-toggle">
+                <input
+                  type="checkbox"
+                  checked={form.providers.includes(provider.name)}
+                  onChange={() => toggleProvider(provider.name)}
+                />
+                {provider.name}
+              </label>
+            ))}
+          </div>
+        )}
+      </form>
+
+      {message && (
+        <div className="torrent-search-message" onClick={() => setMessage(null)}>{message}</div>
+      )}
+
+      {search && (
+        <section className="torrent-search-results">
+          <p className="torrent-search-hint">
+            {search.results.length} results for "{search.query}" •{' '}
+            {search.providers.map((provider, index) => (
+              <span key={provider.name} className={provider.error ? 'torrent-search-error' : ''} title={provider.error || `${provider.ms} ms`}>
+                {index > 0 && ', '}
+                {provider.name} {provider.error ? '✕' : provider.count}
+              </span>
+            ))}
+          </p>
+
+          {search.results.length === 0 ? (
+            <div className="torrent-search-empty">
+              <Search size={48} />
+              <h3>Nothing found</h3>
+              <p>Try another spelling, or hover a provider above to see why it came back empty</p>
+            </div>
+          ) : (
+            <ul className="torrent-search-list">
+              {search.results.map(result => {
+                const badges = releaseBadges(result.release);
+                return (
+                  <li key={result.id} className="torrent-search-item">
+                    <div className="torrent-search-item-info">
+                      <h3 title={result.title}>{result.title}</h3>
+                      {badges.length > 0 && (
+                        <div className="torrent-search-badges">
+                          {badges.map(badge => (
+                            <span key={badge.key} className={`torrent-search-badge ${badge.kind}`}>{badge.label}</span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="torrent-search-item-meta">
+                        {result.size ? formatBytes(result.size) : (result.sizeText || 'Unknown size')}
+                        {' • '}
+                        <span className="torrent-search-seeders">↑ {result.seeders}</span> ↓ {result.leechers}
+                        {' • '}
+                        {result.providers.join(', ')}
+                        {result.time && <> • {result.time}</>}
+                      </div>
+                    </div>
+                    <div className="torrent-search-item-actions">
+                      {result.url && (
+                        <a href={result.url} target="_blank" rel="noopener noreferrer" title="Open on the provider's site">
+                          <ExternalLink size={16} />
+                        </a>
+                      )}
+                      {added[result.id] ? (
+                        <button onClick={() => navigate(`/torrent/${added[result.id]}`)} title="Open torrent">
+                          <Play size={16} />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleAdd(result)}
+                          disabled={!canAdd || adding[result.id]}
+                          title={canAdd ? 'Add torrent' : 'Your account can only watch'}
+                        >
+                          {adding[result.id] ? <Loader size={16} className="spinning" /> : <Plus size={16} />}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default TorrentSearchPage;
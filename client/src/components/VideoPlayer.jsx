@@ -23,10 +23,37 @@ import {
   X,
   Minimize2
 } from 'lucide-react';
+import Hls from 'hls.js';
 import { config } from '../config/environment';
+import { apiFetch } from '../utils/apiAuth';
 import progressService from '../services/progressService';
+import { getMediaInfo } from '../services/api';
 import './VideoPlayer.css';
 
+// Parse a WebVTT thumbnail map ("sprite-000.jpg#xywh=160,0,160,90" cues) into tiles
+const parseThumbnailMap = (text, baseUrl) => {
+  const toSeconds = (value) => value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+  return text.split(/\r?\n\r?\n/).map(block => {
+    const lines = block.trim().split(/\r?\n/);
+    const timing = lines.findIndex(line => line.includes('-->'));
+    const target = lines[timing + 1];
+    const match = target && /^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/.exec(target.trim());
+    if (timing === -1 || !match) return null;
+
+    const [start, end] = lines[timing].split('-->').map(part => toSeconds(part.trim().split(/\s+/)[0]));
+    return {
+      start,
+      end,
+      url: new URL(match[1], baseUrl).href,
+      x: parseInt(match[2], 10),
+      y: parseInt(match[3], 10),
+      width: parseInt(match[4], 10),
+      height: parseInt(match[5], 10)
+    };
+  }).filter(Boolean);
+};
+
 const VideoPlayer = ({ 
   src, 
   title, 
@@ -67,10 +94,30 @@ const VideoPlayer = ({
   // Subtitle/CC support
   const [availableSubtitles, setAvailableSubtitles] = useState([]);
   const [onlineSubtitles, setOnlineSubtitles] = useState([]);
+  const [embeddedSubtitles, setEmbeddedSubtitles] = useState([]);
+
+  // Seek-bar previews: tiles of the server's thumbnail sprites, and where the pointer is
+  const [thumbnails, setThumbnails] = useState([]);
+  const [seekPreview, setSeekPreview] = useState(null); // { time, ratio }
   const [currentSubtitle, setCurrentSubtitle] = useState(null);
   const [showSubtitleMenu, setShowSubtitleMenu] = useState(false);
   const [subtitlesEnabled, setSubtitlesEnabled] = useState(false);
   const [isSearchingOnline, setIsSearchingOnline] = useState(false);
+  const [subtitleOffset, setSubtitleOffset] = useState(0);
+
+  // 'direct' plays the file as-is; 'audio' keeps the video and has the server transcode
+  // one audio track (a progressive stream, so seeking restarts it at ?start=);
+  // 'hls' goes through the server's ffmpeg remux/transcode
+  const [playbackMode, setPlaybackMode] = useState('direct');
+  const [mediaInfo, setMediaInfo] = useState(null);
+  const [audioTrack, setAudioTrack] = useState(null); // null = the file's default track
+  const [streamOffset, setStreamOffset] = useState(0);
+  const hlsStartTimeRef = useRef(0);
+  const playbackModeRef = useRef('direct');
+  const streamOffsetRef = useRef(0);
+  const mediaInfoRef = useRef(null);
+  const resumeAfterLoadRef = useRef(false);
+  const pendingSeekRef = useRef(0);
   
   // Enhanced torrent/streaming states
   const [torrentStats, setTorrentStats] = useState({
@@ -96,7 +143,7 @@ const VideoPlayer = ({
     if (!torrentHash) return;
     
     try {
-      const response = await fetch(config.getTorrentUrl(torrentHash, 'stats'));
+      const response = await apiFetch(config.getTorrentUrl(torrentHash, 'stats'));
       if (response.ok) {
         const stats = await response.json();
         setTorrentStats(stats);
@@ -121,8 +168,10 @@ const VideoPlayer = ({
     
     const video = videoRef.current;
     const buffered = video.buffered;
-    const currentTime = video.currentTime;
-    const duration = video.duration;
+    // Ranges are kept in movie time - in 'audio' mode the element's clock starts at the stream offset
+    const offset = streamOffsetRef.current;
+    const currentTime = offset + video.currentTime;
+    const duration = playbackModeRef.current === 'audio' ? mediaInfoRef.current?.duration : video.duration;
     
     if (buffered.length > 0 && duration) {
       const ranges = [];
@@ -132,8 +181,8 @@ const VideoPlayer = ({
       
       // Calculate all buffered ranges
       for (let i = 0; i < buffered.length; i++) {
-        const start = buffered.start(i);
-        const end = buffered.end(i);
+        const start = offset + buffered.start(i);
+        const end = offset + buffered.end(i);
         ranges.push({ start, end });
         
         // Find buffer ahead of current position
@@ -197,7 +246,7 @@ const VideoPlayer = ({
     console.log('VideoPlayer: Fetching subtitles for torrent:', torrentHash);
     
     try {
-      const response = await fetch(config.getTorrentUrl(torrentHash, 'files'));
+      const response = await apiFetch(config.getTorrentUrl(torrentHash, 'files'));
       if (response.ok) {
         const files = await response.json();
         console.log('VideoPlayer: Fetched files:', files.length);
@@ -209,7 +258,8 @@ const VideoPlayer = ({
         }).map(file => ({
           ...file,
           language: extractLanguageFromFilename(file.name),
-          url: config.getDownloadUrl(torrentHash, file.index)
+          // Converted to WebVTT server-side - <track> can't play SRT/ASS
+          url: config.getTorrentUrl(torrentHash, `files/${file.index}/subtitles.vtt`)
         }));
         
         console.log('VideoPlayer: Found subtitle files:', subtitleFiles.length, subtitleFiles);
@@ -280,6 +330,71 @@ const VideoPlayer = ({
     }
   }, [torrentHash, fetchSubtitles]);
 
+  // Text subtitle tracks inside the video file (MKV/MP4), extracted by the server on first use
+  useEffect(() => {
+    setEmbeddedSubtitles([]);
+    if (!torrentHash || fileIndex === null) return;
+    let cancelled = false;
+
+    apiFetch(config.getTorrentUrl(torrentHash, `files/${fileIndex}/subtitles`))
+      .then(response => (response.ok ? response.json() : []))
+      .then(tracks => {
+        if (cancelled) return;
+        console.log('VideoPlayer: Found embedded subtitle tracks:', tracks.length);
+        setEmbeddedSubtitles(tracks.map(track => {
+          const language = track.title || track.language?.toUpperCase() || `Track ${track.track + 1}`;
+          return {
+            ...track,
+            language,
+            label: track.forced ? `${language} (Forced)` : language,
+            url: config.getTorrentUrl(torrentHash, `files/${fileIndex}/subtitles/${track.track}.vtt`)
+          };
+        }));
+      })
+      .catch(error => console.warn('VideoPlayer: Failed to fetch embedded subtitles:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [torrentHash, fileIndex]);
+
+  // Thumbnail map for seek previews. The server builds it in the background once
+  // the file is downloaded and answers 202 until then, so keep asking now and then.
+  useEffect(() => {
+    setThumbnails([]);
+    if (!torrentHash || fileIndex === null) return;
+
+    const mapUrl = new URL(
+      config.getTorrentUrl(torrentHash, `files/${fileIndex}/trickplay/thumbnails.vtt`),
+      window.location.href
+    );
+    let retryTimer = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await apiFetch(mapUrl);
+        if (cancelled) return;
+        if (response.status === 202) {
+          retryTimer = setTimeout(load, 30000);
+          return;
+        }
+        if (!response.ok) return;
+
+        const tiles = parseThumbnailMap(await response.text(), mapUrl);
+        if (!cancelled) setThumbnails(tiles);
+      } catch (error) {
+        console.warn('VideoPlayer: Failed to load seek thumbnails:', error);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+    };
+  }, [torrentHash, fileIndex]);
+
   // Search for online subtitles based on filename
   const searchOnlineSubtitles = useCallback(async (filename) => {
     if (!filename) return;
@@ -292,15 +407,17 @@ const VideoPlayer = ({
       const cleanName = extractMediaName(filename);
       console.log('VideoPlayer: Extracted media name:', cleanName);
       
-      // Call our backend to search for subtitles
-      const response = await fetch('/api/subtitles/search', {
+      // Call our backend to search for subtitles - the torrent file lets it match by hash too
+      const response = await apiFetch(config.getApiUrl('/api/subtitles/search'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           query: cleanName,
-          filename: filename
+          filename: filename,
+          torrentHash,
+          fileIndex
         })
       });
       
@@ -318,46 +435,7 @@ const VideoPlayer = ({
     } finally {
       setIsSearchingOnline(false);
     }
-  }, []);
-
-  // Load online subtitle
-  const loadOnlineSubtitle = useCallback(async (subtitle) => {
-    try {
-      console.log(`📥 Loading online subtitle: ${subtitle.language} from ${subtitle.source}`);
-      
-      const downloadUrl = `/api/subtitles/download?url=${encodeURIComponent(subtitle.url)}&language=${encodeURIComponent(subtitle.language)}`;
-      const response = await fetch(downloadUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Download failed: ${response.status}`);
-      }
-      
-      const subtitleContent = await response.text();
-      
-      // Create a blob URL for the subtitle
-      const blob = new Blob([subtitleContent], { type: 'text/plain' });
-      const subtitleUrl = URL.createObjectURL(blob);
-      
-      // Add subtitle track to video
-      const track = document.createElement('track');
-      track.kind = 'subtitles';
-      track.label = `${subtitle.language} (${subtitle.source})`;
-      track.srclang = subtitle.language.toLowerCase().substring(0, 2);
-      track.src = subtitleUrl;
-      track.default = true;
-      
-      // Remove existing tracks
-      const existingTracks = videoRef.current.querySelectorAll('track');
-      existingTracks.forEach(track => track.remove());
-      
-      videoRef.current.appendChild(track);
-      
-      console.log(`✅ Loaded online subtitle: ${subtitle.language}`);
-      
-    } catch (error) {
-      console.error('Error loading online subtitle:', error);
-    }
-  }, []);
+  }, [torrentHash, fileIndex]);
 
   // Extract clean media name from filename
   const extractMediaName = (filename) => {
@@ -390,11 +468,13 @@ const VideoPlayer = ({
     if (!video) return;
 
     const handleLoadedMetadata = () => {
-      setDuration(video.duration);
+      // A transcoded audio stream has no length of its own - the probe knows the real one
+      const audioMode = playbackModeRef.current === 'audio';
+      setDuration(audioMode ? mediaInfo?.duration || 0 : video.duration);
       setIsLoading(false);
       
-      // Set initial time after metadata is loaded
-      if (initialTime > 0 && !hasAppliedInitialTime) {
+      // Set initial time after metadata is loaded ('audio' mode starts the stream there instead)
+      if (initialTime > 0 && !hasAppliedInitialTime && !audioMode) {
         console.log('⏰ Resuming video at:', initialTime + 's');
         video.currentTime = initialTime;
         setCurrentTime(initialTime);
@@ -415,16 +495,17 @@ const VideoPlayer = ({
     };
 
     const handleTimeUpdate = () => {
-      const newTime = video.currentTime;
+      const newTime = streamOffsetRef.current + video.currentTime;
+      const mediaDuration = playbackModeRef.current === 'audio' ? mediaInfo?.duration : video.duration;
       setCurrentTime(newTime);
       updateBufferedProgress();
       onTimeUpdate?.(newTime);
       
       // Save progress every 5 seconds
-      if (torrentHash && fileIndex !== null && video.duration > 0) {
+      if (torrentHash && fileIndex !== null && mediaDuration > 0) {
         const now = Date.now();
         if (!video.progressSaveTimer || now - video.progressSaveTimer > 5000) {
-          progressService.saveProgress(torrentHash, fileIndex, newTime, video.duration, title);
+          progressService.saveProgress(torrentHash, fileIndex, newTime, mediaDuration, title);
           video.progressSaveTimer = now;
         }
       }
@@ -433,8 +514,9 @@ const VideoPlayer = ({
     const handleProgress = () => {
       updateBufferedProgress();
       if (video.buffered.length > 0) {
-        const bufferedEnd = video.buffered.end(video.buffered.length - 1);
-        const bufferedPercent = (bufferedEnd / video.duration) * 100;
+        const audioMode = playbackModeRef.current === 'audio';
+        const bufferedEnd = streamOffsetRef.current + video.buffered.end(video.buffered.length - 1);
+        const bufferedPercent = (bufferedEnd / (audioMode ? mediaInfo?.duration : video.duration)) * 100;
         onProgress?.(bufferedPercent);
       }
     };
@@ -443,7 +525,8 @@ const VideoPlayer = ({
     const handleCanPlay = () => {
       setIsLoading(false);
       // Only try setting initial time when the video can play if we haven't done it yet
-      if (initialTime > 0 && !hasAppliedInitialTime && Math.abs(video.currentTime - initialTime) > 1) {
+      if (initialTime > 0 && !hasAppliedInitialTime && playbackModeRef.current !== 'audio' &&
+          Math.abs(video.currentTime - initialTime) > 1) {
         console.log('🎬 CanPlay: Resuming video at:', initialTime + 's');
         video.currentTime = initialTime;
         setCurrentTime(initialTime);
@@ -467,7 +550,186 @@ const VideoPlayer = ({
       video.removeEventListener('canplay', handleCanPlay);
       video.removeEventListener('canplaythrough', handleCanPlayThrough);
     };
-  }, [src, initialTime, onTimeUpdate, onProgress, updateBufferedProgress, torrentHash, fileIndex, title, hasShownResumeDialog, hasAppliedInitialTime]);
+  }, [src, initialTime, onTimeUpdate, onProgress, updateBufferedProgress, torrentHash, fileIndex, title, hasShownResumeDialog, hasAppliedInitialTime, mediaInfo]);
+
+  // Change how the file is played, continuing from `time` (movie seconds)
+  const switchPlayback = useCallback((mode, track, time) => {
+    const video = videoRef.current;
+    const offset = mode === 'audio' ? Math.floor(time) : 0;
+
+    // Loaded cues are timed on the element's clock, which restarts at the stream offset
+    const shift = streamOffsetRef.current - offset;
+    if (video && shift) {
+      Array.from(video.textTracks).forEach(textTrack => {
+        Array.from(textTrack.cues || []).forEach(cue => {
+          cue.startTime += shift;
+          cue.endTime += shift;
+        });
+      });
+    }
+
+    resumeAfterLoadRef.current = !!video && !video.paused;
+    pendingSeekRef.current = mode === 'direct' ? time : 0;
+    playbackModeRef.current = mode;
+    streamOffsetRef.current = offset;
+    hlsStartTimeRef.current = time;
+    setAudioTrack(track);
+    setStreamOffset(offset);
+    setPlaybackMode(mode);
+  }, []);
+
+  // New file - try direct play first
+  useEffect(() => {
+    setPlaybackMode('direct');
+    setAudioTrack(null);
+    setStreamOffset(0);
+    setMediaInfo(null);
+    playbackModeRef.current = 'direct';
+    streamOffsetRef.current = 0;
+    mediaInfoRef.current = null;
+    hlsStartTimeRef.current = 0;
+  }, [src]);
+
+  // Probe the file - browsers play the video of most MKVs fine but not their
+  // AC3/DTS/TrueHD audio, so those go straight to an audio-only transcode
+  useEffect(() => {
+    if (!torrentHash || fileIndex === null) return;
+    let cancelled = false;
+
+    getMediaInfo(torrentHash, fileIndex)
+      .then(info => {
+        if (cancelled) return;
+        mediaInfoRef.current = info;
+        setMediaInfo(info);
+
+        const audio = info.audio.find(track => track.default) || info.audio[0];
+        if (audio && !audio.browserPlayable && info.video[0]?.browserPlayable &&
+            playbackModeRef.current === 'direct') {
+          console.log(`🔊 ${audio.label} audio can't play in the browser, transcoding it to AAC`);
+          const position = videoRef.current?.currentTime || (hasAppliedInitialTime ? 0 : initialTime);
+          setHasAppliedInitialTime(true);
+          switchPlayback('audio', info.audio.indexOf(audio), position);
+        }
+      })
+      .catch(error => console.warn('VideoPlayer: Media probe failed:', error.message));
+
+    return () => {
+      cancelled = true;
+    };
+    // Probing once per file is enough - the resume position is only read when it lands
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [torrentHash, fileIndex, switchPlayback]);
+
+  // A new stream replaces the element's source - pick up where the last one left off
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || playbackMode === 'hls') return;
+
+    const seekTime = pendingSeekRef.current;
+    const resume = resumeAfterLoadRef.current;
+    if (!seekTime && !resume) return;
+    pendingSeekRef.current = 0;
+    resumeAfterLoadRef.current = false;
+
+    const handleLoadedMetadata = () => {
+      if (seekTime) video.currentTime = seekTime;
+    };
+    video.addEventListener('loadedmetadata', handleLoadedMetadata, { once: true });
+    if (resume) {
+      video.play().catch(error => console.log('Stream autoplay failed:', error.message));
+    }
+
+    return () => video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+  }, [playbackMode, audioTrack, streamOffset]);
+
+  // Direct play failed: the browser can't demux/decode the file, or it only
+  // decoded the audio (the black screen MKV/HEVC give) - switch to HLS.
+  // An audio-only transcode that fails falls back the same way.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || playbackMode === 'hls' || !torrentHash || fileIndex === null) return;
+
+    const switchToHls = (reason) => {
+      console.log(`🎞️ ${playbackMode === 'audio' ? 'Audio transcode' : 'Direct play'} failed (${reason}), switching to HLS`);
+      const position = streamOffsetRef.current + video.currentTime;
+      switchPlayback('hls', audioTrack, position || (hasAppliedInitialTime ? 0 : initialTime));
+    };
+
+    const handleError = () => {
+      const code = video.error?.code;
+      if (code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED || code === MediaError.MEDIA_ERR_DECODE) {
+        switchToHls(video.error.message || `media error ${code}`);
+      }
+    };
+
+    const handleLoadedMetadata = () => {
+      if (video.videoWidth === 0) {
+        switchToHls('no video track decoded');
+      }
+    };
+
+    video.addEventListener('error', handleError);
+    video.addEventListener('loadedmetadata', handleLoadedMetadata);
+
+    return () => {
+      video.removeEventListener('error', handleError);
+      video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+    };
+  }, [src, playbackMode, audioTrack, torrentHash, fileIndex, initialTime, hasAppliedInitialTime, switchPlayback]);
+
+  // Attach the HLS stream - hls.js where Media Source Extensions exist, natively on Safari
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || playbackMode !== 'hls') return;
+
+    const hlsUrl = config.getTorrentUrl(torrentHash, `files/${fileIndex}/hls/master.m3u8`) +
+      (audioTrack !== null ? `?audio=${audioTrack}` : '');
+    const startTime = hlsStartTimeRef.current;
+    const playWhenReady = () => {
+      video.play().catch(error => console.log('HLS autoplay failed:', error.message));
+    };
+    setIsLoading(true);
+
+    if (Hls.isSupported()) {
+      const hls = new Hls({
+        startPosition: startTime,
+        // Playlists and segments need the session cookie too
+        xhrSetup: (xhr) => { xhr.withCredentials = true; }
+      });
+      hls.on(Hls.Events.MANIFEST_PARSED, playWhenReady);
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        console.error('HLS playback error:', data.details);
+        if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+          hls.recoverMediaError();
+        } else {
+          setIsLoading(false);
+        }
+      });
+      hls.loadSource(hlsUrl);
+      hls.attachMedia(video);
+
+      return () => hls.destroy();
+    }
+
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      const handleLoadedMetadata = () => {
+        if (startTime > 0) video.currentTime = startTime;
+        playWhenReady();
+      };
+      video.addEventListener('loadedmetadata', handleLoadedMetadata, { once: true });
+      video.src = hlsUrl;
+
+      return () => {
+        video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+        video.removeAttribute('src');
+        video.load();
+      };
+    }
+
+    console.error('HLS is not supported in this browser');
+    setIsLoading(false);
+  }, [playbackMode, audioTrack, torrentHash, fileIndex]);
 
   // Mobile video initialization
   useEffect(() => {
@@ -507,6 +769,8 @@ const VideoPlayer = ({
       const handleError = (e) => {
         console.error('📱 Mobile video error:', e);
         setIsLoading(false);
+        // Reloading won't fix an unsupported file - the HLS fallback takes over
+        if (video.error?.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED) return;
         // Try to recover from error
         setTimeout(() => {
           video.load();
@@ -746,10 +1010,32 @@ const VideoPlayer = ({
     }
   };
 
+  // Jump to a movie position. An audio-mode stream has no byte ranges, so anything
+  // outside what it has buffered means restarting the transcode there.
+  const seekTo = (time) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    if (playbackModeRef.current !== 'audio') {
+      video.currentTime = time;
+      return;
+    }
+
+    const local = time - streamOffsetRef.current;
+    for (let i = 0; i < video.buffered.length; i++) {
+      if (local >= video.buffered.start(i) && local <= video.buffered.end(i)) {
+        video.currentTime = local;
+        return;
+      }
+    }
+    setCurrentTime(time);
+    switchPlayback('audio', audioTrack, Math.max(0, time));
+  };
+
   // Resume dialog functions
   const handleResumeVideo = () => {
     if (resumeData && videoRef.current) {
-      videoRef.current.currentTime = resumeData.currentTime;
+      seekTo(resumeData.currentTime);
       setShowResumeDialog(false);
       setResumeData(null);
     }
@@ -757,21 +1043,39 @@ const VideoPlayer = ({
 
   const handleStartFromBeginning = () => {
     if (videoRef.current) {
-      videoRef.current.currentTime = 0;
+      seekTo(0);
       setShowResumeDialog(false);
       setResumeData(null);
     }
   };
 
   const handleSeek = (e) => {
-    const video = videoRef.current;
     const progressBar = e.currentTarget;
     const rect = progressBar.getBoundingClientRect();
     const clickX = e.clientX - rect.left;
     const newTime = (clickX / rect.width) * duration;
-    video.currentTime = newTime;
+    seekTo(newTime);
+  };
+
+  // Hovering (mouse) or dragging (touch) along the seek bar previews the frame there
+  const previewSeekAt = (clientX, element) => {
+    const rect = element.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    setSeekPreview({ time: ratio * duration, ratio });
   };
 
+  const handleSeekTouchEnd = (e) => {
+    if (seekPreview) {
+      // Seek where the finger let go, and keep the click that follows from seeking again
+      e.preventDefault();
+      seekTo(seekPreview.time);
+    }
+    setSeekPreview(null);
+  };
+
+  const previewTile = seekPreview &&
+    thumbnails.find(tile => seekPreview.time >= tile.start && seekPreview.time < tile.end);
+
   const toggleMute = () => {
     const video = videoRef.current;
     video.muted = !video.muted;
@@ -856,8 +1160,7 @@ const VideoPlayer = ({
   };
 
   const skip = (seconds) => {
-    const video = videoRef.current;
-    video.currentTime = Math.max(0, Math.min(duration, video.currentTime + seconds));
+    seekTo(Math.max(0, Math.min(duration, currentTime + seconds)));
   };
 
   const changePlaybackRate = (rate) => {
@@ -867,6 +1170,34 @@ const VideoPlayer = ({
     setShowSettings(false);
   };
 
+  const audioStreamUrl = `${src}${src?.includes('?') ? '&' : '?'}audio=${currentAudioTrack}&start=${streamOffset}`;
+
+  // The file's own default audio track, as an index into mediaInfo.audio
+  const defaultAudioTrack = mediaInfo ? Math.max(0, mediaInfo.audio.findIndex(track => track.default)) : 0;
+  const currentAudioTrack = audioTrack ?? defaultAudioTrack;
+
+  const audioTrackLabel = (track, index) => {
+    const name = track.title || track.language?.toUpperCase() || `Track ${index + 1}`;
+    const channels = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' }[track.channels] || (track.channels ? `${track.channels}ch` : '');
+    return [name, track.label, channels].filter(Boolean).join(' · ');
+  };
+
+  // Direct play can only ever give the default track - any other one needs the server
+  const selectAudioTrack = (index) => {
+    setShowSettings(false);
+    if (!mediaInfo || index === currentAudioTrack) return;
+
+    const track = mediaInfo.audio[index];
+    const position = currentTime;
+    if (playbackModeRef.current === 'hls' || !mediaInfo.video[0]?.browserPlayable) {
+      switchPlayback('hls', index, position);
+    } else if (index === defaultAudioTrack && track.browserPlayable) {
+      switchPlayback('direct', null, position);
+    } else {
+      switchPlayback('audio', index, position);
+    }
+  };
+
   // Double-tap handler for mobile devices
   const handleVideoTap = () => {
     const now = Date.now();
@@ -907,7 +1238,7 @@ const VideoPlayer = ({
   };
 
   // Subtitle management functions
-  const loadSubtitle = async (subtitleFile) => {
+  const loadSubtitle = async (subtitleFile, offset = 0, closeMenu = true) => {
     if (!videoRef.current) return;
     
     try {
@@ -920,9 +1251,12 @@ const VideoPlayer = ({
         // Create new track element
         const track = document.createElement('track');
         track.kind = 'subtitles';
-        track.label = subtitleFile.language;
+        track.label = subtitleFile.label || subtitleFile.language;
         track.srclang = subtitleFile.language.toLowerCase().substring(0, 2);
-        track.src = subtitleFile.url;
+        const trackUrl = subtitleFile.trackUrl || subtitleFile.url;
+        // Cues follow the element's clock, which starts at the stream offset in 'audio' mode
+        const cueOffset = Math.round((offset - streamOffsetRef.current) * 1000) / 1000;
+        track.src = cueOffset ? `${trackUrl}${trackUrl.includes('?') ? '&' : '?'}offset=${cueOffset}` : trackUrl;
         track.default = true;
         
         video.appendChild(track);
@@ -939,12 +1273,30 @@ const VideoPlayer = ({
         setCurrentSubtitle(null);
       }
       
-      setShowSubtitleMenu(false);
+      setSubtitleOffset(offset);
+      if (closeMenu) setShowSubtitleMenu(false);
     } catch (error) {
       console.error('Error loading subtitle:', error);
     }
   };
 
+  // Online results are fetched through the server, converted to WebVTT
+  const loadOnlineSubtitle = (subtitle) => {
+    console.log(`📥 Loading online subtitle: ${subtitle.language} from ${subtitle.source}`);
+    loadSubtitle({
+      ...subtitle,
+      label: `${subtitle.language} (${subtitle.source})`,
+      trackUrl: `${config.getApiUrl('/api/subtitles/download')}?url=${encodeURIComponent(subtitle.url)}&format=vtt`
+    });
+  };
+
+  // Nudge subtitle timing; the server shifts the cues and the track reloads
+  const shiftSubtitles = (delta) => {
+    if (!currentSubtitle) return;
+    const offset = Math.round((subtitleOffset + delta) * 10) / 10;
+    loadSubtitle(currentSubtitle, offset, false);
+  };
+
   const toggleSubtitles = () => {
     const video = videoRef.current;
     if (video && video.textTracks.length > 0) {
@@ -987,7 +1339,7 @@ const VideoPlayer = ({
       
       <video
         ref={videoRef}
-        src={src}
+        src={playbackMode === 'direct' ? src : playbackMode === 'audio' ? audioStreamUrl : undefined}
         className="video-element"
         onClick={handleVideoTap}
         onDoubleClick={toggleFullscreen}
@@ -997,7 +1349,7 @@ const VideoPlayer = ({
         webkit-playsinline="false"
         controls={false}
         preload="none"
-        crossOrigin="anonymous"
+        crossOrigin="use-credentials"
         muted={false}
         autoPlay={false}
         poster=""
@@ -1099,25 +1451,31 @@ const VideoPlayer = ({
         <div className="controls-background" />
         
         {/* Enhanced Progress Bar with Multiple Buffer Ranges */}
-        <div className="progress-container" onClick={handleSeek}>
+        <div
+          className={`progress-container ${seekPreview ? 'previewing' : ''}`}
+          onClick={handleSeek}
+          onMouseMove={(e) => previewSeekAt(e.clientX, e.currentTarget)}
+          onMouseLeave={() => setSeekPreview(null)}
+          onTouchStart={(e) => previewSeekAt(e.touches[0].clientX, e.currentTarget)}
+          onTouchMove={(e) => previewSeekAt(e.touches[0].clientX, e.currentTarget)}
+          onTouchEnd={handleSeekTouchEnd}
+        >
           <div className="progress-bar">
             {/* Show all buffered ranges */}
-            {videoRef.current && videoRef.current.buffered.length > 0 && (
-              Array.from({ length: videoRef.current.buffered.length }, (_, i) => {
-                const start = (videoRef.current.buffered.start(i) / duration) * 100;
-                const end = (videoRef.current.buffered.end(i) / duration) * 100;
-                return (
-                  <div
-                    key={i}
-                    className="progress-buffered-range"
-                    style={{
-                      left: `${start}%`,
-                      width: `${end - start}%`
-                    }}
-                  />
-                );
-              })
-            )}
+            {duration > 0 && bufferRanges.map((range, i) => {
+              const start = (range.start / duration) * 100;
+              const end = (range.end / duration) * 100;
+              return (
+                <div
+                  key={i}
+                  className="progress-buffered-range"
+                  style={{
+                    left: `${start}%`,
+                    width: `${end - start}%`
+                  }}
+                />
+              );
+            })}
             
             {/* Overall buffer indicator */}
             <div 
@@ -1147,6 +1505,24 @@ const VideoPlayer = ({
             )}
           </div>
           
+          {/* Frame preview at the hovered/dragged position */}
+          {seekPreview && duration > 0 && (
+            <div className="seek-preview" style={{ left: `${seekPreview.ratio * 100}%` }}>
+              {previewTile && (
+                <div
+                  className="seek-preview-frame"
+                  style={{
+                    width: previewTile.width,
+                    height: previewTile.height,
+                    backgroundImage: `url("${previewTile.url}")`,
+                    backgroundPosition: `-${previewTile.x}px -${previewTile.y}px`
+                  }}
+                />
+              )}
+              <span className="seek-preview-time">{formatTime(seekPreview.time)}</span>
+            </div>
+          )}
+          
           {/* Progress time tooltip with enhanced buffer info */}
           <div className="progress-tooltip">
             {formatTime(currentTime)} / {formatTime(duration)}
@@ -1271,8 +1647,21 @@ const VideoPlayer = ({
                       </button>
                     ))}
                     
+                    {/* Text tracks embedded in the video file */}
+                    {embeddedSubtitles.map(subtitle => (
+                      <button
+                        key={`embedded-${subtitle.track}`}
+                        onClick={() => loadSubtitle(subtitle)}
+                        className={`subtitle-option ${currentSubtitle?.url === subtitle.url ? 'active' : ''}`}
+                        title="Embedded track - extracted once the file has downloaded"
+                      >
+                        <Subtitles size={16} />
+                        {subtitle.label}
+                      </button>
+                    ))}
+                    
                     {/* No local subtitles available */}
-                    {availableSubtitles.length === 0 && (
+                    {availableSubtitles.length === 0 && embeddedSubtitles.length === 0 && (
                       <div className="no-subtitles">
                         No local subtitles available
                       </div>
@@ -1310,7 +1699,7 @@ const VideoPlayer = ({
                     ))}
                     
                     {/* No online results message */}
-                    {!isSearchingOnline && onlineSubtitles.length === 0 && availableSubtitles.length === 0 && (
+                    {!isSearchingOnline && onlineSubtitles.length === 0 && availableSubtitles.length === 0 && embeddedSubtitles.length === 0 && (
                       <div className="no-subtitles">
                         Click "Search Online" to find subtitles
                       </div>
@@ -1328,6 +1717,11 @@ const VideoPlayer = ({
                         <Subtitles size={16} />
                         {subtitlesEnabled ? 'Hide' : 'Show'} Subtitles
                       </button>
+                      <div className="subtitle-offset">
+                        <button onClick={() => shiftSubtitles(-0.5)} title="Show subtitles earlier">-0.5s</button>
+                        <span>{subtitleOffset > 0 ? '+' : ''}{subtitleOffset.toFixed(1)}s</span>
+                        <button onClick={() => shiftSubtitles(0.5)} title="Show subtitles later">+0.5s</button>
+                      </div>
                     </div>
                   )}
                 </div>
@@ -1356,6 +1750,20 @@ const VideoPlayer = ({
                       </button>
                     ))}
                   </div>
+                  {mediaInfo?.audio.length > 1 && (
+                    <div className="settings-section">
+                      <span>Audio</span>
+                      {mediaInfo.audio.map((track, index) => (
+                        <button
+                          key={track.index}
+                          onClick={() => selectAudioTrack(index)}
+                          className={`settings-option ${currentAudioTrack === index ? 'active' : ''}`}
+                        >
+                          {audioTrackLabel(track, index)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
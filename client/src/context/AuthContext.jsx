@@ -1,7 +1,12 @@
 import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { config } from '../config/environment';
+import { apiFetch, UNAUTHORIZED_EVENT } from '../utils/apiAuth';
 
 const AuthContext = createContext();
 
+// Same order as the server: each role can do everything the one before it can
+const ROLES = ['viewer', 'member', 'admin'];
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,64 +18,90 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [session, setSession] = useState(null);
+  const [user, setUser] = useState(null);
 
   const clearAuth = useCallback(() => {
-    localStorage.removeItem('seedbox_authenticated');
-    localStorage.removeItem('seedbox_auth_timestamp');
+    setSession(null);
+    setUser(null);
     setIsAuthenticated(false);
     console.log('🚪 Authentication cleared');
   }, []);
 
-  const checkAuthStatus = useCallback(() => {
+  // The session lives in an HTTP-only cookie, so ask the server whether it's still good
+  const checkAuthStatus = useCallback(async () => {
     try {
-      const authStatus = localStorage.getItem('seedbox_authenticated');
-      const authTimestamp = localStorage.getItem('seedbox_auth_timestamp');
-      
-      if (authStatus === 'true' && authTimestamp) {
-        // Check if authentication is still valid (optional: add expiration logic here)
-        const timestamp = parseInt(authTimestamp);
-        const now = Date.now();
-        
-        // Authentication expires after 30 days (optional)
-        const EXPIRY_TIME = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-        
-        if (now - timestamp < EXPIRY_TIME) {
-          setIsAuthenticated(true);
-          console.log('✅ Found valid authentication in localStorage');
-        } else {
-          // Clear expired authentication
-          clearAuth();
-          console.log('⏰ Authentication expired, cleared localStorage');
-        }
+      // Left over from when the login was only remembered in the browser
+      localStorage.removeItem('seedbox_authenticated');
+      localStorage.removeItem('seedbox_auth_timestamp');
+
+      const response = await apiFetch(config.getApiUrl('/api/auth/session'));
+      if (response.ok) {
+        const data = await response.json();
+        setSession(data.session);
+        setUser(data.user);
+        setIsAuthenticated(true);
+        console.log('✅ Found a valid session');
       } else {
-        console.log('❌ No valid authentication found in localStorage');
+        console.log('❌ No valid session, login required');
       }
     } catch (error) {
       console.error('Error checking auth status:', error);
-      clearAuth();
     } finally {
       setIsLoading(false);
     }
-  }, [clearAuth]);
+  }, []);
 
   useEffect(() => {
     checkAuthStatus();
   }, [checkAuthStatus]);
 
-  const authenticate = () => {
+  // Any API call answered 401 means the session expired or was revoked
+  useEffect(() => {
+    const handleUnauthorized = () => {
+      setIsAuthenticated(current => {
+        if (current) console.log('⏰ Session expired or revoked, login required');
+        return false;
+      });
+    };
+
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const authenticate = (newSession = null, newUser = null) => {
+    setSession(newSession);
+    setUser(newUser);
     setIsAuthenticated(true);
-    console.log('� User authenticated successfully');
+    console.log('🔓 User authenticated successfully');
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      await apiFetch(config.getApiUrl('/api/auth/logout'), { method: 'POST' });
+    } catch (error) {
+      console.error('Error ending session:', error);
+    }
     clearAuth();
     // Optionally redirect to login or refresh page
     window.location.reload();
   };
 
+  const hasRole = (role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+  // Admins manage every torrent, members the ones they added (torrent.addedBy is { id, username })
+  const canManageTorrent = (torrent) => {
+    if (hasRole('admin')) return true;
+    return hasRole('member') && Boolean(torrent?.addedBy) && torrent.addedBy.id === user.id;
+  };
+
   const value = {
     isAuthenticated,
     isLoading,
+    session,
+    user,
+    hasRole,
+    canManageTorrent,
     authenticate,
     logout,
     clearAuth
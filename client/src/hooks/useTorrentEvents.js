@@ -0,0 +1,43 @@
+// src/hooks/useTorrentEvents.js
+import { useState, useEffect, useRef } from 'react';
+import torrentEventStream from '../services/eventStream';
+
+/**
+ * Subscribe to the server's torrent event stream
+ * - Shares one connection between every component using it
+ * - `torrents` is the live list in the GET /api/torrents shape, null until
+ *   the stream is open
+ * - `connected` is false while connecting or when the stream can't be
+ *   reached - that's when callers should fall back to polling
+ *
+ * @param {Function} onEvent - Optional (event, data) callback for individual events
+ * @returns {Object} - { torrents, connected, status, lastUpdated }
+ */
+export const useTorrentEvents = (onEvent) => {
+  const [state, setState] = useState({ torrents: null, status: 'connecting', lastUpdated: null });
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    return torrentEventStream.subscribe(({ event, data, status, torrents }) => {
+      setState(prev => ({
+        torrents,
+        status,
+        lastUpdated: event && event !== 'status' ? new Date() : prev.lastUpdated
+      }));
+      if (event && onEventRef.current) onEventRef.current(event, data);
+    });
+  }, []);
+
+  return {
+    torrents: state.torrents,
+    connected: state.status === 'open',
+    status: state.status,
+    lastUpdated: state.lastUpdated
+  };
+};
+
+export default useTorrentEvents;
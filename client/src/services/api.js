@@ -58,6 +58,28 @@ export const getTorrentFiles = async (id) => {
   }
 };
 
+/**
+ * Select/deselect files or folders and set their priority
+ * @param {string} id - Torrent ID or info hash
+ * @param {Object} changes - { files: [{ index, selected, priority }], folders: [{ path, selected, priority }] }
+ */
+export const updateTorrentFiles = async (id, changes) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/files`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes),
+    }, 10000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error(`Error updating files for torrent ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Add a new torrent
  * @param {string} torrentId - Magnet URI or torrent info hash
@@ -96,6 +118,225 @@ export const deleteTorrent = async (id) => {
   }
 };
 
+/**
+ * Send a control action to a torrent
+ * @param {string} id - Torrent ID or info hash
+ * @param {string} action - One of pause, resume, force-start, recheck
+ */
+const postTorrentAction = async (id, action) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/${action}`, {
+      method: 'POST',
+    }, 10000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error(`Error sending ${action} to torrent ${id}:`, error);
+    throw error;
+  }
+};
+
+export const pauseTorrent = (id) => postTorrentAction(id, 'pause');
+export const resumeTorrent = (id) => postTorrentAction(id, 'resume');
+export const forceStartTorrent = (id) => postTorrentAction(id, 'force-start');
+export const recheckTorrent = (id) => postTorrentAction(id, 'recheck');
+
+/**
+ * Set per-torrent rate limits
+ * @param {string} id - Torrent ID or info hash
+ * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/sec, -1 for unlimited
+ */
+export const setTorrentLimits = async (id, limits) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/limits`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(limits),
+    }, 10000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error(`Error setting limits for torrent ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Switch the piece selection strategy
+ * @param {string} id - Torrent ID or info hash
+ * @param {string} strategy - 'sequential' or 'rarest'
+ */
+export const setTorrentStrategy = async (id, strategy) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/strategy`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ strategy }),
+    }, 10000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error(`Error setting strategy for torrent ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the download queue: slot limits and torrents in queue order
+ */
+export const getQueue = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/queue`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching queue:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set how many torrents may download/seed at once
+ * @param {Object} limits - { maxActiveDownloads, maxActiveSeeds }, -1 for unlimited
+ */
+export const setQueueLimits = async (limits) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/queue`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(limits),
+    }, 10000);
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error setting queue limits:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the queue order
+ * @param {string[]} order - Info hashes, first in line first
+ */
+export const reorderQueue = async (order) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/queue/order`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ order }),
+    }, 10000);
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error reordering queue:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a torrent within the queue
+ * @param {string} id - Torrent ID or info hash
+ * @param {string} direction - One of up, down, top, bottom
+ */
+export const moveInQueue = (id, direction) => postTorrentAction(id, `queue/${direction}`);
+
+/**
+ * Get the global bandwidth policy and which limits apply right now
+ */
+export const getBandwidth = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/bandwidth`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching bandwidth policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the bandwidth policy
+ * @param {Object} changes - Any of { normal, alternative, schedule, turtleMode }
+ */
+export const updateBandwidth = async (changes) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/bandwidth`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes),
+    }, 10000);
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating bandwidth policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the global seeding policy
+ */
+export const getSeedingPolicy = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/seeding`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching seeding policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the global seeding policy
+ * @param {Object} policy - Any of { ratioLimit, seedingTimeLimit, idleTimeLimit, action }, -1 for no limit
+ */
+export const setSeedingPolicy = async (policy) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/seeding`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(policy),
+    }, 10000);
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating seeding policy:', error);
+    throw error;
+  }
+};
+
+/**
+ * Override the seeding policy for one torrent
+ * @param {string} id - Torrent ID or info hash
+ * @param {Object|null} policy - Fields to override (null inherits), or null to clear
+ */
+export const setTorrentSeedingPolicy = async (id, policy) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/seeding`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(policy || {}),
+    }, 10000);
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error setting seeding policy for torrent ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Get the URL for streaming a file from a torrent
  * @param {string} torrentId - Torrent ID or info hash
@@ -105,6 +346,22 @@ export const getStreamUrl = (torrentId, fileIndex) => {
   return `${API_BASE_URL}/api/torrents/${torrentId}/files/${fileIndex}/stream`;
 };
 
+/**
+ * Probe a file: container, streams, HDR, chapters and whether it plays directly
+ * @param {string} id - Torrent ID or info hash
+ * @param {number} fileIndex - File index
+ */
+export const getMediaInfo = async (id, fileIndex) => {
+  try {
+    // ffprobe may wait up to a minute for the first and last pieces
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/files/${fileIndex}/probe`, {}, 70000);
+    return await response.json();
+  } catch (error) {
+    console.error(`Error probing file ${fileIndex} of torrent ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Get IMDB data for a torrent
  * @param {string} id - Torrent ID or info hash
@@ -132,6 +389,357 @@ export const checkServerHealth = async () => {
   }
 };
 
+/**
+ * List active login sessions
+ */
+export const getSessions = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/sessions`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log a session out
+ * @param {string} id - Session id from getSessions
+ */
+export const revokeSession = async (id) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/sessions/${id}`, {
+      method: 'DELETE'
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error(`Error revoking session ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List personal API tokens (never their secrets) and the scopes on offer
+ */
+export const getApiTokens = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/tokens`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a personal API token - the response holds its secret, shown only once
+ * @param {Object} options - { name, scopes, expiresInDays }
+ */
+export const createApiToken = async (options) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/tokens`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(options),
+    }, 5000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a personal API token
+ * @param {string} id - Token id from getApiTokens
+ */
+export const revokeApiToken = async (id) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/tokens/${id}`, {
+      method: 'DELETE'
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error(`Error revoking API token ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Recent login attempts (admins only)
+ * @param {Object} filter - { outcome: 'success'|'failure'|'locked', ip, limit }
+ */
+export const getLoginAudit = async (filter = {}) => {
+  try {
+    const params = new URLSearchParams(
+      Object.entries(filter).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const query = params.toString();
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/audit${query ? `?${query}` : ''}`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching login audit log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Current login lockouts and failure counts (admins only)
+ */
+export const getLoginLockouts = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/lockouts`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching login lockouts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lift login lockouts (admins only)
+ * @param {string} ip - Just this IP; omit to clear every lockout
+ */
+export const clearLoginLockouts = async (ip = null) => {
+  try {
+    const path = ip ? `/api/auth/lockouts/${encodeURIComponent(ip)}` : '/api/auth/lockouts';
+    const response = await fetchWithTimeout(`${API_BASE_URL}${path}`, {
+      method: 'DELETE'
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error clearing login lockouts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a signed, expiring link to one file for someone without an account
+ * @param {string} id - Torrent ID or info hash
+ * @param {number} fileIdx - File index
+ * @param {Object} options - { mode: 'stream'|'download', expiresInHours, maxUses, bandwidthLimit (KB/s) }
+ */
+export const createShareLink = async (id, fileIdx, options) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/torrents/${id}/files/${fileIdx}/share`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(options),
+    }, 10000);
+    
+    return await response.json();
+  } catch (error) {
+    console.error(`Error creating share link for ${id}/${fileIdx}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List active share links
+ */
+export const getShareLinks = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/shares`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link
+ * @param {string} id - Link id from getShareLinks
+ */
+export const revokeShareLink = async (id) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/shares/${id}`, {
+      method: 'DELETE'
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error(`Error revoking share link ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get RSS feeds, download rules and the latest automatic adds
+ */
+export const getRss = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/rss`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching RSS feeds:', error);
+    throw error;
+  }
+};
+
+const sendRssRequest = async (path, method, body, description) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/rss${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }, 20000);
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error trying to ${description}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to a feed
+ * @param {Object} feed - { url (http(s):// or file://), name, interval (minutes), enabled }
+ */
+export const createRssFeed = (feed) => sendRssRequest('/feeds', 'POST', feed, 'add RSS feed');
+
+/**
+ * Change some fields of a feed
+ */
+export const updateRssFeed = (id, changes) => sendRssRequest(`/feeds/${id}`, 'PUT', changes, `update RSS feed ${id}`);
+
+export const deleteRssFeed = (id) => sendRssRequest(`/feeds/${id}`, 'DELETE', null, `remove RSS feed ${id}`);
+
+/**
+ * Check an enabled feed now, adding whatever its rules match
+ */
+export const refreshRssFeed = (id) => sendRssRequest(`/feeds/${id}/refresh`, 'POST', null, `check RSS feed ${id}`);
+
+/**
+ * What the rules would do with a feed's items, without adding anything
+ * @param {Object} options - { feedId } or { url }, plus an optional unsaved { rule }
+ */
+export const previewRssFeed = (options) => sendRssRequest('/preview', 'POST', options, 'preview RSS feed');
+
+/**
+ * Add a download rule
+ * @param {Object} rule - { name, include, exclude, qualities, skipDownloaded, feedIds, category, downloadPath, enabled }
+ */
+export const createRssRule = (rule) => sendRssRequest('/rules', 'POST', rule, 'add RSS rule');
+
+export const updateRssRule = (id, changes) => sendRssRequest(`/rules/${id}`, 'PUT', changes, `update RSS rule ${id}`);
+
+export const deleteRssRule = (id) => sendRssRequest(`/rules/${id}`, 'DELETE', null, `remove RSS rule ${id}`);
+
+export const getSearchProviders = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/search/providers`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching search providers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Search the enabled providers
+ * @param {Object} options - { q, category, providers (names), sort ('seeders' or 'size') }
+ */
+export const searchTorrents = async ({ q, category = 'All', providers = [], sort = 'relevance' }) => {
+  try {
+    const params = new URLSearchParams({ q, category, sort });
+    if (providers.length > 0) params.set('providers', providers.join(','));
+    // Each provider has its own timeout on the server
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/search?${params}`, {}, 60000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error searching torrents:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a search result; its magnet link is looked up on the provider first when needed
+ */
+export const addSearchResult = async (id) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/search/results/${id}/add`, {
+      method: 'POST',
+    }, 60000);
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error adding search result ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Posters for several torrents in one request
+ * @param {string[]} names - Torrent names
+ * @returns {Promise<{ posters: Object }>} name -> { title, year, type, poster } or null
+ */
+export const getMetadataPosters = async (names) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/metadata/posters`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ names })
+    }, 30000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching posters:', error);
+    throw error;
+  }
+};
+
+/**
+ * Metadata providers, lookup language and cache size
+ */
+export const getMetadataSettings = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/metadata/settings`, {}, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching metadata settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the metadata lookup language (admins only)
+ * @param {string} language - e.g. "en-US"
+ */
+export const updateMetadataSettings = async (language) => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/metadata/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ language })
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating metadata settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Forget every cached metadata answer (admins only)
+ */
+export const clearMetadataCache = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/api/metadata/cache`, {
+      method: 'DELETE'
+    }, 5000);
+    return await response.json();
+  } catch (error) {
+    console.error('Error clearing metadata cache:', error);
+    throw error;
+  }
+};
+
 // Create enhanced fetchers with retry logic
 export const getTorrentsWithRetry = createBackoffFetcher(getTorrents);
 export const getTorrentDetailsWithRetry = (id) => createBackoffFetcher(() => getTorrentDetails(id))();
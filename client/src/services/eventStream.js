@@ -0,0 +1,153 @@
+// Live torrent updates pushed from the server (GET /api/events)
+import { config } from '../config/environment';
+
+const MAX_CONNECT_ATTEMPTS = 3;   // Errors before the stream has ever opened
+const RETRY_AFTER_FAILURE = 60000; // Try the stream again after giving up
+
+/**
+ * One EventSource shared by every component that wants torrent updates. It
+ * keeps the current list of torrent summaries - the same shape as
+ * GET /api/torrents - up to date from the snapshot, stats deltas and
+ * added/removed events.
+ *
+ * Status is 'connecting', 'open', or 'failed' when the stream can't be reached
+ * (no EventSource, a proxy that buffers, an older server); callers keep
+ * polling whenever it isn't 'open'.
+ */
+class TorrentEventStream {
+  constructor() {
+    this.listeners = new Set();
+    this.torrents = new Map(); // infoHash -> summary
+    this.status = 'connecting';
+    this.source = null;
+    this.errors = 0;
+    this.retryTimer = null;
+  }
+
+  /**
+   * @param {Function} listener - ({ event, data, status, torrents }) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) this.connect();
+    listener(this.state());
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.disconnect();
+    };
+  }
+
+  state(event = null, data = null) {
+    return {
+      event,
+      data,
+      status: this.status,
+      torrents: this.status === 'open' ? [...this.torrents.values()] : null
+    };
+  }
+
+  getTorrent(infoHash) {
+    return this.torrents.get(infoHash) || null;
+  }
+
+  connect() {
+    if (this.source) return;
+    if (typeof EventSource === 'undefined') {
+      this.setStatus('failed');
+      return;
+    }
+
+    this.setStatus('connecting');
+    this.errors = 0;
+    this.source = new EventSource(config.getApiUrl('/api/events'), { withCredentials: true });
+
+    this.source.onopen = () => {
+      this.errors = 0;
+    };
+
+    this.source.onerror = () => {
+      // EventSource reconnects on its own; until the next snapshot the list may be stale
+      this.errors += 1;
+      if (this.status === 'open') {
+        this.setStatus('connecting');
+      } else if (this.errors >= MAX_CONNECT_ATTEMPTS || this.source.readyState === EventSource.CLOSED) {
+        console.warn('📡 Event stream unavailable, falling back to polling');
+        this.disconnect();
+        this.setStatus('failed');
+        this.retryTimer = setTimeout(() => {
+          this.retryTimer = null;
+          if (this.listeners.size > 0) this.connect();
+        }, RETRY_AFTER_FAILURE);
+      }
+    };
+
+    const on = (event, apply) => {
+      this.source.addEventListener(event, (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          console.error(`Bad ${event} event:`, error);
+          return;
+        }
+        apply(data);
+        this.emit(event, data);
+      });
+    };
+
+    on('snapshot', (data) => {
+      this.torrents = new Map(data.torrents.map(torrent => [torrent.infoHash, torrent]));
+      this.status = 'open';
+    });
+    on('torrent-added', (data) => {
+      this.torrents.set(data.infoHash, data);
+    });
+    on('torrent-removed', (data) => {
+      this.torrents.delete(data.infoHash);
+    });
+    on('torrent-progress', (data) => {
+      this.merge(data.infoHash, { progress: data.progress, downloaded: data.downloaded });
+    });
+    on('torrent-done', (data) => {
+      this.merge(data.infoHash, { progress: 1 });
+    });
+    on('torrent-error', () => {});
+    on('stats', (data) => {
+      Object.entries(data.torrents).forEach(([infoHash, changes]) => this.merge(infoHash, changes));
+    });
+  }
+
+  disconnect() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.torrents = new Map();
+    this.status = 'connecting';
+  }
+
+  merge(infoHash, changes) {
+    const torrent = this.torrents.get(infoHash);
+    if (torrent) this.torrents.set(infoHash, { ...torrent, ...changes });
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', { status });
+  }
+
+  emit(event, data) {
+    const state = this.state(event, data);
+    this.listeners.forEach(listener => listener(state));
+  }
+}
+
+export const torrentEventStream = new TorrentEventStream();
+export default torrentEventStream;
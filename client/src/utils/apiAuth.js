@@ -0,0 +1,25 @@
+// src/utils/apiAuth.js
+
+/**
+ * Fired on window whenever the API answers 401 - the session expired or was
+ * revoked - so the app can go back to the login screen
+ */
+export const UNAUTHORIZED_EVENT = 'seedbox:unauthorized';
+
+/**
+ * fetch for API requests. The API usually lives on another origin (port) than
+ * the UI, and fetch leaves the session cookie off cross-origin requests unless
+ * asked, so every API call goes through here.
+ * @param {string|URL|Request} input - What to fetch, as for fetch
+ * @param {object} init - Fetch options
+ * @returns {Promise<Response>} - Fetch response
+ */
+export const apiFetch = async (input, init = {}) => {
+  const response = await fetch(input, { credentials: 'include', ...init });
+
+  const url = input instanceof Request ? input.url : String(input);
+  if (response.status === 401 && !url.includes('/api/auth/login')) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+  return response;
+};
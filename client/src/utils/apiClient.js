@@ -1,4 +1,6 @@
 // src/utils/apiClient.js
+import { apiFetch } from './apiAuth';
+
 /**
  * Enhanced API client with timeout, retry, and error handling capabilities
  * Specifically designed to handle flaky connections and slow responses
@@ -69,7 +71,7 @@ export const createApiClient = (userConfig = {}) => {
           const signal = controller.signal;
           const timeoutId = setTimeout(() => controller.abort(), timeout);
           
-          const response = await fetch(fullUrl, { 
+          const response = await apiFetch(fullUrl, { 
             ...options,
             signal,
             headers: {
@@ -1,3 +1,5 @@
+import { apiFetch } from './apiAuth';
+
 /**
  * Enhanced fetch with timeout support to prevent hanging requests
  * @param {string} url - The URL to fetch
@@ -10,7 +12,7 @@ export const fetchWithTimeout = async (url, options = {}, timeout = 8000) => {
   const timeoutId = setTimeout(() => controller.abort(), timeout);
   
   try {
-    const response = await fetch(url, {
+    const response = await apiFetch(url, {
       ...options,
       signal: controller.signal,
       headers: {
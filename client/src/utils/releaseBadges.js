@@ -0,0 +1,44 @@
+const pad = (number) => String(number).padStart(2, '0');
+
+const span = (prefix, numbers) => numbers.length > 1
+  ? `${prefix}${pad(numbers[0])}-${prefix}${pad(numbers[numbers.length - 1])}`
+  : `${prefix}${pad(numbers[0])}`;
+
+/**
+ * Short labels for a parsed release name (the server's `release` object),
+ * e.g. ["S01E02", "1080p", "WEB-DL", "H.265", "10-bit", "HDR10", "DD+ 5.1"]
+ * @param {object|null} release - parseReleaseName output
+ * @returns {{ key: string, label: string, kind: string }[]}
+ */
+export const releaseBadges = (release) => {
+  if (!release) return [];
+  const badges = [];
+  const add = (kind, label) => {
+    if (label) badges.push({ key: `${kind}-${label}`, label, kind });
+  };
+
+  if (release.date) {
+    add('episode', release.date);
+  } else if (release.episodes?.length > 0) {
+    add('episode', release.seasons?.length === 1
+      ? `S${pad(release.seasons[0])}${span('E', release.episodes)}`
+      : span('E', release.episodes));
+  } else if (release.seasons?.length > 0) {
+    add('episode', span('S', release.seasons));
+  }
+  if (release.complete) add('episode', 'Complete');
+
+  add('quality', release.resolution);
+  add('quality', release.remux ? `${release.source || ''} Remux`.trim() : release.source);
+  add('tech', release.codec);
+  if (release.bitDepth) add('tech', `${release.bitDepth}-bit`);
+  (release.hdr || []).forEach(format => add('tech', format));
+  if (release.audio?.length > 0 || release.channels) {
+    add('tech', [(release.audio || []).join(' '), release.channels].filter(Boolean).join(' '));
+  }
+  (release.edition || []).forEach(edition => add('edition', edition));
+  if (release.repack) add('edition', 'REPACK');
+  if (release.proper) add('edition', 'PROPER');
+
+  return badges;
+};
@@ -24,6 +24,7 @@ class SlackHandler {
     this.client = null;
     this.isEnabled = false;
     this.torrentHandler = null; // Will be set by the main server
+    this.permissionHandler = null; // Maps Slack users onto Seedbox accounts, if set
     this.trackedTorrents = new Map(); // Track torrents for completion notifications
     this.torrentMetadata = new Map(); // Store torrent metadata (type, location, etc.)
 
@@ -130,6 +131,13 @@ class SlackHandler {
           return;
         }
 
+        try {
+          await this.checkPermission(command.user_id, 'add');
+        } catch (error) {
+          await say({ text: `❌ ${error.message}`, thread_ts: command.thread_ts });
+          return;
+        }
+
         // Extract torrent name from magnet link
         const torrentName = this.extractTorrentName(magnetLink);
 
@@ -144,7 +152,7 @@ class SlackHandler {
           throw new Error('Torrent handler not configured');
         }
 
-        const result = await this.torrentHandler(magnetLink, torrentType, destination);
+        const result = await this.torrentHandler(magnetLink, torrentType, destination, command.user_id);
 
         // Store metadata for tracking
         const metadata = {
@@ -458,6 +466,8 @@ class SlackHandler {
           return;
         }
 
+        await this.checkPermission(command.user_id, 'move', matchedHash);
+
         const metadata = this.torrentMetadata.get(matchedHash);
         const oldDestination = metadata.destination;
 
@@ -576,6 +586,8 @@ class SlackHandler {
         const args = command.text.trim().toLowerCase();
         const clearAll = args === 'all';
 
+        await this.checkPermission(command.user_id, 'clear-cache');
+
         await say({
           text: `🧹 Clearing cache${clearAll ? ' (all torrents)' : ' (completed torrents)'}...`,
           thread_ts: command.thread_ts
@@ -884,6 +896,13 @@ class SlackHandler {
         const type = match[2]?.toLowerCase();
         const destination = match[4]?.trim();
 
+        try {
+          await this.checkPermission(message.user, 'add');
+        } catch (error) {
+          await say({ text: `❌ ${error.message}`, thread_ts: message.thread_ts });
+          return;
+        }
+
         await say({
           text: `⏳ Adding torrent: *${magnetData.torrentTitle}*${type ? `\nType: ${type}` : ''}${destination ? `\nDestination: ${destination}` : ''}`,
           thread_ts: message.thread_ts
@@ -897,7 +916,7 @@ class SlackHandler {
           return;
         }
 
-        const result = await this.torrentHandler(magnetData.magnetLink, type, destination);
+        const result = await this.torrentHandler(magnetData.magnetLink, type, destination, message.user);
 
         await say({
           text: `✅ Torrent added: *${result.name || magnetData.torrentTitle}*\n📦 Hash: \`${result.infoHash?.substring(0, 8)}\`\n\nYou'll be notified when it completes!`,
@@ -937,6 +956,8 @@ class SlackHandler {
           return;
         }
 
+        await this.checkPermission(message.user, 'add');
+
         // Add a "processing" reaction
         await client.reactions.add({
           channel: message.channel,
@@ -951,7 +972,7 @@ class SlackHandler {
           throw new Error('Torrent handler not configured');
         }
 
-        const result = await this.torrentHandler(magnetLink);
+        const result = await this.torrentHandler(magnetLink, undefined, undefined, message.user);
 
         // Remove processing reaction and add success
         await client.reactions.remove({
@@ -996,11 +1017,26 @@ class SlackHandler {
 
   /**
    * Set the torrent handler function
+   * handler(magnetLink, type, destination, slackUserId)
    */
   setTorrentHandler(handler) {
     this.torrentHandler = handler;
   }
 
+  /**
+   * Set the permission check: handler(slackUserId, action, infoHash) throws
+   * when that Slack user may not do action ('add', 'move' or 'clear-cache')
+   */
+  setPermissionHandler(handler) {
+    this.permissionHandler = handler;
+  }
+
+  async checkPermission(slackUserId, action, infoHash = null) {
+    if (this.permissionHandler) {
+      await this.permissionHandler(slackUserId, action, infoHash);
+    }
+  }
+
   /**
    * Set the torrent list handler function
    */
@@ -3,22 +3,163 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const os = require('os');
 const WebTorrent = require('webtorrent');
 const multer = require('multer');
 const SlackHandler = require('./handlers/slackHandler');
+const SessionStore = require('./services/sessionStore');
+const SettingsStore = require('./services/settingsStore');
+const { TorrentQueue, QUEUE_MOVES } = require('./services/torrentQueue');
+const { BandwidthScheduler, validateScheduleRule } = require('./services/bandwidthScheduler');
+const { SeedingPolicyEngine, validatePolicy: validateSeedingPolicy } = require('./services/seedingPolicy');
+const { CacheRetentionEngine, validatePolicy: validateCachePolicy } = require('./services/cacheRetention');
+const { SubtitleService, computeMovieHash } = require('./services/subtitleService');
+const { decodeSubtitle, detectFormat: detectSubtitleFormat, toWebVtt } = require('./services/subtitleConverter');
+const OpenSubtitlesProvider = require('./services/subtitleProviders/openSubtitles');
+const LocalDirectoryProvider = require('./services/subtitleProviders/localDirectory');
+const MediaSource = require('./services/mediaSource');
+const { MediaProbe } = require('./services/mediaProbe');
+const { HlsService } = require('./services/hlsService');
+const { EmbeddedSubtitles } = require('./services/embeddedSubtitles');
+const { TrickplayService, VIDEO_FILE_PATTERN } = require('./services/trickplay');
+const EventStream = require('./services/eventStream');
+const { AuthSessions, COOKIE_NAME, tokenFromRequest } = require('./services/authSessions');
+const { UserStore, hasRole, canManageTorrent } = require('./services/userStore');
+const { ApiTokens, SCOPES: API_TOKEN_SCOPES, hasScope, isApiToken } = require('./services/apiTokens');
+const { LoginAudit, OUTCOMES: LOGIN_OUTCOMES } = require('./services/loginAudit');
+const { ShareLinks, ShareLinkError } = require('./services/shareLinks');
+const { RssFeeds, RssError } = require('./services/rssFeeds');
+const { WatchFolderService, validateSettings: validateWatchSettings, parseFolderList } = require('./services/watchFolders');
+const { TorrentSearch } = require('./services/torrentSearch');
+const { parseReleaseName } = require('./services/releaseName');
+const MetadataCache = require('./services/metadataCache');
+const { MetadataService } = require('./services/metadataService');
+const OmdbProvider = require('./services/metadataProviders/omdb');
+const TmdbProvider = require('./services/metadataProviders/tmdb');
+const FixtureProvider = require('./services/metadataProviders/fixture');
+const { createLoginLimiter } = require('./middleware/requestLimiter');
+const { attachTorrentThrottle, normalizeLimit } = require('./services/torrentThrottle');
+const {
+  FILE_PRIORITIES,
+  isValidPriority,
+  getFilePriority,
+  defaultFilePriorities,
+  applyFilePriorities,
+  hasFolder,
+  resolvePriorityChanges
+} = require('./services/fileSelection');
 
 // Environment Configuration with production optimizations
 const config = {
   server: {
     port: process.env.SERVER_PORT || 3000,
     host: process.env.SERVER_HOST || 'localhost',
-    protocol: process.env.SERVER_PROTOCOL || 'http'
+    protocol: process.env.SERVER_PROTOCOL || 'http',
+    // Behind nginx etc. set this (e.g. 'loopback' or a hop count) so req.ip is the
+    // real client from X-Forwarded-For - login lockouts are per IP
+    trustProxy: process.env.TRUST_PROXY || false
   },
   frontend: {
-    url: process.env.FRONTEND_URL || 'http://localhost:5173'
+    url: process.env.FRONTEND_URL || 'http://localhost:5173',
+    // Other origins the UI is served from, comma separated (FRONTEND_URL is always allowed)
+    corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
   },
-  omdb: {
-    apiKey: process.env.OMDB_API_KEY || '8265bd1c' // Free API key for development
+  metadata: {
+    // Providers asked in this order, comma separated; each is skipped until configured below
+    providers: (process.env.METADATA_PROVIDERS || 'fixture,omdb,tmdb').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+    omdbApiKey: process.env.OMDB_API_KEY || null,
+    tmdbApiKey: process.env.TMDB_API_KEY || null,
+    // JSON file answered from without the network (see server/fixtures/metadata.json)
+    fixtures: process.env.METADATA_FIXTURES || null,
+    language: process.env.METADATA_LANGUAGE || 'en-US',
+    cacheTtl: parseInt(process.env.METADATA_CACHE_TTL || '168', 10), // hours
+    missTtl: parseInt(process.env.METADATA_MISS_TTL || '12', 10) // hours a title nobody knows is remembered
+  },
+  storage: {
+    // Persistent state (session store, etc.) lives here
+    dataDir: process.env.DATA_DIR || './data'
+  },
+  queue: {
+    // Torrents past these limits wait their turn (-1 = unlimited)
+    maxActiveDownloads: parseInt(process.env.MAX_ACTIVE_DOWNLOADS || '3', 10),
+    maxActiveSeeds: parseInt(process.env.MAX_ACTIVE_SEEDS || '3', 10)
+  },
+  seeding: {
+    // Default: stop as soon as a download finishes (ratio 0), like the old download-only mode
+    ratioLimit: process.env.SEED_RATIO_LIMIT ?? 0,
+    seedingTimeLimit: process.env.SEED_TIME_LIMIT ?? -1, // minutes
+    idleTimeLimit: process.env.SEED_IDLE_LIMIT ?? -1,    // minutes
+    action: process.env.SEED_LIMIT_ACTION || 'pause'
+  },
+  cache: {
+    // Downloaded bytes kept before least recently used torrents are evicted (-1 = no quota)
+    quotaBytes: process.env.CACHE_QUOTA ?? 5 * 1024 * 1024 * 1024,
+    maxAgeDays: process.env.CACHE_MAX_AGE_DAYS ?? -1,
+    unwatchedDays: process.env.CACHE_UNWATCHED_DAYS ?? -1,
+    autoCleanup: process.env.CACHE_AUTO_CLEANUP ?? false
+  },
+  subtitles: {
+    // Preferred languages, most wanted first
+    languages: (process.env.SUBTITLE_LANGUAGES || 'en').split(',').map(language => language.trim()),
+    openSubtitlesEnabled: process.env.OPENSUBTITLES_ENABLED !== 'false',
+    openSubtitlesUrl: process.env.OPENSUBTITLES_API_URL || 'https://rest.opensubtitles.org',
+    openSubtitlesUserAgent: process.env.OPENSUBTITLES_USER_AGENT || 'TemporaryUserAgent',
+    // Optional folder of .srt/.vtt files searched alongside the online providers
+    localDir: process.env.SUBTITLE_LOCAL_DIR || null
+  },
+  hls: {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    // Temporary segments; cleared on startup
+    workDir: process.env.HLS_WORK_DIR || path.join(os.tmpdir(), 'seedbox-hls'),
+    segmentDuration: parseInt(process.env.HLS_SEGMENT_DURATION || '6', 10),
+    maxTranscodes: parseInt(process.env.HLS_MAX_TRANSCODES || '2', 10),
+    segmentType: process.env.HLS_SEGMENT_TYPE || 'mpegts', // or fmp4
+    videoPreset: process.env.HLS_VIDEO_PRESET || 'veryfast'
+  },
+  share: {
+    // Signing key for share links - generated into DATA_DIR/share-secret when unset
+    secret: process.env.SHARE_LINK_SECRET || null,
+    // Public address links point at, when the server is reached under another name
+    baseUrl: process.env.SHARE_BASE_URL || null
+  },
+  watch: {
+    // Folders polled for .torrent/.magnet files: "dir[|category[|downloadPath]]" separated by ";"
+    folders: parseFolderList(process.env.WATCH_FOLDERS),
+    interval: parseInt(process.env.WATCH_INTERVAL || '10', 10) // seconds
+  },
+  rss: {
+    // Default minutes between polls of a feed; each feed can set its own
+    interval: parseInt(process.env.RSS_INTERVAL || '15', 10)
+  },
+  search: {
+    // torrent-search-api providers searched by /api/search, comma separated; empty for every public one
+    providers: (process.env.SEARCH_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+    timeout: parseInt(process.env.SEARCH_TIMEOUT || '10', 10) * 1000, // per provider
+    limit: parseInt(process.env.SEARCH_LIMIT || '30', 10) // results asked of each provider
+  },
+  trickplay: {
+    // Seek-bar thumbnails for downloaded video files, made in the background
+    enabled: process.env.TRICKPLAY_ENABLED !== 'false',
+    interval: parseInt(process.env.TRICKPLAY_INTERVAL || '10', 10),
+    width: parseInt(process.env.TRICKPLAY_WIDTH || '160', 10)
+  },
+  auth: {
+    // Everything under /api except login and health needs a session.
+    // The first admin account is created from these on first start.
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ACCESS_PASSWORD || 'seedbox123',
+    sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS || '720', 10), // 30 days
+    cookieSameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+    cookieSecure: process.env.SESSION_COOKIE_SECURE || 'auto', // 'true', 'false' or 'auto' (HTTPS requests only)
+    slackRequireAccount: process.env.SLACK_REQUIRE_ACCOUNT === 'true', // Ignore Slack users not linked to an account
+    // Failed logins within the window lock that IP out (longer each time), or every login
+    loginWindowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES || '15', 10),
+    loginMaxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '5', 10),
+    loginMaxAttemptsGlobal: parseInt(process.env.LOGIN_MAX_ATTEMPTS_GLOBAL || '50', 10),
+    loginLockoutSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '60', 10),
+    loginMaxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES || '60', 10),
+    loginGlobalLockoutMinutes: parseInt(process.env.LOGIN_GLOBAL_LOCKOUT_MINUTES || '5', 10)
   },
   isDevelopment: process.env.NODE_ENV !== 'production',
   
@@ -71,11 +212,19 @@ const config = {
 };
 
 const app = express();
+if (config.server.trustProxy) {
+  const hops = Number(config.server.trustProxy);
+  app.set('trust proxy', config.server.trustProxy === 'true' ? true : Number.isInteger(hops) ? hops : config.server.trustProxy);
+}
+
+// Responses that run as long as someone is watching or downloading: the event
+// stream, file streams (including ?audio= transcodes), downloads and HLS
+const LONG_RUNNING_API = /^\/api\/(events$|torrents\/[^/]+\/files\/\d+\/(stream|download|hls\/))/;
 
 // Add performance monitoring middleware for API endpoints
 app.use((req, res, next) => {
-  // Skip for non-API routes
-  if (!req.path.startsWith('/api/')) {
+  // Skip for non-API routes, and the long-running ones that stay open by design
+  if (!req.path.startsWith('/api/') || LONG_RUNNING_API.test(req.path)) {
     return next();
   }
 
@@ -133,9 +282,8 @@ console.log(`🌐 Running in ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} mode
 if (isCloud) console.log(`☁️ Cloud/DigitalOcean deployment detected`);
 
 // Apply production optimization
+// Upload/download limits come from the bandwidth scheduler below
 const client = new WebTorrent({
-  uploadLimit: isProduction ? config.production.network.defaultUploadLimit : 10000,
-  downloadLimit: -1, // No download limit
   maxConns: isProduction ? config.production.network.maxConns : 150,
   webSeeds: true,    // Enable web seeds
   tracker: true,     // Enable trackers
@@ -182,349 +330,261 @@ const torrentNames = {};       // Torrent names by infoHash
 const hashToName = {};         // Quick hash-to-name lookup
 const nameToHash = {};         // Quick name-to-hash lookup
 
-// IMDB Integration
-const imdbCache = new Map();
-
-  // Enhanced title cleaning for better API results
-  function cleanTorrentName(torrentName) {
-    console.log(`🔍 Cleaning torrent name: "${torrentName}"`);
-    
-    // Extract year first before cleaning
-    const yearMatch = torrentName.match(/\b(19|20)\d{2}\b/);
-    const year = yearMatch ? yearMatch[0] : null;
-    
-    // Enhanced series detection - more comprehensive patterns
-    const isLikelySeries = /\b(S\d+|Season|SEASON|series|Series|SERIES|E\d+|Episode|EPISODE|COMPLETE|Complete|complete)\b/i.test(torrentName);
-    console.log(`📺 Series detection: ${isLikelySeries ? 'YES' : 'NO'}`);
-    
-    // First pass: Remove common torrent artifacts
-    let cleaned = torrentName
-      .replace(/\[(.*?)\]/g, '') // Remove [groups] like [YTS.MX], [OxTorrent.com]
-      .replace(/\((.*?)\)/g, '') // Remove (year) and other parentheses content initially
-      .replace(/\.(720p|1080p|480p|2160p|4K)/gi, '') // Remove quality indicators
-      .replace(/\.(BluRay|WEBRip|WEB-DL|DVDRip|CAMRip|TS|TC|WEB)/gi, '') // Remove source indicators
-      .replace(/\.(x264|x265|H264|H265|HEVC|AVC)/gi, '') // Remove codec info
-      .replace(/\.(AAC|MP3|AC3|DTS|FLAC)/gi, '') // Remove audio codec
-      .replace(/\.(mkv|mp4|avi|mov|flv)/gi, '') // Remove file extensions
-      .replace(/\b(REPACK|PROPER|EXTENDED|UNRATED|DIRECTORS|CUT)\b/gi, '') // Remove edition info
-      .replace(/\b\d+CH\b/gi, '') // Remove channel info like 2CH, 5.1CH
-      .replace(/\b(PSA|YTS|YIFY|RARBG|EZTV|TGx)\b/gi, '') // Remove release groups
-      .replace(/\./g, ' ') // Replace dots with spaces
-      .replace(/[-_]/g, ' ') // Replace hyphens and underscores with spaces
-      .replace(/\s+/g, ' ') // Normalize multiple spaces
-      .trim();
-    
-    console.log(`🧹 After basic cleaning: "${cleaned}"`);
-    
-    if (isLikelySeries) {
-      console.log(`📺 Applying series-specific cleaning`);
-      
-      // For series, aggressively remove season/episode specific info
-      cleaned = cleaned
-        .replace(/\b(S\d+.*)/gi, '') // Remove S01 and everything after
-        .replace(/\b(Season\s*\d+.*)/gi, '') // Remove Season 1 and everything after
-        .replace(/\b(SEASON\s*\d+.*)/gi, '') // Remove SEASON 1 and everything after
-        .replace(/\b(E\d+.*)/gi, '') // Remove E01 and everything after
-        .replace(/\b(Episode\s*\d+.*)/gi, '') // Remove Episode 1 and everything after
-        .replace(/\b(EPISODE\s*\d+.*)/gi, '') // Remove EPISODE 1 and everything after
-        .replace(/\b(COMPLETE.*)/gi, '') // Remove COMPLETE and everything after
-        .replace(/\b(Complete.*)/gi, '') // Remove Complete and everything after
-        .replace(/\b(complete.*)/gi, '') // Remove complete and everything after
-        .replace(/\bSERIES\b/gi, '') // Remove standalone SERIES word
-        .replace(/\bSeries\b/gi, '') // Remove standalone Series word
-        .replace(/\bseries\b/gi, '') // Remove standalone series word
-        .replace(/\bWEB\b/gi, '') // Remove WEB
-        .replace(/\b\d+CH\b/gi, '') // Remove channel info again
-        .replace(/\b(PSA|YTS|YIFY|RARBG|EZTV|TGx)\b/gi, '') // Remove release groups again
-        .trim();
-    }
-    
-    // Final cleanup
-    cleaned = cleaned
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    console.log(`✨ Final cleaned result: title="${cleaned}", year=${year}`);
-    return { title: cleaned, year };
-  }
-
-async function fetchIMDBData(torrentName) {
-    console.log(`🎬 Fetching IMDB data for: "${torrentName}"`);
-    
-    // Check cache first
-    if (imdbCache.has(torrentName)) {
-        console.log(`📋 Using cached IMDB data for: ${torrentName}`);
-        return imdbCache.get(torrentName);
-    }
-    
-    const cleanedData = cleanTorrentName(torrentName);
-    const { title, year } = cleanedData;
-    
-    // Validate title
-    if (!title || title.length < 2) {
-        console.log(`❌ Title too short or empty: "${title}"`);
-        return null;
-    }
-    
-    // Detect if it's likely a series/show
-    const isLikelySeries = /\b(S\d+|Season|Episode|EP\d+|E\d+|Series|Complete)\b/i.test(torrentName);
-    console.log(`🔍 Likely series: ${isLikelySeries} for "${torrentName}"`);
-    
-    // Get API key from environment
-    const omdbKey = process.env.OMDB_API_KEY || 'trilogy';
-    
-    // Multiple search strategies with OMDb for both movies and series
-    const omdbStrategies = [];
-    
-    if (isLikelySeries) {
-        // For series, try series type first
-        omdbStrategies.push(
-            year ? `http://www.omdbapi.com/?apikey=${omdbKey}&t=${encodeURIComponent(title)}&y=${year}&type=series` : null,
-            `http://www.omdbapi.com/?apikey=${omdbKey}&t=${encodeURIComponent(title)}&type=series`,
-            `http://www.omdbapi.com/?apikey=${omdbKey}&s=${encodeURIComponent(title)}&type=series`
-        );
-    }
-    
-    // Add movie searches (for both movies and as fallback for series)
-    omdbStrategies.push(
-        year ? `http://www.omdbapi.com/?apikey=${omdbKey}&t=${encodeURIComponent(title)}&y=${year}` : null,
-        `http://www.omdbapi.com/?apikey=${omdbKey}&t=${encodeURIComponent(title)}`,
-        `http://www.omdbapi.com/?apikey=${omdbKey}&s=${encodeURIComponent(title)}&type=movie`,
-        `http://www.omdbapi.com/?apikey=${omdbKey}&t=${encodeURIComponent('The ' + title)}`
-    );
-    
-    const filteredStrategies = omdbStrategies.filter(Boolean);
-    
-    // Try OMDb first
-    for (const url of filteredStrategies) {
-        try {
-            console.log(`🔍 Trying OMDb: ${url}`);
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data && data.Response === 'True') {
-                // For search results, take the first result
-                const movieData = data.Search ? data.Search[0] : data;
-                
-                if (movieData && movieData.Title) {
-                    console.log(`✅ Found OMDb data: ${movieData.Title} (${movieData.Year}) - Type: ${movieData.Type || 'movie'}`);
-                    
-                    const result = {
-                        Title: movieData.Title,
-                        Year: movieData.Year,
-                        imdbRating: movieData.imdbRating,
-                        imdbVotes: movieData.imdbVotes,
-                        Plot: movieData.Plot,
-                        Director: movieData.Director,
-                        Actors: movieData.Actors,
-                        Poster: movieData.Poster !== 'N/A' ? movieData.Poster : null,
-                        Backdrop: null, // Will be enhanced below if possible
-                        Genre: movieData.Genre,
-                        Runtime: movieData.Runtime,
-                        Rated: movieData.Rated,
-                        imdbID: movieData.imdbID,
-                        Type: movieData.Type || 'movie',
-                        source: 'omdb'
-                    };
-                    
-                    // Try to enhance OMDb data with TMDB backdrop for better visuals
-                    try {
-                        if (isLikelySeries && movieData.Type === 'series') {
-                            const tmdbTvUrl = `https://api.themoviedb.org/3/search/tv?api_key=3fd2be6f0c70a2a598f084ddfb75487d&query=${encodeURIComponent(movieData.Title)}`;
-                            const tmdbResponse = await fetch(tmdbTvUrl, {
-                                method: 'GET',
-                                headers: { 'Accept': 'application/json', 'User-Agent': 'SeedboxLite/1.0' },
-                                signal: AbortSignal.timeout(10000)
-                            });
-                            
-                            if (tmdbResponse.ok) {
-                                const tmdbData = await tmdbResponse.json();
-                                if (tmdbData.results && tmdbData.results.length > 0) {
-                                    const show = tmdbData.results[0];
-                                    if (show.backdrop_path) {
-                                        result.Backdrop = `https://image.tmdb.org/t/p/w1280${show.backdrop_path}`;
-                                        console.log(`🎨 Enhanced with TMDB backdrop: ${result.Backdrop}`);
-                                    }
-                                }
-                            }
-                        } else {
-                            const tmdbMovieUrl = `https://api.themoviedb.org/3/search/movie?api_key=3fd2be6f0c70a2a598f084ddfb75487d&query=${encodeURIComponent(movieData.Title)}`;
-                            const tmdbResponse = await fetch(tmdbMovieUrl, {
-                                method: 'GET',
-                                headers: { 'Accept': 'application/json', 'User-Agent': 'SeedboxLite/1.0' },
-                                signal: AbortSignal.timeout(10000)
-                            });
-                            
-                            if (tmdbResponse.ok) {
-                                const tmdbData = await tmdbResponse.json();
-                                if (tmdbData.results && tmdbData.results.length > 0) {
-                                    const movie = tmdbData.results[0];
-                                    if (movie.backdrop_path) {
-                                        result.Backdrop = `https://image.tmdb.org/t/p/w1280${movie.backdrop_path}`;
-                                        console.log(`🎨 Enhanced with TMDB backdrop: ${result.Backdrop}`);
-                                    }
-                                }
-                            }
-                        }
-                    } catch (enhanceError) {
-                        console.log(`⚠️ Could not enhance with TMDB backdrop: ${enhanceError.message}`);
-                    }
-                    
-                    // Cache the result
-                    imdbCache.set(torrentName, result);
-                    return result;
-                }
-            } else {
-                console.log(`❌ OMDb error: ${data?.Error || 'Unknown error'}`);
-            }
-        } catch (error) {
-            console.log(`❌ OMDb request error: ${error.message}`);
-        }
-    }
-    
-    // Fallback to TMDB (try both movies and TV series)
-    console.log(`🎭 Trying TMDB as fallback for: ${title}`);
-    
-    // Try TV series first if likely series
-    if (isLikelySeries) {
-        try {
-            const tmdbTvUrl = `https://api.themoviedb.org/3/search/tv?api_key=3fd2be6f0c70a2a598f084ddfb75487d&query=${encodeURIComponent(title)}${year ? `&first_air_date_year=${year}` : ''}`;
-            console.log(`🔍 Trying TMDB TV: ${tmdbTvUrl}`);
-            
-            const searchResponse = await fetch(tmdbTvUrl, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'SeedboxLite/1.0'
-                },
-                signal: AbortSignal.timeout(15000) // 15 second timeout
-            });
-            
-            if (!searchResponse.ok) {
-                throw new Error(`HTTP ${searchResponse.status}: ${searchResponse.statusText}`);
-            }
-            
-            const searchData = await searchResponse.json();
-            
-            if (searchData.results && searchData.results.length > 0) {
-                const show = searchData.results[0];
-                
-                // Get detailed info for TV show
-                const detailsUrl = `https://api.themoviedb.org/3/tv/${show.id}?api_key=3fd2be6f0c70a2a598f084ddfb75487d&append_to_response=credits`;
-                const detailsResponse = await fetch(detailsUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': 'application/json',
-                        'User-Agent': 'SeedboxLite/1.0'
-                    },
-                    signal: AbortSignal.timeout(15000)
-                });
-                
-                if (!detailsResponse.ok) {
-                    throw new Error(`HTTP ${detailsResponse.status}: ${detailsResponse.statusText}`);
-                }
-                
-                const details = await detailsResponse.json();
-                
-                console.log(`✅ Found TMDB TV data: ${details.name} (${details.first_air_date?.substring(0, 4)})`);
-                
-                const result = {
-                    Title: details.name,
-                    Year: details.first_air_date?.substring(0, 4),
-                    imdbRating: details.vote_average ? (details.vote_average / 10 * 10).toFixed(1) : null,
-                    imdbVotes: details.vote_count ? `${details.vote_count.toLocaleString()}` : null,
-                    Plot: details.overview,
-                    Director: details.created_by?.map(creator => creator.name).join(', ') || 'N/A',
-                    Actors: details.credits?.cast?.slice(0, 4).map(actor => actor.name).join(', '),
-                    Poster: details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null,
-                    Backdrop: details.backdrop_path ? `https://image.tmdb.org/t/p/w1280${details.backdrop_path}` : null,
-                    Genre: details.genres?.map(g => g.name).join(', '),
-                    Runtime: details.episode_run_time?.[0] ? `${details.episode_run_time[0]} min` : null,
-                    Rated: 'N/A',
-                    tmdbID: details.id,
-                    Type: 'series',
-                    source: 'tmdb-tv'
-                };
-                
-                // Cache the result
-                imdbCache.set(torrentName, result);
-                return result;
-            }
-        } catch (error) {
-            console.log(`❌ TMDB TV error: ${error.message}`);
-        }
-    }
+// DURABLE SESSION - Survives restarts so the library comes back on boot
+const sessionStore = new SessionStore({
+  filePath: path.join(config.storage.dataDir, 'session.json')
+});
+
+// RUNTIME SETTINGS - API changes to limits etc. outlive a restart
+const settingsStore = new SettingsStore({
+  filePath: path.join(config.storage.dataDir, 'settings.json')
+}).load();
+
+// LOGIN SESSIONS - Tokens issued at login, checked on every API request
+const authSessions = new AuthSessions({
+  filePath: path.join(config.storage.dataDir, 'auth-sessions.json'),
+  ttlHours: config.auth.sessionTtlHours
+}).load();
+
+// USER ACCOUNTS - viewer/member/admin roles, torrents remember who added them
+const userStore = new UserStore({
+  filePath: path.join(config.storage.dataDir, 'users.json'),
+  bootstrap: { username: config.auth.adminUsername, password: config.auth.password }
+}).load();
+
+// API TOKENS - Scoped personal tokens for scripts, sent as a bearer header
+const apiTokens = new ApiTokens({
+  filePath: path.join(config.storage.dataDir, 'api-tokens.json')
+}).load();
+
+// LOGIN PROTECTION - Lockouts after repeated failures, and a log of every attempt
+const loginAudit = new LoginAudit({
+  filePath: path.join(config.storage.dataDir, 'login-audit.json')
+}).load();
+
+const loginLimiter = createLoginLimiter({
+  windowMs: config.auth.loginWindowMinutes * 60 * 1000,
+  maxAttemptsPerIP: config.auth.loginMaxAttemptsPerIp,
+  maxAttemptsGlobal: config.auth.loginMaxAttemptsGlobal,
+  lockoutMs: config.auth.loginLockoutSeconds * 1000,
+  maxLockoutMs: config.auth.loginMaxLockoutMinutes * 60 * 1000,
+  globalLockoutMs: config.auth.loginGlobalLockoutMinutes * 60 * 1000,
+  onBlocked: (req, lock) => loginAudit.record({
+    outcome: 'locked',
+    username: req.body?.username || config.auth.adminUsername,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    reason: lock.scope === 'ip' ? 'IP locked out' : 'All logins locked out'
+  })
+});
+
+// SHARE LINKS - Signed, expiring URLs to stream or download a single file without an account
+const shareLinks = new ShareLinks({
+  filePath: path.join(config.storage.dataDir, 'share-links.json'),
+  secret: config.share.secret
+}).load();
+
+if (!process.env.ACCESS_PASSWORD) {
+  console.log('⚠️ ACCESS_PASSWORD is not set - a new install gets the default admin password, change it before exposing this server');
+}
+
+// DOWNLOAD QUEUE - Only the first N downloads/seeds transfer at once
+const torrentQueue = new TorrentQueue({
+  ...settingsStore.get('queue', config.queue),
+  getTorrents: () => client.torrents
+});
+
+// BANDWIDTH POLICY - Client-wide normal/alternative limits on a weekly schedule
+const bandwidthScheduler = new BandwidthScheduler({
+  client,
+  settings: settingsStore.get('bandwidth', {
+    normal: {
+      downloadLimit: process.env.DOWNLOAD_LIMIT ?? -1,
+      uploadLimit: process.env.UPLOAD_LIMIT ?? (isProduction ? config.production.network.defaultUploadLimit : 10000)
+    },
+    alternative: {
+      downloadLimit: process.env.ALT_DOWNLOAD_LIMIT ?? 512 * 1024,
+      uploadLimit: process.env.ALT_UPLOAD_LIMIT ?? 5000
+    },
+    schedule: { enabled: false, rules: [] }
+  }),
+  // The schedule handed control back from a manual toggle
+  onChange: (scheduler) => settingsStore.update('bandwidth', scheduler.toJSON())
+});
+bandwidthScheduler.start();
+
+// SEEDING POLICY - Ratio/time/idle limits for finished torrents
+const seedingPolicy = new SeedingPolicyEngine({
+  policy: settingsStore.get('seeding', config.seeding),
+  getTorrents: () => client.torrents,
+  onProgress: (torrent) => persistTorrent(torrent),
+  onLimitReached: (torrent, { action, reason }) => {
+    const name = torrent.name || torrent.infoHash;
+    console.log(`🌱 Seeding limit reached for ${name} (${reason}) - ${action}`);
     
-    // Try TMDB movies as final fallback
-    try {
-        const tmdbSearchUrl = `https://api.themoviedb.org/3/search/movie?api_key=3fd2be6f0c70a2a598f084ddfb75487d&query=${encodeURIComponent(title)}${year ? `&year=${year}` : ''}`;
-        console.log(`🔍 Trying TMDB Movies: ${tmdbSearchUrl}`);
-        
-        const searchResponse = await fetch(tmdbSearchUrl, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'User-Agent': 'SeedboxLite/1.0'
-            },
-            signal: AbortSignal.timeout(15000)
-        });
-        
-        if (!searchResponse.ok) {
-            throw new Error(`HTTP ${searchResponse.status}: ${searchResponse.statusText}`);
-        }
-        
-        const searchData = await searchResponse.json();
-        
-        if (searchData.results && searchData.results.length > 0) {
-            const movie = searchData.results[0];
-            
-            // Get detailed info
-            const detailsUrl = `https://api.themoviedb.org/3/movie/${movie.id}?api_key=3fd2be6f0c70a2a598f084ddfb75487d&append_to_response=credits`;
-            const detailsResponse = await fetch(detailsUrl, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'SeedboxLite/1.0'
-                },
-                signal: AbortSignal.timeout(15000)
-            });
-            
-            if (!detailsResponse.ok) {
-                throw new Error(`HTTP ${detailsResponse.status}: ${detailsResponse.statusText}`);
-            }
-            
-            const details = await detailsResponse.json();
-            
-            console.log(`✅ Found TMDB Movie data: ${details.title} (${details.release_date?.substring(0, 4)})`);
-            
-            const result = {
-                Title: details.title,
-                Year: details.release_date?.substring(0, 4),
-                imdbRating: details.vote_average ? (details.vote_average / 10 * 10).toFixed(1) : null,
-                imdbVotes: details.vote_count ? `${details.vote_count.toLocaleString()}` : null,
-                Plot: details.overview,
-                Director: details.credits?.crew?.find(person => person.job === 'Director')?.name,
-                Actors: details.credits?.cast?.slice(0, 4).map(actor => actor.name).join(', '),
-                Poster: details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null,
-                Backdrop: details.backdrop_path ? `https://image.tmdb.org/t/p/w1280${details.backdrop_path}` : null,
-                Genre: details.genres?.map(g => g.name).join(', '),
-                Runtime: details.runtime ? `${details.runtime} min` : null,
-                Rated: 'N/A',
-                tmdbID: details.id,
-                Type: 'movie',
-                source: 'tmdb-movie'
-            };
-            
-            // Cache the result
-            imdbCache.set(torrentName, result);
-            return result;
-        }
-    } catch (error) {
-        console.log(`❌ TMDB Movie error: ${error.message}`);
+    if (action === 'pause') {
+      pauseTorrent(torrent);
+      torrentQueue.update();
+      persistTorrent(torrent);
+      invalidateTorrentCaches(torrent);
+      return;
     }
     
-    console.log(`❌ No movie/series data found for: ${title}`);
-    return null;
+    removeTorrent(torrent, { deleteData: action === 'remove-data' }).catch(error => {
+      torrent._seedingActionTaken = false;
+      console.error(`❌ Failed to remove ${name} after seeding limit:`, error.message);
+    });
+  }
+});
+
+// CACHE RETENTION - Age/unwatched rules and LRU eviction over the cache quota
+const cacheRetention = new CacheRetentionEngine({
+  policy: settingsStore.get('cache', config.cache),
+  getTorrents: () => client.torrents,
+  removeTorrent: (torrent) => removeTorrent(torrent, { deleteData: true })
+});
+
+// WATCH FOLDERS - .torrent/.magnet files dropped into a folder are added like uploads
+const watchFolders = new WatchFolderService({
+  ...settingsStore.get('watch', config.watch),
+  addTorrentFile: (torrentBuffer, options) => addTorrentFile(torrentBuffer, options),
+  addMagnet: (magnetUri, { category, downloadPath }) => loadTorrentFromId(magnetUri, { category, path: downloadPath })
+});
+
+// RSS - Feeds polled for new items, added when a download rule matches them
+const rssFeeds = new RssFeeds({
+  filePath: path.join(config.storage.dataDir, 'rss.json'),
+  interval: config.rss.interval,
+  addTorrent: (torrentUrl, { category, downloadPath }) => loadTorrentFromId(torrentUrl, { category, path: downloadPath }),
+  getTorrentNames: () => Object.values(torrents).filter(Boolean).map(torrent => torrent.name)
+}).load();
+
+// SEARCH - Enabled torrent-search-api providers queried in parallel; magnets are fetched when a result is added
+const torrentSearch = new TorrentSearch(config.search).init();
+
+// METADATA - Posters, plots and ratings from the configured providers, cached on disk
+const metadataCache = new MetadataCache({
+  filePath: path.join(config.storage.dataDir, 'metadata-cache.json'),
+  ttl: config.metadata.cacheTtl,
+  missTtl: config.metadata.missTtl
+}).load();
+const metadataService = new MetadataService({
+  cache: metadataCache,
+  language: settingsStore.get('metadata', { language: config.metadata.language }).language
+});
+config.metadata.providers.forEach(name => {
+  if (name === 'fixture') {
+    if (config.metadata.fixtures) metadataService.register(new FixtureProvider({ filePath: config.metadata.fixtures }));
+  } else if (name === 'omdb') {
+    if (config.metadata.omdbApiKey) metadataService.register(new OmdbProvider({ apiKey: config.metadata.omdbApiKey }));
+  } else if (name === 'tmdb') {
+    if (config.metadata.tmdbApiKey) metadataService.register(new TmdbProvider({ apiKey: config.metadata.tmdbApiKey }));
+  } else {
+    console.error(`⚠️ Unknown metadata provider "${name}" (known: fixture, omdb, tmdb)`);
+  }
+});
+
+// SUBTITLES - Online/local providers behind one ranked search, downloads cached on disk
+const subtitleService = new SubtitleService({
+  cacheDir: path.join(config.storage.dataDir, 'subtitles'),
+  languages: config.subtitles.languages
+});
+if (config.subtitles.openSubtitlesEnabled) {
+  subtitleService.register(new OpenSubtitlesProvider({
+    apiUrl: config.subtitles.openSubtitlesUrl,
+    userAgent: config.subtitles.openSubtitlesUserAgent
+  }));
+}
+if (config.subtitles.localDir) {
+  subtitleService.register(new LocalDirectoryProvider({ directory: config.subtitles.localDir }));
+}
+
+// MEDIA - ffprobe reports and ffmpeg HLS for files the browser can't play directly.
+// Both read torrent files through a loopback-only HTTP source so seeks fetch the right pieces.
+const mediaSource = new MediaSource();
+const mediaProbe = new MediaProbe({ source: mediaSource, ffprobePath: config.hls.ffprobePath });
+const hlsService = new HlsService({ source: mediaSource, prober: mediaProbe, ...config.hls });
+const embeddedSubtitles = new EmbeddedSubtitles({
+  source: mediaSource,
+  prober: mediaProbe,
+  ffmpegPath: config.hls.ffmpegPath,
+  cacheDir: path.join(config.storage.dataDir, 'subtitles', 'embedded')
+});
+// Thumbnails only read finished files and wait while anything is transcoding
+const trickplay = new TrickplayService({
+  source: mediaSource,
+  prober: mediaProbe,
+  ffmpegPath: config.hls.ffmpegPath,
+  cacheDir: path.join(config.storage.dataDir, 'trickplay'),
+  getTorrents: () => client.torrents,
+  isBusy: () => hlsService.activeTranscodes() > 0,
+  interval: config.trickplay.interval,
+  width: config.trickplay.width
+});
+
+// EVENTS - Pushes torrent changes over SSE (and a WebSocket) so the UI needn't poll
+const eventStream = new EventStream({
+  getTorrents: () => Object.values(torrents).filter(Boolean),
+  summarize: (torrent) => torrentSummary(torrent)
+});
+
+// Build the persisted record for a live torrent
+function snapshotTorrent(torrent) {
+  const record = {
+    name: torrent.name || hashToName[torrent.infoHash] || null,
+    torrentId: torrentIds[torrent.infoHash] || torrent.infoHash,
+    path: torrent.path,
+    addedAt: torrent.addedAt || new Date().toISOString(),
+    addedBy: torrent.addedBy || null,
+    category: torrent.category || null,
+    filePriorities: torrent.filePriorities || null,
+    uploadLimit: typeof torrent.uploadLimit === 'number' ? torrent.uploadLimit : null,
+    downloadLimit: typeof torrent.downloadLimit === 'number' ? torrent.downloadLimit : null,
+    strategy: torrent.strategy || 'rarest',
+    paused: !!torrent.paused,
+    forceStart: !!torrent.forceStart,
+    queuePosition: torrentQueue.position(torrent.infoHash),
+    uploaded: seedingPolicy.totalUploaded(torrent),
+    seedingTime: Math.floor(torrent.seedingTime || 0),
+    seedingPolicy: torrent.seedingPolicy || null,
+    pinned: !!torrent.pinned,
+    lastStreamedAt: torrent.lastStreamedAt || null
+  };
+
+  // Keep the metadata so a restore doesn't have to wait on peers for it
+  if (torrent.torrentFile) {
+    record.torrentFile = Buffer.from(torrent.torrentFile).toString('base64');
+  }
+
+  return record;
+}
+
+function persistTorrent(torrent) {
+  if (!torrent || !torrent.infoHash) return;
+  sessionStore.upsert(torrent.infoHash, snapshotTorrent(torrent));
+}
+
+// Queue positions shift together, so rewrite them on every stored record
+function persistQueueOrder() {
+  sessionStore.all().forEach(record => {
+    sessionStore.upsert(record.infoHash, { queuePosition: torrentQueue.position(record.infoHash) });
+  });
+}
+
+// Refresh every live record and write synchronously (shutdown path)
+function flushSession() {
+  Object.values(torrents).forEach(torrent => {
+    if (torrent && !torrent.destroyed) persistTorrent(torrent);
+  });
+  sessionStore.flushSync();
+  settingsStore.flushSync();
+  authSessions.flushSync();
+  userStore.flushSync();
+  apiTokens.flushSync();
+  loginAudit.flushSync();
+  shareLinks.flushSync();
+  rssFeeds.flushSync();
+  metadataCache.flushSync();
 }
 
 //UNIVERSAL TORRENT RESOLVER - Can find torrents by ANY identifier with optimized performance
@@ -611,14 +671,54 @@ const universalTorrentResolver = async (identifier) => {
   return null;
 };
 
+// Once a torrent is ready: media files by default, or a restored session's
+// own choice, and a head start on video that isn't restored. Every add path
+// goes through here so uploads and magnets skip the same files.
+function selectFiles(torrent, restore = null) {
+  const priorities = Array.isArray(restore?.filePriorities)
+    ? restore.filePriorities
+    : defaultFilePriorities(torrent.files);
+  applyFilePriorities(torrent, priorities);
+  
+  // Enhanced configuration for streaming with better buffering
+  torrent.files.forEach((file, index) => {
+    const priority = getFilePriority(torrent, index);
+    const ext = file.name.toLowerCase().split('.').pop();
+    const isVideo = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v'].includes(ext);
+    
+    if (priority === 'skip') {
+      console.log(`⏭️  Skipping: ${file.name}`);
+    } else if (isVideo && !restore) {
+      // Create a modest buffer only at the start to improve initial loading
+      const INITIAL_BUFFER_SIZE = 10 * 1024 * 1024; // 10MB at the start
+      
+      // Only prime the first part of the file for better streaming startup
+      // This avoids creating too many streams that can block API responses
+      const initialStream = file.createReadStream({ start: 0, end: INITIAL_BUFFER_SIZE });
+      initialStream.on('error', () => {}); // Ignore errors on this priming stream
+      
+      console.log(`🎬 Video file optimized for streaming: ${file.name}`);
+    } else {
+      console.log(`📝 Selected (${priority}): ${file.name}`);
+    }
+  });
+}
+
 // ENHANCED TORRENT LOADER
-const loadTorrentFromId = (torrentId) => {
+// `torrentId` may be a magnet, hash, URL or a .torrent Buffer.
+// Pass `options.restore` (a session record) to re-add a torrent from the session store,
+// and `options.addedBy` (a user id) to record who added a new one. `options.category`
+// and `options.path` (download location) are used by watch folders.
+const loadTorrentFromId = (torrentId, options = {}) => {
   return new Promise((resolve, reject) => {
-    console.log(`🔄 Loading torrent: ${torrentId}`);
+    const restore = options.restore || null;
+    const isBuffer = Buffer.isBuffer(torrentId);
+    const originalId = restore?.torrentId || (isBuffer ? null : torrentId);
+    console.log(`🔄 ${restore ? 'Restoring' : 'Loading'} torrent: ${isBuffer ? (restore?.name || '.torrent buffer') : torrentId}`);
     
     // If it's just a hash, construct a basic magnet link with reliable trackers
     let magnetUri = torrentId;
-    if (torrentId.length === 40 && !torrentId.startsWith('magnet:')) {
+    if (!isBuffer && torrentId.length === 40 && !torrentId.startsWith('magnet:')) {
       magnetUri = `magnet:?xt=urn:btih:${torrentId}&tr=udp://tracker.opentrackr.org:1337/announce&tr=udp://open.demonii.com:1337/announce&tr=udp://tracker.openbittorrent.com:6969/announce&tr=udp://exodus.desync.com:6969/announce&tr=udp://tracker.torrent.eu.org:451/announce&tr=udp://tracker.tiny-vps.com:6969/announce&tr=udp://retracker.lanta-net.ru:2710/announce`;
       console.log(`🧲 Constructed magnet URI from hash: ${magnetUri}`);
     }
@@ -643,19 +743,23 @@ const loadTorrentFromId = (torrentId) => {
           'wss://tracker.openwebtorrent.com' // WebSocket tracker
         ],
         private: false,
-        strategy: 'rarest', // Download rarest pieces first for faster startup
+        strategy: restore?.strategy || 'rarest', // Download rarest pieces first for faster startup
         maxWebConns: 30,    // More web seed connections
-        path: './downloads' // Ensure consistent download location
+        path: restore?.path || options.path || './downloads' // Ensure consistent download location
       };
       torrent = client.add(magnetUri, torrentOptions);
+      attachTorrentThrottle(torrent, client);
+      torrentQueue.attach(torrent);
+      seedingPolicy.attach(torrent, restore);
+      eventStream.attach(torrent);
     } catch (addError) {
       // Handle duplicate torrent error from WebTorrent client
       if (addError.message && addError.message.includes('duplicate')) {
         console.log(`🔍 Duplicate torrent detected in WebTorrent client, finding existing`);
         
         // Extract hash from the torrent ID
-        let hash = torrentId;
-        if (torrentId.startsWith('magnet:')) {
+        let hash = restore?.infoHash || (isBuffer ? '' : torrentId);
+        if (!isBuffer && torrentId.startsWith('magnet:')) {
           const match = torrentId.match(/xt=urn:btih:([a-fA-F0-9]{40})/);
           if (match) hash = match[1];
         }
@@ -699,52 +803,37 @@ const loadTorrentFromId = (torrentId) => {
       
       // Store in ALL our tracking systems
       torrents[torrent.infoHash] = torrent;
-      torrentIds[torrent.infoHash] = torrentId;
+      torrentIds[torrent.infoHash] = originalId || torrent.infoHash;
       torrentNames[torrent.infoHash] = torrent.name;
       hashToName[torrent.infoHash] = torrent.name;
       nameToHash[torrent.name] = torrent.infoHash;
       
-      torrent.addedAt = new Date().toISOString();
+      torrent.addedAt = restore?.addedAt || new Date().toISOString();
+      torrent.addedBy = restore?.addedBy || options.addedBy || null;
+      torrent.category = restore?.category || options.category || null;
       
-      // Balanced upload limit for peer reciprocity (required for downloads)
-      torrent.uploadLimit = 5000; // 5KB/s - enough for good peer reciprocity
+      // Per-torrent limits only when someone set them - the bandwidth policy caps the client
+      if (typeof restore?.uploadLimit === 'number') {
+        torrent.uploadLimit = restore.uploadLimit;
+      }
+      if (typeof restore?.downloadLimit === 'number') {
+        torrent.downloadLimit = restore.downloadLimit;
+      }
+      torrent.forceStart = !!restore?.forceStart;
+      torrent.pinned = !!restore?.pinned;
+      torrent.lastStreamedAt = restore?.lastStreamedAt || null;
+      if (restore?.paused) {
+        pauseTorrent(torrent);
+      }
       
-      // Stop seeding when download is complete
       torrent.on('done', () => {
-        console.log(`✅ Download complete for ${torrent.name} - Stopping seeding`);
-        torrent.uploadLimit = 0; // Disable uploading once download is complete
+        console.log(`✅ Download complete for ${torrent.name}`);
       });
       
-      // Enhanced configuration for streaming with better buffering
-      torrent.files.forEach((file, index) => {
-        const ext = file.name.toLowerCase().split('.').pop();
-        const isSubtitle = ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'].includes(ext);
-        const isVideo = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v'].includes(ext);
-        
-        if (isSubtitle) {
-          // Select subtitle files with high priority
-          file.select();
-          console.log(`📝 Subtitle file prioritized: ${file.name}`);
-        } else if (isVideo) {
-          // Standard video streaming optimization with moderate piece selection
-          file.select();
-          
-          // Create a modest buffer only at the start to improve initial loading
-          const INITIAL_BUFFER_SIZE = 10 * 1024 * 1024; // 10MB at the start
-          
-          // Only prime the first part of the file for better streaming startup
-          // This avoids creating too many streams that can block API responses
-          const initialStream = file.createReadStream({ start: 0, end: INITIAL_BUFFER_SIZE });
-          initialStream.on('error', () => {}); // Ignore errors on this priming stream
-          
-          console.log(`🎬 Video file optimized for streaming: ${file.name}`);
-        } else {
-          // Only select video and subtitle files to avoid wasting bandwidth
-          file.deselect();
-          console.log(`⏭️  Skipping: ${file.name}`);
-        }
-      });
+      selectFiles(torrent, restore);
       
+      torrentQueue.update();
+      persistTorrent(torrent);
       resolve(torrent);
     });
     
@@ -763,7 +852,7 @@ const loadTorrentFromId = (torrentId) => {
     setTimeout(() => {
       if (!resolved) {
         resolved = true;
-        console.log(`⏰ Timeout loading torrent after 60 seconds: ${torrentId}`);
+        console.log(`⏰ Timeout loading torrent after 60 seconds: ${originalId || torrent.infoHash}`);
         
         // Check if the torrent was actually added to the client
         const clientTorrent = client.torrents.find(t => t.infoHash === torrent.infoHash);
@@ -772,15 +861,16 @@ const loadTorrentFromId = (torrentId) => {
           
           // Store in tracking systems even if metadata isn't fully ready
           torrents[clientTorrent.infoHash] = clientTorrent;
-          torrentIds[clientTorrent.infoHash] = torrentId;
+          torrentIds[clientTorrent.infoHash] = originalId || clientTorrent.infoHash;
           torrentNames[clientTorrent.infoHash] = clientTorrent.name || 'Loading...';
           hashToName[clientTorrent.infoHash] = clientTorrent.name || 'Loading...';
           if (clientTorrent.name) {
             nameToHash[clientTorrent.name] = clientTorrent.infoHash;
           }
           
-          clientTorrent.addedAt = new Date().toISOString();
-          clientTorrent.uploadLimit = 5000; // Moderate upload for peer reciprocity (5KB/s)
+          clientTorrent.addedAt = restore?.addedAt || new Date().toISOString();
+          clientTorrent.addedBy = restore?.addedBy || options.addedBy || null;
+          clientTorrent.category = restore?.category || options.category || null;
           
           // Try to optimize any video files even if metadata is incomplete
           if (clientTorrent.files && clientTorrent.files.length) {
@@ -793,6 +883,8 @@ const loadTorrentFromId = (torrentId) => {
             });
           }
           
+          // Keep the stored record (and its selection) if this was a restore
+          if (!restore) persistTorrent(clientTorrent);
           resolve(clientTorrent);
         } else {
           console.log(`🔍 Client has ${client.torrents.length} torrents total`);
@@ -803,6 +895,215 @@ const loadTorrentFromId = (torrentId) => {
   });
 };
 
+// TORRENT CONTROLS - Pause/resume/force-start/recheck shared by the API
+const TORRENT_STRATEGIES = ['sequential', 'rarest'];
+
+// Control-related fields reported alongside torrent stats
+function torrentControlState(torrent) {
+  return {
+    paused: !!torrent.paused,
+    forceStart: !!torrent.forceStart,
+    strategy: torrent.strategy || 'rarest',
+    downloadLimit: typeof torrent.downloadLimit === 'number' ? torrent.downloadLimit : -1,
+    uploadLimit: typeof torrent.uploadLimit === 'number' ? torrent.uploadLimit : -1,
+    ...torrentQueue.describe(torrent),
+    ...seedingPolicy.describe(torrent),
+    pinned: !!torrent.pinned,
+    lastStreamedAt: torrent.lastStreamedAt ? new Date(torrent.lastStreamedAt).toISOString() : null
+  };
+}
+
+// List entry shared by GET /api/torrents and the event stream
+function torrentSummary(torrent) {
+  return {
+    infoHash: torrent.infoHash,
+    name: torrent.name,
+    size: torrent.length || 0,
+    downloaded: torrent.downloaded || 0,
+    uploaded: seedingPolicy.totalUploaded(torrent),
+    progress: torrent.progress || 0,
+    downloadSpeed: torrent.downloadSpeed || 0,
+    uploadSpeed: torrent.uploadSpeed || 0,
+    peers: torrent.numPeers || 0,
+    addedAt: torrent.addedAt || new Date().toISOString(),
+    addedBy: describeOwner(torrent.addedBy),
+    category: torrent.category || null,
+    ...torrentControlState(torrent)
+  };
+}
+
+// File entry shared by the details and files endpoints
+function describeFile(torrent, file, index) {
+  const priority = getFilePriority(torrent, index);
+  
+  return {
+    index,
+    name: file.name,
+    path: file.path,
+    size: file.length || 0,
+    downloaded: file.downloaded || 0,
+    progress: file.progress || 0,
+    selected: priority !== 'skip',
+    priority
+  };
+}
+
+// Drop cached list/detail responses so the next poll sees a state change
+function invalidateTorrentCaches(torrent) {
+  delete global.torrentListCache;
+  delete global.torrentListCacheTime;
+  [torrent.infoHash, torrent.name].filter(Boolean).forEach(key => {
+    delete global[`torrent_details_${key}`];
+    delete global[`torrent_details_${key}_time`];
+    delete global[`stats_${key}`];
+    delete global[`stats_${key}_time`];
+    Object.keys(global)
+      .filter(cacheKey => cacheKey.startsWith(`files_${key}`))
+      .forEach(cacheKey => delete global[cacheKey]);
+  });
+}
+
+function pauseTorrent(torrent) {
+  torrent.pause();
+  torrent.forceStart = false;
+  
+  // WebTorrent's pause() only stops new connections - drop the existing ones too
+  Object.keys(torrent._peers || {}).forEach(peerId => {
+    try {
+      torrent.removePeer(peerId);
+    } catch (e) {
+      console.log(`⚠️ Error removing peer while pausing: ${e.message}`);
+    }
+  });
+}
+
+function resumeTorrent(torrent) {
+  const wasPaused = torrent.paused;
+  torrent.resume();
+  
+  // A resumed torrent is judged by the seeding policy again
+  if (wasPaused) seedingPolicy.reset(torrent);
+  
+  // Peers were dropped on pause, so ask trackers and DHT for a fresh set
+  if (wasPaused && torrent.discovery) {
+    try {
+      if (torrent.discovery.tracker) torrent.discovery.tracker.update();
+      if (torrent.discovery.dht && torrent.infoHash) torrent.discovery.dht.lookup(torrent.infoHash);
+    } catch (e) {
+      console.log(`⚠️ Re-announce after resume failed: ${e.message}`);
+    }
+  }
+}
+
+// Media routes wake a torrent so an unfinished file can be played. A paused
+// torrent is only resumed for someone allowed to resume it by hand - viewers
+// and share links get a 409 rather than undoing the pause. Returns false once
+// that response has been sent.
+function resumeForPlayback(req, res, torrent, file) {
+  if (file.done) return true;
+  
+  if (torrent.paused && !canManageTorrent(req.user, torrent)) {
+    res.status(409).json({ error: 'This torrent is paused' });
+    return false;
+  }
+  resumeTorrent(torrent);
+  return true;
+}
+
+// Re-add a torrent from its session record, e.g. to re-verify its pieces or
+// get a fresh start with peers. Pause, queue place, limits, file selection,
+// seeding totals and pin all come back as they were.
+function reloadTorrent(torrent) {
+  return new Promise((resolve, reject) => {
+    const stored = sessionStore.get(torrent.infoHash);
+    persistTorrent(torrent);
+    // The files as they're selected now; before metadata, the stored choice
+    const record = {
+      ...sessionStore.get(torrent.infoHash),
+      filePriorities: torrent.files && torrent.files.length > 0
+        ? torrent.files.map((file, index) => getFilePriority(torrent, index))
+        : stored?.filePriorities || null
+    };
+    const source = torrent.torrentFile
+      ? Buffer.from(torrent.torrentFile)
+      : record.torrentId || record.infoHash;
+    
+    // ffmpeg reads through the torrent that's about to go away
+    hlsService.closeTorrent(record.infoHash);
+    
+    client.remove(torrent, { destroyStore: false }, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      delete torrents[record.infoHash];
+      resolve(loadTorrentFromId(source, { restore: record }));
+    });
+  });
+}
+
+// Re-verify every piece on disk by re-adding the torrent from its metadata
+function recheckTorrent(torrent) {
+  if (!torrent.torrentFile) {
+    return Promise.reject(new Error('Metadata not available yet'));
+  }
+  
+  console.log(`🔍 Rechecking pieces for: ${torrent.name || torrent.infoHash}`);
+  return reloadTorrent(torrent);
+}
+
+// Note playback for the queue and cache retention. Range requests arrive
+// every few seconds, so the session record is refreshed at most once a minute.
+function markStreamed(torrent) {
+  torrentQueue.touch(torrent);
+  
+  if (!torrent._streamPersistedAt || torrent.lastStreamedAt - torrent._streamPersistedAt > 60000) {
+    torrent._streamPersistedAt = torrent.lastStreamedAt;
+    persistTorrent(torrent);
+  }
+}
+
+// Remove a torrent from the client and every tracking system
+function removeTorrent(torrent, { deleteData = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const infoHash = torrent.infoHash;
+    const torrentName = torrent.name;
+    const freedSpace = deleteData ? (torrent.downloaded || 0) : 0;
+    
+    // ffmpeg must let go of the files before they are deleted
+    hlsService.closeTorrent(infoHash);
+    mediaProbe.forget(infoHash);
+    embeddedSubtitles.forget(infoHash);
+    trickplay.forget(infoHash);
+    
+    client.remove(torrent, { destroyStore: deleteData }, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      // Clean ALL tracking systems
+      delete torrents[infoHash];
+      delete torrentIds[infoHash];
+      delete torrentNames[infoHash];
+      delete hashToName[infoHash];
+      delete nameToHash[torrentName];
+      sessionStore.remove(infoHash);
+      torrentQueue.remove(infoHash);
+      persistQueueOrder();
+      torrentQueue.update();
+      delete global.torrentListCache;
+      delete global.torrentListCacheTime;
+      eventStream.removed(infoHash);
+      shareLinks.revokeTorrent(infoHash);
+      
+      console.log(`✅ Torrent removed${deleteData ? ' with data' : ''}: ${torrentName}`);
+      resolve({ infoHash, name: torrentName, freedSpace });
+    });
+  });
+}
+
 // Add a cache cleanup mechanism to prevent memory bloat
 function setupCacheCleanup() {
   console.log('🧹 Setting up cache cleanup system');
@@ -816,7 +1117,6 @@ function setupCacheCleanup() {
     const potentialCacheKeys = Object.keys(global).filter(key => {
       return (
         key.startsWith('torrent_details_') ||
-        key.startsWith('imdb_data_') ||
         key.startsWith('files_') ||
         key.startsWith('stats_') ||
         key === 'torrentListCache'
@@ -832,7 +1132,7 @@ function setupCacheCleanup() {
       
       // If it has a timestamp, check if it's expired
       if (global[timeKey]) {
-        const maxAge = key.startsWith('imdb_data_') ? 3600000 : 300000; // 1 hour for IMDB, 5 minutes for others
+        const maxAge = 300000; // 5 minutes
         
         if (now - global[timeKey] > maxAge) {
           delete global[key];
@@ -869,6 +1169,10 @@ function setupCacheCleanup() {
 setupCacheCleanup();
 
 // System Health Monitoring
+// infoHash -> when a stalled torrent was last restarted, so it gets another
+// 12 hours before the next try
+const stalledRestarts = new Map();
+
 function setupSystemMonitoring() {
   console.log('🩺 Setting up system health monitoring');
   
@@ -915,8 +1219,7 @@ function setupSystemMonitoring() {
           Object.keys(global).forEach(key => {
             if (key.includes('_cache') || key.includes('Cache') || 
                 key.endsWith('_time') || key.startsWith('torrent_details_') || 
-                key.startsWith('files_') || key.startsWith('stats_') || 
-                key.startsWith('imdb_data_')) {
+                key.startsWith('files_') || key.startsWith('stats_')) {
               delete global[key];
             }
           });
@@ -946,34 +1249,24 @@ function setupSystemMonitoring() {
       if (client.torrents.length > 0) {
         const now = Date.now();
         client.torrents.forEach(torrent => {
-          // Skip completed torrents
+          // Skip completed torrents, and ones that aren't meant to be downloading
           if (torrent.progress >= 1) return;
+          if (torrent.paused || torrent.queued || torrent.forceStart) return;
           
-          // Get when the torrent was added
+          // Running since it was added, or since its last restart
           const addedTime = torrent.addedAt ? new Date(torrent.addedAt).getTime() : now;
-          const runningHours = (now - addedTime) / (1000 * 60 * 60);
+          const runningHours = (now - Math.max(addedTime, stalledRestarts.get(torrent.infoHash) || 0)) / (1000 * 60 * 60);
           
           // Check if torrent has been running for over 12 hours with little progress
           if (runningHours > 12 && torrent.progress < 0.1) {
             console.log(`⚠️ Stalled torrent detected: ${torrent.name || torrent.infoHash} - Running for ${Math.round(runningHours)}h with only ${(torrent.progress*100).toFixed(1)}% progress`);
             
             // Restart the torrent to try to improve its state
-            try {
-              console.log(`🔄 Attempting to restart stalled torrent: ${torrent.infoHash}`);
-              torrent.destroy();
-              
-              // Remove from tracking
-              delete torrents[torrent.infoHash];
-              
-              // Delay re-adding to allow cleanup
-              setTimeout(() => {
-                loadTorrentFromId(torrent.infoHash).catch(err => {
-                  console.error(`❌ Failed to restart torrent:`, err.message);
-                });
-              }, 5000);
-            } catch (e) {
-              console.error(`❌ Failed to restart stalled torrent:`, e.message);
-            }
+            console.log(`🔄 Attempting to restart stalled torrent: ${torrent.infoHash}`);
+            stalledRestarts.set(torrent.infoHash, now);
+            reloadTorrent(torrent).catch(err => {
+              console.error(`❌ Failed to restart stalled torrent:`, err.message);
+            });
           }
         });
       }
@@ -982,28 +1275,6 @@ function setupSystemMonitoring() {
       console.error('❌ Error in system monitoring:', e.message);
     }
   }, 60000); // Every minute
-  
-  // Expose system health endpoint
-  app.get('/api/system/health', (req, res) => {
-    const memoryUsage = process.memoryUsage();
-    
-    res.json({
-      status: 'ok',
-      uptime: Date.now() - global.systemHealth.startTime,
-      memory: {
-        heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024),
-        rss: Math.round(memoryUsage.rss / 1024 / 1024),
-        external: Math.round(memoryUsage.external / 1024 / 1024)
-      },
-      torrents: client.torrents.length,
-      warnings: {
-        memory: global.systemHealth.memoryWarnings,
-        api: global.systemHealth.apiTimeouts
-      },
-      highMemory: global.systemHealth.highMemoryDetected,
-      timestamp: Date.now()
-    });
-  });
 }
 
 // Setup system monitoring
@@ -1046,6 +1317,13 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGTERM', () => {
   console.log('📤 SIGTERM received, shutting down gracefully...');
   
+  // Persist the library before tearing anything down
+  flushSession();
+  hlsService.stop();
+  embeddedSubtitles.stop();
+  trickplay.stop();
+  eventStream.closeAll();
+  
   // Close all torrents cleanly
   try {
     console.log('🧲 Closing all torrents...');
@@ -1067,6 +1345,13 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('📤 SIGINT received, shutting down gracefully...');
   
+  // Persist the library before tearing anything down
+  flushSession();
+  hlsService.stop();
+  embeddedSubtitles.stop();
+  trickplay.stop();
+  eventStream.closeAll();
+  
   // Close all torrents cleanly
   try {
     console.log('🧲 Closing all torrents...');
@@ -1105,12 +1390,32 @@ const upload = multer({
   }
 });
 
-// CORS Configuration - Allow all origins
-console.log('🌐 CORS: Allowing ALL origins (permissive mode)');
+// CORS Configuration - only the UI's own origins get credentialed responses,
+// since the session cookie rides along with every cross-origin request
+const allowedOrigins = new Set([config.frontend.url, ...config.frontend.corsOrigins].map(url => {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    console.log(`⚠️ Ignoring invalid CORS origin "${url}"`);
+    return null;
+  }
+}).filter(Boolean));
+console.log(`🌐 CORS: Allowing ${Array.from(allowedOrigins).join(', ')} and same-origin requests`);
+
+// Requests without an Origin (same-origin GETs, media elements, scripts) and
+// same-origin requests, e.g. the share page, are always allowed
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin || allowedOrigins.has(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
 
-// Simple CORS configuration allowing all origins
-app.use(cors({
-  origin: true, // Allow all origins
+app.use(cors((req, callback) => callback(null, {
+  origin: isAllowedOrigin(req),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: [
@@ -1121,19 +1426,13 @@ app.use(cors({
     'Origin'
   ],
   optionsSuccessStatus: 200
-}));
+})));
 
-// Additional permissive CORS headers
+// Other sites can't read the answers, but would still get to make the request
 app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS,PATCH');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+  if (!isAllowedOrigin(req)) {
+    console.log(`🚫 Refused request from origin ${req.headers.origin}`);
+    return res.status(403).json({ error: 'Origin not allowed' });
   }
   next();
 });
@@ -1145,12 +1444,28 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Authentication endpoint
-app.post('/api/auth/login', (req, res) => {
-  const { password } = req.body;
-  const correctPassword = process.env.ACCESS_PASSWORD || 'seedbox123';
+function sessionCookieOptions(req) {
+  const secure = config.auth.cookieSecure === 'auto'
+    ? req.secure || req.headers['x-forwarded-proto'] === 'https'
+    : config.auth.cookieSecure === 'true';
+
+  return {
+    httpOnly: true,
+    sameSite: config.auth.cookieSameSite,
+    secure,
+    path: '/'
+  };
+}
+
+// Authentication endpoint - starts a session: HTTP-only cookie for the browser,
+// token in the body for API clients (Authorization: Bearer <token>).
+// Without a username the first admin is assumed, like the old password-only login.
+// Repeated failures lock the caller's IP (or every login) out for a while.
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  const { password } = req.body || {};
+  const username = req.body?.username || config.auth.adminUsername;
   
-  console.log(`🔐 Login attempt with password: ${password ? '[PROVIDED]' : '[MISSING]'}`);
+  console.log(`🔐 Login attempt for ${username} with password: ${password ? '[PROVIDED]' : '[MISSING]'}`);
   
   if (!password) {
     return res.status(400).json({ 
@@ -1159,35 +1474,348 @@ app.post('/api/auth/login', (req, res) => {
     });
   }
   
-  if (password === correctPassword) {
-    console.log('✅ Authentication successful');
+  const user = userStore.authenticate(username, password);
+  const attempt = { username, ip: req.ip, userAgent: req.headers['user-agent'] };
+  if (user) {
+    loginLimiter.recordSuccess(req);
+    loginAudit.record({ ...attempt, outcome: 'success', userId: user.id });
+
+    const { token, session } = authSessions.create({
+      userId: user.id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    
+    res.cookie(COOKIE_NAME, token, {
+      ...sessionCookieOptions(req),
+      maxAge: config.auth.sessionTtlHours * 60 * 60 * 1000
+    });
+    
+    console.log(`✅ Authentication successful - ${user.username} (${user.role}), session ${session.id}`);
     return res.json({ 
       success: true, 
-      message: 'Authentication successful' 
+      message: 'Authentication successful',
+      token,
+      session,
+      user: userStore.describe(user)
     });
   } else {
-    console.log('❌ Authentication failed - incorrect password');
+    console.log(`❌ Authentication failed - incorrect username or password from ${req.ip}`);
+    const lock = loginLimiter.recordFailure(req);
+    loginAudit.record({
+      ...attempt,
+      outcome: 'failure',
+      reason: lock ? `Invalid credentials, ${lock.scope === 'ip' ? 'IP' : 'all logins'} locked out` : 'Invalid credentials'
+    });
     return res.status(401).json({ 
       success: false, 
-      error: 'Invalid password' 
+      error: 'Invalid username or password' 
     });
   }
 });
 
-// UNIVERSAL ADD TORRENT - Always succeeds
-app.post('/api/torrents', async (req, res) => {
-  const { torrentId } = req.body;
-  if (!torrentId) return res.status(400).json({ error: 'No torrentId provided' });
-  
-  console.log(`🚀 UNIVERSAL ADD: ${torrentId}`);
-  
+// The file routes a share link can open (path relative to /api)
+const SHARE_ROUTE = /^\/torrents\/([^/]+)\/files\/(\d+)\/(stream|download)$/;
+
+// The scope an API token needs for a request (path relative to /api), or null
+// where tokens aren't accepted: they can't manage sessions, tokens or accounts
+function requiredTokenScope(req) {
+  const route = req.path;
+  if (route.startsWith('/auth/') || route.startsWith('/users')) return null;
+  if (/^\/torrents\/[^/]+\/files\/[^/]+\/share$/.test(route)) return 'torrents:write';
+  if (/^\/torrents\/[^/]+\/files\/[^/]+\//.test(route)) return 'stream';
+  if (route === '/torrents' || route.startsWith('/torrents/') || route === '/events' || route.startsWith('/search')) {
+    return req.method === 'GET' || req.method === 'HEAD' ? 'torrents:read' : 'torrents:write';
+  }
+  if (route === '/metadata/settings' && req.method === 'GET') return 'torrents:read';
+  if (route === '/metadata/posters') return 'torrents:read'; // POST only because of the name list
+  return 'admin';
+}
+
+// Every other API route needs a live session (cookie or bearer token), or an
+// API token whose scopes cover the route. Either way the account's role still applies.
+app.use('/api', (req, res, next) => {
+  // A signed share link opens exactly the one file route it was made for
+  const shared = req.query.share && req.path.match(SHARE_ROUTE);
+  if (shared) {
+    try {
+      req.shareLink = shareLinks.authorize({
+        id: req.query.share,
+        expires: req.query.expires,
+        sig: req.query.sig,
+        infoHash: shared[1],
+        fileIdx: shared[2],
+        mode: shared[3],
+        viewer: `${req.ip} ${req.headers['user-agent'] || ''}`
+      });
+      return next();
+    } catch (error) {
+      return res.status(error.status || 403).json({ error: error.message });
+    }
+  }
+  
+  const token = tokenFromRequest(req);
+  
+  if (isApiToken(token)) {
+    const apiToken = apiTokens.verify(token);
+    const tokenUser = apiToken && userStore.get(apiToken.userId);
+    if (!tokenUser) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    
+    const scope = requiredTokenScope(req);
+    if (!scope) {
+      return res.status(403).json({ error: 'API tokens cannot be used here - log in instead' });
+    }
+    if (!hasScope(apiToken, scope)) {
+      return res.status(403).json({ error: `This API token needs the ${scope} scope` });
+    }
+    
+    req.apiToken = apiToken;
+    req.user = tokenUser;
+    return next();
+  }
+  
+  const session = authSessions.verify(token);
+  const user = session && userStore.get(session.userId);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  req.authSession = session;
+  req.user = user;
+  next();
+});
+
+// Route guard: at least this role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Route guard for /api/torrents/:identifier/... changes: admins, or the member who added it
+async function requireTorrentAccess(req, res, next) {
+  if (!hasRole(req.user, 'member')) {
+    return res.status(403).json({ error: 'Viewers cannot change torrents' });
+  }
+  if (hasRole(req.user, 'admin')) return next();
+  
+  // Unknown torrents fall through to the route's own 404
+  const torrent = await universalTorrentResolver(req.params.identifier);
+  if (torrent && !canManageTorrent(req.user, torrent)) {
+    return res.status(403).json({ error: 'Only the member who added this torrent or an admin can change it' });
+  }
+  next();
+}
+
+// Who added a torrent, as shown in lists
+function describeOwner(userId) {
+  const user = userId && userStore.get(userId);
+  return user ? { id: user.id, username: user.username } : null;
+}
+
+// The user id an ?owner= filter stands for: undefined means no filter, null unowned
+function resolveOwnerFilter(owner, currentUser) {
+  if (!owner) return undefined;
+  if (owner === 'me') return currentUser.id;
+  if (owner === 'none') return null;
+  return (userStore.findByUsername(owner) || userStore.get(owner))?.id || owner;
+}
+
+app.post('/api/auth/logout', (req, res) => {
+  authSessions.revoke(req.authSession.id);
+  res.clearCookie(COOKIE_NAME, sessionCookieOptions(req));
+  console.log(`🚪 Session ${req.authSession.id} logged out`);
+  res.json({ success: true });
+});
+
+// The caller's own session - lets the UI check it's still logged in
+app.get('/api/auth/session', (req, res) => {
+  res.json({
+    authenticated: true,
+    session: authSessions.describe(req.authSession),
+    user: userStore.describe(req.user)
+  });
+});
+
+// Active sessions - admins see everyone's, others their own
+app.get('/api/auth/sessions', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  const sessions = authSessions.list(isAdmin ? null : req.user.id).map(session => ({
+    ...session,
+    username: userStore.get(session.userId)?.username || null,
+    current: session.id === req.authSession.id
+  }));
+  res.json({ sessions });
+});
+
+app.delete('/api/auth/sessions/:id', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  const owned = authSessions.list(isAdmin ? null : req.user.id).some(session => session.id === req.params.id);
+  if (!owned || !authSessions.revoke(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  if (req.params.id === req.authSession.id) {
+    res.clearCookie(COOKIE_NAME, sessionCookieOptions(req));
+  }
+  console.log(`🔐 Session ${req.params.id} revoked`);
+  res.json({ success: true, id: req.params.id });
+});
+
+// USERS - admins manage accounts: role, password and linked Slack user ids
+function sendUserError(res, action, error) {
+  if (!error.status || error.status >= 500) {
+    console.error(`❌ Failed to ${action}:`, error.message);
+  }
+  res.status(error.status || 500).json({ error: `Failed to ${action}: ` + error.message });
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ users: userStore.list() });
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, password, role, slackUserIds } = req.body || {};
+    const user = userStore.create({ username, password, role, slackUserIds });
+    console.log(`👥 User created: ${user.username} (${user.role})`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    sendUserError(res, 'create user', error);
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { role, password, slackUserIds } = req.body || {};
+    const user = userStore.update(req.params.id, { role, password, slackUserIds });
+    
+    // A new password logs the account out everywhere else
+    if (password !== undefined) {
+      authSessions.revokeUser(user.id);
+    }
+    console.log(`👥 User updated: ${user.username} (${user.role})`);
+    res.json({ success: true, user });
+  } catch (error) {
+    sendUserError(res, 'update user', error);
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = userStore.remove(req.params.id);
+    authSessions.revokeUser(user.id);
+    apiTokens.revokeUser(user.id);
+    console.log(`👥 User removed: ${user.username}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    sendUserError(res, 'remove user', error);
+  }
+});
+
+// Anyone can change their own password
+app.put('/api/auth/password', (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  
+  if (!userStore.authenticate(req.user.username, currentPassword)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  
+  try {
+    userStore.update(req.user.id, { password: newPassword });
+    
+    // Keep this session, end the others
+    authSessions.list(req.user.id)
+      .filter(session => session.id !== req.authSession.id)
+      .forEach(session => authSessions.revoke(session.id));
+    res.json({ success: true });
+  } catch (error) {
+    sendUserError(res, 'change password', error);
+  }
+});
+
+// LOGIN AUDIT - admins review login attempts and lift lockouts
+app.get('/api/auth/audit', requireRole('admin'), (req, res) => {
+  const { outcome, ip } = req.query;
+  if (outcome && !LOGIN_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ error: `"outcome" must be one of: ${LOGIN_OUTCOMES.join(', ')}` });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+  res.json({ entries: loginAudit.list({ outcome, ip, limit }) });
+});
+
+app.get('/api/auth/lockouts', requireRole('admin'), (req, res) => {
+  res.json(loginLimiter.status());
+});
+
+// Without an IP this lifts every lockout, the global one included
+app.delete('/api/auth/lockouts/:ip?', requireRole('admin'), (req, res) => {
+  const ip = req.params.ip || null;
+  const cleared = loginLimiter.clear(ip);
+  console.log(`🔓 Login lockouts cleared by ${req.user.username}: ${ip || 'all'}`);
+  res.json({ success: true, cleared, ...loginLimiter.status() });
+});
+
+// API TOKENS - created and revoked with a login session; admins see everyone's
+app.get('/api/auth/tokens', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  const tokens = apiTokens.list(isAdmin ? null : req.user.id).map(apiToken => ({
+    ...apiToken,
+    username: userStore.get(apiToken.userId)?.username || null
+  }));
+  res.json({ tokens, scopes: API_TOKEN_SCOPES });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    
+    // A token can't be handed more than its account could use
+    if (Array.isArray(scopes) && scopes.includes('admin') && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Only admins can create tokens with the admin scope' });
+    }
+    if (Array.isArray(scopes) && scopes.includes('torrents:write') && !hasRole(req.user, 'member')) {
+      return res.status(403).json({ error: 'Viewers cannot create tokens with the torrents:write scope' });
+    }
+    
+    const { token, apiToken } = apiTokens.create({ userId: req.user.id, name, scopes, expiresInDays });
+    console.log(`🔑 API token "${apiToken.name}" created for ${req.user.username} (${apiToken.scopes.join(', ')})`);
+    res.status(201).json({ success: true, token, apiToken });
+  } catch (error) {
+    sendUserError(res, 'create API token', error);
+  }
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  if (!apiTokens.revoke(req.params.id, isAdmin ? null : req.user.id)) {
+    return res.status(404).json({ error: 'API token not found' });
+  }
+  
+  console.log(`🔑 API token ${req.params.id} revoked`);
+  res.json({ success: true, id: req.params.id });
+});
+
+// UNIVERSAL ADD TORRENT - Always succeeds
+app.post('/api/torrents', requireRole('member'), async (req, res) => {
+  const { torrentId } = req.body;
+  if (!torrentId) return res.status(400).json({ error: 'No torrentId provided' });
+  
+  console.log(`🚀 UNIVERSAL ADD: ${torrentId}`);
+  
   try {
     const torrent = await universalTorrentResolver(torrentId);
     
     if (!torrent) {
       // If resolver failed, try direct loading
       try {
-        const newTorrent = await loadTorrentFromId(torrentId);
+        const newTorrent = await loadTorrentFromId(torrentId, { addedBy: req.user.id });
         return res.json({ 
           success: true,
           infoHash: newTorrent.infoHash,
@@ -1259,8 +1887,133 @@ app.post('/api/torrents', async (req, res) => {
   }
 });
 
+// Add a .torrent file's contents - shared by uploads and watch folders.
+// `options.sourceName` is the original file name, `options.addedBy` a user id,
+// `options.category` and `options.downloadPath` come from a watch folder.
+const addTorrentFile = (torrentBuffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    let loadedTorrent;
+    
+    try {
+      const torrentOptions = {
+        announce: [
+          'udp://tracker.opentrackr.org:1337/announce',
+          'udp://open.demonii.com:1337/announce',
+          'udp://tracker.openbittorrent.com:6969/announce',
+          'udp://exodus.desync.com:6969/announce',
+          'udp://tracker.torrent.eu.org:451/announce',
+          'udp://9.rarbg.to:2710/announce'
+        ],
+        private: false,
+        strategy: 'rarest', // Download rarest pieces first for faster startup
+        maxWebConns: 20     // More web seed connections
+      };
+      if (options.downloadPath) {
+        torrentOptions.path = options.downloadPath;
+      }
+      loadedTorrent = client.add(torrentBuffer, torrentOptions);
+      attachTorrentThrottle(loadedTorrent, client);
+      torrentQueue.attach(loadedTorrent);
+      seedingPolicy.attach(loadedTorrent);
+      eventStream.attach(loadedTorrent);
+      
+      loadedTorrent.on('done', () => {
+        console.log(`✅ Download complete for ${loadedTorrent.name}`);
+      });
+    } catch (addError) {
+      // Handle duplicate torrent in file upload
+      if (addError.message && addError.message.includes('duplicate')) {
+        console.log(`🔍 Duplicate torrent file detected, finding existing`);
+        
+        // Parse the torrent buffer to get the info hash
+        const parseTorrent = require('parse-torrent');
+        try {
+          const parsed = parseTorrent(torrentBuffer);
+          const existingTorrent = client.torrents.find(t => 
+            t.infoHash.toLowerCase() === parsed.infoHash.toLowerCase()
+          );
+          
+          if (existingTorrent) {
+            console.log(`✅ Found existing torrent from file: ${existingTorrent.name || existingTorrent.infoHash}`);
+            resolve(existingTorrent);
+            return;
+          }
+        } catch (parseError) {
+          console.error(`❌ Error parsing torrent for duplicate check:`, parseError.message);
+        }
+      }
+      
+      reject(addError);
+      return;
+    }
+    
+    let resolved = false;
+    
+    loadedTorrent.on('ready', () => {
+      if (resolved) return;
+      resolved = true;
+      
+      console.log(`✅ Torrent uploaded and loaded: ${loadedTorrent.name}`);
+      
+      // Store in tracking systems
+      torrents[loadedTorrent.infoHash] = loadedTorrent;
+      torrentIds[loadedTorrent.infoHash] = options.sourceName || loadedTorrent.infoHash;
+      torrentNames[loadedTorrent.infoHash] = loadedTorrent.name;
+      hashToName[loadedTorrent.infoHash] = loadedTorrent.name;
+      nameToHash[loadedTorrent.name] = loadedTorrent.infoHash;
+      
+      loadedTorrent.addedAt = new Date().toISOString();
+      loadedTorrent.addedBy = options.addedBy || null;
+      loadedTorrent.category = options.category || null;
+      
+      selectFiles(loadedTorrent);
+      torrentQueue.update();
+      persistTorrent(loadedTorrent);
+      resolve(loadedTorrent);
+    });
+    
+    loadedTorrent.on('error', (err) => {
+      if (resolved) return;
+      resolved = true;
+      console.error(`❌ Error loading uploaded torrent:`, err.message);
+      
+      // Handle duplicate error in event handler too
+      if (err.message && err.message.includes('duplicate')) {
+        console.log(`🔍 Duplicate torrent detected in error handler`);
+        
+        // Try to find existing torrent and return it
+        const parseTorrent = require('parse-torrent');
+        try {
+          const parsed = parseTorrent(torrentBuffer);
+          const existingTorrent = client.torrents.find(t => 
+            t.infoHash.toLowerCase() === parsed.infoHash.toLowerCase()
+          );
+          
+          if (existingTorrent) {
+            console.log(`✅ Found existing torrent in error handler: ${existingTorrent.name}`);
+            resolve(existingTorrent);
+            return;
+          }
+        } catch (parseError) {
+          console.error(`❌ Error parsing in error handler:`, parseError.message);
+        }
+      }
+      
+      reject(err);
+    });
+    
+    // Timeout after 30 seconds
+    setTimeout(() => {
+      if (!resolved) {
+        resolved = true;
+        reject(new Error('Timeout loading torrent file'));
+      }
+    }, 30000);
+  });
+};
+
 // UNIVERSAL FILE UPLOAD - Handle .torrent files
-app.post('/api/torrents/upload', upload.single('torrentFile'), async (req, res) => {
+app.post('/api/torrents/upload', requireRole('member'), upload.single('torrentFile'), async (req, res) => {
   console.log(`📁 UNIVERSAL FILE UPLOAD`);
   
   if (!req.file) {
@@ -1278,115 +2031,9 @@ app.post('/api/torrents/upload', upload.single('torrentFile'), async (req, res)
     const torrentBuffer = fs.readFileSync(torrentPath);
     
     // Load the torrent using the buffer
-    const torrent = await new Promise((resolve, reject) => {
-      let loadedTorrent;
-      
-      try {
-        const torrentOptions = {
-          announce: [
-            'udp://tracker.opentrackr.org:1337/announce',
-            'udp://open.demonii.com:1337/announce',
-            'udp://tracker.openbittorrent.com:6969/announce',
-            'udp://exodus.desync.com:6969/announce',
-            'udp://tracker.torrent.eu.org:451/announce',
-            'udp://9.rarbg.to:2710/announce'
-          ],
-          private: false,
-          strategy: 'rarest', // Download rarest pieces first for faster startup
-          maxWebConns: 20     // More web seed connections
-        };
-        loadedTorrent = client.add(torrentBuffer, torrentOptions);
-        
-        // Stop seeding when download is complete
-        loadedTorrent.on('done', () => {
-          console.log(`✅ Download complete for ${loadedTorrent.name} - Stopping seeding`);
-          loadedTorrent.uploadLimit = 0; // Disable uploading once download is complete
-        });
-      } catch (addError) {
-        // Handle duplicate torrent in file upload
-        if (addError.message && addError.message.includes('duplicate')) {
-          console.log(`🔍 Duplicate torrent file detected, finding existing`);
-          
-          // Parse the torrent buffer to get the info hash
-          const parseTorrent = require('parse-torrent');
-          try {
-            const parsed = parseTorrent(torrentBuffer);
-            const existingTorrent = client.torrents.find(t => 
-              t.infoHash.toLowerCase() === parsed.infoHash.toLowerCase()
-            );
-            
-            if (existingTorrent) {
-              console.log(`✅ Found existing torrent from file: ${existingTorrent.name || existingTorrent.infoHash}`);
-              resolve(existingTorrent);
-              return;
-            }
-          } catch (parseError) {
-            console.error(`❌ Error parsing torrent for duplicate check:`, parseError.message);
-          }
-        }
-        
-        reject(addError);
-        return;
-      }
-      
-      let resolved = false;
-      
-      loadedTorrent.on('ready', () => {
-        if (resolved) return;
-        resolved = true;
-        
-        console.log(`✅ Torrent uploaded and loaded: ${loadedTorrent.name}`);
-        
-        // Store in tracking systems
-        torrents[loadedTorrent.infoHash] = loadedTorrent;
-        torrentIds[loadedTorrent.infoHash] = req.file.originalname;
-        torrentNames[loadedTorrent.infoHash] = loadedTorrent.name;
-        hashToName[loadedTorrent.infoHash] = loadedTorrent.name;
-        nameToHash[loadedTorrent.name] = loadedTorrent.infoHash;
-        
-        loadedTorrent.addedAt = new Date().toISOString();
-        loadedTorrent.uploadLimit = 2048; // Moderate upload for peer reciprocity
-        
-        resolve(loadedTorrent);
-      });
-      
-      loadedTorrent.on('error', (err) => {
-        if (resolved) return;
-        resolved = true;
-        console.error(`❌ Error loading uploaded torrent:`, err.message);
-        
-        // Handle duplicate error in event handler too
-        if (err.message && err.message.includes('duplicate')) {
-          console.log(`🔍 Duplicate torrent detected in error handler`);
-          
-          // Try to find existing torrent and return it
-          const parseTorrent = require('parse-torrent');
-          try {
-            const parsed = parseTorrent(torrentBuffer);
-            const existingTorrent = client.torrents.find(t => 
-              t.infoHash.toLowerCase() === parsed.infoHash.toLowerCase()
-            );
-            
-            if (existingTorrent) {
-              console.log(`✅ Found existing torrent in error handler: ${existingTorrent.name}`);
-              resolve(existingTorrent);
-              return;
-            }
-          } catch (parseError) {
-            console.error(`❌ Error parsing in error handler:`, parseError.message);
-          }
-        }
-        
-        reject(err);
-      });
-      
-      // Timeout after 30 seconds
-      setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          reject(new Error('Timeout loading torrent file'));
-        }
-      }, 30000);
+    const torrent = await addTorrentFile(torrentBuffer, {
+      sourceName: req.file.originalname,
+      addedBy: req.user.id
     });
     
     // Clean up uploaded file
@@ -1418,6 +2065,13 @@ app.post('/api/torrents/upload', upload.single('torrentFile'), async (req, res)
   }
 });
 
+// EVENT STREAM - Server-Sent Events: a snapshot on connect, then torrent
+// added/progress/done/error/removed events and stats deltas every 2 seconds.
+// The same messages are served over a WebSocket at /api/events/ws.
+app.get('/api/events', (req, res) => {
+  eventStream.handle(req, res);
+});
+
 // UNIVERSAL GET TORRENTS - Always returns results with optimized performance
 app.get('/api/torrents', (req, res) => {
   // Add a timeout to abort long-running requests
@@ -1429,12 +2083,18 @@ app.get('/api/torrents', (req, res) => {
   });
   
   try {
+    // ?owner=me, a username or a user id; ?owner=none for torrents nobody owns
+    const ownerId = resolveOwnerFilter(req.query.owner, req.user);
+    const filterByOwner = (response) => ownerId === undefined ? response : {
+      torrents: response.torrents.filter(torrent => (torrent.addedBy?.id || null) === ownerId)
+    };
+    
     // Use simple cache to avoid regenerating the same data repeatedly
     const now = Date.now();
     if (global.torrentListCache && 
         global.torrentListCacheTime && 
         now - global.torrentListCacheTime < 2000) { // 2 second cache
-      return res.json(global.torrentListCache);
+      return res.json(filterByOwner(global.torrentListCache));
     }
     
     // Minimize operations by using more efficient code
@@ -1443,18 +2103,7 @@ app.get('/api/torrents', (req, res) => {
       const torrent = torrents[key];
       if (!torrent) continue;
       
-      activeTorrents.push({
-        infoHash: torrent.infoHash,
-        name: torrent.name,
-        size: torrent.length || 0,
-        downloaded: torrent.downloaded || 0,
-        uploaded: 0,
-        progress: torrent.progress || 0,
-        downloadSpeed: torrent.downloadSpeed || 0,
-        uploadSpeed: 0,
-        peers: torrent.numPeers || 0,
-        addedAt: torrent.addedAt || new Date().toISOString()
-      });
+      activeTorrents.push(torrentSummary(torrent));
     }
     
     // Skip verbose logging on each poll
@@ -1464,7 +2113,7 @@ app.get('/api/torrents', (req, res) => {
     global.torrentListCache = response;
     global.torrentListCacheTime = now;
     
-    res.json(response);
+    res.json(filterByOwner(response));
   } catch (error) {
     console.error('Error in /api/torrents:', error.message);
     res.status(500).json({ error: 'Internal server error' });
@@ -1528,13 +2177,7 @@ app.get('/api/torrents/:identifier', async (req, res) => {
     const maxFilesToShow = 1000; // Limit files for very large torrents
     const files = torrent.files
       .slice(0, maxFilesToShow)
-      .map((file, index) => ({
-        index,
-        name: file.name,
-        size: file.length || 0,
-        downloaded: file.downloaded || 0,
-        progress: file.progress || 0
-      }));
+      .map((file, index) => describeFile(torrent, file, index));
 
     const response = { 
       torrent: {
@@ -1542,13 +2185,17 @@ app.get('/api/torrents/:identifier', async (req, res) => {
         name: torrent.name,
         size: torrent.length || 0,
         downloaded: torrent.downloaded || 0,
-        uploaded: 0,
+        uploaded: seedingPolicy.totalUploaded(torrent),
         progress: torrent.progress || 0,
         downloadSpeed: torrent.downloadSpeed || 0,
-        uploadSpeed: 0,
+        uploadSpeed: torrent.uploadSpeed || 0,
         peers: torrent.numPeers || 0,
         files: torrent.files?.length || 0,
-        addedAt: torrent.addedAt || new Date().toISOString()
+        addedAt: torrent.addedAt || new Date().toISOString(),
+        addedBy: describeOwner(torrent.addedBy),
+        category: torrent.category || null,
+        release: parseReleaseName(torrent.name),
+        ...torrentControlState(torrent)
       }, 
       files,
       filesTotal: torrent.files?.length || 0,
@@ -1615,13 +2262,7 @@ app.get('/api/torrents/:identifier/files', async (req, res) => {
     
     const files = torrent.files
       .slice(start, end)
-      .map((file, idx) => ({
-        index: start + idx, // Correct index based on pagination
-        name: file.name,
-        size: file.length || 0,
-        downloaded: file.downloaded || 0,
-        progress: file.progress || 0
-      }));
+      .map((file, idx) => describeFile(torrent, file, start + idx)); // Correct index based on pagination
 
     const response = {
       files,
@@ -1647,6 +2288,79 @@ app.get('/api/torrents/:identifier/files', async (req, res) => {
   }
 });
 
+// FILE SELECTION - Select/deselect files or folders and set their priority
+// Body: { files: [{ index, selected?, priority? }], folders: [{ path, selected?, priority? }] }
+app.patch('/api/torrents/:identifier/files', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  const { files = [], folders = [] } = req.body || {};
+  
+  if (!Array.isArray(files) || !Array.isArray(folders)) {
+    return res.status(400).json({ error: 'files and folders must be arrays' });
+  }
+  
+  const changes = [
+    ...files.map(change => ({ ...change, path: undefined })),
+    ...folders.map(change => ({ ...change, index: undefined }))
+  ];
+  
+  if (changes.length === 0) {
+    return res.status(400).json({ error: 'No file or folder changes provided' });
+  }
+  
+  const invalid = changes.find(change =>
+    !change ||
+    (change.priority === undefined && change.selected === undefined) ||
+    (change.priority !== undefined && !isValidPriority(change.priority)) ||
+    (change.selected !== undefined && typeof change.selected !== 'boolean')
+  );
+  
+  if (invalid) {
+    return res.status(400).json({ 
+      error: `Each change needs "selected" (boolean) or "priority" (${FILE_PRIORITIES.join('/')})`
+    });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    if (!torrent.files || torrent.files.length === 0) {
+      return res.status(409).json({ error: 'Torrent metadata not available yet' });
+    }
+    
+    const badIndex = files.find(change => 
+      !Number.isInteger(change.index) || !torrent.files[change.index]
+    );
+    if (badIndex) {
+      return res.status(400).json({ error: `Invalid file index: ${badIndex.index}` });
+    }
+    
+    const badFolder = folders.find(change => !hasFolder(torrent, change.path));
+    if (badFolder) {
+      return res.status(400).json({ error: `No such folder in this torrent: ${badFolder.path}` });
+    }
+    
+    const { priorities, changed } = resolvePriorityChanges(torrent, changes);
+    applyFilePriorities(torrent, priorities);
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`🗂️ Updated ${changed} file priorities for: ${torrent.name}`);
+    
+    res.json({
+      success: true,
+      changed,
+      files: torrent.files.map((file, index) => describeFile(torrent, file, index))
+    });
+  } catch (error) {
+    console.error(`❌ File selection failed:`, error.message);
+    res.status(500).json({ error: 'Failed to update file selection: ' + error.message });
+  }
+});
+
 // UNIVERSAL STATS ENDPOINT - Optimized with caching and timeout
 app.get('/api/torrents/:identifier/stats', async (req, res) => {
   const identifier = req.params.identifier;
@@ -1689,11 +2403,12 @@ app.get('/api/torrents/:identifier/stats', async (req, res) => {
       name: torrent.name,
       size: torrent.length || 0,
       downloaded: torrent.downloaded || 0,
-      uploaded: 0,
+      uploaded: seedingPolicy.totalUploaded(torrent),
       progress: torrent.progress || 0,
       downloadSpeed: torrent.downloadSpeed || 0,
-      uploadSpeed: 0,
+      uploadSpeed: torrent.uploadSpeed || 0,
       peers: torrent.numPeers || 0,
+      ...torrentControlState(torrent),
       timeStamp: Date.now()
     };
     
@@ -1711,8 +2426,477 @@ app.get('/api/torrents/:identifier/stats', async (req, res) => {
   }
 });
 
-// IMDB Data Endpoint - Optimized with caching and timeout
-app.get('/api/torrents/:identifier/imdb', async (req, res) => {
+// TORRENT CONTROL ENDPOINTS - Pause, resume, force-start, recheck, limits, strategy
+app.post('/api/torrents/:identifier/pause', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    pauseTorrent(torrent);
+    torrentQueue.update();
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`⏸️ Paused: ${torrent.name || torrent.infoHash}`);
+    res.json({ success: true, status: 'paused', ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error pausing torrent ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to pause torrent: ' + error.message });
+  }
+});
+
+app.post('/api/torrents/:identifier/resume', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    resumeTorrent(torrent);
+    torrentQueue.update();
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`▶️ Resumed: ${torrent.name || torrent.infoHash}`);
+    res.json({ success: true, status: 'resumed', ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error resuming torrent ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to resume torrent: ' + error.message });
+  }
+});
+
+// Force-start resumes the torrent and exempts it from automatic limits
+app.post('/api/torrents/:identifier/force-start', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    resumeTorrent(torrent);
+    torrent.forceStart = true;
+    torrentQueue.update();
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`⏩ Force-started: ${torrent.name || torrent.infoHash}`);
+    res.json({ success: true, status: 'forced', ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error force-starting torrent ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to force-start torrent: ' + error.message });
+  }
+});
+
+// Recheck runs in the background - verification can take minutes on large torrents
+app.post('/api/torrents/:identifier/recheck', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    if (!torrent.torrentFile) {
+      return res.status(409).json({ error: 'Torrent metadata not available yet' });
+    }
+    
+    const infoHash = torrent.infoHash;
+    invalidateTorrentCaches(torrent);
+    
+    recheckTorrent(torrent)
+      .then(rechecked => {
+        console.log(`✅ Recheck complete: ${rechecked.name} (${(rechecked.progress * 100).toFixed(1)}%)`);
+      })
+      .catch(error => {
+        console.error(`❌ Recheck failed for ${infoHash}:`, error.message);
+      });
+    
+    res.json({ success: true, status: 'checking', infoHash });
+  } catch (error) {
+    console.error(`❌ Error rechecking torrent ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to recheck torrent: ' + error.message });
+  }
+});
+
+// Limits are bytes/sec; -1 or null means unlimited
+app.put('/api/torrents/:identifier/limits', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  const { downloadLimit, uploadLimit } = req.body || {};
+  
+  const isValidLimit = (value) => value === undefined || value === null ||
+    (typeof value === 'number' && Number.isFinite(value) && value >= -1);
+  
+  if (!isValidLimit(downloadLimit) || !isValidLimit(uploadLimit)) {
+    return res.status(400).json({ error: 'Limits must be a number of bytes/sec, or -1/null for unlimited' });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    if (downloadLimit !== undefined) torrent.downloadLimit = normalizeLimit(downloadLimit);
+    if (uploadLimit !== undefined) torrent.uploadLimit = normalizeLimit(uploadLimit);
+    
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`🚦 Limits for ${torrent.name || torrent.infoHash}: down ${torrent.downloadLimit}, up ${torrent.uploadLimit}`);
+    res.json({ success: true, ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error setting limits for ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to set limits: ' + error.message });
+  }
+});
+
+app.put('/api/torrents/:identifier/strategy', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  const { strategy } = req.body || {};
+  
+  if (!TORRENT_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `Strategy must be one of: ${TORRENT_STRATEGIES.join(', ')}` });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    torrent.strategy = strategy;
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`🧭 Strategy for ${torrent.name || torrent.infoHash}: ${strategy}`);
+    res.json({ success: true, ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error setting strategy for ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to set strategy: ' + error.message });
+  }
+});
+
+// DOWNLOAD QUEUE ENDPOINTS - Slot limits and ordering
+function describeQueue() {
+  const live = new Map(client.torrents.map(torrent => [torrent.infoHash, torrent]));
+  
+  return {
+    ...torrentQueue.getLimits(),
+    torrents: torrentQueue.order
+      .filter(infoHash => live.has(infoHash))
+      .map(infoHash => {
+        const torrent = live.get(infoHash);
+        return {
+          infoHash,
+          name: torrent.name || hashToName[infoHash] || 'Loading...',
+          progress: torrent.progress || 0,
+          size: torrent.length || 0,
+          downloadSpeed: torrent.downloadSpeed || 0,
+          uploadSpeed: torrent.uploadSpeed || 0,
+          ...torrentControlState(torrent)
+        };
+      })
+  };
+}
+
+// Apply a queue change everywhere it shows up
+function commitQueueChange() {
+  torrentQueue.update();
+  persistQueueOrder();
+  delete global.torrentListCache;
+  delete global.torrentListCacheTime;
+}
+
+app.get('/api/queue', (req, res) => {
+  try {
+    torrentQueue.update();
+    res.json(describeQueue());
+  } catch (error) {
+    console.error(`❌ Error getting queue:`, error.message);
+    res.status(500).json({ error: 'Failed to get queue: ' + error.message });
+  }
+});
+
+// Slot limits; -1 means unlimited
+app.put('/api/queue', requireRole('admin'), (req, res) => {
+  const { maxActiveDownloads, maxActiveSeeds } = req.body || {};
+  
+  const isValidMax = (value) => value === undefined ||
+    (typeof value === 'number' && Number.isInteger(value) && value >= -1);
+  
+  if (!isValidMax(maxActiveDownloads) || !isValidMax(maxActiveSeeds)) {
+    return res.status(400).json({ error: 'Queue limits must be whole numbers, or -1 for unlimited' });
+  }
+  
+  try {
+    torrentQueue.setLimits({ maxActiveDownloads, maxActiveSeeds });
+    settingsStore.update('queue', torrentQueue.getLimits());
+    commitQueueChange();
+    
+    console.log(`🚦 Queue limits: ${torrentQueue.maxActiveDownloads} downloads, ${torrentQueue.maxActiveSeeds} seeds`);
+    res.json({ success: true, ...describeQueue() });
+  } catch (error) {
+    console.error(`❌ Error setting queue limits:`, error.message);
+    res.status(500).json({ error: 'Failed to set queue limits: ' + error.message });
+  }
+});
+
+// Drag and drop sends the full new order; unlisted torrents keep theirs after it
+app.put('/api/queue/order', requireRole('admin'), (req, res) => {
+  const { order } = req.body || {};
+  
+  if (!Array.isArray(order) || !order.every(infoHash => typeof infoHash === 'string')) {
+    return res.status(400).json({ error: 'Request body must include an "order" array of info hashes' });
+  }
+  
+  try {
+    torrentQueue.reorder(order.map(infoHash => infoHash.toLowerCase()));
+    commitQueueChange();
+    
+    console.log(`🔀 Queue reordered (${torrentQueue.order.length} torrents)`);
+    res.json({ success: true, ...describeQueue() });
+  } catch (error) {
+    console.error(`❌ Error reordering queue:`, error.message);
+    res.status(500).json({ error: 'Failed to reorder queue: ' + error.message });
+  }
+});
+
+app.post('/api/torrents/:identifier/queue/:direction', requireTorrentAccess, async (req, res) => {
+  const { identifier, direction } = req.params;
+  
+  if (!QUEUE_MOVES.includes(direction)) {
+    return res.status(400).json({ error: `Direction must be one of: ${QUEUE_MOVES.join(', ')}` });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    const moved = torrentQueue.move(torrent.infoHash, direction);
+    if (moved) {
+      commitQueueChange();
+      console.log(`🔀 Moved ${direction}: ${torrent.name || torrent.infoHash} (position ${torrentQueue.position(torrent.infoHash)})`);
+    }
+    
+    res.json({ success: true, moved, ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error moving torrent ${identifier} in queue:`, error.message);
+    res.status(500).json({ error: 'Failed to move torrent in queue: ' + error.message });
+  }
+});
+
+// BANDWIDTH ENDPOINTS - Global limits, alternative (turtle) limits and schedule
+app.get('/api/bandwidth', (req, res) => {
+  try {
+    res.json(bandwidthScheduler.getState());
+  } catch (error) {
+    console.error(`❌ Error getting bandwidth policy:`, error.message);
+    res.status(500).json({ error: 'Failed to get bandwidth policy: ' + error.message });
+  }
+});
+
+// Any subset of { normal, alternative, schedule, turtleMode }
+app.put('/api/bandwidth', requireRole('admin'), (req, res) => {
+  const { normal, alternative, schedule, turtleMode } = req.body || {};
+  
+  const isValidLimit = (value) => value === undefined || value === null ||
+    (typeof value === 'number' && Number.isFinite(value) && value >= -1);
+  const isValidLimits = (limits) => limits === undefined ||
+    (typeof limits === 'object' && limits !== null &&
+      isValidLimit(limits.downloadLimit) && isValidLimit(limits.uploadLimit));
+  
+  if (!isValidLimits(normal) || !isValidLimits(alternative)) {
+    return res.status(400).json({ error: 'Limits must be a number of bytes/sec, or -1/null for unlimited' });
+  }
+  
+  if (turtleMode !== undefined && typeof turtleMode !== 'boolean') {
+    return res.status(400).json({ error: '"turtleMode" must be true or false' });
+  }
+  
+  if (schedule !== undefined) {
+    if (typeof schedule !== 'object' || schedule === null ||
+        (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') ||
+        (schedule.rules !== undefined && !Array.isArray(schedule.rules))) {
+      return res.status(400).json({ error: 'Schedule must be { enabled: boolean, rules: [...] }' });
+    }
+    
+    const ruleError = (schedule.rules || []).map(validateScheduleRule).find(Boolean);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+  }
+  
+  try {
+    bandwidthScheduler.update({ normal, alternative, schedule });
+    if (turtleMode !== undefined) {
+      bandwidthScheduler.setTurtleMode(turtleMode);
+      console.log(`🐢 Turtle mode ${turtleMode ? 'on' : 'off'} (manual)`);
+    }
+    settingsStore.update('bandwidth', bandwidthScheduler.toJSON());
+    
+    res.json({ success: true, ...bandwidthScheduler.getState() });
+  } catch (error) {
+    console.error(`❌ Error updating bandwidth policy:`, error.message);
+    res.status(500).json({ error: 'Failed to update bandwidth policy: ' + error.message });
+  }
+});
+
+// SEEDING POLICY ENDPOINTS - Global and per-torrent ratio/time/idle limits
+app.get('/api/seeding', (req, res) => {
+  res.json({ policy: seedingPolicy.policy });
+});
+
+// Any subset of { ratioLimit, seedingTimeLimit, idleTimeLimit, action }; times in minutes
+app.put('/api/seeding', requireRole('admin'), (req, res) => {
+  const error = validateSeedingPolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const policy = seedingPolicy.setPolicy(req.body);
+    settingsStore.update('seeding', policy);
+    delete global.torrentListCache;
+    delete global.torrentListCacheTime;
+    
+    console.log(`🌱 Seeding policy: ratio ${policy.ratioLimit}, time ${policy.seedingTimeLimit} min, idle ${policy.idleTimeLimit} min -> ${policy.action}`);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error(`❌ Error updating seeding policy:`, error.message);
+    res.status(500).json({ error: 'Failed to update seeding policy: ' + error.message });
+  }
+});
+
+// Per-torrent override; null fields inherit the global policy, a null body clears it
+app.put('/api/torrents/:identifier/seeding', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  const override = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+  
+  const error = override && validateSeedingPolicy(override, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    seedingPolicy.setTorrentPolicy(torrent, override);
+    seedingPolicy.reset(torrent);
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`🌱 Seeding policy for ${torrent.name || torrent.infoHash}: ${JSON.stringify(torrent.seedingPolicy || 'global')}`);
+    res.json({
+      success: true,
+      effectivePolicy: seedingPolicy.effectivePolicy(torrent),
+      ...torrentControlState(torrent)
+    });
+  } catch (error) {
+    console.error(`❌ Error setting seeding policy for ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to set seeding policy: ' + error.message });
+  }
+});
+
+// SUBTITLE ENDPOINTS - Search providers and fetch (cached) subtitle files
+// Body: { query, filename, torrentHash, fileIndex, languages }. With a torrent
+// file we also search by OpenSubtitles movie hash once its ends are downloaded.
+app.post('/api/subtitles/search', async (req, res) => {
+  const { query, filename, torrentHash, fileIndex, languages } = req.body || {};
+  
+  if (!query && !filename) {
+    return res.status(400).json({ error: 'A query or filename is required' });
+  }
+  if (languages !== undefined && !Array.isArray(languages) && typeof languages !== 'string') {
+    return res.status(400).json({ error: '"languages" must be a list of language codes' });
+  }
+  
+  try {
+    let movieHash = null;
+    let size = null;
+    
+    if (torrentHash && fileIndex !== undefined && fileIndex !== null) {
+      const torrent = await universalTorrentResolver(torrentHash);
+      const file = torrent?.files?.[parseInt(fileIndex, 10)];
+      if (file) {
+        size = file.length;
+        movieHash = await computeMovieHash(torrent, file).catch(error => {
+          console.log(`⚠️ Could not hash ${file.name}: ${error.message}`);
+          return null;
+        });
+      }
+    }
+    
+    const results = await subtitleService.search({
+      query: query || filename,
+      filename: filename || query,
+      movieHash,
+      size,
+      languages
+    });
+    
+    console.log(`💬 Subtitle search "${query || filename}"${movieHash ? ` (hash ${movieHash})` : ''}: ${results.length} results`);
+    res.json(results);
+  } catch (error) {
+    console.error(`❌ Error searching subtitles:`, error.message);
+    res.status(500).json({ error: 'Failed to search subtitles: ' + error.message });
+  }
+});
+
+// ?format=vtt converts to WebVTT for <track>; ?offset=<seconds> shifts the timing
+app.get('/api/subtitles/download', async (req, res) => {
+  const { url, format: outputFormat } = req.query;
+  const offset = req.query.offset === undefined ? 0 : parseFloat(req.query.offset);
+  
+  if (!url || !subtitleService.resolve(url)) {
+    return res.status(400).json({ error: 'Unknown subtitle source' });
+  }
+  if (!Number.isFinite(offset)) {
+    return res.status(400).json({ error: '"offset" must be a number of seconds' });
+  }
+  
+  try {
+    const { content, format, cached } = await subtitleService.download(url);
+    console.log(`💬 Subtitle ${cached ? 'served from cache' : 'downloaded'}: ${url.split(':')[0]} (${format})`);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    
+    if (outputFormat === 'vtt') {
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      return res.send(toWebVtt(content, { format, offset }).vtt);
+    }
+    
+    const contentTypes = { vtt: 'text/vtt', srt: 'application/x-subrip', ass: 'text/x-ssa' };
+    res.setHeader('Content-Type', `${contentTypes[format] || 'text/plain'}; charset=utf-8`);
+    res.send(content);
+  } catch (error) {
+    console.error(`❌ Error downloading subtitle:`, error.message);
+    res.status(500).json({ error: 'Failed to download subtitle: ' + error.message });
+  }
+});
+
+// IMDB Data Endpoint - Metadata for the torrent's name, from the provider cache when possible
+app.get('/api/torrents/:identifier/imdb', async (req, res) => {
   const identifier = req.params.identifier;
   const debugLevel = process.env.DEBUG === 'true';
   
@@ -1734,16 +2918,6 @@ app.get('/api/torrents/:identifier/imdb', async (req, res) => {
   }, 15000); // 15 second timeout for API calls
   
   try {
-    // Check endpoint-specific cache first
-    const cacheKey = `imdb_data_${identifier}`;
-    const now = Date.now();
-    if (global[cacheKey] && 
-        global[`${cacheKey}_time`] && 
-        now - global[`${cacheKey}_time`] < 3600000) { // 1 hour cache for IMDB data
-      clearTimeout(requestTimeout);
-      return res.json(global[cacheKey]);
-    }
-    
     if (debugLevel) console.log(`🎬 IMDB REQUEST: ${identifier}`);
     
     const torrent = await universalTorrentResolver(identifier);
@@ -1759,15 +2933,15 @@ app.get('/api/torrents/:identifier/imdb', async (req, res) => {
     if (debugLevel) console.log(`🎬 Found torrent: ${torrent.name}, fetching IMDB data...`);
     
     // Use Promise.race to implement a secondary timeout for just the API call
-    const imdbDataPromise = fetchIMDBData(torrent.name);
+    const lookupPromise = metadataService.lookup(torrent.name);
     const timeoutPromise = new Promise((_, reject) => 
       setTimeout(() => reject(new Error('IMDB API timeout')), 10000)
     );
     
-    const imdbData = await Promise.race([imdbDataPromise, timeoutPromise])
+    const { data: imdbData, cached } = await Promise.race([lookupPromise, timeoutPromise])
       .catch(err => {
         console.log(`⚠️ IMDB API error/timeout: ${err.message}`);
-        return null;
+        return { data: null, cached: false };
       });
     
     if (debugLevel) console.log(`🎬 IMDB data result:`, imdbData ? 'SUCCESS' : 'NULL/UNDEFINED');
@@ -1778,7 +2952,7 @@ app.get('/api/torrents/:identifier/imdb', async (req, res) => {
         success: true,
         torrentName: torrent.name,
         imdb: imdbData,
-        cached: false
+        cached
       };
       if (debugLevel) console.log(`✅ IMDB data found for: ${torrent.name}`);
     } else {
@@ -1786,15 +2960,11 @@ app.get('/api/torrents/:identifier/imdb', async (req, res) => {
         success: false,
         torrentName: torrent.name,
         message: 'IMDB data not found',
-        cached: false
+        cached
       };
       if (debugLevel) console.log(`❌ No IMDB data found for: ${torrent.name}`);
     }
     
-    // Cache the response
-    global[cacheKey] = response;
-    global[`${cacheKey}_time`] = now;
-    
     clearTimeout(requestTimeout);
     try {
       if (!res.headersSent) {
@@ -1821,6 +2991,65 @@ app.get('/api/torrents/:identifier/imdb', async (req, res) => {
   }
 });
 
+// AUDIO-ONLY TRANSCODE - The stream route's ?audio=<track> option: video copied, that
+// audio track re-encoded to AAC, as a progressive fragmented MP4. There are no byte
+// ranges, so ?start=<seconds> is how players seek.
+async function streamAudioTranscode(req, res, torrent, fileIndex) {
+  const audioTrack = parseInt(req.query.audio, 10);
+  const start = req.query.start === undefined ? 0 : parseFloat(req.query.start);
+
+  if (!/^\d+$/.test(String(req.query.audio))) {
+    return res.status(400).json({ error: '"audio" must be an audio track number (0 = first)' });
+  }
+  if (!Number.isFinite(start) || start < 0) {
+    return res.status(400).json({ error: '"start" must be a number of seconds' });
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    const { output, duration, stop } = await hlsService.audioTranscode(torrent, fileIndex, { audioTrack, start });
+    if (closed) return stop();
+    res.on('close', stop);
+
+    res.writeHead(200, {
+      'Content-Type': 'video/mp4',
+      'Accept-Ranges': 'none',
+      'X-Content-Duration': duration.toFixed(3),
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'X-Content-Duration'
+    });
+    output.pipe(res);
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('❌ Audio transcode failed:', error.message);
+    }
+    if (!res.headersSent) {
+      res.status(error.status || 500).json({ error: 'Failed to transcode audio: ' + error.message });
+    }
+  }
+}
+
+// Send a file stream, through the share link's bandwidth cap when the request came with one
+function pipeFileStream(req, stream, res) {
+  const throttle = req.shareLink && shareLinks.throttle(req.shareLink);
+  if (!throttle) {
+    stream.pipe(res);
+    return;
+  }
+  
+  // Leave the link's throttle group as soon as the viewer goes away
+  res.on('close', () => {
+    stream.destroy();
+    throttle.destroy();
+  });
+  stream.pipe(throttle).pipe(res);
+}
+
 // UNIVERSAL STREAMING - Enhanced for production environments
 app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
   const { identifier, fileIdx } = req.params;
@@ -1853,13 +3082,19 @@ app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
     }
     
     // Ensure torrent is active and file is selected with high priority
-    torrent.resume();
+    // (a finished file streams from disk, so a paused seed can stay paused)
+    if (!resumeForPlayback(req, res, torrent, file)) {
+      clearTimeout(streamTimeout);
+      return;
+    }
+    markStreamed(torrent);
     file.select();
     file.critical = true; // Mark as critical for higher priority
     
-    // Ensure we don't have too strict upload limits while streaming
-    if (torrent.uploadLimit < 5000) {
-      torrent.uploadLimit = 5000; // Set minimum upload for better peer reciprocity during streaming
+    // Lighter than HLS for H.264 releases with AC3/DTS audio (not over share links)
+    if (req.query.audio !== undefined && !req.shareLink) {
+      clearTimeout(streamTimeout);
+      return streamAudioTranscode(req, res, torrent, parseInt(fileIdx, 10));
     }
     
     if (debugLevel) console.log(`🎬 Streaming: ${file.name} (${(file.length / 1024 / 1024).toFixed(1)} MB)`);
@@ -1881,7 +3116,9 @@ app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
       'mpg': 'video/mpeg',
       'mpeg': 'video/mpeg'
     };
-    const contentType = mimeTypes[ext] || 'video/mp4';
+    // Trust the container over the extension once the file has been probed
+    const probed = mediaProbe.cached(torrent, parseInt(fileIdx, 10));
+    const contentType = probed?.mimeType || mimeTypes[ext] || 'video/mp4';
     
     // Enhanced range request handling
     const range = req.headers.range;
@@ -1980,7 +3217,7 @@ app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
         res.on('close', markStreamEnded);
         
         // Pipe with error handling
-        stream.pipe(res);
+        pipeFileStream(req, stream, res);
       } catch (streamError) {
         console.error(`❌ [${streamRequestId}] Failed to create stream:`, streamError.message);
         if (!res.headersSent && !res.writableEnded) {
@@ -2013,7 +3250,7 @@ app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
         stream.on('end', markStreamEnded);
         res.on('close', markStreamEnded);
         
-        stream.pipe(res);
+        pipeFileStream(req, stream, res);
       } catch (streamError) {
         clearTimeout(streamTimeout);
         if (!res.headersSent) {
@@ -2031,6 +3268,338 @@ app.get('/api/torrents/:identifier/files/:fileIdx/stream', async (req, res) => {
   }
 });
 
+// MEDIA PROBE - Container, streams, HDR and chapters from ffprobe, plus whether the
+// browser can play the file directly or needs an HLS remux/transcode
+app.get('/api/torrents/:identifier/files/:fileIdx/probe', async (req, res) => {
+  const { identifier, fileIdx } = req.params;
+
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+
+    const fileIndex = parseInt(fileIdx, 10);
+    const file = torrent.files[fileIndex];
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Paused torrents aren't resumed just to look inside - probing then
+    // only works once the head and tail of the file are on disk
+    const report = await mediaProbe.report(torrent, fileIndex);
+    res.json({
+      file: { index: fileIndex, name: file.name, size: file.length },
+      ...report
+    });
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('❌ Media probe failed:', error.message);
+    }
+    res.status(error.status || 500).json({ error: 'Failed to probe file: ' + error.message });
+  }
+});
+
+// HLS - For files the browser can't play directly (MKV, AVI, WMV, FLV, HEVC, AC3/DTS...).
+// master.m3u8 probes the file; segments are made on demand and seeking restarts ffmpeg there.
+// ?audio=<track> plays an audio track other than the default.
+async function openHlsSession(req, res) {
+  const torrent = await universalTorrentResolver(req.params.identifier);
+  if (!torrent) {
+    res.status(404).json({ error: 'Torrent not found' });
+    return null;
+  }
+
+  const fileIndex = parseInt(req.params.fileIdx, 10);
+  const file = torrent.files[fileIndex];
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+
+  const { audio } = req.query;
+  if (audio !== undefined && !/^\d+$/.test(String(audio))) {
+    res.status(400).json({ error: '"audio" must be an audio track number (0 = first)' });
+    return null;
+  }
+
+  if (!resumeForPlayback(req, res, torrent, file)) return null;
+  markStreamed(torrent);
+  file.select();
+  return hlsService.open(torrent, fileIndex, {
+    audioTrack: audio === undefined ? undefined : parseInt(audio, 10)
+  });
+}
+
+function sendHlsError(res, error, action) {
+  if (!error.status || error.status >= 500) {
+    console.error(`❌ HLS ${action} failed:`, error.message);
+  }
+  if (!res.headersSent) {
+    res.status(error.status || 500).json({ error: `Failed to ${action}: ` + error.message });
+  }
+}
+
+app.get('/api/torrents/:identifier/files/:fileIdx/hls/master.m3u8', async (req, res) => {
+  try {
+    const session = await openHlsSession(req, res);
+    if (!session) return;
+
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/vnd.apple.mpegurl').send(hlsService.masterPlaylist(session));
+  } catch (error) {
+    sendHlsError(res, error, 'prepare HLS stream');
+  }
+});
+
+app.get('/api/torrents/:identifier/files/:fileIdx/hls/index.m3u8', async (req, res) => {
+  try {
+    const session = await openHlsSession(req, res);
+    if (!session) return;
+
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/vnd.apple.mpegurl').send(hlsService.mediaPlaylist(session));
+  } catch (error) {
+    sendHlsError(res, error, 'prepare HLS stream');
+  }
+});
+
+app.get('/api/torrents/:identifier/files/:fileIdx/hls/:segment', async (req, res) => {
+  const match = /^segment(\d+)\.(ts|m4s)$/.exec(req.params.segment);
+  if (!match && req.params.segment !== 'init.mp4') {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  try {
+    const session = await openHlsSession(req, res);
+    if (!session) return;
+
+    const segmentFile = match
+      ? await hlsService.segment(session, parseInt(match[1], 10))
+      : await hlsService.initSegment(session);
+
+    res.sendFile(segmentFile, {
+      headers: { 'Content-Type': match && match[2] === 'ts' ? 'video/mp2t' : 'video/mp4' }
+    });
+  } catch (error) {
+    sendHlsError(res, error, 'get HLS segment');
+  }
+});
+
+// SUBTITLES AS WEBVTT - Browsers' <track> only plays WebVTT, so convert
+// SRT/ASS/SSA/SBV/MicroDVD files from the torrent on the fly.
+// ?offset=<seconds> shifts the timing, ?encoding= overrides detection, ?fps= for MicroDVD.
+const MAX_SUBTITLE_SIZE = 10 * 1024 * 1024;
+
+app.get('/api/torrents/:identifier/files/:fileIdx/subtitles.vtt', async (req, res) => {
+  const { identifier, fileIdx } = req.params;
+  const offset = req.query.offset === undefined ? 0 : parseFloat(req.query.offset);
+  const fps = req.query.fps === undefined ? undefined : parseFloat(req.query.fps);
+  
+  if (!Number.isFinite(offset)) {
+    return res.status(400).json({ error: '"offset" must be a number of seconds' });
+  }
+  if (fps !== undefined && !(fps > 0)) {
+    return res.status(400).json({ error: '"fps" must be a positive number' });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    const file = torrent.files[parseInt(fileIdx, 10)];
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (file.length > MAX_SUBTITLE_SIZE) {
+      return res.status(413).json({ error: 'File is too large to be a subtitle' });
+    }
+    
+    // Subtitles are tiny - resume a paused torrent for them when allowed to
+    if (!resumeForPlayback(req, res, torrent, file)) return;
+    
+    const buffer = await new Promise((resolve, reject) => {
+      const chunks = [];
+      file.createReadStream()
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .on('error', reject);
+    });
+    
+    let decoded;
+    try {
+      decoded = decodeSubtitle(buffer, req.query.encoding || null);
+    } catch (error) {
+      return res.status(400).json({ error: `Unknown encoding "${req.query.encoding}"` });
+    }
+    
+    const format = detectSubtitleFormat(decoded.text, file.name.split('.').pop());
+    if (!format) {
+      return res.status(415).json({ error: 'Not a supported subtitle format' });
+    }
+    
+    const { vtt, cues } = toWebVtt(decoded.text, { format, offset, fps });
+    console.log(`💬 Converted ${file.name} (${format}, ${decoded.encoding}) to WebVTT: ${cues} cues${offset ? `, offset ${offset}s` : ''}`);
+    
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(vtt);
+  } catch (error) {
+    console.error(`❌ Error converting subtitles ${identifier}/${fileIdx}:`, error.message);
+    res.status(500).json({ error: 'Failed to convert subtitles: ' + error.message });
+  }
+});
+
+// EMBEDDED SUBTITLES - Text subtitle tracks inside MKV/MP4 files, extracted with
+// ffmpeg on first use and cached on disk. Listing only needs the probe; extracting
+// reads the whole file, so it waits for the torrent to get there.
+app.get('/api/torrents/:identifier/files/:fileIdx/subtitles', async (req, res) => {
+  const { identifier, fileIdx } = req.params;
+
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+
+    const fileIndex = parseInt(fileIdx, 10);
+    if (!torrent.files[fileIndex]) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const tracks = await embeddedSubtitles.list(torrent, fileIndex);
+    res.json(tracks.map(track => ({
+      ...track,
+      url: `/api/torrents/${identifier}/files/${fileIndex}/subtitles/${track.track}.vtt`
+    })));
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('❌ Listing embedded subtitles failed:', error.message);
+    }
+    res.status(error.status || 500).json({ error: 'Failed to list subtitle tracks: ' + error.message });
+  }
+});
+
+app.get('/api/torrents/:identifier/files/:fileIdx/subtitles/:track.vtt', async (req, res) => {
+  const { identifier, fileIdx, track } = req.params;
+  const offset = req.query.offset === undefined ? 0 : parseFloat(req.query.offset);
+
+  if (!/^\d+$/.test(track)) {
+    return res.status(400).json({ error: 'Subtitle track must be a number (0 = first)' });
+  }
+  if (!Number.isFinite(offset)) {
+    return res.status(400).json({ error: '"offset" must be a number of seconds' });
+  }
+
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+
+    const fileIndex = parseInt(fileIdx, 10);
+    const file = torrent.files[fileIndex];
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!resumeForPlayback(req, res, torrent, file)) return;
+
+    const { content, format, cached } = await embeddedSubtitles.extract(torrent, fileIndex, parseInt(track, 10));
+    const { vtt, cues } = toWebVtt(content, { format, offset });
+    if (!cached) {
+      console.log(`💬 Extracted subtitle track ${track} of ${file.name} (${format}): ${cues} cues`);
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(vtt);
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error(`❌ Error extracting subtitles ${identifier}/${fileIdx}/${track}:`, error.message);
+    }
+    res.status(error.status || 500).json({ error: 'Failed to extract subtitles: ' + error.message });
+  }
+});
+
+// TRICKPLAY - Seek-bar thumbnails: sprite sheets plus a WebVTT map of their tiles.
+// Asking for the map moves the file to the front of the background queue; until the
+// sprites exist it answers 202 with where things are at (waiting for the download,
+// queued, generating).
+async function resolveTrickplayFile(req, res) {
+  if (!config.trickplay.enabled) {
+    res.status(404).json({ error: 'Thumbnail previews are disabled' });
+    return null;
+  }
+
+  const torrent = await universalTorrentResolver(req.params.identifier);
+  if (!torrent) {
+    res.status(404).json({ error: 'Torrent not found' });
+    return null;
+  }
+
+  const fileIndex = parseInt(req.params.fileIdx, 10);
+  const file = torrent.files[fileIndex];
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  if (!VIDEO_FILE_PATTERN.test(file.name)) {
+    res.status(415).json({ error: 'Not a video file' });
+    return null;
+  }
+
+  return { torrent, fileIndex };
+}
+
+app.get('/api/torrents/:identifier/files/:fileIdx/trickplay/thumbnails.vtt', async (req, res) => {
+  try {
+    const target = await resolveTrickplayFile(req, res);
+    if (!target) return;
+
+    const state = trickplay.request(target.torrent, target.fileIndex);
+    if (state.status === 'failed') {
+      return res.status(422).json({ error: 'Failed to generate thumbnails: ' + state.error });
+    }
+    if (state.status !== 'ready') {
+      res.setHeader('Retry-After', '30');
+      return res.status(202).json(state);
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.sendFile(trickplay.mapPath(target.torrent.infoHash, target.fileIndex));
+  } catch (error) {
+    console.error('❌ Error getting thumbnails:', error.message);
+    res.status(500).json({ error: 'Failed to get thumbnails: ' + error.message });
+  }
+});
+
+app.get('/api/torrents/:identifier/files/:fileIdx/trickplay/:sprite', async (req, res) => {
+  if (!/^sprite-\d+\.jpg$/.test(req.params.sprite)) {
+    return res.status(404).json({ error: 'Sprite not found' });
+  }
+
+  try {
+    const target = await resolveTrickplayFile(req, res);
+    if (!target) return;
+
+    const spritePath = trickplay.spritePath(target.torrent.infoHash, target.fileIndex, req.params.sprite);
+    if (!fs.existsSync(spritePath)) {
+      return res.status(404).json({ error: 'Sprite not found' });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.sendFile(spritePath);
+  } catch (error) {
+    console.error('❌ Error getting thumbnail sprite:', error.message);
+    res.status(500).json({ error: 'Failed to get thumbnail sprite: ' + error.message });
+  }
+});
+
 // UNIVERSAL DOWNLOAD - Download files with proper headers
 app.get('/api/torrents/:identifier/files/:fileIdx/download', async (req, res) => {
   const { identifier, fileIdx } = req.params;
@@ -2049,7 +3618,8 @@ app.get('/api/torrents/:identifier/files/:fileIdx/download', async (req, res) =>
     }
     
     // Ensure torrent is active and file is selected
-    torrent.resume();
+    if (!resumeForPlayback(req, res, torrent, file)) return;
+    markStreamed(torrent);
     file.select();
     
     console.log(`📥 Downloading: ${file.name} (${(file.length / 1024 / 1024).toFixed(1)} MB)`);
@@ -2078,24 +3648,94 @@ app.get('/api/torrents/:identifier/files/:fileIdx/download', async (req, res) =>
       });
       
       const stream = file.createReadStream({ start, end });
-      stream.pipe(res);
+      pipeFileStream(req, stream, res);
     } else {
       res.writeHead(200, {
         'Content-Length': file.length,
         'Content-Disposition': `attachment; filename="${filename}"`,
         'Content-Type': 'application/octet-stream'
       });
-      file.createReadStream().pipe(res);
+      pipeFileStream(req, file.createReadStream(), res);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Universal download failed:`, error.message);
+    res.status(500).json({ error: 'Download failed: ' + error.message });
+  }
+});
+
+// SHARE LINKS - members hand out one file without handing out an account
+function shareBaseUrl(req) {
+  return (config.share.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function describeShareLink(record, req) {
+  const base = shareBaseUrl(req);
+  const query = shareLinks.query(record);
+  return {
+    ...record,
+    createdBy: describeOwner(record.createdBy),
+    usesLeft: record.maxUses === null ? null : Math.max(record.maxUses - record.uses, 0),
+    url: `${base}/share/${record.id}?${shareLinks.pageQuery(record)}`,
+    mediaUrl: `${base}/api/torrents/${record.infoHash}/files/${record.fileIdx}/${record.mode}?${query}`
+  };
+}
+
+app.post('/api/torrents/:identifier/files/:fileIdx/share', requireTorrentAccess, async (req, res) => {
+  const { identifier, fileIdx } = req.params;
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    const index = parseInt(fileIdx, 10);
+    const file = torrent.files[index];
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
     }
     
+    const { mode, expiresInHours, maxUses, bandwidthLimit } = req.body || {};
+    const record = shareLinks.create({
+      infoHash: torrent.infoHash,
+      fileIdx: index,
+      fileName: file.name,
+      mode,
+      createdBy: req.user.id,
+      expiresInHours: expiresInHours === undefined ? 24 : expiresInHours,
+      maxUses: maxUses === undefined || maxUses === null || maxUses === '' ? null : Number(maxUses),
+      // KB/s like the torrent limits
+      bandwidthLimit: bandwidthLimit === undefined || bandwidthLimit === null || bandwidthLimit === ''
+        ? null
+        : Math.round(Number(bandwidthLimit) * 1024)
+    });
+    
+    console.log(`🔗 Share link ${record.id} for ${file.name} (${record.mode}) created by ${req.user.username}, expires ${record.expiresAt}`);
+    res.status(201).json({ success: true, link: describeShareLink(record, req) });
   } catch (error) {
-    console.error(`❌ Universal download failed:`, error.message);
-    res.status(500).json({ error: 'Download failed: ' + error.message });
+    sendUserError(res, 'create share link', error);
+  }
+});
+
+// Active links - admins see everyone's, members their own
+app.get('/api/shares', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  res.json({ links: shareLinks.list(isAdmin ? null : req.user.id).map(record => describeShareLink(record, req)) });
+});
+
+app.delete('/api/shares/:id', (req, res) => {
+  const isAdmin = hasRole(req.user, 'admin');
+  if (!shareLinks.revoke(req.params.id, isAdmin ? null : req.user.id)) {
+    return res.status(404).json({ error: 'Share link not found' });
   }
+  
+  console.log(`🔗 Share link ${req.params.id} revoked by ${req.user.username}`);
+  res.json({ success: true, id: req.params.id });
 });
 
 // UNIVERSAL REMOVE - Cleans everything
-app.delete('/api/torrents/:identifier', async (req, res) => {
+app.delete('/api/torrents/:identifier', requireTorrentAccess, async (req, res) => {
   const identifier = req.params.identifier;
   console.log(`🗑️ UNIVERSAL REMOVE: ${identifier}`);
   
@@ -2106,30 +3746,18 @@ app.delete('/api/torrents/:identifier', async (req, res) => {
       return res.status(404).json({ error: 'Torrent not found for removal' });
     }
     
-    const torrentName = torrent.name;
-    const infoHash = torrent.infoHash;
-    const freedSpace = torrent.downloaded || 0;
+    let removed;
+    try {
+      removed = await removeTorrent(torrent);
+    } catch (err) {
+      console.log(`⚠️ Error removing torrent: ${err.message}`);
+      return res.status(500).json({ error: 'Failed to remove torrent: ' + err.message });
+    }
     
-    client.remove(torrent, { destroyStore: true }, (err) => {
-      if (err) {
-        console.log(`⚠️ Error removing torrent: ${err.message}`);
-        return res.status(500).json({ error: 'Failed to remove torrent: ' + err.message });
-      }
-      
-      // Clean ALL tracking systems
-      delete torrents[infoHash];
-      delete torrentIds[infoHash];
-      delete torrentNames[infoHash];
-      delete hashToName[infoHash];
-      delete nameToHash[torrentName];
-      
-      console.log(`✅ Torrent removed: ${torrentName}`);
-      
-      res.json({ 
-        message: 'Torrent removed successfully',
-        freedSpace,
-        name: torrentName
-      });
+    res.json({ 
+      message: 'Torrent removed successfully',
+      freedSpace: removed.freedSpace,
+      name: removed.name
     });
     
   } catch (error) {
@@ -2139,14 +3767,14 @@ app.delete('/api/torrents/:identifier', async (req, res) => {
 });
 
 // UNIVERSAL CLEAR ALL
-app.delete('/api/torrents', (req, res) => {
+app.delete('/api/torrents', requireRole('admin'), async (req, res) => {
   console.log('🧹 UNIVERSAL CLEAR ALL');
   
-  const torrentCount = Object.keys(torrents).length;
+  const all = Object.values(torrents).filter(Boolean);
   let removedCount = 0;
   let totalFreed = 0;
   
-  if (torrentCount === 0) {
+  if (all.length === 0) {
     return res.json({ 
       message: 'No torrents to clear',
       cleared: 0,
@@ -2154,35 +3782,31 @@ app.delete('/api/torrents', (req, res) => {
     });
   }
   
-  Object.values(torrents).forEach(torrent => {
-    totalFreed += torrent.downloaded || 0;
-  });
-  
-  const removePromises = Object.values(torrents).map(torrent => {
-    return new Promise((resolve) => {
-      client.remove(torrent, { destroyStore: true }, (err) => {
-        if (!err) removedCount++;
-        resolve();
-      });
-    });
-  });
+  for (const torrent of all) {
+    try {
+      const { freedSpace } = await removeTorrent(torrent, { deleteData: true });
+      removedCount++;
+      totalFreed += freedSpace;
+    } catch (error) {
+      console.error(`❌ Error removing ${torrent.name || torrent.infoHash}:`, error.message);
+    }
+  }
   
-  Promise.all(removePromises).then(() => {
-    // Clear ALL tracking systems
-    Object.keys(torrents).forEach(key => delete torrents[key]);
-    Object.keys(torrentIds).forEach(key => delete torrentIds[key]);
-    Object.keys(torrentNames).forEach(key => delete torrentNames[key]);
-    Object.keys(hashToName).forEach(key => delete hashToName[key]);
-    Object.keys(nameToHash).forEach(key => delete nameToHash[key]);
-    
-    res.json({ 
-      message: `Cleared ${removedCount} torrents successfully`,
-      cleared: removedCount,
-      totalFreed
-    });
+  res.json({ 
+    message: `Cleared ${removedCount} torrents successfully`,
+    cleared: removedCount,
+    totalFreed
   });
 });
 
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
 // Cache stats
 app.get('/api/cache/stats', async (req, res) => {
   try {
@@ -2191,39 +3815,37 @@ app.get('/api/cache/stats', async (req, res) => {
     // Calculate actual cache size from WebTorrent client data
     let cacheSize = 0;
     let downloadedBytes = 0;
+    let fileCount = 0;
     
     client.torrents.forEach(torrent => {
-      // Add total size of each torrent (this is the actual cache size)
+      // Add total size of each torrent
       cacheSize += torrent.length || 0;
-      // Add downloaded bytes (for information)
-      downloadedBytes += torrent.downloaded || 0;
+      // Downloaded bytes are what is actually on disk - the quota counts these
+      downloadedBytes += cacheRetention.usage(torrent);
+      fileCount += torrent.files ? torrent.files.length : 0;
     });
 
-    const formatBytes = (bytes) => {
-      if (bytes === 0) return '0 B';
-      const k = 1024;
-      const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    };
-
-    // Cache limit (5GB default)
-    const cacheLimitBytes = 5 * 1024 * 1024 * 1024; // 5GB in bytes
-    const usagePercentage = cacheLimitBytes > 0 ? (cacheSize / cacheLimitBytes) * 100 : 0;
+    const { quotaBytes } = cacheRetention.policy;
+    const usagePercentage = quotaBytes > 0 ? Math.min(100, (downloadedBytes / quotaBytes) * 100) : 0;
 
     const stats = {
       totalSizeFormatted: formatBytes(cacheSize), // Use total cache size (torrent lengths)
       totalSize: cacheSize,
       activeTorrents,
+      fileCount,
       cacheSize: cacheSize, // Total torrent sizes in cache
       downloadedBytes: downloadedBytes, // Actual downloaded data
+      totalDownloadedFormatted: formatBytes(downloadedBytes),
       totalTorrentSize: cacheSize, // Same as cacheSize
       totalTorrentSizeFormatted: formatBytes(cacheSize),
-      cacheLimitFormatted: formatBytes(cacheLimitBytes),
-      usagePercentage: Math.round(usagePercentage * 100) / 100 // Round to 2 decimal places
+      cacheLimitBytes: quotaBytes,
+      cacheLimitFormatted: quotaBytes >= 0 ? formatBytes(quotaBytes) : 'Unlimited',
+      usagePercentage: Math.round(usagePercentage * 100) / 100, // Round to 2 decimal places
+      pinnedTorrents: client.torrents.filter(torrent => torrent.pinned).length,
+      policy: cacheRetention.policy
     };
 
-    console.log(`📊 Cache stats: ${formatBytes(cacheSize)} cached (${activeTorrents} torrents, ${usagePercentage.toFixed(1)}% of 5GB limit)`);
+    console.log(`📊 Cache stats: ${formatBytes(downloadedBytes)} on disk (${activeTorrents} torrents, ${usagePercentage.toFixed(1)}% of ${stats.cacheLimitFormatted} quota)`);
     res.json(stats);
   } catch (error) {
     console.error('Error getting cache stats:', error);
@@ -2231,6 +3853,334 @@ app.get('/api/cache/stats', async (req, res) => {
   }
 });
 
+// CACHE RETENTION ENDPOINTS - Policy, cleanup runs and pinning
+app.get('/api/cache/policy', (req, res) => {
+  res.json({ policy: cacheRetention.policy });
+});
+
+// Any subset of { quotaBytes, maxAgeDays, unwatchedDays, autoCleanup }; -1 turns a rule off
+app.put('/api/cache/policy', requireRole('admin'), (req, res) => {
+  const error = validateCachePolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const policy = cacheRetention.setPolicy(req.body);
+    settingsStore.update('cache', policy);
+    
+    console.log(`🧹 Cache policy: quota ${policy.quotaBytes}, max age ${policy.maxAgeDays} days, unwatched ${policy.unwatchedDays} days, auto ${policy.autoCleanup}`);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error(`❌ Error updating cache policy:`, error.message);
+    res.status(500).json({ error: 'Failed to update cache policy: ' + error.message });
+  }
+});
+
+// WATCH FOLDER ENDPOINTS - Folders polled for .torrent and .magnet files
+app.get('/api/watch-folders', requireRole('admin'), (req, res) => {
+  res.json(watchFolders.status());
+});
+
+// { interval, folders: [{ path, category, downloadPath, enabled }] }, either field optional;
+// "folders" replaces the whole list
+app.put('/api/watch-folders', requireRole('admin'), (req, res) => {
+  const error = validateWatchSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const { interval, folders } = req.body;
+    const settings = watchFolders.setSettings({ interval, folders });
+    settingsStore.update('watch', settings);
+    
+    console.log(`👀 Watch folders: ${settings.folders.map(folder => folder.path).join(', ') || 'none'} (every ${settings.interval}s)`);
+    res.json({ success: true, ...watchFolders.status() });
+  } catch (error) {
+    console.error(`❌ Error updating watch folders:`, error.message);
+    res.status(500).json({ error: 'Failed to update watch folders: ' + error.message });
+  }
+});
+
+// Poll now instead of waiting for the next interval
+app.post('/api/watch-folders/scan', requireRole('admin'), async (req, res) => {
+  try {
+    await watchFolders.scan();
+    res.json({ success: true, ...watchFolders.status() });
+  } catch (error) {
+    console.error(`❌ Error scanning watch folders:`, error.message);
+    res.status(500).json({ error: 'Failed to scan watch folders: ' + error.message });
+  }
+});
+
+// RSS ENDPOINTS - Feed subscriptions and the rules that pick items to download
+app.get('/api/rss', requireRole('admin'), (req, res) => {
+  res.json({
+    feeds: rssFeeds.listFeeds(),
+    rules: rssFeeds.listRules(),
+    activity: rssFeeds.activity.slice(0, 50)
+  });
+});
+
+// { url, name, interval (minutes), enabled }
+app.post('/api/rss/feeds', requireRole('admin'), (req, res) => {
+  try {
+    const feed = rssFeeds.createFeed(req.body || {});
+    console.log(`📰 RSS feed added: ${feed.name}${feed.enabled ? '' : ' (disabled)'}`);
+    res.json({ success: true, feed });
+  } catch (error) {
+    sendUserError(res, 'add feed', error);
+  }
+});
+
+app.put('/api/rss/feeds/:id', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, feed: rssFeeds.updateFeed(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendUserError(res, 'update feed', error);
+  }
+});
+
+app.delete('/api/rss/feeds/:id', requireRole('admin'), (req, res) => {
+  try {
+    const feed = rssFeeds.removeFeed(req.params.id);
+    console.log(`📰 RSS feed removed: ${feed.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendUserError(res, 'remove feed', error);
+  }
+});
+
+// Poll a feed now; adds carry on in the background
+app.post('/api/rss/feeds/:id/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const { done, ...result } = await rssFeeds.refresh(req.params.id);
+    done.catch(() => {});
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendUserError(res, 'check feed', error);
+  }
+});
+
+// What the rules would do with a feed's items, without adding anything:
+// { feedId } or { url }, plus an optional unsaved { rule } to try instead of the stored ones
+app.post('/api/rss/preview', requireRole('admin'), async (req, res) => {
+  try {
+    const { feedId, url, rule } = req.body || {};
+    if (!feedId && !url) {
+      throw new RssError('"feedId" or "url" is required');
+    }
+    res.json(await rssFeeds.preview({ feedId, url, rule }));
+  } catch (error) {
+    sendUserError(res, 'preview feed', error);
+  }
+});
+
+// { name, include, exclude, qualities, skipDownloaded, feedIds, category, downloadPath, enabled }
+app.post('/api/rss/rules', requireRole('admin'), (req, res) => {
+  try {
+    const rule = rssFeeds.createRule(req.body || {});
+    console.log(`📰 RSS rule added: ${rule.name}`);
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendUserError(res, 'add rule', error);
+  }
+});
+
+app.put('/api/rss/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, rule: rssFeeds.updateRule(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendUserError(res, 'update rule', error);
+  }
+});
+
+app.delete('/api/rss/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    rssFeeds.removeRule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendUserError(res, 'remove rule', error);
+  }
+});
+
+// SEARCH ENDPOINTS - One query across the enabled torrent-search-api providers
+app.get('/api/search/providers', (req, res) => {
+  res.json({ providers: torrentSearch.listProviders() });
+});
+
+// ?q=&category=&providers=1337x,Yts&sort=relevance|seeders|size
+app.get('/api/search', async (req, res) => {
+  try {
+    const providers = String(req.query.providers || '').split(',').map(name => name.trim()).filter(Boolean);
+    const result = await torrentSearch.search({
+      query: req.query.q,
+      category: req.query.category || 'All',
+      providers,
+      sort: req.query.sort || 'relevance'
+    });
+    const answered = result.providers.filter(provider => !provider.error).length;
+    console.log(`🔎 Search "${result.query}": ${result.results.length} results from ${answered}/${result.providers.length} providers`);
+    res.json(result);
+  } catch (error) {
+    sendUserError(res, 'search', error);
+  }
+});
+
+// Fetch the result's magnet (from its provider page, if the listing had none) and add it
+app.post('/api/search/results/:id/add', requireRole('member'), async (req, res) => {
+  try {
+    const magnet = await torrentSearch.resolveMagnet(req.params.id);
+    const torrent = await loadTorrentFromId(magnet, { addedBy: req.user.id });
+    res.json({
+      success: true,
+      infoHash: torrent.infoHash,
+      name: torrent.name || 'Loading...',
+      size: torrent.length || 0
+    });
+  } catch (error) {
+    sendUserError(res, 'add search result', error);
+  }
+});
+
+// METADATA ENDPOINTS - Provider order, lookup language and the on-disk cache
+app.get('/api/metadata/settings', (req, res) => {
+  res.json(metadataService.describe());
+});
+
+// { language } - "en", "en-US", ...; cached answers stay per language
+app.put('/api/metadata/settings', requireRole('admin'), (req, res) => {
+  try {
+    const language = metadataService.setLanguage((req.body || {}).language);
+    settingsStore.update('metadata', { language });
+    
+    console.log(`🎬 Metadata language: ${language}`);
+    res.json({ success: true, ...metadataService.describe() });
+  } catch (error) {
+    sendUserError(res, 'update metadata settings', error);
+  }
+});
+
+app.delete('/api/metadata/cache', requireRole('admin'), (req, res) => {
+  const removed = metadataCache.clear();
+  console.log(`🧹 Metadata cache cleared (${removed} entries)`);
+  res.json({ success: true, removed });
+});
+
+// { names: [torrent names] } -> { posters: { name: { title, year, type, poster } or null } },
+// so a grid of torrents needs one request
+app.post('/api/metadata/posters', async (req, res) => {
+  const { names } = req.body || {};
+  if (!Array.isArray(names) || names.length > 100 || names.some(name => typeof name !== 'string')) {
+    return res.status(400).json({ error: '"names" must be a list of at most 100 torrent names' });
+  }
+  
+  try {
+    const found = await metadataService.lookupMany(names);
+    const posters = {};
+    found.forEach((data, name) => {
+      posters[name] = data ? { title: data.Title, year: data.Year, type: data.Type, poster: data.Poster } : null;
+    });
+    res.json({ posters });
+  } catch (error) {
+    console.error(`❌ Error looking up posters:`, error.message);
+    res.status(500).json({ error: 'Failed to look up posters: ' + error.message });
+  }
+});
+
+// Run the retention rules now. Body fields override the stored policy for this
+// run only ("days" is kept as an alias of maxAgeDays); dryRun just lists.
+app.post('/api/cache/clear-old', requireRole('admin'), async (req, res) => {
+  const { dryRun = false, days, ...overrides } = req.body || {};
+  if (days !== undefined && overrides.maxAgeDays === undefined) {
+    overrides.maxAgeDays = days;
+  }
+  delete overrides.autoCleanup;
+  
+  const error = validateCachePolicy(overrides);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: '"dryRun" must be a boolean' });
+  }
+  
+  try {
+    const result = await cacheRetention.run(overrides, { dryRun });
+    const listed = dryRun ? result.candidates : result.removed;
+    const freedSpace = result.removed.reduce((total, entry) => total + entry.size, 0);
+    
+    console.log(`🧹 Cache cleanup${dryRun ? ' (dry run)' : ''}: ${listed.length} torrents, ${formatBytes(listed.reduce((total, entry) => total + entry.size, 0))}`);
+    res.json({
+      dryRun,
+      policy: result.policy,
+      usage: result.usage,
+      candidates: result.candidates,
+      removed: result.removed,
+      deletedTorrents: result.removed.length,
+      deletedFiles: result.removed.reduce((total, entry) => total + entry.files, 0),
+      freedSpace,
+      freedSpaceFormatted: formatBytes(freedSpace),
+      reclaimableSpace: result.candidates.reduce((total, entry) => total + entry.size, 0)
+    });
+  } catch (error) {
+    console.error(`❌ Error clearing old cache:`, error.message);
+    res.status(500).json({ error: 'Failed to clear old cache: ' + error.message });
+  }
+});
+
+// Pinned torrents are never removed by the retention rules
+app.put('/api/torrents/:identifier/pin', requireTorrentAccess, async (req, res) => {
+  const identifier = req.params.identifier;
+  const { pinned } = req.body || {};
+  
+  if (typeof pinned !== 'boolean') {
+    return res.status(400).json({ error: '"pinned" must be a boolean' });
+  }
+  
+  try {
+    const torrent = await universalTorrentResolver(identifier);
+    
+    if (!torrent) {
+      return res.status(404).json({ error: 'Torrent not found' });
+    }
+    
+    torrent.pinned = pinned;
+    persistTorrent(torrent);
+    invalidateTorrentCaches(torrent);
+    
+    console.log(`📌 ${pinned ? 'Pinned' : 'Unpinned'}: ${torrent.name || torrent.infoHash}`);
+    res.json({ success: true, ...torrentControlState(torrent) });
+  } catch (error) {
+    console.error(`❌ Error pinning torrent ${identifier}:`, error.message);
+    res.status(500).json({ error: 'Failed to pin torrent: ' + error.message });
+  }
+});
+
+// System health - memory, torrent count and monitoring warnings. Behind login,
+// unlike /api/health which only says the server is up.
+app.get('/api/system/health', (req, res) => {
+  const memoryUsage = process.memoryUsage();
+  
+  res.json({
+    status: 'ok',
+    uptime: Date.now() - global.systemHealth.startTime,
+    memory: {
+      heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024),
+      rss: Math.round(memoryUsage.rss / 1024 / 1024),
+      external: Math.round(memoryUsage.external / 1024 / 1024)
+    },
+    torrents: client.torrents.length,
+    warnings: {
+      memory: global.systemHealth.memoryWarnings,
+      api: global.systemHealth.apiTimeouts
+    },
+    highMemory: global.systemHealth.highMemoryDetected,
+    timestamp: Date.now()
+  });
+});
+
 // Disk usage
 app.get('/api/system/disk', (req, res) => {
   try {
@@ -2259,35 +4209,34 @@ app.get('/api/system/disk', (req, res) => {
   }
 });
 
-// Function to disable seeding for completed torrents
-function disableSeedingForCompletedTorrents() {
-  let completedCount = 0;
-  
-  client.torrents.forEach(torrent => {
-    // Check if torrent is complete (downloaded === length)
-    if (torrent.progress === 1 || torrent.downloaded === torrent.length) {
-      torrent.uploadLimit = 0;
-      completedCount++;
-      console.log(`✅ Found completed torrent: ${torrent.name} - Disabled seeding`);
-    } else {
-      // Add 'done' event handler if not already completed
-      torrent.once('done', () => {
-        console.log(`✅ Download complete for ${torrent.name} - Stopping seeding`);
-        torrent.uploadLimit = 0; // Disable uploading once download is complete
-      });
-    }
-  });
-  
-  return completedCount;
-}
-
 // Initialize Slack Bot Handler
 const slackHandler = new SlackHandler({
   frontendUrl: config.frontend.url
 });
 
+// Slack users act as the Seedbox account their Slack id is linked to. Unlinked
+// users keep the old behaviour (anyone in the workspace can add, torrents have
+// no owner) unless SLACK_REQUIRE_ACCOUNT is set.
+slackHandler.setPermissionHandler(async (slackUserId, action, infoHash) => {
+  const user = userStore.findBySlackId(slackUserId);
+  if (!user) {
+    if (config.auth.slackRequireAccount) {
+      throw new Error('Your Slack user is not linked to a Seedbox account - ask an admin to link it');
+    }
+    return;
+  }
+
+  const role = action === 'clear-cache' ? 'admin' : 'member';
+  if (!hasRole(user, role)) {
+    throw new Error(`Your Seedbox account "${user.username}" needs the ${role} role for this`);
+  }
+  if (action === 'move' && !canManageTorrent(user, torrents[infoHash])) {
+    throw new Error('Only the member who added this torrent or an admin can move it');
+  }
+});
+
 // Set up torrent handler for Slack
-slackHandler.setTorrentHandler(async (magnetLink, type, destination) => {
+slackHandler.setTorrentHandler(async (magnetLink, type, destination, slackUserId) => {
   try {
     console.log(`📥 Slack adding torrent - Type: ${type || 'none'}, Destination: ${destination || 'default'}`);
 
@@ -2296,7 +4245,8 @@ slackHandler.setTorrentHandler(async (magnetLink, type, destination) => {
 
     if (!torrent) {
       // Try direct loading
-      const newTorrent = await loadTorrentFromId(magnetLink);
+      const owner = userStore.findBySlackId(slackUserId);
+      const newTorrent = await loadTorrentFromId(magnetLink, { addedBy: owner ? owner.id : null });
 
       // Ensure we have an infoHash
       if (!newTorrent || !newTorrent.infoHash) {
@@ -2573,23 +4523,13 @@ slackHandler.setCacheClearHandler(async (clearAll = false) => {
         const torrent = client.torrents.find(t => t.infoHash === torrentInfo.infoHash);
 
         if (torrent) {
-          // Destroy the torrent (removes from client and deletes files)
-          await new Promise((resolve, reject) => {
-            torrent.destroy({ destroyStore: true }, (err) => {
-              if (err) reject(err);
-              else resolve();
-            });
-          });
+          // Removes it from the client, deletes its files and cleans up after it
+          await removeTorrent(torrent, { deleteData: true });
 
           spaceFreed += torrentInfo.size;
           removed.push(torrentInfo.infoHash);
           removedList.push(torrentInfo.name);
 
-          // Clean up our internal storage
-          delete torrents[torrentInfo.infoHash];
-          delete torrentIds[torrentInfo.infoHash];
-          delete torrentNames[torrentInfo.infoHash];
-
           console.log(`✅ Removed: ${torrentInfo.name}`);
         }
       } catch (error) {
@@ -2642,11 +4582,98 @@ setInterval(async () => {
   }
 }, 10000); // Check every 10 seconds
 
+// Re-add every torrent recorded in the session store
+async function restoreSession() {
+  const records = sessionStore.load();
+  if (records.length === 0) return;
+  
+  console.log(`♻️ Restoring ${records.length} torrents from previous session`);
+  
+  // Seed the queue in its saved order before torrents come back in ready order
+  records
+    .slice()
+    .sort((a, b) => (a.queuePosition || Number.MAX_SAFE_INTEGER) - (b.queuePosition || Number.MAX_SAFE_INTEGER))
+    .forEach(record => torrentQueue.add(record.infoHash));
+  
+  const results = await Promise.allSettled(records.map(record => {
+    const source = record.torrentFile
+      ? Buffer.from(record.torrentFile, 'base64')
+      : record.torrentId || record.infoHash;
+    
+    return loadTorrentFromId(source, { restore: record }).catch(error => {
+      console.error(`❌ Failed to restore ${record.name || record.infoHash}:`, error.message);
+      throw error;
+    });
+  }));
+  
+  const restored = results.filter(result => result.status === 'fulfilled').length;
+  console.log(`♻️ Session restore complete: ${restored}/${records.length} torrents`);
+}
+
+restoreSession();
+
+// SHARE PAGE - The public, minimal player a share link opens. Lives outside
+// /api so it needs no login; the signature in the query is the only key.
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function renderSharePage(res, status, title, body) {
+  res.status(status)
+    .set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': "default-src 'none'; media-src 'self'; style-src 'unsafe-inline'",
+      'Referrer-Policy': 'no-referrer',
+      'Cache-Control': 'no-store'
+    })
+    .send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 16px; background: #141414; color: #fff; font-family: system-ui, sans-serif; padding: 16px; box-sizing: border-box; }
+  h1 { font-size: 18px; font-weight: 500; margin: 0; text-align: center; word-break: break-word; }
+  video { width: 100%; max-width: 1100px; max-height: 75vh; background: #000; }
+  a { color: #fff; background: #e50914; padding: 10px 20px; border-radius: 4px; text-decoration: none; }
+  p { color: rgba(255, 255, 255, 0.6); font-size: 13px; margin: 0; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`);
+}
+
+app.get('/share/:id', (req, res) => {
+  let record;
+  try {
+    record = shareLinks.verify({ id: req.params.id, expires: req.query.expires, sig: req.query.sig });
+  } catch (error) {
+    return renderSharePage(res, error.status || 403, 'Link unavailable', `<h1>${escapeHtml(error.message)}</h1>`);
+  }
+  
+  const mediaPath = `/api/torrents/${record.infoHash}/files/${record.fileIdx}/${record.mode}?${shareLinks.query(record)}`;
+  const expires = `Link expires ${new Date(record.expiresAt).toUTCString()}`;
+  const uses = record.maxUses === null ? '' : ` · ${Math.max(record.maxUses - record.uses, 0)} of ${record.maxUses} plays left`;
+  const media = record.mode === 'stream'
+    ? `<video controls playsinline preload="metadata" src="${escapeHtml(mediaPath)}"></video>`
+    : `<a href="${escapeHtml(mediaPath)}">Download</a>`;
+  
+  renderSharePage(res, 200, record.fileName, `<h1>${escapeHtml(record.fileName)}</h1>
+${media}
+<p>${escapeHtml(expires + uses)}</p>`);
+});
+
 // Start server
 const PORT = config.server.port;
 const HOST = config.server.host;
 
-app.listen(PORT, "0.0.0.0", async () => {
+const server = app.listen(PORT, "0.0.0.0", async () => {
   const serverUrl = `${config.server.protocol}://${HOST}:${PORT}`;
   console.log(`🌱 Seedbox Lite server running on ${serverUrl}`);
   console.log(`📱 Frontend URL: ${config.frontend.url}`);
@@ -2659,18 +4686,62 @@ app.listen(PORT, "0.0.0.0", async () => {
     console.error('⚠️  Failed to initialize Slack bot:', error.message);
   }
 
-  // Disable seeding for any already completed torrents
-  setTimeout(() => {
-    const completedCount = disableSeedingForCompletedTorrents();
-    if (completedCount > 0) {
-      console.log(`🛑 Disabled seeding for ${completedCount} already completed torrents`);
-    }
-  }, 5000); // Give the server 5 seconds to initialize properly
+  // Apply seeding limits to finished torrents as they seed
+  seedingPolicy.start();
+  const { ratioLimit, seedingTimeLimit, idleTimeLimit, action } = seedingPolicy.policy;
+  console.log(`🌱 Seeding policy: ratio ${ratioLimit}, time ${seedingTimeLimit} min, idle ${idleTimeLimit} min -> ${action} (-1 = no limit)`);
+  
+  // Evict old/unwatched torrents and keep the cache under its quota
+  cacheRetention.start();
+  const { quotaBytes, maxAgeDays, unwatchedDays, autoCleanup } = cacheRetention.policy;
+  console.log(`🧹 Cache policy: quota ${quotaBytes >= 0 ? formatBytes(quotaBytes) : 'none'}, max age ${maxAgeDays} days, unwatched ${unwatchedDays} days${autoCleanup ? '' : ' (auto cleanup off)'}`);
+
+  // Pick up .torrent/.magnet files dropped into the watch folders
+  watchFolders.start();
+  if (watchFolders.folders.length > 0) {
+    console.log(`👀 Watch folders: ${watchFolders.folders.map(folder => folder.path).join(', ')} (every ${watchFolders.interval}s)`);
+  }
+
+  // Poll RSS feeds as they come due
+  rssFeeds.start();
+  if (rssFeeds.feeds.size > 0) {
+    console.log(`📰 RSS: ${rssFeeds.listFeeds().filter(feed => feed.enabled).length} of ${rssFeeds.feeds.size} feeds enabled`);
+  }
+  console.log(`🔎 Search providers: ${torrentSearch.enabled.join(', ') || 'none'} (${config.search.timeout / 1000}s timeout each)`);
+  const metadataProviders = metadataService.providers.map(provider => provider.name).join(', ');
+  console.log(`🎬 Metadata providers: ${metadataProviders || 'none (set OMDB_API_KEY, TMDB_API_KEY or METADATA_FIXTURES)'}, language ${metadataService.language}`);
+
+  // Reap idle ffmpeg processes and throttle the ones running ahead of the player
+  hlsService.start();
+  console.log(`🎞️ HLS: up to ${hlsService.maxTranscodes} concurrent transcodes, ${hlsService.segmentDuration}s ${hlsService.segmentType} segments`);
+
+  // Seek-bar thumbnails for finished files, one at a time
+  if (config.trickplay.enabled) {
+    trickplay.start();
+    console.log(`🖼️ Trickplay: a ${trickplay.width}px thumbnail every ${trickplay.interval}s`);
+  }
+
+  // Push torrent changes to connected browsers
+  eventStream.start();
+  console.log(`📡 Event stream: ${serverUrl}/api/events (SSE), /api/events/ws (WebSocket)`);
+
+  // Re-check queue slots as torrents finish, pause or stop streaming
+  torrentQueue.start();
+  console.log(`⏳ Download queue: ${torrentQueue.maxActiveDownloads} active downloads, ${torrentQueue.maxActiveSeeds} active seeds (-1 = unlimited)`);
 
   console.log(`🎯 ZERO "Not Found" Errors Guaranteed`);
-  console.log(`⚠️  SECURITY: Download-only mode - Zero uploads guaranteed`);
 
   if (config.isDevelopment) {
     console.log('🔧 Development mode - Environment variables loaded');
   }
 });
+
+eventStream.attachWebSocket(server, '/api/events/ws', (req) => {
+  // Browsers send cookies with cross-site upgrades too, and WebSockets skip CORS
+  if (!isAllowedOrigin(req)) return false;
+  
+  const token = tokenFromRequest(req);
+  return isApiToken(token)
+    ? hasScope(apiTokens.verify(token), 'torrents:read')
+    : Boolean(authSessions.verify(token));
+});
@@ -98,4 +98,159 @@ const createRequestLimiter = (options = {}) => {
   };
 };
 
+/**
+ * Creates a brute-force guard for the login endpoint. Failed logins are
+ * counted per IP and across all IPs within a sliding window:
+ * - An IP with too many failures is locked out, for twice as long each time
+ *   it happens again (strikes are forgotten after a successful login or a day
+ *   without failures)
+ * - Too many failures from everyone at once locks every login for a while,
+ *   against guesses spread over many addresses
+ *
+ * The returned middleware answers 429 (with Retry-After) while locked, calling
+ * options.onBlocked(req, lock) first. The login route reports outcomes with
+ * recordFailure/recordSuccess.
+ * @param {Object} options - Configuration options
+ * @returns {Function} Express middleware with recordFailure, recordSuccess, status and clear
+ */
+const createLoginLimiter = (options = {}) => {
+  const config = {
+    windowMs: options.windowMs || 15 * 60 * 1000,
+    maxAttemptsPerIP: options.maxAttemptsPerIP || 5,
+    maxAttemptsGlobal: options.maxAttemptsGlobal || 50,
+    lockoutMs: options.lockoutMs || 60 * 1000, // first lockout, doubled for each strike after
+    maxLockoutMs: options.maxLockoutMs || 60 * 60 * 1000,
+    globalLockoutMs: options.globalLockoutMs || 5 * 60 * 1000,
+    strikeResetMs: options.strikeResetMs || 24 * 60 * 60 * 1000
+  };
+
+  // ip -> { failures: [timestamps], strikes, lockedUntil, lastFailureAt }
+  const byIP = new Map();
+  const global = { failures: [], lockedUntil: 0 };
+
+  const clientIP = (req) => req.ip || req.connection.remoteAddress || 'unknown';
+
+  const recent = (failures, now) => failures.filter(time => now - time < config.windowMs);
+
+  const prune = (now) => {
+    global.failures = recent(global.failures, now);
+    byIP.forEach((entry, ip) => {
+      entry.failures = recent(entry.failures, now);
+      if (entry.lockedUntil <= now && now - entry.lastFailureAt > config.strikeResetMs) {
+        byIP.delete(ip);
+      }
+    });
+  };
+
+  /**
+   * The lockout an IP is under right now, if any
+   * @returns {{ scope: 'ip'|'global', until: number }|null}
+   */
+  const lockFor = (ip, now = Date.now()) => {
+    const entry = byIP.get(ip);
+    if (entry && entry.lockedUntil > now) return { scope: 'ip', until: entry.lockedUntil };
+    if (global.lockedUntil > now) return { scope: 'global', until: global.lockedUntil };
+    return null;
+  };
+
+  const middleware = (req, res, next) => {
+    const lock = lockFor(clientIP(req));
+    if (!lock) return next();
+
+    const retryAfter = Math.ceil((lock.until - Date.now()) / 1000);
+    res.setHeader('Retry-After', String(retryAfter));
+    if (options.onBlocked) options.onBlocked(req, lock);
+    return res.status(429).json({
+      success: false,
+      error: lock.scope === 'ip'
+        ? `Too many failed logins from your address. Try again in ${retryAfter}s.`
+        : `Too many failed logins. Logins are paused for ${retryAfter}s.`,
+      retryAfter
+    });
+  };
+
+  /**
+   * Count a failed login; returns the lockout it triggered, if any
+   */
+  middleware.recordFailure = (req) => {
+    const ip = clientIP(req);
+    const now = Date.now();
+    prune(now);
+
+    const entry = byIP.get(ip) || { failures: [], strikes: 0, lockedUntil: 0, lastFailureAt: 0 };
+    entry.failures.push(now);
+    entry.lastFailureAt = now;
+    byIP.set(ip, entry);
+    global.failures.push(now);
+
+    if (entry.failures.length >= config.maxAttemptsPerIP) {
+      const duration = Math.min(config.lockoutMs * Math.pow(2, entry.strikes), config.maxLockoutMs);
+      entry.strikes++;
+      entry.lockedUntil = now + duration;
+      entry.failures = [];
+      console.log(`🛑 Login locked for ${ip} for ${Math.round(duration / 1000)}s (strike ${entry.strikes})`);
+      return { scope: 'ip', until: entry.lockedUntil };
+    }
+
+    if (global.failures.length >= config.maxAttemptsGlobal) {
+      global.lockedUntil = now + config.globalLockoutMs;
+      global.failures = [];
+      console.log(`🛑 Too many failed logins overall - all logins locked for ${Math.round(config.globalLockoutMs / 1000)}s`);
+      return { scope: 'global', until: global.lockedUntil };
+    }
+
+    return null;
+  };
+
+  /**
+   * A successful login wipes the IP's failures and strikes
+   */
+  middleware.recordSuccess = (req) => {
+    byIP.delete(clientIP(req));
+  };
+
+  /**
+   * Current lockouts and failure counts, for admins
+   */
+  middleware.status = () => {
+    const now = Date.now();
+    prune(now);
+
+    const ips = Array.from(byIP.entries()).map(([ip, entry]) => ({
+      ip,
+      recentFailures: entry.failures.length,
+      strikes: entry.strikes,
+      lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null
+    }));
+
+    return {
+      windowMinutes: config.windowMs / 60000,
+      maxAttemptsPerIP: config.maxAttemptsPerIP,
+      maxAttemptsGlobal: config.maxAttemptsGlobal,
+      global: {
+        recentFailures: global.failures.length,
+        lockedUntil: global.lockedUntil > now ? new Date(global.lockedUntil).toISOString() : null
+      },
+      ips
+    };
+  };
+
+  /**
+   * Lift lockouts: one IP's, or with no IP every lockout including the global one
+   * @returns {boolean} Whether there was anything to clear
+   */
+  middleware.clear = (ip = null) => {
+    if (ip) return byIP.delete(ip);
+
+    const hadAny = byIP.size > 0 || global.lockedUntil > Date.now() || global.failures.length > 0;
+    byIP.clear();
+    global.failures = [];
+    global.lockedUntil = 0;
+    return hadAny;
+  };
+
+  return middleware;
+};
+
 module.exports = createRequestLimiter;
+module.exports.createLoginLimiter = createLoginLimiter;
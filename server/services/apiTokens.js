@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Personal API Tokens
+ *
+ * Long-lived bearer tokens for scripts and home automation, created from the
+ * settings page. Each belongs to a user account and carries scopes that limit
+ * what it can reach on top of that account's role:
+ *   torrents:read  - list torrents and read their status, files and events
+ *   torrents:write - add, change and remove torrents
+ *   stream         - stream, download, subtitles and thumbnails of files
+ *   admin          - every API route the account may use
+ *
+ * Like login sessions, only a SHA-256 of each token is stored. Tokens start
+ * with "sbx_" so they can't be confused with session tokens.
+ *
+ * Record shape:
+ * { id, userId, name, scopes, tokenHash, createdAt, expiresAt, lastUsedAt }
+ */
+
+const SCOPES = ['torrents:read', 'torrents:write', 'stream', 'admin'];
+const TOKEN_PREFIX = 'sbx_';
+const TOUCH_INTERVAL = 60 * 1000; // lastUsedAt is only updated (and saved) this often
+
+class ApiTokenError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Whether a token record grants a scope - admin grants them all
+ */
+function hasScope(record, scope) {
+  return Boolean(record) && (record.scopes.includes('admin') || record.scopes.includes(scope));
+}
+
+class ApiTokens {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where tokens are kept
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'api-tokens.json');
+    this.tokens = new Map(); // tokenHash -> record
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'API tokens',
+      saveDelay: options.saveDelay || 500,
+      mode: 0o600,
+      serialize: () => this.serialize()
+    });
+  }
+
+  /**
+   * Load tokens from disk. Expired ones are kept until pruned so they still
+   * show up (as expired) in the list for a while.
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (Array.isArray(data.tokens) ? data.tokens : []).forEach(record => {
+          if (record && record.tokenHash && record.id && record.userId && Array.isArray(record.scopes)) {
+            this.tokens.set(record.tokenHash, record);
+          }
+        });
+        console.log(`🔑 ${this.tokens.size} API token${this.tokens.size === 1 ? '' : 's'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load API tokens from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  /**
+   * Create a token. The secret is only ever returned here.
+   * @param {Object} options
+   * @param {number} options.expiresInDays - Omit or 0 for a token that never expires
+   * @returns {{ token: string, apiToken: Object }}
+   */
+  create({ userId, name, scopes, expiresInDays = null } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 64) {
+      throw new ApiTokenError('Token name must be 1-64 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new ApiTokenError(`Scopes must be a list of: ${SCOPES.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== null && expiresInDays !== undefined && expiresInDays !== 0) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days < 0) {
+        throw new ApiTokenError('"expiresInDays" must be a positive number of days');
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null
+    };
+
+    this.tokens.set(record.tokenHash, record);
+    this.scheduleSave();
+    return { token, apiToken: this.describe(record) };
+  }
+
+  /**
+   * The live token record for a secret, or null when it's unknown or expired
+   */
+  verify(token) {
+    if (!isApiToken(token)) return null;
+
+    const record = this.tokens.get(hashToken(token));
+    if (!record) return null;
+
+    const now = Date.now();
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) return null;
+
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > TOUCH_INTERVAL) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this.scheduleSave();
+    }
+    return record;
+  }
+
+  /**
+   * Revoke a token by its public id
+   * @param {string} userId - Only when it belongs to this account, when given
+   * @returns {boolean} Whether there was one
+   */
+  revoke(id, userId = null) {
+    for (const [tokenHash, record] of this.tokens) {
+      if (record.id === id && (!userId || record.userId === userId)) {
+        this.tokens.delete(tokenHash);
+        this.scheduleSave();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Revoke every token of an account, e.g. when it's removed
+   */
+  revokeUser(userId) {
+    let removed = 0;
+    this.tokens.forEach((record, tokenHash) => {
+      if (record.userId === userId) {
+        this.tokens.delete(tokenHash);
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * @param {string} userId - Only this account's tokens, when given
+   */
+  list(userId = null) {
+    return Array.from(this.tokens.values())
+      .filter(record => !userId || record.userId === userId)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .map(record => this.describe(record));
+  }
+
+  /**
+   * What's safe to show about a token - never its hash
+   */
+  describe(record) {
+    const { tokenHash, ...apiToken } = record;
+    return {
+      ...apiToken,
+      expired: Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= Date.now()
+    };
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      tokens: Array.from(this.tokens.values())
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = {
+  ApiTokens,
+  ApiTokenError,
+  SCOPES,
+  hasScope,
+  isApiToken
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Login Sessions
+ *
+ * A successful login gets a random token, sent back as an HTTP-only cookie
+ * (so <video src>, <track> and EventSource requests carry it on their own)
+ * and in the response body for scripts that would rather send
+ * "Authorization: Bearer <token>". Only a SHA-256 of each token is kept, in a
+ * JSON file, so sessions survive a restart without the file holding anything
+ * that could be replayed.
+ *
+ * Each session has a public id, separate from its token, for listing and
+ * revoking. Sessions expire a fixed time after login.
+ *
+ * Record shape:
+ * { id, userId, tokenHash, createdAt, expiresAt, lastSeenAt, ip, userAgent }
+ */
+
+const COOKIE_NAME = 'seedbox_session';
+const TOUCH_INTERVAL = 60 * 1000; // lastSeenAt is only updated (and saved) this often
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return cookies;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * The session token a request carries: bearer header first, then the cookie
+ */
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return parseCookies(req.headers.cookie)[COOKIE_NAME] || null;
+}
+
+class AuthSessions {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where sessions are kept
+   * @param {number} options.ttlHours - Session lifetime
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'auth-sessions.json');
+    this.ttl = (options.ttlHours || 720) * 60 * 60 * 1000;
+    this.sessions = new Map(); // tokenHash -> record
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'sessions',
+      saveDelay: options.saveDelay || 500,
+      mode: 0o600,
+      serialize: () => this.serialize()
+    });
+  }
+
+  /**
+   * Load sessions from disk, dropping expired ones. A missing or corrupt file
+   * starts with nobody logged in.
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (Array.isArray(data.sessions) ? data.sessions : []).forEach(record => {
+          if (record && record.tokenHash && record.id && record.userId) {
+            this.sessions.set(record.tokenHash, record);
+          }
+        });
+        this.prune();
+        console.log(`🔐 ${this.sessions.size} login session${this.sessions.size === 1 ? '' : 's'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load sessions from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  /**
+   * Start a session
+   * @returns {{ token: string, session: Object }}
+   */
+  create({ userId, ip = null, userAgent = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+      ip,
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null
+    };
+
+    this.sessions.set(record.tokenHash, record);
+    this.scheduleSave();
+    return { token, session: this.describe(record) };
+  }
+
+  /**
+   * The live session for a token, or null when it's unknown or expired
+   */
+  verify(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const record = this.sessions.get(tokenHash);
+    if (!record) return null;
+
+    const now = Date.now();
+    if (Date.parse(record.expiresAt) <= now) {
+      this.sessions.delete(tokenHash);
+      this.scheduleSave();
+      return null;
+    }
+
+    if (now - Date.parse(record.lastSeenAt) > TOUCH_INTERVAL) {
+      record.lastSeenAt = new Date(now).toISOString();
+      this.scheduleSave();
+    }
+    return record;
+  }
+
+  /**
+   * End a session by its public id
+   * @returns {boolean} Whether there was one
+   */
+  revoke(id) {
+    for (const [tokenHash, record] of this.sessions) {
+      if (record.id === id) {
+        this.sessions.delete(tokenHash);
+        this.scheduleSave();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * End every session of an account, e.g. when it's removed
+   */
+  revokeUser(userId) {
+    let removed = 0;
+    this.sessions.forEach((record, tokenHash) => {
+      if (record.userId === userId) {
+        this.sessions.delete(tokenHash);
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * @param {string} userId - Only this account's sessions, when given
+   */
+  list(userId = null) {
+    this.prune();
+    return Array.from(this.sessions.values())
+      .filter(record => !userId || record.userId === userId)
+      .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt))
+      .map(record => this.describe(record));
+  }
+
+  /**
+   * What's safe to show about a session - never the token hash
+   */
+  describe(record) {
+    const { tokenHash, ...session } = record;
+    return session;
+  }
+
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    this.sessions.forEach((record, tokenHash) => {
+      if (Date.parse(record.expiresAt) <= now) {
+        this.sessions.delete(tokenHash);
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      sessions: Array.from(this.sessions.values())
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = {
+  AuthSessions,
+  COOKIE_NAME,
+  parseCookies,
+  tokenFromRequest
+};
@@ -0,0 +1,206 @@
+const { normalizeLimit } = require('./torrentThrottle');
+
+/**
+ * Global Bandwidth Policy
+ *
+ * Two sets of client-wide limits - "normal" and "alternative" (turtle mode) -
+ * and a weekly schedule that switches to the alternative set inside its
+ * windows. Limits are bytes/sec, -1 = unlimited, applied through
+ * client.throttleDownload()/throttleUpload() so they cap the sum of all
+ * torrents; per-torrent limits still apply on top.
+ *
+ * Schedule windows are `{ days: [1,2,3,4,5], start: '09:00', end: '18:00' }`
+ * in server local time. `days` are the days a window starts on (0 = Sunday);
+ * an end before the start runs past midnight.
+ *
+ * The manual turtle toggle wins until the schedule next changes state, so
+ * turning turtle mode off during office hours lasts until the evening switch.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check one schedule window, returning an error message or null
+ */
+function validateScheduleRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Each schedule rule must be an object';
+  if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+      !rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return 'Schedule rule "days" must list days 0-6 (0 = Sunday)';
+  }
+  if (!TIME_PATTERN.test(rule.start) || !TIME_PATTERN.test(rule.end)) {
+    return 'Schedule rule "start" and "end" must be HH:MM';
+  }
+  if (rule.start === rule.end) return 'Schedule rule "start" and "end" must differ';
+  return null;
+}
+
+function isWithinRule(rule, date) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+  const today = date.getDay();
+
+  if (start < end) {
+    return rule.days.includes(today) && now >= start && now < end;
+  }
+
+  // Overnight window: the evening part belongs to today, the early hours to yesterday
+  const yesterday = (today + 6) % 7;
+  return (rule.days.includes(today) && now >= start) ||
+    (rule.days.includes(yesterday) && now < end);
+}
+
+function normalizeLimits(limits = {}, fallback = {}) {
+  return {
+    downloadLimit: limits.downloadLimit === undefined ? normalizeLimit(fallback.downloadLimit) : normalizeLimit(limits.downloadLimit),
+    uploadLimit: limits.uploadLimit === undefined ? normalizeLimit(fallback.uploadLimit) : normalizeLimit(limits.uploadLimit)
+  };
+}
+
+class BandwidthScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - WebTorrent client to throttle
+   * @param {Object} options.settings - { normal, alternative, schedule, override }
+   * @param {Function} options.onChange - Called when the schedule clears a manual override
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.onChange = options.onChange || (() => {});
+    this.timer = null;
+    this.active = null;
+
+    const settings = options.settings || {};
+    this.normal = normalizeLimits(settings.normal);
+    this.alternative = normalizeLimits(settings.alternative);
+    this.schedule = {
+      enabled: !!settings.schedule?.enabled,
+      rules: Array.isArray(settings.schedule?.rules)
+        ? settings.schedule.rules.filter(rule => !validateScheduleRule(rule))
+        : []
+    };
+    // { alternative: bool, scheduled: bool } - scheduled is the schedule state when toggled
+    this.override = settings.override || null;
+  }
+
+  isScheduledNow(date = new Date()) {
+    return this.schedule.enabled && this.schedule.rules.some(rule => isWithinRule(rule, date));
+  }
+
+  /**
+   * Work out which limit set applies right now and why
+   * @returns {{ mode: string, reason: string }}
+   */
+  resolveMode(date = new Date()) {
+    const scheduled = this.isScheduledNow(date);
+
+    // The schedule moved on since the manual toggle - hand control back
+    if (this.override && this.override.scheduled !== scheduled) {
+      this.override = null;
+      this.onChange(this);
+    }
+
+    if (this.override) {
+      return { mode: this.override.alternative ? 'alternative' : 'normal', reason: 'manual' };
+    }
+
+    return { mode: scheduled ? 'alternative' : 'normal', reason: scheduled ? 'schedule' : 'default' };
+  }
+
+  /**
+   * Push the current limits to the client if they changed
+   */
+  apply(date = new Date()) {
+    const { mode, reason } = this.resolveMode(date);
+    const limits = mode === 'alternative' ? this.alternative : this.normal;
+    const key = `${mode}:${limits.downloadLimit}:${limits.uploadLimit}`;
+
+    if (key !== this.active) {
+      this.active = key;
+      this.client.throttleDownload(limits.downloadLimit);
+      this.client.throttleUpload(limits.uploadLimit);
+      console.log(`${mode === 'alternative' ? '🐢' : '🚀'} Bandwidth ${mode} limits (${reason}): down ${limits.downloadLimit}, up ${limits.uploadLimit}`);
+    }
+
+    return { mode, reason, ...limits };
+  }
+
+  /**
+   * Manually switch turtle mode on or off
+   */
+  setTurtleMode(enabled, date = new Date()) {
+    const scheduled = this.isScheduledNow(date);
+
+    // Matching what the schedule would do anyway needs no override
+    this.override = !!enabled === scheduled ? null : { alternative: !!enabled, scheduled };
+    return this.apply(date);
+  }
+
+  /**
+   * Update any of normal, alternative and schedule. Validate first.
+   */
+  update(changes = {}) {
+    if (changes.normal) this.normal = normalizeLimits(changes.normal, this.normal);
+    if (changes.alternative) this.alternative = normalizeLimits(changes.alternative, this.alternative);
+    if (changes.schedule) {
+      this.schedule = {
+        enabled: changes.schedule.enabled === undefined ? this.schedule.enabled : !!changes.schedule.enabled,
+        rules: changes.schedule.rules === undefined ? this.schedule.rules : changes.schedule.rules
+      };
+    }
+
+    return this.apply();
+  }
+
+  /**
+   * Settings in the shape the constructor accepts (for the settings store)
+   */
+  toJSON() {
+    return {
+      normal: this.normal,
+      alternative: this.alternative,
+      schedule: this.schedule,
+      override: this.override
+    };
+  }
+
+  getState(date = new Date()) {
+    const current = this.apply(date);
+
+    return {
+      normal: this.normal,
+      alternative: this.alternative,
+      schedule: this.schedule,
+      turtleMode: current.mode === 'alternative',
+      mode: current.mode,
+      reason: current.reason,
+      current: {
+        downloadLimit: current.downloadLimit,
+        uploadLimit: current.uploadLimit
+      }
+    };
+  }
+
+  start(interval = 30000) {
+    if (this.timer) return;
+    this.apply();
+    this.timer = setInterval(() => this.apply(), interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  BandwidthScheduler,
+  validateScheduleRule
+};
@@ -0,0 +1,221 @@
+/**
+ * Cache Retention Engine
+ *
+ * Decides which torrents to drop from the download cache. Three rules, each
+ * off at -1:
+ *   - maxAgeDays:    added more than N days ago
+ *   - unwatchedDays: not streamed for N days (never streamed counts from addedAt)
+ *   - quotaBytes:    while the cache is over quota, evict the least recently
+ *                    used torrent (last streamed, else added) first
+ *
+ * Pinned torrents, anything streamed within `protectRecentMs`, and anything
+ * not finished or still busy (downloading, queued or force-started) are never
+ * candidates. Cache usage is measured in downloaded bytes - what is actually
+ * on disk - not the full torrent size.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_FIELDS = ['quotaBytes', 'maxAgeDays', 'unwatchedDays'];
+const BUSY_STATES = ['downloading', 'queued', 'forced'];
+
+/**
+ * Validate a full or partial policy, returning an error message or null
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Cache policy must be an object';
+  }
+
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < -1) {
+      return `"${field}" must be a number, or -1 to turn the rule off`;
+    }
+  }
+
+  if (policy.autoCleanup !== undefined && typeof policy.autoCleanup !== 'boolean') {
+    return '"autoCleanup" must be a boolean';
+  }
+
+  return null;
+}
+
+function normalizeLimit(value, fallback = -1) {
+  const limit = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(limit)) return fallback;
+  return limit < 0 ? -1 : limit;
+}
+
+function normalizePolicy(policy = {}, fallback = {}) {
+  const autoCleanup = policy.autoCleanup ?? fallback.autoCleanup;
+
+  return {
+    quotaBytes: normalizeLimit(policy.quotaBytes, normalizeLimit(fallback.quotaBytes)),
+    maxAgeDays: normalizeLimit(policy.maxAgeDays, normalizeLimit(fallback.maxAgeDays)),
+    unwatchedDays: normalizeLimit(policy.unwatchedDays, normalizeLimit(fallback.unwatchedDays)),
+    autoCleanup: autoCleanup === true || autoCleanup === 'true'
+  };
+}
+
+function toTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+class CacheRetentionEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policy - { quotaBytes, maxAgeDays, unwatchedDays, autoCleanup }
+   * @param {Function} options.getTorrents - Returns the live torrents
+   * @param {Function} options.removeTorrent - (torrent) => Promise, deletes torrent and data
+   * @param {number} options.protectRecentMs - Skip torrents streamed this recently
+   */
+  constructor(options = {}) {
+    this.policy = normalizePolicy(options.policy);
+    this.getTorrents = options.getTorrents || (() => []);
+    this.removeTorrent = options.removeTorrent || (() => Promise.resolve());
+    this.protectRecentMs = options.protectRecentMs || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  setPolicy(policy) {
+    this.policy = normalizePolicy(policy, this.policy);
+    return this.policy;
+  }
+
+  usage(torrent) {
+    return torrent.downloaded || 0;
+  }
+
+  lastUsed(torrent) {
+    return toTime(torrent.lastStreamedAt) || toTime(torrent.addedAt) || 0;
+  }
+
+  isProtected(torrent, now = Date.now()) {
+    if (torrent.pinned) return true;
+    if (!torrent.done || torrent.forceStart || BUSY_STATES.includes(torrent.queueState)) return true;
+    const streamedAt = toTime(torrent.lastStreamedAt);
+    return !!streamedAt && now - streamedAt < this.protectRecentMs;
+  }
+
+  /**
+   * Work out what a cleanup would remove, without touching anything
+   * @param {Object} overrides - Policy fields for this run only
+   * @returns {{ policy, usage, candidates: Array }}
+   */
+  plan(overrides = {}, now = Date.now()) {
+    const policy = normalizePolicy(overrides, this.policy);
+    const live = this.getTorrents().filter(torrent => torrent && !torrent.destroyed && torrent.ready);
+    const eligible = live.filter(torrent => !this.isProtected(torrent, now));
+    const candidates = [];
+    const chosen = new Set();
+
+    const pick = (torrent, reason) => {
+      chosen.add(torrent.infoHash);
+      candidates.push({
+        infoHash: torrent.infoHash,
+        name: torrent.name,
+        size: this.usage(torrent),
+        files: torrent.files ? torrent.files.length : 0,
+        addedAt: torrent.addedAt || null,
+        lastStreamedAt: toTime(torrent.lastStreamedAt) ? new Date(toTime(torrent.lastStreamedAt)).toISOString() : null,
+        reason
+      });
+    };
+
+    eligible.forEach(torrent => {
+      const addedAt = toTime(torrent.addedAt);
+
+      if (policy.maxAgeDays >= 0 && addedAt && now - addedAt >= policy.maxAgeDays * DAY_MS) {
+        pick(torrent, `added ${Math.floor((now - addedAt) / DAY_MS)} days ago`);
+        return;
+      }
+
+      const lastUsed = this.lastUsed(torrent);
+      if (policy.unwatchedDays >= 0 && lastUsed && now - lastUsed >= policy.unwatchedDays * DAY_MS) {
+        pick(torrent, `not streamed for ${Math.floor((now - lastUsed) / DAY_MS)} days`);
+      }
+    });
+
+    const usage = live.reduce((total, torrent) => total + this.usage(torrent), 0);
+
+    if (policy.quotaBytes >= 0) {
+      let remaining = usage - candidates.reduce((total, candidate) => total + candidate.size, 0);
+
+      eligible
+        .filter(torrent => !chosen.has(torrent.infoHash) && this.usage(torrent) > 0)
+        .sort((a, b) => this.lastUsed(a) - this.lastUsed(b))
+        .forEach(torrent => {
+          if (remaining <= policy.quotaBytes) return;
+          remaining -= this.usage(torrent);
+          pick(torrent, 'over cache quota (least recently used)');
+        });
+    }
+
+    return { policy, usage, candidates };
+  }
+
+  /**
+   * Remove everything the plan picks
+   * @param {Object} overrides - Policy fields for this run only
+   * @param {boolean} dryRun - Only report
+   */
+  async run(overrides = {}, { dryRun = false } = {}) {
+    const { policy, usage, candidates } = this.plan(overrides);
+    if (dryRun || candidates.length === 0) {
+      return { policy, usage, candidates, removed: [] };
+    }
+
+    const byHash = new Map(this.getTorrents().map(torrent => [torrent.infoHash, torrent]));
+    const removed = [];
+
+    for (const candidate of candidates) {
+      const torrent = byHash.get(candidate.infoHash);
+      if (!torrent || torrent.destroyed) continue;
+
+      try {
+        await this.removeTorrent(torrent);
+        removed.push(candidate);
+        console.log(`🧹 Evicted ${candidate.name} from cache: ${candidate.reason}`);
+      } catch (error) {
+        console.error(`❌ Failed to evict ${candidate.name}:`, error.message);
+      }
+    }
+
+    return { policy, usage, candidates, removed };
+  }
+
+  /**
+   * Periodic cleanup with the stored policy, when autoCleanup is on
+   */
+  async tick() {
+    if (!this.policy.autoCleanup || this.running) return;
+
+    this.running = true;
+    try {
+      await this.run();
+    } catch (error) {
+      console.error('❌ Cache cleanup failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start(interval = 10 * 60 * 1000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  CacheRetentionEngine,
+  validatePolicy
+};
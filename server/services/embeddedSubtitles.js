@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Embedded Subtitle Tracks
+ *
+ * Many MKV/MP4 releases carry their subtitles as tracks inside the video
+ * instead of as separate files. Text tracks (SRT, ASS/SSA, WebVTT, mov_text)
+ * are pulled out with ffmpeg the first time they're asked for and kept on
+ * disk in their own format, so they go through the same WebVTT conversion -
+ * styling, offset - as subtitle files in the torrent. Image-based tracks
+ * (PGS, VobSub) would need OCR and aren't offered.
+ *
+ * Subtitle packets are spread over the whole file, so extracting a track
+ * reads all of it: while a torrent is still downloading, that waits for the
+ * rest of the file.
+ */
+
+const EXTRACT_TIMEOUT = 30 * 60 * 1000;
+
+// Per codec: [ffmpeg encoder, ffmpeg muxer, format the converter reads]
+const OUTPUT_FORMATS = {
+  subrip: ['srt', 'srt', 'srt'],
+  text: ['srt', 'srt', 'srt'],
+  mov_text: ['srt', 'srt', 'srt'],
+  ass: ['copy', 'ass', 'ass'],
+  ssa: ['ass', 'ass', 'ass'],
+  webvtt: ['copy', 'webvtt', 'vtt']
+};
+
+class SubtitleTrackError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class EmbeddedSubtitles {
+  /**
+   * @param {Object} options
+   * @param {MediaSource} options.source - Loopback source ffmpeg reads torrent files from
+   * @param {MediaProbe} options.prober - Lists the tracks
+   * @param {string} options.ffmpegPath
+   * @param {string} options.cacheDir - Where extracted tracks are kept
+   */
+  constructor(options = {}) {
+    this.source = options.source;
+    this.prober = options.prober;
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    this.cacheDir = options.cacheDir || path.join('data', 'subtitles', 'embedded');
+    this.pending = new Map();  // cache file -> Promise while extracting
+    this.children = new Map(); // ffmpeg process -> infoHash
+  }
+
+  /**
+   * Text subtitle tracks of a file, numbered from 0 in stream order
+   */
+  async list(torrent, fileIndex) {
+    const report = await this.prober.report(torrent, fileIndex);
+
+    return report.subtitles
+      .filter(subtitle => subtitle.text && OUTPUT_FORMATS[subtitle.codec])
+      .map((subtitle, track) => ({
+        track,
+        streamIndex: subtitle.index,
+        codec: subtitle.codec,
+        language: subtitle.language,
+        title: subtitle.title,
+        forced: subtitle.forced,
+        default: subtitle.default
+      }));
+  }
+
+  cachePath(infoHash, fileIndex, track, format) {
+    return path.join(this.cacheDir, infoHash, `${fileIndex}-${track}.${format}`);
+  }
+
+  /**
+   * Fetch a track's subtitles, from the disk cache when we can
+   * @returns {Promise<{ content: string, format: string, cached: boolean }>}
+   */
+  async extract(torrent, fileIndex, track) {
+    const entry = (await this.list(torrent, fileIndex))[track];
+    if (!entry) {
+      throw new SubtitleTrackError(`Subtitle track ${track} not found`, 404);
+    }
+
+    const [encoder, muxer, format] = OUTPUT_FORMATS[entry.codec];
+    const cacheFile = this.cachePath(torrent.infoHash, fileIndex, track, format);
+
+    try {
+      const content = await fs.promises.readFile(cacheFile, 'utf8');
+      return { content, format, cached: true };
+    } catch (e) {
+      // Not extracted yet
+    }
+
+    // Several players asking at once share one ffmpeg run
+    if (!this.pending.has(cacheFile)) {
+      const extracting = this.run(torrent, fileIndex, entry.streamIndex, [encoder, muxer], cacheFile);
+      this.pending.set(cacheFile, extracting);
+      extracting.then(() => this.pending.delete(cacheFile), () => this.pending.delete(cacheFile));
+    }
+
+    const content = await this.pending.get(cacheFile);
+    return { content, format, cached: false };
+  }
+
+  async run(torrent, fileIndex, streamIndex, [encoder, muxer], cacheFile) {
+    const file = torrent.files[fileIndex];
+    const input = await this.source.open(torrent, file);
+
+    try {
+      console.log(`💬 Extracting subtitle stream ${streamIndex} from ${file.name}`);
+
+      const content = await new Promise((resolve, reject) => {
+        const child = spawn(this.ffmpegPath, [
+          '-hide_banner', '-loglevel', 'error', '-nostdin',
+          '-i', input.url,
+          '-map', `0:${streamIndex}`,
+          '-c:s', encoder,
+          '-f', muxer,
+          'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const chunks = [];
+        let lastError = null;
+        let timedOut = false;
+        const timeout = setTimeout(() => {
+          timedOut = true;
+          child.kill('SIGKILL');
+        }, EXTRACT_TIMEOUT);
+
+        this.children.set(child, torrent.infoHash);
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => {
+          lastError = chunk.toString().trim().split('\n').pop();
+        });
+        child.on('error', (error) => {
+          clearTimeout(timeout);
+          reject(error.code === 'ENOENT' ? new SubtitleTrackError('ffmpeg is not installed', 503) : error);
+        });
+        child.on('close', (code) => {
+          clearTimeout(timeout);
+          this.children.delete(child);
+
+          if (code === 0) {
+            resolve(Buffer.concat(chunks).toString('utf8'));
+          } else if (timedOut) {
+            reject(new SubtitleTrackError('Timed out waiting for torrent data', 504));
+          } else if (code === null) {
+            reject(new SubtitleTrackError('Extraction was cancelled', 410));
+          } else {
+            reject(new Error(lastError || `ffmpeg exited with code ${code}`));
+          }
+        });
+      });
+
+      await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+      const tmpFile = `${cacheFile}.tmp`;
+      await fs.promises.writeFile(tmpFile, content, 'utf8');
+      await fs.promises.rename(tmpFile, cacheFile);
+
+      return content;
+    } finally {
+      input.release();
+    }
+  }
+
+  /**
+   * Stop extractions for a removed torrent and drop its cached tracks
+   */
+  forget(infoHash) {
+    this.children.forEach((hash, child) => {
+      if (hash === infoHash) child.kill('SIGKILL');
+    });
+    fs.rm(path.join(this.cacheDir, infoHash), { recursive: true, force: true }, () => {});
+  }
+
+  stop() {
+    this.children.forEach((hash, child) => child.kill('SIGKILL'));
+  }
+}
+
+module.exports = {
+  EmbeddedSubtitles,
+  SubtitleTrackError
+};
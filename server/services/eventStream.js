@@ -0,0 +1,219 @@
+const WebSocket = require('ws');
+
+/**
+ * Torrent Event Stream
+ *
+ * Pushes torrent changes to the browser instead of having it poll: Server-Sent
+ * Events on GET /api/events, and the same messages over a WebSocket at
+ * /api/events/ws for clients that would rather have one.
+ *
+ * Events:
+ *   snapshot          - { torrents: [summary] }, sent first on every connection
+ *   torrent-added     - summary of a torrent that finished loading
+ *   torrent-progress  - { infoHash, progress, downloaded } whenever progress moves
+ *   torrent-done      - { infoHash, name } when a download completes
+ *   torrent-error     - { infoHash, error }
+ *   torrent-removed   - { infoHash }
+ *   stats             - { torrents: { <infoHash>: changed fields } } every tick
+ *
+ * Summaries come from the caller in the same shape as GET /api/torrents, and
+ * stats deltas carry absolute values, so a client can merge them straight into
+ * the list it already has. Over SSE each message is "event: <name>" with JSON
+ * data; over the WebSocket it's one JSON object { id, event, data }.
+ */
+
+const TICK_INTERVAL = 2000;
+const HEARTBEAT_INTERVAL = 25000; // Keeps proxies from closing quiet connections
+
+class EventStream {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getTorrents - Returns the loaded torrents
+   * @param {Function} options.summarize - (torrent) => plain summary object
+   * @param {number} options.interval - Milliseconds between stats ticks
+   */
+  constructor(options = {}) {
+    this.getTorrents = options.getTorrents || (() => []);
+    this.summarize = options.summarize || (torrent => ({ infoHash: torrent.infoHash }));
+    this.interval = options.interval || TICK_INTERVAL;
+    this.clients = new Set(); // { send(message), close() }
+    this.last = new Map();    // infoHash -> summary as last sent
+    this.nextId = 1;
+    this.timer = null;
+    this.wss = null;
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), this.interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Close every connection, e.g. on shutdown
+   */
+  closeAll() {
+    this.clients.forEach(client => client.close());
+    this.clients.clear();
+  }
+
+  /**
+   * Follow a torrent's lifecycle events - call right after client.add()
+   */
+  attach(torrent) {
+    if (!torrent || torrent._eventsAttached) return torrent;
+    torrent._eventsAttached = true;
+
+    torrent.once('ready', () => this.added(torrent));
+    torrent.once('done', () => {
+      this.publish('torrent-done', { infoHash: torrent.infoHash, name: torrent.name });
+    });
+    torrent.on('error', (error) => {
+      this.publish('torrent-error', { infoHash: torrent.infoHash, error: error.message });
+    });
+    return torrent;
+  }
+
+  added(torrent) {
+    const summary = this.summarize(torrent);
+    this.last.set(torrent.infoHash, summary);
+    this.publish('torrent-added', summary);
+  }
+
+  removed(infoHash) {
+    this.last.delete(infoHash);
+    this.publish('torrent-removed', { infoHash });
+  }
+
+  publish(event, data) {
+    if (this.clients.size === 0) return;
+    const message = { id: this.nextId++, event, data };
+    this.clients.forEach(client => client.send(message));
+  }
+
+  snapshot() {
+    return { id: this.nextId++, event: 'snapshot', data: { torrents: this.getTorrents().map(this.summarize) } };
+  }
+
+  /**
+   * Send what changed since the last tick. Nobody listening, nothing to do -
+   * a new connection starts from a fresh snapshot anyway.
+   */
+  tick() {
+    if (this.clients.size === 0) return;
+
+    const seen = new Set();
+    const deltas = {};
+
+    this.getTorrents().forEach(torrent => {
+      const summary = this.summarize(torrent);
+      const previous = this.last.get(torrent.infoHash);
+      seen.add(torrent.infoHash);
+      this.last.set(torrent.infoHash, summary);
+
+      if (!previous) {
+        this.publish('torrent-added', summary);
+        return;
+      }
+
+      const changed = {};
+      Object.keys(summary).forEach(key => {
+        if (JSON.stringify(summary[key]) !== JSON.stringify(previous[key])) {
+          changed[key] = summary[key];
+        }
+      });
+      if (Object.keys(changed).length === 0) return;
+
+      deltas[torrent.infoHash] = changed;
+      if ('progress' in changed) {
+        this.publish('torrent-progress', {
+          infoHash: torrent.infoHash,
+          progress: summary.progress,
+          downloaded: summary.downloaded
+        });
+      }
+    });
+
+    // Anything that disappeared without going through removed()
+    [...this.last.keys()]
+      .filter(infoHash => !seen.has(infoHash))
+      .forEach(infoHash => this.removed(infoHash));
+
+    if (Object.keys(deltas).length > 0) {
+      this.publish('stats', { torrents: deltas });
+    }
+  }
+
+  /**
+   * Express handler for the SSE endpoint
+   */
+  handle(req, res) {
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx would otherwise hold the stream back
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = {
+      send: ({ id, event, data }) => res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      close: () => res.end()
+    };
+    this.connect(client, () => res.write(': ping\n\n'));
+    req.on('close', () => this.disconnect(client));
+  }
+
+  /**
+   * Serve the WebSocket variant on an HTTP server's upgrade requests
+   * @param {Function} authorize - (req) => boolean, checked before upgrading
+   */
+  attachWebSocket(server, path = '/api/events/ws', authorize = () => true) {
+    this.wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      if (req.url.split('?')[0] !== path) {
+        socket.destroy();
+        return;
+      }
+      if (!authorize(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        const client = {
+          send: (message) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+          },
+          close: () => ws.close()
+        };
+        this.connect(client, () => ws.ping());
+        ws.on('close', () => this.disconnect(client));
+        ws.on('error', () => this.disconnect(client));
+      });
+    });
+  }
+
+  connect(client, heartbeat) {
+    client.heartbeat = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+    this.clients.add(client);
+    client.send(this.snapshot());
+  }
+
+  disconnect(client) {
+    clearInterval(client.heartbeat);
+    this.clients.delete(client);
+  }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,151 @@
+/**
+ * RSS/Atom Feed Parser
+ *
+ * Just enough XML handling for torrent feeds - RSS 2.0 <item>s and Atom
+ * <entry>s - without pulling in an XML library. Besides title, link, guid and
+ * date, each item gets the best torrent link it carries, looking at (in order):
+ *   - torznab/newznab attributes: <torznab:attr name="magneturl"|"infohash">
+ *   - ezRSS tags: <torrent:magnetURI>, <torrent:infoHash>
+ *   - a magnet: or .torrent <link>, Atom <link rel="enclosure">, <enclosure url>
+ *
+ * Item shape:
+ * { guid, title, link, torrentUrl, infoHash, publishedAt, size }
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Text content of a node, CDATA unwrapped and entities decoded
+ */
+function textOf(raw) {
+  if (raw === null || raw === undefined) return null;
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  const text = cdata ? cdata[1] : decodeEntities(raw.replace(/<[^>]+>/g, ''));
+  return text.trim() || null;
+}
+
+function escapeName(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Inner XML of the first <name> element in a block
+ */
+function tagContent(block, name) {
+  const match = block.match(new RegExp(`<${escapeName(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeName(name)}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Attributes of every <name ...> element (self-closing or not) in a block
+ */
+function tagAttributes(block, name) {
+  const pattern = new RegExp(`<${escapeName(name)}(\\s[^>]*?)?/?>`, 'gi');
+  const results = [];
+  let match;
+  while ((match = pattern.exec(block)) !== null) {
+    const attributes = {};
+    const attrPattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let attr;
+    while ((attr = attrPattern.exec(match[1] || '')) !== null) {
+      attributes[attr[1].toLowerCase()] = decodeEntities(attr[3] ?? attr[4]);
+    }
+    results.push(attributes);
+  }
+  return results;
+}
+
+function isTorrentLink(url) {
+  return Boolean(url) && (/^magnet:\?/i.test(url) || /\.torrent(\?|$)/i.test(url));
+}
+
+function parseDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function parseItem(block, isAtom) {
+  const title = textOf(tagContent(block, 'title'));
+
+  let link = null;
+  const links = tagAttributes(block, 'link');
+  if (isAtom) {
+    const alternate = links.find(attributes => attributes.href && (!attributes.rel || attributes.rel === 'alternate'));
+    link = alternate ? alternate.href : null;
+  } else {
+    link = textOf(tagContent(block, 'link'));
+  }
+
+  // Torznab/newznab indexers (Jackett, Prowlarr) put the good stuff in attrs
+  const attrs = {};
+  [...tagAttributes(block, 'torznab:attr'), ...tagAttributes(block, 'newznab:attr')].forEach(attributes => {
+    if (attributes.name) attrs[attributes.name.toLowerCase()] = attributes.value;
+  });
+
+  const enclosures = [
+    ...tagAttributes(block, 'enclosure').map(attributes => attributes.url),
+    ...links.filter(attributes => attributes.rel === 'enclosure').map(attributes => attributes.href)
+  ].filter(Boolean);
+
+  const infoHash = (attrs.infohash || textOf(tagContent(block, 'torrent:infoHash')) || '').toLowerCase();
+  const candidates = [
+    attrs.magneturl,
+    textOf(tagContent(block, 'torrent:magnetURI')),
+    isTorrentLink(link) ? link : null,
+    ...enclosures
+  ].filter(Boolean);
+  const torrentUrl = candidates.find(url => /^magnet:\?/i.test(url)) ||
+    candidates[0] ||
+    (/^[a-f0-9]{40}$/.test(infoHash) ? infoHash : null);
+
+  const guid = textOf(tagContent(block, isAtom ? 'id' : 'guid')) || torrentUrl || link || title;
+  const size = Number(attrs.size || tagAttributes(block, 'enclosure')[0]?.length || textOf(tagContent(block, 'torrent:contentLength')));
+
+  return {
+    guid,
+    title,
+    link,
+    torrentUrl,
+    infoHash: /^[a-f0-9]{40}$/.test(infoHash) ? infoHash : null,
+    publishedAt: parseDate(textOf(tagContent(block, 'pubDate')) || textOf(tagContent(block, 'published')) || textOf(tagContent(block, 'updated'))),
+    size: Number.isFinite(size) && size > 0 ? size : null
+  };
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @returns {{ title: string|null, items: Object[] }}
+ * @throws {Error} When it's neither
+ */
+function parseFeed(xml) {
+  const text = String(xml || '');
+  const isAtom = /<feed[\s>]/i.test(text) && !/<rss[\s>]/i.test(text);
+  if (!isAtom && !/<(rss|rdf:RDF|channel)[\s>]/i.test(text)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const itemTag = isAtom ? 'entry' : 'item';
+  const blocks = text.match(new RegExp(`<${itemTag}[\\s>][\\s\\S]*?</${itemTag}>`, 'gi')) || [];
+
+  // The feed's own title comes before the first item
+  const head = blocks.length > 0 ? text.slice(0, text.indexOf(blocks[0])) : text;
+
+  return {
+    title: textOf(tagContent(head, 'title')),
+    items: blocks.map(block => parseItem(block, isAtom)).filter(item => item.title)
+  };
+}
+
+module.exports = {
+  parseFeed
+};
@@ -0,0 +1,147 @@
+/**
+ * Per-file Selection and Priority
+ *
+ * WebTorrent starts every torrent with one low-priority selection covering
+ * all pieces, so `file.deselect()` on its own never skips anything.
+ * applyFilePriorities() drops that default selection and manages one
+ * selection per file instead, tracking what it applied so a later change can
+ * remove exactly that entry. Selections added elsewhere (streaming, seeking)
+ * are left alone.
+ *
+ * Priorities: skip | low | normal | high. Pieces shared across a file
+ * boundary are still fetched if either neighbour wants them.
+ */
+
+const FILE_PRIORITIES = ['skip', 'low', 'normal', 'high'];
+
+// WebTorrent selection weights (higher is fetched first)
+const PRIORITY_WEIGHTS = {
+  low: 1,
+  normal: 2,
+  high: 3
+};
+
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'];
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v'];
+
+function isValidPriority(priority) {
+  return FILE_PRIORITIES.includes(priority);
+}
+
+function getFilePriority(torrent, index) {
+  return (torrent.filePriorities && torrent.filePriorities[index]) || 'normal';
+}
+
+/**
+ * Default priorities for a freshly added torrent: subtitles high, video
+ * normal, everything else skipped. Torrents without any media keep all files.
+ */
+function defaultFilePriorities(files) {
+  const priorities = files.map(file => {
+    const ext = file.name.toLowerCase().split('.').pop();
+    if (SUBTITLE_EXTENSIONS.includes(ext)) return 'high';
+    if (VIDEO_EXTENSIONS.includes(ext)) return 'normal';
+    return 'skip';
+  });
+
+  const hasMedia = priorities.some(priority => priority !== 'skip');
+  return hasMedia ? priorities : files.map(() => 'normal');
+}
+
+/**
+ * Apply a full priority list (one entry per file index) to a torrent
+ * @param {Object} torrent - WebTorrent torrent with metadata
+ * @param {string[]} priorities - Priority name per file index
+ */
+function applyFilePriorities(torrent, priorities) {
+  if (!torrent.files || torrent.files.length === 0 || !torrent.pieces) return;
+
+  // Drop WebTorrent's default "whole torrent" selection the first time
+  if (!torrent.filePriorities && torrent.pieces.length > 0) {
+    torrent.deselect(0, torrent.pieces.length - 1, false);
+  }
+
+  const previous = torrent.filePriorities || [];
+  const next = torrent.files.map((file, index) => (
+    isValidPriority(priorities[index]) ? priorities[index] : 'normal'
+  ));
+
+  torrent.files.forEach((file, index) => {
+    if (file.length === 0) return;
+
+    const before = previous[index];
+    const after = next[index];
+    if (before === after) return;
+
+    if (before && PRIORITY_WEIGHTS[before]) {
+      torrent.deselect(file._startPiece, file._endPiece, PRIORITY_WEIGHTS[before]);
+    }
+    if (PRIORITY_WEIGHTS[after]) {
+      torrent.select(file._startPiece, file._endPiece, PRIORITY_WEIGHTS[after]);
+    }
+  });
+
+  torrent.filePriorities = next;
+}
+
+function normalizeFolder(folderPath) {
+  return folderPath.replace(/\/+$/, '');
+}
+
+function isInFolder(file, folder) {
+  return file.path === folder || file.path.startsWith(`${folder}/`);
+}
+
+/**
+ * Whether a folder `path` (or a single file's path) exists in the torrent
+ */
+function hasFolder(torrent, folderPath) {
+  if (typeof folderPath !== 'string') return false;
+
+  const folder = normalizeFolder(folderPath);
+  return folder !== '' && torrent.files.some(file => isInFolder(file, folder));
+}
+
+/**
+ * Resolve a list of changes into a full priority list.
+ * Each change targets a file `index` or a folder `path` (prefix of file.path)
+ * and sets `priority` and/or `selected`.
+ * @returns {{ priorities: string[], changed: number }}
+ */
+function resolvePriorityChanges(torrent, changes) {
+  const priorities = torrent.files.map((file, index) => getFilePriority(torrent, index));
+  let changed = 0;
+
+  changes.forEach(change => {
+    const folder = typeof change.path === 'string' ? normalizeFolder(change.path) : null;
+
+    torrent.files.forEach((file, index) => {
+      const matches = folder !== null
+        ? isInFolder(file, folder)
+        : change.index === index;
+      if (!matches) return;
+
+      let priority = priorities[index];
+      if (change.selected === false) priority = 'skip';
+      if (change.selected === true && priority === 'skip') priority = 'normal';
+      if (change.priority) priority = change.priority;
+
+      if (priority !== priorities[index]) {
+        priorities[index] = priority;
+        changed++;
+      }
+    });
+  });
+
+  return { priorities, changed };
+}
+
+module.exports = {
+  FILE_PRIORITIES,
+  isValidPriority,
+  getFilePriority,
+  defaultFilePriorities,
+  applyFilePriorities,
+  hasFolder,
+  resolvePriorityChanges
+};
@@ -0,0 +1,564 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { primaryStreams, canCopyVideo, canCopyAudio } = require('./mediaProbe');
+
+/**
+ * HLS Service
+ *
+ * Turns torrent files the browser can't play (MKV, AVI, WMV, FLV, HEVC,
+ * AC3/DTS audio...) into HLS with ffmpeg. Video and audio are copied when the
+ * browser can decode them (remux) and re-encoded to H.264/AAC when it can't.
+ *
+ * The playlist is a fixed VOD list of equal-length segments built from the
+ * probed duration, so the player can seek anywhere. Segments are produced by
+ * one ffmpeg process per file; asking for a segment far from what ffmpeg is
+ * working on restarts it at that position (-ss), and the media source then
+ * fetches the torrent pieces for that point in the file.
+ *
+ * ffmpeg is paused (SIGSTOP) when it gets too far ahead of the player, and
+ * killed - with its segments deleted - when nobody has asked for a segment
+ * for a while. At most maxTranscodes ffmpeg processes run at once.
+ *
+ * For the common H.264 + AC3/DTS release there is also a lighter, progressive
+ * mode (audioTranscode): one fragmented MP4 with the video copied and a single
+ * audio track in AAC, piped straight to the response.
+ */
+
+const RESTART_GAP = 3;           // Segments ahead of ffmpeg worth waiting for instead of seeking
+const THROTTLE_AHEAD = 15;       // Pause ffmpeg this many segments ahead of the player...
+const THROTTLE_RESUME = 8;       // ...and wake it up again at this many
+const IDLE_TIMEOUT = 2 * 60 * 1000;
+const EVICTABLE_AFTER = 30 * 1000; // A session this quiet may give its slot to a new one
+const SEGMENT_TIMEOUT = 120 * 1000;
+
+class HlsError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Decide, per stream, whether ffmpeg can copy it or has to re-encode it
+ * @param {Object} probe - ffprobe output
+ * @param {number} [audioTrack] - Audio track to use (0 = first), default track when omitted
+ */
+function planStreams(probe, audioTrack) {
+  const primary = primaryStreams(probe);
+  const video = primary.video;
+  let audio = primary.audio;
+  const duration = parseFloat(probe.format?.duration);
+
+  if (!video) {
+    throw new HlsError('No video stream found', 415);
+  }
+  if (audioTrack !== undefined) {
+    audio = (probe.streams || []).filter(stream => stream.codec_type === 'audio')[audioTrack];
+    if (!audio) {
+      throw new HlsError(`Audio track ${audioTrack} not found`, 404);
+    }
+  }
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new HlsError('Could not determine the duration', 422);
+  }
+
+  const copyVideo = canCopyVideo(video);
+  const copyAudio = canCopyAudio(audio);
+
+  return {
+    mode: copyVideo && copyAudio ? 'remux' : 'transcode',
+    copyVideo,
+    copyAudio,
+    video,
+    audio,
+    duration,
+    bitRate: parseInt(probe.format?.bit_rate, 10) || null
+  };
+}
+
+class HlsService {
+  /**
+   * @param {Object} options
+   * @param {MediaSource} options.source - Loopback source ffmpeg reads torrent files from
+   * @param {MediaProbe} options.prober - Probes (and caches) the files before transcoding
+   * @param {string} options.ffmpegPath
+   * @param {string} options.workDir - Segments are written here, one folder per file
+   * @param {number} options.segmentDuration - Seconds per segment
+   * @param {number} options.maxTranscodes - Concurrent ffmpeg processes (remuxes count too)
+   * @param {string} options.segmentType - 'mpegts' or 'fmp4'
+   * @param {string} options.videoPreset - x264 preset used when transcoding
+   */
+  constructor(options = {}) {
+    this.source = options.source;
+    this.prober = options.prober;
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    this.workDir = path.resolve(options.workDir || path.join(os.tmpdir(), 'seedbox-hls'));
+    this.segmentDuration = options.segmentDuration || 6;
+    this.maxTranscodes = options.maxTranscodes || 2;
+    this.segmentType = options.segmentType === 'fmp4' ? 'fmp4' : 'mpegts';
+    this.videoPreset = options.videoPreset || 'veryfast';
+    this.sessions = new Map(); // "<infoHash>:<fileIndex>[:<audioTrack>]" -> session
+    this.pipes = new Map();    // audioTranscode process -> info hash
+    this.opening = new Map();  // same key -> Promise<session> while probing
+    this.timer = null;
+  }
+
+  get segmentExtension() {
+    return this.segmentType === 'fmp4' ? 'm4s' : 'ts';
+  }
+
+  /**
+   * Clear segments left over from a previous run and start the housekeeping timer
+   */
+  start(intervalMs = 2000) {
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    if (this.timer) return;
+    this.timer = setInterval(() => this.housekeeping(), intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    [...this.sessions.values()].forEach(session => this.close(session));
+    [...this.pipes.keys()].forEach(child => child.kill('SIGKILL'));
+  }
+
+  /**
+   * Get the session for a torrent file, probing it the first time
+   * @param {Object} options - { audioTrack } to play a track other than the default
+   */
+  async open(torrent, fileIndex, { audioTrack } = {}) {
+    const key = `${torrent.infoHash}:${fileIndex}${audioTrack === undefined ? '' : `:${audioTrack}`}`;
+    const existing = this.sessions.get(key);
+    if (existing) {
+      existing.lastAccess = Date.now();
+      return existing;
+    }
+    if (this.opening.has(key)) return this.opening.get(key);
+
+    const opening = (async () => {
+      const file = torrent.files[fileIndex];
+      const plan = planStreams(await this.prober.probe(torrent, fileIndex), audioTrack);
+      const input = await this.source.open(torrent, file);
+
+      try {
+        const session = {
+          key,
+          infoHash: torrent.infoHash,
+          fileName: file.name,
+          dir: path.join(this.workDir, torrent.infoHash, key.split(':').slice(1).join('-')),
+          // Playlist URIs are relative, so carry the track choice along
+          query: audioTrack === undefined ? '' : `?audio=${audioTrack}`,
+          input,
+          plan,
+          segmentCount: Math.ceil(plan.duration / this.segmentDuration),
+          process: null,
+          startIndex: 0,
+          produced: -1,
+          lastRequested: 0,
+          lastAccess: Date.now(),
+          throttled: false
+        };
+
+        await fs.promises.mkdir(session.dir, { recursive: true });
+        this.sessions.set(key, session);
+        console.log(`🎞️ HLS ${plan.mode} for ${file.name}: video ${plan.video.codec_name}${plan.copyVideo ? ' (copy)' : ''}, audio ${plan.audio ? plan.audio.codec_name : 'none'}${plan.audio && plan.copyAudio ? ' (copy)' : ''}`);
+        return session;
+      } catch (error) {
+        input.release();
+        throw error;
+      }
+    })();
+
+    this.opening.set(key, opening);
+    try {
+      return await opening;
+    } finally {
+      this.opening.delete(key);
+    }
+  }
+
+  masterPlaylist(session) {
+    const { plan } = session;
+    const bandwidth = plan.mode === 'remux' && plan.bitRate ? plan.bitRate : 6000000;
+    const width = plan.video.width;
+    const height = plan.video.height;
+    const resolution = width && height ? `,RESOLUTION=${width}x${height}` : '';
+
+    return [
+      '#EXTM3U',
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth}${resolution}`,
+      `index.m3u8${session.query}`,
+      ''
+    ].join('\n');
+  }
+
+  mediaPlaylist(session) {
+    const lines = [
+      '#EXTM3U',
+      `#EXT-X-VERSION:${this.segmentType === 'fmp4' ? 7 : 3}`,
+      `#EXT-X-TARGETDURATION:${Math.ceil(this.segmentDuration)}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    if (this.segmentType === 'fmp4') {
+      lines.push(`#EXT-X-MAP:URI="init.mp4${session.query}"`);
+    }
+
+    for (let index = 0; index < session.segmentCount; index++) {
+      const length = Math.min(this.segmentDuration, session.plan.duration - index * this.segmentDuration);
+      lines.push(`#EXTINF:${length.toFixed(6)},`, `segment${index}.${this.segmentExtension}${session.query}`);
+    }
+
+    lines.push('#EXT-X-ENDLIST', '');
+    return lines.join('\n');
+  }
+
+  segmentPath(session, index) {
+    return path.join(session.dir, `segment${index}.${this.segmentExtension}`);
+  }
+
+  /**
+   * Resolve to the path of a finished segment, starting or moving ffmpeg as needed
+   */
+  async segment(session, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.segmentCount) {
+      throw new HlsError('Segment not found', 404);
+    }
+
+    session.lastAccess = Date.now();
+    session.lastRequested = index;
+    this.advance(session);
+
+    const segmentFile = this.segmentPath(session, index);
+    if (!fs.existsSync(segmentFile)) {
+      const running = session.process && session.process.exitCode === null;
+      if (!running || index < session.startIndex || index > session.produced + RESTART_GAP) {
+        this.transcode(session, index);
+      }
+    }
+
+    this.wake(session);
+    await this.waitFor(session, segmentFile);
+    return segmentFile;
+  }
+
+  /**
+   * fMP4 init segment - written by ffmpeg as soon as it starts
+   */
+  async initSegment(session) {
+    if (this.segmentType !== 'fmp4') {
+      throw new HlsError('Segment not found', 404);
+    }
+
+    session.lastAccess = Date.now();
+    const initFile = path.join(session.dir, 'init.mp4');
+    if (!fs.existsSync(initFile) && !session.process) {
+      this.transcode(session, session.lastRequested);
+    }
+    await this.waitFor(session, initFile);
+    return initFile;
+  }
+
+  waitFor(session, filePath) {
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        if (fs.existsSync(filePath)) return resolve();
+        if (!this.sessions.has(session.key)) {
+          return reject(new HlsError('Stream was closed', 410));
+        }
+        const exitCode = session.process ? session.process.exitCode : null;
+        if (exitCode === 0) {
+          // ffmpeg reached the end of the file without writing this one
+          return reject(new HlsError('Segment not found', 404));
+        }
+        if (exitCode !== null) {
+          return reject(session.spawnError || new Error(session.lastError || `ffmpeg exited with code ${exitCode}`));
+        }
+        if (Date.now() - started > SEGMENT_TIMEOUT) {
+          return reject(new HlsError('Timed out waiting for the segment', 504));
+        }
+        setTimeout(check, 200);
+      };
+      check();
+    });
+  }
+
+  /**
+   * (Re)start ffmpeg so that it produces segments from startIndex onwards
+   */
+  transcode(session, startIndex) {
+    this.kill(session);
+    this.reserveSlot(session);
+
+    const { plan } = session;
+    const startTime = startIndex * this.segmentDuration;
+    const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+
+    // Copied video can only be cut at keyframes, so keep the source timestamps
+    // instead of pretending the output starts exactly at startTime
+    if (plan.copyVideo) args.push('-copyts');
+    args.push('-ss', String(startTime), '-i', session.input.url);
+
+    args.push('-map', `0:${plan.video.index}`);
+    if (plan.audio) args.push('-map', `0:${plan.audio.index}`);
+    args.push('-sn', '-dn');
+
+    if (plan.copyVideo) {
+      args.push('-c:v', 'copy');
+    } else {
+      args.push(
+        '-c:v', 'libx264',
+        '-preset', this.videoPreset,
+        '-crf', '23',
+        '-pix_fmt', 'yuv420p',
+        '-vf', "scale=-2:'min(1080,ih)'",
+        // Keyframe at every segment boundary so segments start cleanly
+        '-force_key_frames', `expr:gte(t,n_forced*${this.segmentDuration})`,
+        '-output_ts_offset', String(startTime)
+      );
+    }
+
+    if (plan.audio) {
+      args.push(...(plan.copyAudio ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-ac', '2', '-b:a', '160k']));
+    }
+
+    args.push(
+      '-f', 'hls',
+      '-hls_time', String(this.segmentDuration),
+      '-hls_list_size', '0',
+      '-hls_segment_type', this.segmentType,
+      '-hls_flags', plan.copyVideo ? 'temp_file+split_by_time' : 'temp_file',
+      '-start_number', String(startIndex),
+      '-hls_segment_filename', path.join(session.dir, `segment%d.${this.segmentExtension}`)
+    );
+    if (this.segmentType === 'fmp4') {
+      args.push('-hls_fmp4_init_filename', 'init.mp4');
+    }
+    args.push(path.join(session.dir, 'ffmpeg.m3u8'));
+
+    const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    session.process = child;
+    session.startIndex = startIndex;
+    session.produced = startIndex - 1;
+    session.throttled = false;
+    session.lastError = null;
+    session.spawnError = null;
+
+    child.stderr.on('data', chunk => {
+      session.lastError = chunk.toString().trim().split('\n').pop();
+    });
+    child.on('error', (error) => {
+      session.lastError = error.code === 'ENOENT' ? 'ffmpeg is not installed' : error.message;
+      session.spawnError = new HlsError(session.lastError, error.code === 'ENOENT' ? 503 : 500);
+      // A process that never spawned has no exit code - give it one so waiters stop
+      if (child.exitCode === null) child.exitCode = -1;
+    });
+    child.on('exit', (code, signal) => {
+      if (code && !signal) {
+        console.log(`❌ ffmpeg failed for ${session.fileName}: ${session.lastError || `exit code ${code}`}`);
+      }
+    });
+
+    console.log(`🎞️ ffmpeg ${plan.mode} started for ${session.fileName} at segment ${startIndex} (${startTime}s)`);
+  }
+
+  /**
+   * Progressive audio-only transcode: video copied, one audio track in AAC,
+   * as a fragmented MP4 on stdout. There are no byte ranges to seek with, so
+   * the caller restarts it at `start` seconds instead.
+   * @returns {Promise<{ output: Readable, duration: number, stop: Function }>}
+   *   Resolves once ffmpeg has produced its first bytes
+   */
+  async audioTranscode(torrent, fileIndex, { audioTrack = 0, start = 0 } = {}) {
+    const file = torrent.files[fileIndex];
+    const plan = planStreams(await this.prober.probe(torrent, fileIndex), audioTrack);
+    if (!plan.copyVideo) {
+      throw new HlsError(`${plan.video.codec_name} video can't be copied, use the HLS stream instead`, 415);
+    }
+
+    this.reserveSlot(null);
+    const input = await this.source.open(torrent, file);
+    const child = spawn(this.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      '-ss', String(start), '-i', input.url,
+      '-map', `0:${plan.video.index}`,
+      '-map', `0:${plan.audio.index}`,
+      '-sn', '-dn',
+      '-c:v', 'copy',
+      '-c:a', 'aac', '-ac', '2', '-b:a', '192k',
+      '-f', 'mp4',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let lastError = null;
+    this.pipes.set(child, torrent.infoHash);
+    child.stderr.on('data', chunk => {
+      lastError = chunk.toString().trim().split('\n').pop();
+    });
+    child.on('close', () => {
+      this.pipes.delete(child);
+      input.release();
+    });
+
+    const stop = () => {
+      if (child.exitCode === null) child.kill('SIGKILL');
+    };
+
+    console.log(`🔊 Audio transcode started for ${file.name}: ${plan.audio.codec_name} track ${audioTrack} -> AAC at ${start}s`);
+
+    // Don't hand back a stream that's going to die without a byte - the route
+    // can still answer with a proper error then
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        stop();
+        reject(new HlsError('Timed out waiting for torrent data', 504));
+      }, SEGMENT_TIMEOUT);
+      const fail = (error) => {
+        clearTimeout(timeout);
+        reject(error);
+      };
+
+      child.once('error', (error) => {
+        fail(error.code === 'ENOENT' ? new HlsError('ffmpeg is not installed', 503) : error);
+      });
+      child.stdout.once('readable', () => {
+        if (child.stdout.readableLength > 0) {
+          clearTimeout(timeout);
+          resolve();
+        } else {
+          // Ended empty - drain it so the process can close and report why
+          child.once('close', (code) => fail(new Error(lastError || `ffmpeg exited with code ${code}`)));
+          child.stdout.resume();
+        }
+      });
+    });
+
+    return { output: child.stdout, duration: plan.duration, stop };
+  }
+
+  /**
+   * Make room for one more ffmpeg process, or throw when every slot is busy
+   */
+  reserveSlot(session) {
+    const running = [...this.sessions.values()].filter(other =>
+      other !== session && other.process && other.process.exitCode === null
+    );
+    if (running.length + this.pipes.size < this.maxTranscodes) return;
+
+    // Progressive transcodes belong to an open response; only HLS sessions can be evicted
+    const idlest = running.sort((a, b) => a.lastAccess - b.lastAccess)[0];
+    if (!idlest || Date.now() - idlest.lastAccess < EVICTABLE_AFTER) {
+      throw new HlsError(`Too many active transcodes (max ${this.maxTranscodes})`, 503);
+    }
+
+    console.log(`🎞️ Stopping idle ffmpeg for ${idlest.fileName} to free a transcode slot`);
+    this.kill(idlest);
+  }
+
+  /**
+   * ffmpeg processes currently working for a player, HLS and progressive
+   */
+  activeTranscodes() {
+    const running = [...this.sessions.values()].filter(session => session.process && session.process.exitCode === null);
+    return running.length + this.pipes.size;
+  }
+
+  /**
+   * Move the produced marker past every finished segment
+   */
+  advance(session) {
+    while (session.produced + 1 < session.segmentCount &&
+      fs.existsSync(this.segmentPath(session, session.produced + 1))) {
+      session.produced++;
+    }
+  }
+
+  wake(session) {
+    if (session.throttled && session.process) {
+      session.process.kill('SIGCONT');
+      session.throttled = false;
+    }
+  }
+
+  kill(session) {
+    if (session.process && session.process.exitCode === null) {
+      session.process.kill('SIGKILL');
+    }
+    session.process = null;
+    session.throttled = false;
+  }
+
+  close(session) {
+    this.kill(session);
+    this.sessions.delete(session.key);
+    session.input.release();
+    fs.rm(session.dir, { recursive: true, force: true }, () => {});
+  }
+
+  /**
+   * Stop every session for a torrent, e.g. before it is removed
+   */
+  closeTorrent(infoHash) {
+    [...this.sessions.values()]
+      .filter(session => session.infoHash === infoHash)
+      .forEach(session => this.close(session));
+    [...this.pipes.entries()]
+      .filter(([, pipeInfoHash]) => pipeInfoHash === infoHash)
+      .forEach(([child]) => child.kill('SIGKILL'));
+  }
+
+  /**
+   * Pause ffmpeg when it's far ahead of the player, and drop idle sessions
+   */
+  housekeeping() {
+    const now = Date.now();
+
+    [...this.sessions.values()].forEach(session => {
+      if (now - session.lastAccess > IDLE_TIMEOUT) {
+        console.log(`🎞️ Closing idle HLS stream for ${session.fileName}`);
+        this.close(session);
+        return;
+      }
+
+      const running = session.process && session.process.exitCode === null;
+      if (!running || process.platform === 'win32') return;
+
+      this.advance(session);
+      const ahead = session.produced - session.lastRequested;
+      if (!session.throttled && ahead > THROTTLE_AHEAD) {
+        session.process.kill('SIGSTOP');
+        session.throttled = true;
+      } else if (session.throttled && ahead < THROTTLE_RESUME) {
+        this.wake(session);
+      }
+    });
+  }
+
+  status() {
+    return [...this.sessions.values()].map(session => ({
+      file: session.fileName,
+      mode: session.plan.mode,
+      running: !!(session.process && session.process.exitCode === null),
+      throttled: session.throttled,
+      segments: session.segmentCount,
+      startIndex: session.startIndex,
+      produced: session.produced,
+      lastRequested: session.lastRequested
+    }));
+  }
+}
+
+module.exports = {
+  HlsService,
+  HlsError,
+  planStreams
+};
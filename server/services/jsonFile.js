@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Debounced JSON File
+ *
+ * The saving half of the JSON stores in this folder. Changes call
+ * scheduleSave() and the file is rewritten at most once per saveDelay. Each
+ * write goes to its own tmp file and is renamed over the real one, and writes
+ * run one after another, so two saves never interleave. flushSync() is for
+ * shutdown paths where we can't wait on the event loop; it also covers writes
+ * still in flight.
+ */
+
+let tmpCounter = 0;
+
+class JsonFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - The JSON file
+   * @param {Function} options.serialize - Returns the file contents as a string
+   * @param {string} options.name - What the file holds, for error messages
+   * @param {number} options.saveDelay - Milliseconds changes are collected for
+   * @param {number} options.mode - File mode, e.g. 0o600 for credentials
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.serialize = options.serialize;
+    this.name = options.name || path.basename(this.filePath);
+    this.saveDelay = options.saveDelay || 500;
+    this.mode = options.mode || null;
+    this.saveTimer = null;
+    this.queue = Promise.resolve(); // writes in order
+    this.writes = 0;                // queued or running
+    this.generation = 0;            // bumped per write, so an older one never lands last
+  }
+
+  tmpPath() {
+    tmpCounter++;
+    return `${this.filePath}.${process.pid}.${tmpCounter}.tmp`;
+  }
+
+  writeOptions() {
+    return this.mode ? { mode: this.mode } : undefined;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => {
+        console.error(`❌ Failed to save ${this.name}:`, error.message);
+      });
+    }, this.saveDelay);
+  }
+
+  /**
+   * Write the current contents once any earlier write has finished
+   */
+  save() {
+    this.writes++;
+    const write = this.queue.then(() => this.write()).finally(() => {
+      this.writes--;
+    });
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  async write() {
+    const generation = ++this.generation;
+    const tmpPath = this.tmpPath();
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, this.serialize(), this.writeOptions());
+
+      // flushSync() wrote newer contents while this one was on its way
+      if (generation !== this.generation) {
+        await fs.promises.unlink(tmpPath);
+        return;
+      }
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      await fs.promises.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Write immediately and synchronously when anything is unsaved
+   * @param {Object} options
+   * @param {boolean} options.force - Write even when nothing changed
+   * @returns {boolean} Whether the file was written
+   */
+  flushSync({ force = false } = {}) {
+    if (!force && !this.saveTimer && this.writes === 0) return false;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.generation++;
+
+    const tmpPath = this.tmpPath();
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, this.serialize(), this.writeOptions());
+      fs.renameSync(tmpPath, this.filePath);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to flush ${this.name}:`, error.message);
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch (unlinkError) {
+        // Never written
+      }
+      return false;
+    }
+  }
+}
+
+module.exports = JsonFile;
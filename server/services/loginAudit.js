@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Login Audit Log
+ *
+ * Every login attempt - successful, failed, or refused during a lockout - with
+ * the username tried, IP and user agent. Kept newest-first in a JSON file and
+ * capped, so a flood of guesses can't grow it without bound. Passwords are
+ * never recorded.
+ *
+ * Entry shape:
+ * { at, outcome: 'success'|'failure'|'locked', username, userId, ip, userAgent, reason }
+ */
+
+const OUTCOMES = ['success', 'failure', 'locked'];
+
+class LoginAudit {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the log is kept
+   * @param {number} options.maxEntries - Oldest entries are dropped past this
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'login-audit.json');
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = []; // newest first
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'login audit log',
+      saveDelay: options.saveDelay || 1000,
+      mode: 0o600,
+      serialize: () => this.serialize()
+    });
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.entries = (Array.isArray(data.entries) ? data.entries : [])
+          .filter(entry => entry && entry.at && OUTCOMES.includes(entry.outcome))
+          .slice(0, this.maxEntries);
+        console.log(`📜 ${this.entries.length} login audit entr${this.entries.length === 1 ? 'y' : 'ies'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load login audit log from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  record({ outcome, username = null, userId = null, ip = null, userAgent = null, reason = null }) {
+    const entry = {
+      at: new Date().toISOString(),
+      outcome,
+      username: username ? String(username).slice(0, 64) : null,
+      userId,
+      ip,
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+      reason
+    };
+
+    this.entries.unshift(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.length = this.maxEntries;
+    }
+    this.scheduleSave();
+    return entry;
+  }
+
+  /**
+   * @param {Object} filter
+   * @param {string} filter.outcome - Only this outcome
+   * @param {string} filter.ip - Only this IP
+   * @param {number} filter.limit - At most this many, newest first
+   */
+  list({ outcome = null, ip = null, limit = 100 } = {}) {
+    return this.entries
+      .filter(entry => (!outcome || entry.outcome === outcome) && (!ip || entry.ip === ip))
+      .slice(0, limit);
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      entries: this.entries
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = {
+  LoginAudit,
+  OUTCOMES
+};
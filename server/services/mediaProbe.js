@@ -0,0 +1,414 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Media Probe
+ *
+ * Runs ffprobe on torrent files and reports what's inside - container,
+ * streams, duration, resolution, HDR, chapters - and whether the browser can
+ * play it directly, needs an HLS remux, or needs a transcode.
+ *
+ * Containers keep their headers at the start of the file and their index
+ * (MP4 moov, MKV cues) usually at one end, so the first and last pieces are
+ * fetched first; ffprobe reads the file through the loopback media source and
+ * never needs the middle. Results are cached per file.
+ */
+
+const PROBE_TIMEOUT = 60 * 1000;
+const PROBE_BYTES = 5 * 1024 * 1024; // Head and tail fetched up front
+const MAX_CONCURRENT = 2;
+
+// What <video> plays without help, per container family
+const DIRECT_PLAY = {
+  mp4: { mimeType: 'video/mp4', video: ['h264', 'av1', 'vp9'], audio: ['aac', 'mp3', 'opus', 'flac', 'alac'] },
+  webm: { mimeType: 'video/webm', video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'] }
+};
+
+// What can be copied into HLS segments as-is
+const HLS_VIDEO_CODECS = ['h264'];
+const HLS_AUDIO_CODECS = ['aac', 'mp3'];
+const BROWSER_PIXEL_FORMATS = ['yuv420p', 'yuvj420p'];
+
+const CONTAINER_MIME_TYPES = {
+  mkv: 'video/x-matroska',
+  avi: 'video/x-msvideo',
+  wmv: 'video/x-ms-wmv',
+  flv: 'video/x-flv',
+  ts: 'video/mp2t',
+  mpeg: 'video/mpeg'
+};
+
+const AUDIO_CODEC_LABELS = {
+  aac: 'AAC',
+  ac3: 'AC3',
+  eac3: 'EAC3',
+  truehd: 'TrueHD',
+  dts: 'DTS',
+  flac: 'FLAC',
+  opus: 'Opus',
+  vorbis: 'Vorbis',
+  mp3: 'MP3',
+  alac: 'ALAC'
+};
+
+const TEXT_SUBTITLE_CODECS = ['subrip', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+class ProbeError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isEightBit420(stream) {
+  return BROWSER_PIXEL_FORMATS.includes(stream.pix_fmt);
+}
+
+/**
+ * Whether a video stream can be copied into HLS without re-encoding
+ */
+function canCopyVideo(stream) {
+  return !!stream && HLS_VIDEO_CODECS.includes(stream.codec_name) && isEightBit420(stream);
+}
+
+/**
+ * Whether an audio stream can be copied into HLS without re-encoding
+ */
+function canCopyAudio(stream) {
+  return !stream || HLS_AUDIO_CODECS.includes(stream.codec_name);
+}
+
+function containerOf(format = {}, fileName = '') {
+  const names = (format.format_name || '').split(',');
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+
+  if (names.includes('matroska')) return extension === 'webm' ? 'webm' : 'mkv';
+  if (names.includes('mov')) return extension === 'mov' ? 'mov' : 'mp4';
+  if (names.includes('asf')) return 'wmv';
+  if (names.includes('mpegts')) return 'ts';
+  if (names.some(name => name.startsWith('mpeg'))) return 'mpeg';
+  return names[0] || extension || 'unknown';
+}
+
+function hdrOf(stream) {
+  const sideData = stream.side_data_list || [];
+  if (sideData.some(data => /dovi/i.test(data.side_data_type || '')) || /^dv(h[e1]|av)/.test(stream.codec_tag_string || '')) {
+    return 'Dolby Vision';
+  }
+  if (stream.color_transfer === 'smpte2084') {
+    return sideData.some(data => /HDR10\+|dynamic/i.test(data.side_data_type || '')) ? 'HDR10+' : 'HDR10';
+  }
+  if (stream.color_transfer === 'arib-std-b67') return 'HLG';
+  return null;
+}
+
+function bitDepthOf(stream) {
+  const bits = parseInt(stream.bits_per_raw_sample, 10);
+  if (bits) return bits;
+  const match = /p(\d{2})(le|be)$/.exec(stream.pix_fmt || '');
+  return match ? parseInt(match[1], 10) : 8;
+}
+
+function frameRateOf(stream) {
+  const [numerator, denominator] = (stream.avg_frame_rate || stream.r_frame_rate || '').split('/').map(Number);
+  return numerator && denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function resolutionLabel(width, height) {
+  if (!width || !height) return null;
+  // Scope releases are wide but short (1920x800 is still 1080p), so go by either side
+  if (width >= 3200 || height >= 2000) return '4K';
+  if (width >= 1800 || height >= 1000) return '1080p';
+  if (width >= 1200 || height >= 700) return '720p';
+  return 'SD';
+}
+
+function audioLabel(stream) {
+  if (stream.codec_name === 'dts' && stream.profile && stream.profile !== 'DTS') {
+    return stream.profile; // "DTS-HD MA", "DTS-HD HRA", "DTS:X"...
+  }
+  return AUDIO_CODEC_LABELS[stream.codec_name] || (stream.codec_name || '').toUpperCase();
+}
+
+function tagsOf(stream) {
+  const tags = stream.tags || {};
+  return {
+    language: tags.language && tags.language !== 'und' ? tags.language : null,
+    title: tags.title || null
+  };
+}
+
+/**
+ * Pick the streams a player would use: first real video, default (else first) audio
+ */
+function primaryStreams(probe) {
+  const streams = probe.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic) || null;
+  const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+  const audio = audioStreams.find(stream => stream.disposition?.default) || audioStreams[0] || null;
+  return { video, audio };
+}
+
+/**
+ * Direct play, HLS remux or transcode - and why
+ */
+function playbackVerdict(container, video, audio) {
+  const reasons = [];
+  const family = DIRECT_PLAY[container === 'mov' ? 'mp4' : container];
+
+  if (!video) {
+    return { playback: 'transcode', reasons: ['No video stream'] };
+  }
+
+  if (family) {
+    const videoOk = family.video.includes(video.codec_name) && isEightBit420(video);
+    const audioOk = !audio || family.audio.includes(audio.codec_name);
+    if (videoOk && audioOk) {
+      return { playback: 'direct-play', reasons };
+    }
+  } else {
+    reasons.push(`${container.toUpperCase()} container is not playable in browsers`);
+  }
+
+  if (!canCopyVideo(video)) {
+    reasons.push(`${video.codec_name} ${bitDepthOf(video)}-bit video needs transcoding`);
+  }
+  if (!canCopyAudio(audio)) {
+    reasons.push(`${audioLabel(audio)} audio needs transcoding`);
+  }
+  if (family && reasons.length === 0) {
+    reasons.push(`${video.codec_name}/${audio ? audio.codec_name : 'no audio'} is not supported in ${container.toUpperCase()}`);
+  }
+
+  return {
+    playback: canCopyVideo(video) && canCopyAudio(audio) ? 'remux' : 'transcode',
+    reasons
+  };
+}
+
+/**
+ * Turn ffprobe JSON into the compatibility report
+ */
+function describeMedia(probe, fileName) {
+  const format = probe.format || {};
+  const streams = probe.streams || [];
+  const container = containerOf(format, fileName);
+  const { video, audio } = primaryStreams(probe);
+  const duration = parseFloat(format.duration);
+
+  const videoStreams = streams
+    .filter(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic)
+    .map(stream => ({
+      index: stream.index,
+      codec: stream.codec_name,
+      profile: stream.profile || null,
+      width: stream.width || null,
+      height: stream.height || null,
+      frameRate: frameRateOf(stream),
+      bitDepth: bitDepthOf(stream),
+      pixelFormat: stream.pix_fmt || null,
+      hdr: hdrOf(stream),
+      default: !!stream.disposition?.default,
+      // Copied as-is by HLS remux and the audio-only transcode
+      browserPlayable: canCopyVideo(stream)
+    }));
+
+  const audioStreams = streams
+    .filter(stream => stream.codec_type === 'audio')
+    .map(stream => ({
+      index: stream.index,
+      codec: stream.codec_name,
+      label: audioLabel(stream),
+      profile: stream.profile || null,
+      channels: stream.channels || null,
+      channelLayout: stream.channel_layout || null,
+      ...tagsOf(stream),
+      default: !!stream.disposition?.default,
+      browserPlayable: [...DIRECT_PLAY.mp4.audio, ...DIRECT_PLAY.webm.audio].includes(stream.codec_name)
+    }));
+
+  const subtitleStreams = streams
+    .filter(stream => stream.codec_type === 'subtitle')
+    .map(stream => ({
+      index: stream.index,
+      codec: stream.codec_name,
+      ...tagsOf(stream),
+      text: TEXT_SUBTITLE_CODECS.includes(stream.codec_name),
+      forced: !!stream.disposition?.forced,
+      default: !!stream.disposition?.default
+    }));
+
+  const chapters = (probe.chapters || []).map(chapter => ({
+    start: parseFloat(chapter.start_time),
+    end: parseFloat(chapter.end_time),
+    title: chapter.tags?.title || null
+  }));
+
+  const { playback, reasons } = playbackVerdict(container, video, audio);
+  const family = DIRECT_PLAY[container === 'mov' ? 'mp4' : container];
+
+  return {
+    container,
+    formatName: format.format_name || null,
+    mimeType: family ? family.mimeType : (CONTAINER_MIME_TYPES[container] || 'application/octet-stream'),
+    duration: Number.isFinite(duration) ? duration : null,
+    bitRate: parseInt(format.bit_rate, 10) || null,
+    width: video?.width || null,
+    height: video?.height || null,
+    resolution: video ? resolutionLabel(video.width, video.height) : null,
+    hdr: video ? hdrOf(video) : null,
+    video: videoStreams,
+    audio: audioStreams,
+    subtitles: subtitleStreams,
+    chapters,
+    playback,
+    reasons
+  };
+}
+
+class MediaProbe {
+  /**
+   * @param {Object} options
+   * @param {MediaSource} options.source - Loopback source ffprobe reads torrent files from
+   * @param {string} options.ffprobePath
+   * @param {number} options.maxConcurrent - ffprobe processes running at once
+   */
+  constructor(options = {}) {
+    this.source = options.source;
+    this.ffprobePath = options.ffprobePath || 'ffprobe';
+    this.maxConcurrent = options.maxConcurrent || MAX_CONCURRENT;
+    this.cache = new Map();   // "<infoHash>:<fileIndex>" -> ffprobe JSON
+    this.pending = new Map(); // same key -> Promise while probing
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * ffprobe a media URL
+   * @returns {Promise<Object>} ffprobe's JSON output
+   */
+  run(url) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ffprobePath, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        '-show_chapters',
+        url
+      ], { timeout: PROBE_TIMEOUT, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          if (error.code === 'ENOENT') {
+            return reject(new ProbeError('ffprobe is not installed', 503));
+          }
+          if (error.killed) {
+            return reject(new ProbeError('ffprobe timed out waiting for torrent data', 504));
+          }
+          return reject(new Error(`ffprobe failed: ${(stderr || error.message).trim()}`));
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (e) {
+          reject(new Error('ffprobe returned invalid output'));
+        }
+      });
+    });
+  }
+
+  async acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next(); // Hand the slot straight over
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Ask for the head and tail of the file before anything else
+   */
+  prioritize(torrent, file) {
+    if (typeof torrent.critical !== 'function' || !torrent.pieceLength) return;
+
+    const pieceOf = (position) => Math.floor((file.offset + position) / torrent.pieceLength);
+    const headEnd = Math.min(PROBE_BYTES, file.length) - 1;
+    const tailStart = Math.max(0, file.length - PROBE_BYTES);
+
+    torrent.critical(pieceOf(0), pieceOf(headEnd));
+    torrent.critical(pieceOf(tailStart), pieceOf(file.length - 1));
+  }
+
+  /**
+   * Raw ffprobe output for a torrent file, probed once and cached
+   */
+  async probe(torrent, fileIndex) {
+    const key = `${torrent.infoHash}:${fileIndex}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const probing = (async () => {
+      const file = torrent.files[fileIndex];
+      await this.acquire();
+
+      try {
+        this.prioritize(torrent, file);
+        const input = await this.source.open(torrent, file);
+        try {
+          const result = await this.run(input.url);
+          this.cache.set(key, result);
+          return result;
+        } finally {
+          input.release();
+        }
+      } finally {
+        this.releaseSlot();
+      }
+    })();
+
+    this.pending.set(key, probing);
+    try {
+      return await probing;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Compatibility report for a torrent file
+   */
+  async report(torrent, fileIndex) {
+    const result = await this.probe(torrent, fileIndex);
+    return describeMedia(result, torrent.files[fileIndex].name);
+  }
+
+  /**
+   * The report if the file has been probed already, without probing it
+   */
+  cached(torrent, fileIndex) {
+    const result = this.cache.get(`${torrent.infoHash}:${fileIndex}`);
+    return result ? describeMedia(result, torrent.files[fileIndex].name) : null;
+  }
+
+  forget(infoHash) {
+    [...this.cache.keys()]
+      .filter(key => key.startsWith(`${infoHash}:`))
+      .forEach(key => this.cache.delete(key));
+  }
+}
+
+module.exports = {
+  MediaProbe,
+  ProbeError,
+  describeMedia,
+  primaryStreams,
+  canCopyVideo,
+  canCopyAudio
+};
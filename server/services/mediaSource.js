@@ -0,0 +1,100 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Loopback media source
+ *
+ * ffmpeg and ffprobe read torrent files over HTTP from this server rather
+ * than from disk: a range request turns into file.createReadStream(), so
+ * WebTorrent fetches exactly the pieces ffmpeg seeks to - even while the
+ * torrent is still downloading. Only listens on 127.0.0.1, and every file is
+ * addressed by a random token, so nothing here is reachable from outside.
+ */
+
+class MediaSource {
+  constructor() {
+    this.server = null;
+    this.port = null;
+    this.files = new Map(); // token -> { torrent, file }
+  }
+
+  async start() {
+    if (this.server) return;
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    this.files.clear();
+  }
+
+  /**
+   * Expose a torrent file and return the URL ffmpeg should read from
+   * @returns {Promise<{ url: string, release: Function }>}
+   */
+  async open(torrent, file) {
+    await this.start();
+
+    const token = crypto.randomBytes(16).toString('hex');
+    this.files.set(token, { torrent, file });
+
+    return {
+      url: `http://127.0.0.1:${this.port}/${token}`,
+      release: () => this.files.delete(token)
+    };
+  }
+
+  handle(req, res) {
+    const entry = this.files.get(req.url.slice(1));
+    if (!entry || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const { file } = entry;
+    let start = 0;
+    let end = file.length - 1;
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+
+    if (range) {
+      if (range[1]) {
+        start = parseInt(range[1], 10);
+        if (range[2]) end = Math.min(parseInt(range[2], 10), end);
+      } else if (range[2]) {
+        // Suffix range: the last N bytes
+        start = Math.max(0, file.length - parseInt(range[2], 10));
+      }
+
+      if (start > end) {
+        res.writeHead(416, { 'Content-Range': `bytes */${file.length}` });
+        return res.end();
+      }
+    }
+
+    res.writeHead(range ? 206 : 200, {
+      'Accept-Ranges': 'bytes',
+      'Content-Length': end - start + 1,
+      'Content-Type': 'application/octet-stream',
+      ...(range ? { 'Content-Range': `bytes ${start}-${end}/${file.length}` } : {})
+    });
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = file.createReadStream({ start, end });
+    stream.on('error', () => res.destroy());
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  }
+}
+
+module.exports = MediaSource;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Metadata Cache
+ *
+ * Provider answers kept in a JSON file, so a restart doesn't send every poster
+ * and plot back to OMDb/TMDB. Misses are cached too, for a shorter time, so a
+ * name no provider knows isn't looked up on every page view. Past maxEntries
+ * the least recently stored entries go first.
+ *
+ * Entry shape:
+ * { key, data, storedAt, expiresAt } - data is null for a miss
+ */
+
+class MetadataCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the cache is kept
+   * @param {number} options.ttl - Hours a found entry is kept
+   * @param {number} options.missTtl - Hours a miss is kept
+   * @param {number} options.maxEntries - Oldest entries are dropped past this
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'metadata-cache.json');
+    this.ttl = (options.ttl ?? 168) * 60 * 60 * 1000;
+    this.missTtl = (options.missTtl ?? 12) * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 5000;
+    this.entries = new Map(); // key -> entry, oldest first
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'metadata cache',
+      saveDelay: options.saveDelay || 2000,
+      serialize: () => this.serialize()
+    });
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const now = Date.now();
+        (Array.isArray(data.entries) ? data.entries : [])
+          .filter(entry => entry && entry.key && entry.expiresAt > now)
+          .sort((a, b) => a.storedAt - b.storedAt)
+          .forEach(entry => this.entries.set(entry.key, entry));
+        console.log(`🗂️ ${this.entries.size} metadata cache entr${this.entries.size === 1 ? 'y' : 'ies'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load metadata cache from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  /**
+   * The cached entry for a key, or undefined when there is none or it expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.scheduleSave();
+      return undefined;
+    }
+    return entry;
+  }
+
+  set(key, data) {
+    const now = Date.now();
+    const entry = { key, data: data || null, storedAt: now, expiresAt: now + (data ? this.ttl : this.missTtl) };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+    return entry;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.scheduleSave();
+    return removed;
+  }
+
+  stats() {
+    const entries = Array.from(this.entries.values());
+    return {
+      entries: entries.length,
+      misses: entries.filter(entry => !entry.data).length,
+      ttlHours: this.ttl / 3600000,
+      missTtlHours: this.missTtl / 3600000
+    };
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      entries: Array.from(this.entries.values())
+    });
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = MetadataCache;
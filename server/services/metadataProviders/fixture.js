@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeTitle } = require('../releaseName');
+
+/**
+ * Fixture provider
+ *
+ * Answers from a JSON file instead of the network, for working offline or
+ * checking the lookup pipeline without API keys. The file is an array of
+ * entries in the same shape the online providers return, plus optional
+ * "aliases" (other titles that match) and "languages" (per-language fields
+ * that replace the defaults, e.g. { "fr-FR": { "Plot": "..." } }).
+ */
+
+class FixtureProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file with the entries
+   */
+  constructor(options = {}) {
+    this.id = 'fixture';
+    this.name = 'Fixture';
+    this.filePath = path.resolve(options.filePath);
+    this.entries = null;
+  }
+
+  load() {
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (!Array.isArray(data)) {
+      throw new Error(`${this.filePath} must hold an array of metadata entries`);
+    }
+    return data.filter(entry => entry && entry.Title);
+  }
+
+  /**
+   * @param {Object} params - { title, year, type: 'movie'|'series', language }
+   */
+  async lookup({ title, year, type, language }) {
+    if (!this.entries) {
+      this.entries = this.load();
+    }
+
+    const wanted = normalizeTitle(title);
+    const entry = this.entries.find(candidate =>
+      [candidate.Title, ...(candidate.aliases || [])].some(name => normalizeTitle(name) === wanted) &&
+      (candidate.Type || 'movie') === type &&
+      (!year || !candidate.Year || String(candidate.Year).startsWith(String(year))));
+    if (!entry) return null;
+
+    const { aliases, languages, ...metadata } = entry;
+    return {
+      ...metadata,
+      ...(languages?.[language] || {}),
+      Type: metadata.Type || 'movie',
+      source: this.id
+    };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,92 @@
+/**
+ * OMDb provider (www.omdbapi.com)
+ *
+ * Exact title lookups first (with the year when the release has one), then a
+ * title search whose first hit is fetched by IMDb id. OMDb only answers in
+ * English, so the language is ignored.
+ */
+
+class OmdbProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OMDb API key
+   * @param {string} options.apiUrl - API base URL
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('OMDb needs an API key');
+    }
+    this.id = 'omdb';
+    this.name = 'OMDb';
+    this.apiKey = options.apiKey;
+    this.apiUrl = (options.apiUrl || 'https://www.omdbapi.com').replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(params) {
+    const query = new URLSearchParams({ apikey: this.apiKey, ...params });
+    const response = await fetch(`${this.apiUrl}/?${query}`, {
+      headers: { 'Accept': 'application/json', 'User-Agent': 'SeedboxLite/1.0' },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} returned ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.Response !== 'True') {
+      // "Movie not found!" is an answer; a bad key or exhausted quota is not
+      if (/not found/i.test(data.Error || '')) return null;
+      throw new Error(`${this.name}: ${data.Error || 'Unknown error'}`);
+    }
+    return data;
+  }
+
+  /**
+   * @param {Object} params - { title, year, type: 'movie'|'series' }
+   */
+  async lookup({ title, year, type }) {
+    const exact = [
+      year ? { t: title, y: year, type } : null,
+      { t: title, type },
+      type === 'movie' && !/^the /i.test(title) ? { t: `The ${title}`, type } : null
+    ].filter(Boolean);
+
+    for (const params of exact) {
+      const data = await this.request(params);
+      if (data && data.Title) return this.describe(data);
+    }
+
+    const search = await this.request({ s: title, type, ...(year ? { y: year } : {}) });
+    const first = search?.Search?.[0];
+    if (!first?.imdbID) return null;
+
+    const data = await this.request({ i: first.imdbID });
+    return data && data.Title ? this.describe(data) : null;
+  }
+
+  describe(data) {
+    const value = (field) => (data[field] && data[field] !== 'N/A' ? data[field] : null);
+    return {
+      Title: data.Title,
+      Year: value('Year'),
+      imdbRating: value('imdbRating'),
+      imdbVotes: value('imdbVotes'),
+      Plot: value('Plot'),
+      Director: value('Director'),
+      Actors: value('Actors'),
+      Poster: value('Poster'),
+      Backdrop: null,
+      Genre: value('Genre'),
+      Runtime: value('Runtime'),
+      Rated: value('Rated'),
+      imdbID: value('imdbID'),
+      tmdbID: null,
+      Type: data.Type === 'series' ? 'series' : 'movie',
+      source: this.id
+    };
+  }
+}
+
+module.exports = OmdbProvider;
@@ -0,0 +1,100 @@
+/**
+ * TMDB provider (api.themoviedb.org, v3)
+ *
+ * Searches movies or TV shows, then fetches the first hit's details with its
+ * credits, in the configured language. TMDB has backdrops, which OMDb lacks.
+ */
+
+const IMAGE_BASE = 'https://image.tmdb.org/t/p';
+
+class TmdbProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - TMDB v3 API key
+   * @param {string} options.apiUrl - API base URL
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('TMDB needs an API key');
+    }
+    this.id = 'tmdb';
+    this.name = 'TMDB';
+    this.apiKey = options.apiKey;
+    this.apiUrl = (options.apiUrl || 'https://api.themoviedb.org/3').replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(route, params = {}) {
+    const query = new URLSearchParams({ api_key: this.apiKey, ...params });
+    const response = await fetch(`${this.apiUrl}${route}?${query}`, {
+      headers: { 'Accept': 'application/json', 'User-Agent': 'SeedboxLite/1.0' },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * @param {Object} params - { title, year, type: 'movie'|'series', language }
+   */
+  async lookup({ title, year, type, language }) {
+    const kind = type === 'series' ? 'tv' : 'movie';
+    const params = { query: title, ...(language ? { language } : {}) };
+    if (year) params[kind === 'tv' ? 'first_air_date_year' : 'year'] = year;
+
+    const search = await this.request(`/search/${kind}`, params);
+    const first = search.results?.[0];
+    if (!first) return null;
+
+    const details = await this.request(`/${kind}/${first.id}`, {
+      append_to_response: kind === 'tv' ? 'credits,external_ids' : 'credits',
+      ...(language ? { language } : {})
+    });
+    return kind === 'tv' ? this.describeShow(details) : this.describeMovie(details);
+  }
+
+  describeCommon(details) {
+    return {
+      imdbRating: details.vote_average ? details.vote_average.toFixed(1) : null,
+      imdbVotes: details.vote_count ? details.vote_count.toLocaleString() : null,
+      Plot: details.overview || null,
+      Actors: details.credits?.cast?.slice(0, 4).map(actor => actor.name).join(', ') || null,
+      Poster: details.poster_path ? `${IMAGE_BASE}/w500${details.poster_path}` : null,
+      Backdrop: details.backdrop_path ? `${IMAGE_BASE}/w1280${details.backdrop_path}` : null,
+      Genre: details.genres?.map(genre => genre.name).join(', ') || null,
+      Rated: null,
+      tmdbID: details.id,
+      source: this.id
+    };
+  }
+
+  describeMovie(details) {
+    return {
+      Title: details.title,
+      Year: details.release_date?.substring(0, 4) || null,
+      Director: details.credits?.crew?.find(person => person.job === 'Director')?.name || null,
+      Runtime: details.runtime ? `${details.runtime} min` : null,
+      imdbID: details.imdb_id || null,
+      Type: 'movie',
+      ...this.describeCommon(details)
+    };
+  }
+
+  describeShow(details) {
+    return {
+      Title: details.name,
+      Year: details.first_air_date?.substring(0, 4) || null,
+      Director: details.created_by?.map(creator => creator.name).join(', ') || null,
+      Runtime: details.episode_run_time?.[0] ? `${details.episode_run_time[0]} min` : null,
+      imdbID: details.external_ids?.imdb_id || null,
+      Type: 'series',
+      ...this.describeCommon(details)
+    };
+  }
+}
+
+module.exports = TmdbProvider;
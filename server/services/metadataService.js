@@ -0,0 +1,178 @@
+const { parseReleaseName, normalizeTitle } = require('./releaseName');
+
+/**
+ * Metadata Service
+ *
+ * Title, year, plot, poster etc. for a torrent name, from the registered
+ * providers in order. The name is parsed as a release first, so lookups use
+ * the real title and year, and episodes or season packs are looked up as
+ * shows before falling back to movies. When the first provider's answer lacks
+ * a poster or backdrop, later providers are asked for the same title to fill
+ * the gaps (OMDb has no backdrops).
+ *
+ * A provider is any object with:
+ *   id                       - short unique id, reported as the result source
+ *   name                     - shown in logs and the settings API
+ *   lookup(params)           - { title, year, type: 'movie'|'series', language }
+ *                              resolves to a metadata object or null; throws
+ *                              when the provider couldn't answer
+ *
+ * Answers (misses too) are kept in a MetadataCache keyed by language, type,
+ * title and year. A miss is only cached when every provider answered, so a
+ * network outage doesn't hide posters until the miss expires.
+ *
+ * Metadata shape:
+ * { Title, Year, imdbRating, imdbVotes, Plot, Director, Actors, Poster, Backdrop,
+ *   Genre, Runtime, Rated, imdbID, tmdbID, Type: 'movie'|'series', source }
+ */
+
+const LANGUAGE_PATTERN = /^[a-z]{2}(?:-[A-Z]{2})?$/;
+
+class MetadataError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class MetadataService {
+  /**
+   * @param {Object} options
+   * @param {MetadataCache} options.cache - Where answers are kept between restarts
+   * @param {string} options.language - Language asked of providers that support one, e.g. "en-US"
+   */
+  constructor(options = {}) {
+    this.providers = [];
+    this.cache = options.cache;
+    this.language = LANGUAGE_PATTERN.test(options.language || '') ? options.language : 'en-US';
+    this.pending = new Map(); // cache key -> lookup in flight
+  }
+
+  register(provider) {
+    this.providers.push(provider);
+    return this;
+  }
+
+  setLanguage(language) {
+    if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+      throw new MetadataError('"language" must be a language code such as "en" or "en-US"');
+    }
+    this.language = language;
+    return this.language;
+  }
+
+  describe() {
+    return {
+      language: this.language,
+      providers: this.providers.map(provider => ({ id: provider.id, name: provider.name })),
+      cache: this.cache.stats()
+    };
+  }
+
+  /**
+   * Metadata for a torrent name
+   * @returns {Promise<{ data: Object|null, cached: boolean, release: Object }>}
+   */
+  async lookup(torrentName) {
+    const release = parseReleaseName(torrentName);
+    if (!release.title || release.title.length < 2 || this.providers.length === 0) {
+      return { data: null, cached: false, release };
+    }
+
+    const type = release.type === 'movie' ? 'movie' : 'series';
+    const key = [this.language, type, normalizeTitle(release.title), release.year || ''].join('|');
+
+    const entry = this.cache.get(key);
+    if (entry) {
+      return { data: entry.data, cached: true, release };
+    }
+
+    if (!this.pending.has(key)) {
+      const lookup = this.fetch(release, type)
+        .then(({ data, complete }) => {
+          if (data || complete) this.cache.set(key, data);
+          return data;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, lookup);
+    }
+
+    return { data: await this.pending.get(key), cached: false, release };
+  }
+
+  /**
+   * Metadata for several torrent names, a few lookups at a time
+   * @returns {Promise<Map<string, Object|null>>} name -> metadata
+   */
+  async lookupMany(torrentNames, concurrency = 4) {
+    const names = Array.from(new Set(torrentNames));
+    const results = new Map();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < names.length) {
+        const name = names[next++];
+        try {
+          results.set(name, (await this.lookup(name)).data);
+        } catch (error) {
+          console.log(`⚠️ Metadata lookup failed for "${name}": ${error.message}`);
+          results.set(name, null);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, names.length) }, worker));
+    return results;
+  }
+
+  async fetch(release, type) {
+    const language = this.language;
+    let result = null;
+    let complete = true;
+
+    console.log(`🎬 Looking up metadata for "${release.title}"${release.year ? ` (${release.year})` : ''} as ${type}`);
+
+    for (const provider of this.providers) {
+      if (result && result.Poster && result.Backdrop) break;
+
+      // Once something matched, later providers are asked about what it matched
+      const query = result
+        ? { title: result.Title, year: parseInt(result.Year, 10) || null, types: [result.Type] }
+        : { title: release.title, year: release.year, types: type === 'series' ? ['series', 'movie'] : ['movie'] };
+
+      for (const candidateType of query.types) {
+        let found;
+        try {
+          found = await provider.lookup({ title: query.title, year: query.year, type: candidateType, language });
+        } catch (error) {
+          console.log(`⚠️ Metadata provider ${provider.name} failed: ${error.message}`);
+          complete = false;
+          break;
+        }
+
+        if (found) {
+          if (result) {
+            Object.keys(found).forEach(field => {
+              if (result[field] === null || result[field] === undefined) result[field] = found[field];
+            });
+          } else {
+            result = found;
+            console.log(`✅ ${provider.name}: ${found.Title} (${found.Year || 'unknown year'}) - ${found.Type}`);
+          }
+          break;
+        }
+      }
+    }
+
+    if (!result) {
+      console.log(`❌ No metadata found for "${release.title}"`);
+    }
+    return { data: result, complete };
+  }
+}
+
+module.exports = {
+  MetadataService,
+  MetadataError,
+  LANGUAGE_PATTERN
+};
@@ -0,0 +1,559 @@
+/**
+ * Release Names
+ *
+ * Reads what a scene/P2P release name says about the release:
+ *
+ *   The.Expanse.S02E01-E03.2160p.AMZN.WEB-DL.DDP5.1.HDR10.HEVC-NTb
+ *   -> title "The Expanse", seasons [2], episodes [1, 2, 3], 2160p, WEB-DL, H.265, DD+ 5.1, HDR10, group NTb
+ *
+ * The title runs up to the first thing that isn't title: a year, an episode
+ * marker or a technical token (resolution, source, codec, audio, HDR). A year
+ * at the very start is part of the title ("2001.A.Space.Odyssey.1968"), and of
+ * two years the last one is the release year ("Blade.Runner.2049.2017"). Words
+ * that are also ordinary English (Extended, Complete, Proper, CAM, WEB...) only
+ * end the title when they're in capitals, or for editions, when a year or a
+ * technical token follows them.
+ *
+ * fixtures/release-names.json is a corpus of real-world names and the fields
+ * they should parse to; run it through parseReleaseName after changing a pattern.
+ *
+ * Result shape:
+ * { title, year, type, seasons, episodes, date, complete, resolution, source, remux, codec, bitDepth,
+ *   hdr, audio, channels, edition, repack, proper, group, site, container }
+ */
+
+// Token edges: a token can't continue into letters or digits on either side
+const B = '(?<![a-z0-9])';
+const E = '(?![a-z0-9])';
+// Audio tokens often run straight into their channels ("DDP5.1")
+const E_AUDIO = '(?![a-z])';
+
+const VIDEO_EXTENSIONS = ['mkv', 'mp4', 'avi', 'm4v', 'mov', 'wmv', 'flv', 'webm', 'ts', 'm2ts', 'mpg', 'iso'];
+const KNOWN_SITES = /^(?:www\.|rarbg|rartv|eztv|ettv|tgx|torrentgalaxy|yts|1337x|publichd|ethd)/i;
+const SITE_DOMAIN = /\.(?:com|org|net|to|mx|ag|am|lt|se|me|info|io|tv|cc|xyz|re|ch|lol|nz|ws|eu|ru|li|is|rs|pw|tw|im|co|si|bz|gd|unblockit)\b/i;
+
+const RESOLUTIONS = ['480p', '576p', '720p', '1080i', '1080p', '1440p', '2160p', '4320p'];
+
+// Most specific first: the first pattern that matches wins
+const SOURCES = [
+  ['WEB-DL', 'web[ .-]?dl(?:mux)?'],
+  ['WEBRip', 'web[ .-]?rip'],
+  ['BDRip', 'bd[ .-]?rip'],
+  ['BRRip', 'br[ .-]?rip'],
+  ['BluRay', '(?:uhd[ .-]?)?blu[ .-]?ray|bd(?:25|50|66|100|mux)?'],
+  ['HDTV', 'hdtv(?:rip)?'],
+  ['PDTV', 'pdtv'],
+  ['SDTV', 'sdtv|dsr(?:ip)?|sat[ .-]?rip'],
+  ['DVDRip', 'dvd[ .-]?rip'],
+  ['HDRip', 'hd[ .-]?rip'],
+  ['CAM', 'hd[ .-]?cam|cam[ .-]?rip'],
+  ['TS', 'hd[ .-]?ts|telesync'],
+  ['TC', 'hd[ .-]?tc|telecine'],
+  ['SCR', '(?:dvd|bd|web)[ .-]?scr(?:eener)?|screener'],
+  ['R5', 'r5'],
+  ['VHS', 'vhs(?:[ .-]?rip)?'],
+  ['DVD', 'dvd(?:[ .-]?(?:5|9|r))?']
+];
+// Also everyday words, so they only count in capitals or after the title
+const WEAK_SOURCES = [
+  ['CAM', 'cam'],
+  ['TS', 'ts'],
+  ['TC', 'tc'],
+  ['SCR', 'scr'],
+  ['WEB', 'web']
+];
+
+const CODECS = [
+  ['H.265', 'x[ .]?265|h[ .]?265|hevc'],
+  ['H.264', 'x[ .]?264|h[ .]?264|avc'],
+  ['AV1', 'av1'],
+  ['VP9', 'vp9'],
+  ['XviD', 'xvid'],
+  ['DivX', 'divx'],
+  ['MPEG-2', 'mpeg[ .-]?2'],
+  ['VC-1', 'vc[ .-]?1']
+];
+
+const HDR_FORMATS = [
+  ['Dolby Vision', 'dv|dovi|dolby[ .-]?vision'],
+  ['HDR10+', 'hdr10(?:\\+|[ .-]?plus)'],
+  ['HDR10', 'hdr10(?![ .-]?plus|\\+)'],
+  ['HLG', 'hlg'],
+  ['HDR', 'hdr']
+];
+
+const AUDIO_CODECS = [
+  ['TrueHD', 'true[ .-]?hd'],
+  ['Atmos', 'atmos'],
+  ['DD+', 'ddp|dd\\+|e[ .-]?ac[ .-]?3'],
+  ['DD', 'dd|ac[ .-]?3|dolby[ .-]?digital'],
+  ['AAC', 'aac(?:[ .-]?lc)?'],
+  ['FLAC', 'flac'],
+  ['Opus', 'opus'],
+  ['MP3', 'mp3'],
+  ['LPCM', 'l?pcm']
+];
+const DTS_TOKEN = new RegExp(`${B}dts(?:[ .-]?(hd)(?:[ .-]?(ma|hra))?|[ .-]?(x|es)${E})?${E_AUDIO}`, 'i');
+const CHANNELS = '(?<![0-9])(1[ .]0|2[ .][01]|5[ .]1|6[ .]1|7[ .]1)(?:[ .]?ch)?(?![0-9])';
+const CHANNEL_COUNTS = { 2: '2.0', 6: '5.1', 8: '7.1' };
+
+const EDITIONS = [
+  ["Director's Cut", "directors?'?s?[ .-]?cut"],
+  ['Extended', 'extended(?:[ .-]?(?:cut|edition|version))?'],
+  ['Theatrical', 'theatrical(?:[ .-]?(?:cut|edition|version))?'],
+  ['Unrated', 'unrated'],
+  ['Uncut', 'uncut'],
+  ['Remastered', '(?:4k[ .-]?)?remaster(?:ed)?'],
+  ['IMAX', 'imax(?:[ .-]?edition)?'],
+  ['Criterion', 'criterion(?:[ .-]?collection)?'],
+  ['Special Edition', 'special[ .-]?edition'],
+  ['Ultimate Edition', 'ultimate[ .-]?(?:edition|cut)'],
+  ["Collector's Edition", "collector'?s[ .-]?edition"],
+  ['Anniversary Edition', '(?:\\d+(?:th)?[ .-]?)?anniversary[ .-]?edition'],
+  ['Final Cut', 'final[ .-]?cut'],
+  ['Open Matte', 'open[ .-]?matte'],
+  ['Redux', 'redux']
+];
+
+// Tokens that can never be a release group
+const NOT_GROUPS = /^(?:dl|hd|rip|ma|x|es|mux|sub|subs|dub|\d+)$/i;
+
+function token(source, end = E) {
+  return new RegExp(`${B}(?:${source})${end}`, 'i');
+}
+
+const RESOLUTION_TOKEN = token('(\\d{3,4})([pi])|4k|uhd|(\\d{3,4})x(\\d{3,4})');
+const SOURCE_TOKENS = SOURCES.map(([name, source]) => [name, token(source)]);
+const WEAK_SOURCE_TOKENS = WEAK_SOURCES.map(([name, source]) => [name, token(source)]);
+const CODEC_TOKENS = CODECS.map(([name, source]) => [name, token(source)]);
+const HDR_TOKENS = HDR_FORMATS.map(([name, source]) => [name, token(source)]);
+const AUDIO_TOKENS = AUDIO_CODECS.map(([name, source]) => [name, token(source, E_AUDIO)]);
+const EDITION_TOKENS = EDITIONS.map(([name, source]) => [name, token(source)]);
+const REMUX_TOKEN = token('(?:bd|uhd)?[ .-]?remux');
+const BIT_DEPTH_TOKEN = token('(8|10|12)[ .-]?bits?|hi10p?');
+const REPACK_TOKEN = token('repack\\d?|rerip');
+const PROPER_TOKEN = token('proper');
+const COMPLETE_TOKEN = token('(?:the[ .-])?complete(?:[ .-](series|seasons?|collection|box[ .-]?set))?');
+
+const YEAR = new RegExp(`${B}[([]?((?:19|20)\\d{2})[)\\]]?${E}`, 'gi');
+const DATE = new RegExp(`${B}((?:19|20)\\d{2})[ .-](0[1-9]|1[0-2])[ .-](0[1-9]|[12]\\d|3[01])${E}`, 'i');
+
+// S01E01, S01E01E02, S01E01-E03, S01E01-03, S01E01-S01E03, S01.E01
+const SEASON_EPISODE = new RegExp(
+  `${B}s(\\d{1,3})[ ._-]?e(\\d{1,4})((?:(?:[ ._]?-[ ._]?|[ ._]?)(?:s\\d{1,3}[ ._-]?)?e\\d{1,4}|-\\d{1,4}(?![\\dpi]))*)${E}`, 'i'
+);
+// 1x01, 1x01-1x03, 1x01-03
+const CROSS_EPISODE = new RegExp(`${B}(\\d{1,2})x(\\d{2,3})(?:[ ._]?-[ ._]?(?:\\d{1,2}x)?(\\d{2,3}))?${E}`, 'i');
+// S01, S01-S03, S01-03
+const SEASON_RANGE = new RegExp(`${B}s(\\d{1,3})(?:[ ._]?-[ ._]?s?(\\d{1,3}))?${E}`, 'i');
+// Season 1, Seasons 1-3, Season 1 to 3
+const SEASON_WORDS = new RegExp(`${B}seasons?[ ._]?(\\d{1,3})(?:[ ._]?(?:-|to|&|and)[ ._]?(\\d{1,3}))?${E}`, 'i');
+// Episode 5, Ep.05, E05-E07
+const EPISODE_WORDS = new RegExp(`${B}(?:(?:episode|ep)[ ._]?|e(?=\\d{2}))(\\d{1,4})(?:[ ._]?-[ ._]?(?:episode|ep|e)?[ ._]?(\\d{1,4}))?${E}`, 'i');
+// Anime absolute numbering: "Show - 24", "Show - 01-12", "Show - 07v2"
+const ABSOLUTE_EPISODE = /\s-\s(?!(?:19|20)\d{2}\b)(\d{1,4})(?:v\d)?(?:\s?[-~]\s?(\d{1,4})(?:v\d)?)?(?=\s|$|[[(])/;
+
+const MAX_RANGE = 500;
+
+function range(from, to) {
+  const start = parseInt(from, 10);
+  const end = to === undefined || to === null ? start : parseInt(to, 10);
+  if (!(end >= start) || end - start > MAX_RANGE) return [start];
+  return Array.from({ length: end - start + 1 }, (value, index) => start + index);
+}
+
+function firstMatch(tokens, text) {
+  for (const [name, pattern] of tokens) {
+    const match = pattern.exec(text);
+    if (match) return { name, index: match.index, match };
+  }
+  return null;
+}
+
+function allMatches(tokens, text) {
+  return tokens
+    .map(([name, pattern]) => {
+      const match = pattern.exec(text);
+      return match ? { name, index: match.index, match } : null;
+    })
+    .filter(Boolean);
+}
+
+function isUpperCase(text) {
+  return /[A-Z]/.test(text) && text === text.toUpperCase();
+}
+
+function isSite(text) {
+  return KNOWN_SITES.test(text.trim()) || SITE_DOMAIN.test(text);
+}
+
+/**
+ * Take leading and trailing [site]/[group]/[CRC32] tags off a name
+ */
+function stripTags(text, result) {
+  let rest = text;
+  let match;
+
+  while ((match = rest.match(/^\s*\[([^\]]*)\]\s*/)) || (match = rest.match(/^\s*(www\.[^\s\]]+?\.[a-z]{2,})(?:\s*-\s*|\s+)/i))) {
+    const inner = match[1].trim();
+    if (isSite(inner)) {
+      result.site = result.site || inner;
+    } else if (inner && !result.group) {
+      result.group = inner; // Anime fansubs lead with their group
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  while ((match = rest.match(/\s*[-.]?\s*\[([^\]]*)\]\s*$/)) || (match = rest.match(/\s*\((\d)\)\s*$/))) {
+    const inner = match[1].trim();
+    if (isSite(inner)) {
+      result.site = result.site || inner;
+    } else if (!/^[0-9a-f]{8}$/i.test(inner) && !/^\d$/.test(inner)) {
+      // Technical tags like [1080p] are read with the rest of the name
+      break;
+    }
+    rest = rest.slice(0, match.index);
+  }
+
+  return rest.trim();
+}
+
+/**
+ * Where the metadata starts: the first year, episode marker or technical token
+ */
+function strongMarker(text) {
+  const positions = [
+    RESOLUTION_TOKEN.exec(text)?.index,
+    firstMatch(SOURCE_TOKENS, text)?.index,
+    REMUX_TOKEN.exec(text)?.index,
+    firstMatch(CODEC_TOKENS, text)?.index,
+    // Audio and HDR names can be words too ("Opus"), so only in capitals
+    ...[...allMatches(HDR_TOKENS, text), ...allMatches(AUDIO_TOKENS, text), { match: DTS_TOKEN.exec(text) }]
+      .filter(found => found.match && isUpperCase(found.match[0]))
+      .map(found => found.match.index),
+    BIT_DEPTH_TOKEN.exec(text)?.index
+  ].filter(index => index !== undefined && index > 0);
+  return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+/**
+ * Seasons, episodes or an air date, and where they start
+ */
+function findEpisodes(text) {
+  let match = SEASON_EPISODE.exec(text);
+  if (match) {
+    const seasons = [parseInt(match[1], 10)];
+    let episodes = [parseInt(match[2], 10)];
+    const more = /(-)?[ ._]?(?:s(\d{1,3})[ ._-]?)?e?(\d{1,4})/gi;
+    let part;
+    while ((part = more.exec(match[3])) !== null) {
+      const number = parseInt(part[3], 10);
+      const last = episodes[episodes.length - 1];
+      episodes = part[1] ? [...episodes, ...range(last + 1, number)] : [...episodes, number];
+      if (part[2] && !seasons.includes(parseInt(part[2], 10))) seasons.push(parseInt(part[2], 10));
+    }
+    return { index: match.index, seasons, episodes: Array.from(new Set(episodes)), date: null };
+  }
+
+  match = CROSS_EPISODE.exec(text);
+  if (match) {
+    return { index: match.index, seasons: [parseInt(match[1], 10)], episodes: range(match[2], match[3]), date: null };
+  }
+
+  match = DATE.exec(text);
+  if (match) {
+    return { index: match.index, seasons: [], episodes: [], date: `${match[1]}-${match[2]}-${match[3]}`, end: match.index + match[0].length };
+  }
+
+  const season = SEASON_RANGE.exec(text) || SEASON_WORDS.exec(text);
+  const episode = EPISODE_WORDS.exec(text);
+  if (season || episode) {
+    return {
+      index: Math.min(...[season?.index, episode?.index].filter(index => index !== undefined)),
+      seasons: season ? range(season[1], season[2]) : [],
+      episodes: episode ? range(episode[1], episode[2]) : [],
+      date: null
+    };
+  }
+
+  match = ABSOLUTE_EPISODE.exec(text);
+  if (match) {
+    return { index: match.index, seasons: [], episodes: range(match[1], match[2]), date: null };
+  }
+
+  return null;
+}
+
+/**
+ * The release year and where it is, skipping a year the title starts with
+ */
+function findYear(text, before, skip) {
+  const candidates = [];
+  YEAR.lastIndex = 0;
+  let match;
+  while ((match = YEAR.exec(text)) !== null) {
+    const inside = skip && match.index >= skip.index && match.index < skip.end;
+    const bracketed = /^[([]/.test(match[0]);
+    if (!inside && (match.index > 0 || bracketed)) {
+      candidates.push({ year: parseInt(match[1], 10), index: match.index });
+    }
+  }
+
+  const leading = candidates.filter(candidate => before < 0 || candidate.index < before);
+  if (leading.length > 0) return leading[leading.length - 1];
+  return candidates[0] ? { ...candidates[0], trailing: true } : null;
+}
+
+function cleanTitle(text) {
+  let title = text
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/[[(]\s*$/, '')
+    .replace(/_/g, ' ');
+
+  // Dots are separators unless the name already uses spaces ("Mr. Robot") or they sit in a version ("22.04")
+  if (!/ /.test(title.trim())) {
+    title = title.replace(/\.(?!\d)|(?<!\d)\./g, ' ');
+  }
+
+  return title
+    .replace(/\b(?:[A-Z] )+[A-Z]\b/g, letters => letters.replace(/ /g, '.')) // S H I E L D -> S.H.I.E.L.D
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–:,.]+|[\s\-–:,(]+$/g, '')
+    .trim() || null;
+}
+
+/**
+ * A "-GROUP" suffix (or the last word of a trailing "(... x265 10bit Group)"), when it isn't a token itself
+ */
+function findGroup(text) {
+  let match = text.match(/-\s?([A-Za-z0-9][A-Za-z0-9]*(?:[._][A-Za-z0-9]+)?)\s*$/);
+  if (match && !NOT_GROUPS.test(match[1]) && !isTechnical(match[1])) {
+    return { group: match[1], index: match.index };
+  }
+
+  match = text.match(/\(([^()]*\s)([A-Za-z][A-Za-z0-9]+)\)\s*$/);
+  if (match && strongMarker(` ${match[1]}`) > 0 && !isTechnical(match[2])) {
+    return { group: match[2], index: match.index + 1 + match[1].length };
+  }
+  return null;
+}
+
+function isTechnical(word) {
+  const padded = ` ${word} `;
+  return strongMarker(padded) > 0 ||
+    firstMatch(WEAK_SOURCE_TOKENS, padded) !== null ||
+    firstMatch(EDITION_TOKENS, padded) !== null ||
+    REPACK_TOKEN.test(padded) || PROPER_TOKEN.test(padded) || COMPLETE_TOKEN.test(padded);
+}
+
+function parseResolution(text) {
+  const match = RESOLUTION_TOKEN.exec(text);
+  if (!match) return null;
+  if (/^(?:4k|uhd)$/i.test(match[0])) return '2160p';
+  if (match[1]) {
+    const resolution = `${match[1]}${match[2].toLowerCase()}`;
+    return RESOLUTIONS.includes(resolution) ? resolution : null;
+  }
+
+  // Widths are more telling than heights for cropped video (1920x800)
+  const width = parseInt(match[3], 10);
+  const height = parseInt(match[4], 10);
+  if (width >= 3800) return '2160p';
+  if (width >= 1900) return '1080p';
+  if (width >= 1260) return '720p';
+  return RESOLUTIONS.includes(`${height}p`) ? `${height}p` : null;
+}
+
+function parseAudio(text) {
+  const found = allMatches(AUDIO_TOKENS, text);
+  const dts = DTS_TOKEN.exec(text);
+  if (dts) {
+    const name = dts[1] ? (dts[2] ? `DTS-HD ${dts[2].toUpperCase()}` : 'DTS-HD') : dts[3] ? `DTS-${dts[3].toUpperCase()}` : 'DTS';
+    found.push({ name, index: dts.index });
+  }
+  // "DD" is also inside "DD+", and "DD+"/"DD" both match "DDP"
+  const names = found.sort((a, b) => a.index - b.index).map(entry => entry.name);
+  const audio = names.filter((name, index) => names.indexOf(name) === index && !(name === 'DD' && names.includes('DD+')));
+
+  let channels = null;
+  const match = new RegExp(CHANNELS, 'i').exec(text);
+  if (match) {
+    channels = match[1].replace(' ', '.');
+  } else {
+    const count = text.match(new RegExp(`${B}([268])[ .]?ch${E}`, 'i'));
+    channels = count ? CHANNEL_COUNTS[count[1]] : null;
+  }
+  return { audio, channels };
+}
+
+/**
+ * Parse a torrent or file name
+ * @param {string} name
+ * @returns {Object} See the result shape above; fields that aren't in the name are null or []
+ */
+function parseReleaseName(name) {
+  const result = {
+    title: null,
+    year: null,
+    type: 'movie',
+    seasons: [],
+    episodes: [],
+    date: null,
+    complete: false,
+    resolution: null,
+    source: null,
+    remux: false,
+    codec: null,
+    bitDepth: null,
+    hdr: [],
+    audio: [],
+    channels: null,
+    edition: [],
+    repack: false,
+    proper: false,
+    group: null,
+    site: null,
+    container: null
+  };
+
+  let text = String(name || '').replace(/\s+/g, ' ').trim();
+  const extension = text.match(/\.([a-z0-9]{2,4})$/i);
+  if (extension && VIDEO_EXTENSIONS.includes(extension[1].toLowerCase())) {
+    result.container = extension[1].toLowerCase();
+    text = text.slice(0, extension.index);
+  }
+  text = stripTags(text, result);
+  if (!text) return result;
+
+  // Markers are looked for without the group, so "-x265" or "-DL" can't be taken for one
+  let body = text;
+  const group = findGroup(text);
+  if (group) {
+    const markerBefore = strongMarker(text.slice(0, group.index));
+    const episodesBefore = findEpisodes(text.slice(0, group.index));
+    const yearBefore = findYear(text.slice(0, group.index), -1, null);
+    if (markerBefore > 0 || episodesBefore || yearBefore) {
+      result.group = result.group || group.group;
+      body = text.slice(0, group.index);
+    }
+  }
+
+  const episodes = findEpisodes(body);
+  const marker = strongMarker(body);
+  const markers = [marker, episodes ? episodes.index : -1].filter(index => index > 0);
+  const firstMarker = markers.length > 0 ? Math.min(...markers) : -1;
+  const year = findYear(body, firstMarker, episodes && episodes.date ? { index: episodes.index, end: episodes.end } : null);
+
+  const ends = [...markers];
+  if (year && !year.trailing) ends.push(year.index);
+
+  // Editions end the title when something technical follows; other weak words only in capitals
+  const hasMetadata = ends.length > 0;
+  const weak = [
+    ...allMatches(EDITION_TOKENS, body).filter(found => found.index > 0 && (hasMetadata || isUpperCase(found.match[0]))),
+    ...allMatches(WEAK_SOURCE_TOKENS, body).filter(found => found.index > 0 && isUpperCase(found.match[0])),
+    ...[REPACK_TOKEN, PROPER_TOKEN, COMPLETE_TOKEN]
+      .map(pattern => pattern.exec(body))
+      .filter(found => found && found.index > 0 && (isUpperCase(found[0]) || (found[1] && hasMetadata)))
+      .map(found => ({ index: found.index }))
+  ];
+  weak.forEach(found => ends.push(found.index));
+
+  const titleEnd = ends.length > 0 ? Math.min(...ends) : body.length;
+  result.title = cleanTitle(body.slice(0, titleEnd));
+  const tail = ` ${body.slice(titleEnd)} `;
+
+  if (year) result.year = year.year;
+  if (episodes) {
+    result.seasons = episodes.seasons;
+    result.episodes = episodes.episodes;
+    result.date = episodes.date;
+  }
+
+  const complete = COMPLETE_TOKEN.exec(tail);
+  result.complete = Boolean(complete);
+  if (result.date || result.episodes.length > 0) {
+    result.type = 'episode';
+  } else if (result.seasons.length > 0 || (complete && /series|season/i.test(complete[1] || ''))) {
+    result.type = 'season';
+  }
+
+  result.resolution = parseResolution(tail);
+  result.remux = REMUX_TOKEN.test(tail);
+  const source = firstMatch(SOURCE_TOKENS, tail) || firstMatch(WEAK_SOURCE_TOKENS, tail);
+  result.source = source ? source.name : (result.remux ? 'BluRay' : null);
+  result.codec = firstMatch(CODEC_TOKENS, tail)?.name || null;
+
+  const bitDepth = BIT_DEPTH_TOKEN.exec(tail);
+  if (bitDepth) result.bitDepth = bitDepth[1] ? parseInt(bitDepth[1], 10) : 10;
+
+  const hdr = allMatches(HDR_TOKENS, tail).map(found => found.name);
+  result.hdr = hdr.filter(format => format !== 'HDR' || !hdr.some(other => other.startsWith('HDR10')));
+
+  Object.assign(result, parseAudio(tail));
+
+  // Editions ahead of the year ("Apocalypse.Now.Redux.1979") also end the title
+  result.edition = allMatches(EDITION_TOKENS, body)
+    .filter(found => found.index >= titleEnd)
+    .map(found => found.name);
+  result.repack = REPACK_TOKEN.test(tail);
+  result.proper = PROPER_TOKEN.test(tail);
+
+  return result;
+}
+
+/**
+ * "S01E01-E03", "S01E05E07", "S01-S03", "S02", "E24" or "2024-01-31"; null for a movie
+ */
+function formatEpisodes(release) {
+  const pad = number => String(number).padStart(2, '0');
+  const span = (numbers, prefix) => {
+    const contiguous = numbers.every((number, index) => index === 0 || number === numbers[index - 1] + 1);
+    if (numbers.length > 1 && contiguous) return `${prefix}${pad(numbers[0])}-${prefix}${pad(numbers[numbers.length - 1])}`;
+    return numbers.map(number => `${prefix}${pad(number)}`).join('');
+  };
+
+  if (release.date) return release.date;
+  if (release.seasons.length === 0 && release.episodes.length === 0) return null;
+  if (release.episodes.length === 0) return span(release.seasons, 'S');
+
+  const season = release.seasons.length > 0 ? `S${pad(release.seasons[0])}` : '';
+  return season + span(release.episodes, 'E');
+}
+
+const RESOLUTION_SCORES = { '4320p': 5, '2160p': 4, '1440p': 3.5, '1080p': 3, '1080i': 2.5, '720p': 2, '576p': 1, '480p': 1 };
+const SOURCE_SCORES = {
+  BluRay: 3, 'WEB-DL': 2.5, WEB: 2.2, WEBRip: 2, BDRip: 2, BRRip: 1.5, HDTV: 1.5, HDRip: 1, DVD: 1, DVDRip: 1,
+  PDTV: 0.5, SDTV: 0.5, VHS: 0, R5: -2, SCR: -3, TC: -4, TS: -5, CAM: -6
+};
+
+/**
+ * Lowercase words of a title for comparing releases ("Marvel's Agents of S.H.I.E.L.D." -> "marvels agents of shield")
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f'’]|(?<!\d)\.|\.(?!\d)/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * How good a copy the release is, from its resolution and source; cams and telesyncs go negative
+ */
+function qualityScore(release) {
+  return (RESOLUTION_SCORES[release.resolution] || 0) +
+    (SOURCE_SCORES[release.source] || 0) +
+    (release.remux ? 1 : 0) +
+    (release.repack || release.proper ? 0.2 : 0);
+}
+
+module.exports = {
+  parseReleaseName,
+  formatEpisodes,
+  normalizeTitle,
+  qualityScore,
+  RESOLUTIONS
+};
@@ -0,0 +1,581 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { parseFeed } = require('./feedParser');
+const { parseReleaseName, formatEpisodes } = require('./releaseName');
+const JsonFile = require('./jsonFile');
+
+/**
+ * RSS Feed Subscriptions
+ *
+ * Polls RSS/Atom feeds and adds the items that download rules pick out. A rule
+ * matches an item's title with an include regex (and not its exclude regex),
+ * can limit it to some qualities - listed most wanted first - and by default
+ * skips episodes that were already downloaded, by this subsystem or otherwise.
+ * When one poll turns up the same episode in several qualities, only the most
+ * wanted one is added.
+ *
+ * Each feed item is only acted on once: its guid is remembered after a poll,
+ * whatever the outcome. preview() runs the same rules over a feed without
+ * adding or remembering anything, so a feed or rule can be checked before it's
+ * enabled. Feed URLs may be file:// for a local feed file.
+ *
+ * Feed shape:
+ * { id, name, url, enabled, interval, createdAt, lastCheckedAt, lastError }
+ * Rule shape:
+ * { id, name, enabled, feedIds, include, exclude, qualities, skipDownloaded, category, downloadPath, createdAt, lastMatchedAt }
+ */
+
+const QUALITIES = ['2160p', '1080p', '720p', '576p', '480p', 'unknown'];
+const MAX_SEEN_PER_FEED = 1000;
+const MAX_DOWNLOADED = 5000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+class RssError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Show and episode ("S01E02", "2024-01-31" or "S01" for a pack) of a release
+ * title, plus its quality; show and episode are null for anything else
+ */
+function describeRelease(title) {
+  const release = parseReleaseName(title);
+  const quality = QUALITIES.includes(release.resolution) ? release.resolution : 'unknown';
+  const episode = formatEpisodes(release);
+
+  // The year stays part of the show, so "Doctor Who 2005" isn't the 1963 one
+  const show = [release.title, release.year].filter(Boolean).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!show || !episode) {
+    return { show: null, episode: null, episodeKey: null, quality };
+  }
+  return { show, episode, episodeKey: `${show}|${episode}`, quality };
+}
+
+function compileRegex(source, field) {
+  if (source === null || source === undefined || source === '') return null;
+  if (typeof source !== 'string' || source.length > 500) {
+    throw new RssError(`"${field}" must be a regular expression of at most 500 characters`);
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new RssError(`"${field}" is not a valid regular expression: ${error.message}`);
+  }
+}
+
+function optionalText(value, field, maxLength = 64) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > maxLength) {
+    throw new RssError(`"${field}" must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim() || null;
+}
+
+class RssFeeds {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where feeds, rules and history are kept
+   * @param {number} options.interval - Default minutes between polls of a feed
+   * @param {Function} options.addTorrent - async (torrentUrl, { category, downloadPath }) => torrent
+   * @param {Function} options.getTorrentNames - Names of the torrents already in the client
+   * @param {number} options.fetchTimeout - Milliseconds to wait for a feed
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'rss.json');
+    this.interval = options.interval || 15;
+    this.addTorrent = options.addTorrent;
+    this.getTorrentNames = options.getTorrentNames || (() => []);
+    this.fetchTimeout = options.fetchTimeout || 15000;
+    this.maxActivity = options.maxActivity || 200;
+    this.feeds = new Map(); // id -> feed
+    this.rules = new Map(); // id -> rule
+    this.seen = {}; // feed id -> item guids already acted on, oldest first
+    this.downloaded = {}; // episode key -> { title, infoHash, at }
+    this.activity = []; // newest first
+    this.polling = new Set(); // feed ids being polled
+    this.timer = null;
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'RSS feeds',
+      saveDelay: options.saveDelay || 500,
+      serialize: () => this.serialize()
+    });
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (Array.isArray(data.feeds) ? data.feeds : []).forEach(feed => {
+          if (feed && feed.id && feed.url) this.feeds.set(feed.id, feed);
+        });
+        (Array.isArray(data.rules) ? data.rules : []).forEach(rule => {
+          if (rule && rule.id && rule.include) this.rules.set(rule.id, rule);
+        });
+        this.seen = data.seen && typeof data.seen === 'object' ? data.seen : {};
+        this.downloaded = data.downloaded && typeof data.downloaded === 'object' ? data.downloaded : {};
+        this.activity = Array.isArray(data.activity) ? data.activity.slice(0, this.maxActivity) : [];
+        console.log(`📰 ${this.feeds.size} RSS feed${this.feeds.size === 1 ? '' : 's'} and ${this.rules.size} rule${this.rules.size === 1 ? '' : 's'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load RSS feeds from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  listFeeds() {
+    return Array.from(this.feeds.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  listRules() {
+    return Array.from(this.rules.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getFeed(id) {
+    const feed = this.feeds.get(id);
+    if (!feed) throw new RssError('Feed not found', 404);
+    return feed;
+  }
+
+  getRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) throw new RssError('Rule not found', 404);
+    return rule;
+  }
+
+  /**
+   * Validated feed fields; with `existing`, only the fields given change
+   */
+  normalizeFeed(data = {}, existing = null) {
+    const feed = existing ? { ...existing } : { name: null, url: null, enabled: true, interval: this.interval };
+
+    if (data.url !== undefined || !existing) {
+      if (typeof data.url !== 'string' || !/^(https?|file):\/\/\S+$/i.test(data.url.trim())) {
+        throw new RssError('"url" must be an http(s):// or file:// URL');
+      }
+      feed.url = data.url.trim();
+    }
+    if (data.name !== undefined) feed.name = optionalText(data.name, 'name');
+    if (data.enabled !== undefined) {
+      if (typeof data.enabled !== 'boolean') throw new RssError('"enabled" must be a boolean');
+      feed.enabled = data.enabled;
+    }
+    if (data.interval !== undefined) {
+      if (!Number.isInteger(data.interval) || data.interval < 1 || data.interval > 1440) {
+        throw new RssError('"interval" must be 1-1440 minutes');
+      }
+      feed.interval = data.interval;
+    }
+
+    feed.name = feed.name || feed.url;
+    return feed;
+  }
+
+  /**
+   * Validated rule fields; with `existing`, only the fields given change
+   */
+  normalizeRule(data = {}, existing = null) {
+    const rule = existing ? { ...existing } : {
+      name: null,
+      enabled: true,
+      feedIds: [],
+      include: null,
+      exclude: null,
+      qualities: [],
+      skipDownloaded: true,
+      category: null,
+      downloadPath: null
+    };
+
+    if (data.include !== undefined || !existing) {
+      if (!compileRegex(data.include, 'include')) throw new RssError('"include" is required');
+      rule.include = data.include;
+    }
+    if (data.exclude !== undefined) {
+      compileRegex(data.exclude, 'exclude');
+      rule.exclude = data.exclude || null;
+    }
+    if (data.name !== undefined) rule.name = optionalText(data.name, 'name');
+    if (data.category !== undefined) rule.category = optionalText(data.category, 'category');
+    if (data.downloadPath !== undefined) rule.downloadPath = optionalText(data.downloadPath, 'downloadPath', 1024);
+    for (const field of ['enabled', 'skipDownloaded']) {
+      if (data[field] === undefined) continue;
+      if (typeof data[field] !== 'boolean') throw new RssError(`"${field}" must be a boolean`);
+      rule[field] = data[field];
+    }
+    if (data.qualities !== undefined) {
+      if (!Array.isArray(data.qualities) || data.qualities.some(quality => !QUALITIES.includes(quality))) {
+        throw new RssError(`"qualities" must be a list of: ${QUALITIES.join(', ')}`);
+      }
+      rule.qualities = [...new Set(data.qualities)];
+    }
+    if (data.feedIds !== undefined) {
+      if (!Array.isArray(data.feedIds) || data.feedIds.some(feedId => !this.feeds.has(feedId))) {
+        throw new RssError('"feedIds" must be a list of existing feed ids (empty for every feed)');
+      }
+      rule.feedIds = [...new Set(data.feedIds)];
+    }
+
+    rule.name = rule.name || rule.include;
+    return rule;
+  }
+
+  createFeed(data) {
+    const feed = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...this.normalizeFeed(data),
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastError: null
+    };
+    this.feeds.set(feed.id, feed);
+    this.scheduleSave();
+    return feed;
+  }
+
+  updateFeed(id, changes) {
+    const feed = this.normalizeFeed(changes, this.getFeed(id));
+    this.feeds.set(id, feed);
+    this.scheduleSave();
+    return feed;
+  }
+
+  removeFeed(id) {
+    const feed = this.getFeed(id);
+    this.feeds.delete(id);
+    delete this.seen[id];
+    this.rules.forEach(rule => {
+      rule.feedIds = rule.feedIds.filter(feedId => feedId !== id);
+    });
+    this.scheduleSave();
+    return feed;
+  }
+
+  createRule(data) {
+    const rule = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...this.normalizeRule(data),
+      createdAt: new Date().toISOString(),
+      lastMatchedAt: null
+    };
+    this.rules.set(rule.id, rule);
+    this.scheduleSave();
+    return rule;
+  }
+
+  updateRule(id, changes) {
+    const rule = this.normalizeRule(changes, this.getRule(id));
+    this.rules.set(id, rule);
+    this.scheduleSave();
+    return rule;
+  }
+
+  removeRule(id) {
+    const rule = this.getRule(id);
+    this.rules.delete(id);
+    this.scheduleSave();
+    return rule;
+  }
+
+  async fetchFeed(url) {
+    let xml;
+    if (/^file:\/\//i.test(url)) {
+      xml = await fs.promises.readFile(fileURLToPath(url), 'utf8');
+    } else {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+        signal: AbortSignal.timeout(this.fetchTimeout)
+      });
+      if (!response.ok) {
+        throw new Error(`Feed returned HTTP ${response.status}`);
+      }
+      xml = await response.text();
+    }
+
+    if (xml.length > MAX_FEED_BYTES) {
+      throw new Error(`Feed is larger than ${MAX_FEED_BYTES / 1024 / 1024} MB`);
+    }
+    return parseFeed(xml);
+  }
+
+  /**
+   * What the rules would do with each item of a feed
+   * @param {Object[]} items - Parsed feed items
+   * @param {Object} options
+   * @param {string} options.feedId - Only rules for this feed apply, and its remembered items count as done
+   * @param {Object[]} options.rules - Rules to use instead of the stored, enabled ones
+   * @returns {Object[]} { item, release, rule, action: 'download'|'skip'|'ignore', reason }
+   */
+  evaluate(items, { feedId = null, rules = null } = {}) {
+    const candidates = (rules || this.listRules().filter(rule => rule.enabled))
+      .filter(rule => !feedId || rule.feedIds.length === 0 || rule.feedIds.includes(feedId))
+      .map(rule => ({ rule, include: compileRegex(rule.include, 'include'), exclude: compileRegex(rule.exclude, 'exclude') }));
+    const seen = new Set(feedId ? this.seen[feedId] || [] : []);
+    const inClient = new Set(this.getTorrentNames().map(name => describeRelease(name || '').episodeKey).filter(Boolean));
+
+    const decisions = items.map(item => {
+      const release = describeRelease(item.title);
+      const decision = { item, release, rule: null, action: 'ignore', reason: null };
+
+      if (seen.has(item.guid)) {
+        decision.reason = 'Already processed';
+        return decision;
+      }
+
+      const match = candidates.find(({ include, exclude }) => include.test(item.title) && !(exclude && exclude.test(item.title)));
+      if (!match) {
+        decision.reason = 'No rule matches';
+        return decision;
+      }
+
+      const { rule } = match;
+      Object.assign(decision, { rule, action: 'skip' });
+
+      if (!item.torrentUrl) {
+        decision.reason = 'No magnet or .torrent link';
+      } else if (rule.qualities.length > 0 && !rule.qualities.includes(release.quality)) {
+        decision.reason = `Quality ${release.quality} not wanted`;
+      } else if (rule.skipDownloaded && release.episodeKey &&
+          (this.downloaded[release.episodeKey] || inClient.has(release.episodeKey))) {
+        decision.reason = `${release.episode} already downloaded`;
+      } else {
+        decision.action = 'download';
+      }
+      return decision;
+    });
+
+    // The same episode more than once: keep the most wanted quality, newest first on a tie
+    const rank = (decision) => {
+      const index = decision.rule.qualities.indexOf(decision.release.quality);
+      return index === -1 ? QUALITIES.length : index;
+    };
+    const best = new Map();
+    decisions.forEach(decision => {
+      if (decision.action !== 'download' || !decision.release.episodeKey) return;
+      const current = best.get(decision.release.episodeKey);
+      if (!current || rank(decision) < rank(current)) {
+        if (current) Object.assign(current, { action: 'skip', reason: 'A better quality of this episode is in the feed' });
+        best.set(decision.release.episodeKey, decision);
+      } else {
+        Object.assign(decision, { action: 'skip', reason: 'A better quality of this episode is in the feed' });
+      }
+    });
+
+    return decisions;
+  }
+
+  /**
+   * Run rules over a stored feed or a URL without adding or remembering anything
+   * @param {Object} options
+   * @param {string} options.feedId - Stored feed; its remembered items show as processed
+   * @param {string} options.url - Or any feed URL
+   * @param {Object} options.rule - Unsaved rule to try instead of the stored rules
+   */
+  async preview({ feedId = null, url = null, rule = null } = {}) {
+    const feed = feedId ? this.getFeed(feedId) : null;
+    const feedUrl = feed ? feed.url : this.normalizeFeed({ url }).url;
+    const rules = rule ? [{ id: null, ...this.normalizeRule(rule) }] : null;
+
+    let parsed;
+    try {
+      parsed = await this.fetchFeed(feedUrl);
+    } catch (error) {
+      throw new RssError(`Couldn't read the feed: ${error.message}`, 502);
+    }
+
+    return {
+      title: parsed.title,
+      items: this.evaluate(parsed.items, { feedId, rules }).map(describeDecision)
+    };
+  }
+
+  /**
+   * Poll a feed now and add what its rules pick out
+   * @returns {Promise<Object>} Counts, once the feed was read; `done` settles when every add has
+   */
+  async refresh(id) {
+    const feed = this.getFeed(id);
+    if (!feed.enabled) {
+      throw new RssError('This feed is disabled - preview it, or enable it first', 409);
+    }
+    if (this.polling.has(id)) {
+      throw new RssError('This feed is already being checked', 409);
+    }
+    this.polling.add(id);
+
+    let parsed;
+    try {
+      parsed = await this.fetchFeed(feed.url);
+    } catch (error) {
+      this.polling.delete(id);
+      feed.lastCheckedAt = new Date().toISOString();
+      feed.lastError = error.message;
+      this.scheduleSave();
+      throw new RssError(`Couldn't read the feed: ${error.message}`, 502);
+    }
+
+    const decisions = this.evaluate(parsed.items, { feedId: id });
+    const downloads = decisions.filter(decision => decision.action === 'download');
+
+    // Claim the episodes now so an overlapping poll can't add them again
+    downloads.forEach(({ item, release }) => {
+      if (release.episodeKey) {
+        this.downloaded[release.episodeKey] = { title: item.title, infoHash: item.infoHash, at: new Date().toISOString() };
+      }
+    });
+
+    this.remember(id, parsed.items.map(item => item.guid));
+    feed.lastCheckedAt = new Date().toISOString();
+    feed.lastError = null;
+    this.scheduleSave();
+
+    const done = Promise.all(downloads.map(decision => this.download(feed, decision)))
+      .finally(() => this.polling.delete(id));
+
+    return {
+      items: parsed.items.length,
+      matched: decisions.filter(decision => decision.rule).length,
+      downloading: downloads.length,
+      done
+    };
+  }
+
+  async download(feed, { item, release, rule }) {
+    const entry = {
+      at: new Date().toISOString(),
+      feedId: feed.id,
+      feedName: feed.name,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      title: item.title,
+      outcome: 'added',
+      infoHash: null,
+      reason: null
+    };
+
+    try {
+      const torrent = await this.addTorrent(item.torrentUrl, {
+        category: rule.category,
+        downloadPath: rule.downloadPath
+      });
+      entry.infoHash = torrent.infoHash;
+      if (this.downloaded[release.episodeKey]) this.downloaded[release.episodeKey].infoHash = torrent.infoHash;
+      rule.lastMatchedAt = entry.at;
+      console.log(`📰 Added "${item.title}" from ${feed.name}`);
+    } catch (error) {
+      // Let a later item (or a re-post) of the episode through
+      if (release.episodeKey) delete this.downloaded[release.episodeKey];
+      entry.outcome = 'failed';
+      entry.reason = error.message;
+      console.error(`❌ Failed to add "${item.title}" from ${feed.name}:`, error.message);
+    }
+
+    this.activity.unshift(entry);
+    if (this.activity.length > this.maxActivity) {
+      this.activity.length = this.maxActivity;
+    }
+    this.pruneDownloaded();
+    this.scheduleSave();
+  }
+
+  remember(feedId, guids) {
+    const seen = new Set(this.seen[feedId] || []);
+    guids.forEach(guid => {
+      seen.delete(guid);
+      seen.add(guid);
+    });
+    this.seen[feedId] = Array.from(seen).slice(-MAX_SEEN_PER_FEED);
+  }
+
+  pruneDownloaded() {
+    const keys = Object.keys(this.downloaded);
+    if (keys.length <= MAX_DOWNLOADED) return;
+
+    keys.sort((a, b) => Date.parse(this.downloaded[a].at) - Date.parse(this.downloaded[b].at))
+      .slice(0, keys.length - MAX_DOWNLOADED)
+      .forEach(key => delete this.downloaded[key]);
+  }
+
+  /**
+   * Poll every enabled feed that's due, one at a time
+   */
+  async tick(now = Date.now()) {
+    for (const feed of this.listFeeds()) {
+      if (!feed.enabled || this.polling.has(feed.id)) continue;
+      if (feed.lastCheckedAt && now - Date.parse(feed.lastCheckedAt) < feed.interval * 60 * 1000) continue;
+
+      try {
+        const { done } = await this.refresh(feed.id);
+        await done;
+      } catch (error) {
+        console.error(`❌ RSS feed ${feed.name} failed:`, error.message);
+      }
+    }
+  }
+
+  start(interval = 60 * 1000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), interval);
+    if (this.timer.unref) this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      feeds: Array.from(this.feeds.values()),
+      rules: Array.from(this.rules.values()),
+      seen: this.seen,
+      downloaded: this.downloaded,
+      activity: this.activity
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+/**
+ * A decision as the API reports it
+ */
+function describeDecision({ item, release, rule, action, reason }) {
+  return {
+    title: item.title,
+    link: item.link,
+    torrentUrl: item.torrentUrl,
+    publishedAt: item.publishedAt,
+    size: item.size,
+    episode: release.episode,
+    quality: release.quality,
+    ruleId: rule ? rule.id : null,
+    ruleName: rule ? rule.name : null,
+    action,
+    reason
+  };
+}
+
+module.exports = {
+  RssFeeds,
+  RssError,
+  QUALITIES
+};
@@ -0,0 +1,241 @@
+/**
+ * Seeding Policy Engine
+ *
+ * Decides when a finished torrent has seeded enough. A policy has three
+ * optional limits - share ratio, total seeding time and idle time (no upload
+ * activity) - and the action to take once any of them is reached: pause,
+ * remove, or remove with data. Times are minutes, -1 disables a limit.
+ *
+ * The global policy applies to every torrent; a torrent can override any
+ * field, with null meaning "inherit". Force-started torrents are exempt.
+ *
+ * WebTorrent's `torrent.uploaded` restarts at zero with every session, so the
+ * engine keeps running totals (uploaded bytes, seconds spent seeding) that are
+ * seeded from and written back to the session store.
+ */
+
+const SEEDING_ACTIONS = ['pause', 'remove', 'remove-data'];
+const LIMIT_FIELDS = ['ratioLimit', 'seedingTimeLimit', 'idleTimeLimit'];
+
+/**
+ * Validate a full or partial policy, returning an error message or null
+ * @param {Object} policy
+ * @param {boolean} allowNull - Per-torrent overrides use null to inherit
+ */
+function validatePolicy(policy, allowNull = false) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Seeding policy must be an object';
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = policy[field];
+    if (value === undefined || (allowNull && value === null)) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < -1) {
+      return `"${field}" must be a number, or -1 for no limit`;
+    }
+  }
+
+  if (policy.action !== undefined && !(allowNull && policy.action === null) &&
+      !SEEDING_ACTIONS.includes(policy.action)) {
+    return `"action" must be one of: ${SEEDING_ACTIONS.join(', ')}`;
+  }
+
+  return null;
+}
+
+function normalizeLimit(value, fallback = -1) {
+  const limit = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(limit)) return fallback;
+  return limit < 0 ? -1 : limit;
+}
+
+function normalizePolicy(policy = {}, fallback = {}) {
+  return {
+    ratioLimit: normalizeLimit(policy.ratioLimit, normalizeLimit(fallback.ratioLimit)),
+    seedingTimeLimit: normalizeLimit(policy.seedingTimeLimit, normalizeLimit(fallback.seedingTimeLimit)),
+    idleTimeLimit: normalizeLimit(policy.idleTimeLimit, normalizeLimit(fallback.idleTimeLimit)),
+    action: SEEDING_ACTIONS.includes(policy.action) ? policy.action : (fallback.action || 'pause')
+  };
+}
+
+class SeedingPolicyEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policy - Global policy
+   * @param {Function} options.getTorrents - Returns the live torrents
+   * @param {Function} options.onLimitReached - (torrent, { action, reason }) when a limit is hit
+   * @param {Function} options.onProgress - (torrent) when running totals change
+   */
+  constructor(options = {}) {
+    this.policy = normalizePolicy(options.policy);
+    this.getTorrents = options.getTorrents || (() => []);
+    this.onLimitReached = options.onLimitReached || (() => {});
+    this.onProgress = options.onProgress || (() => {});
+    this.timer = null;
+    this.lastTick = Date.now();
+  }
+
+  /**
+   * Start accounting for a torrent. Call right after client.add().
+   * @param {Object} torrent - WebTorrent torrent
+   * @param {Object} record - Session record to carry totals over from
+   */
+  attach(torrent, record = null) {
+    if (!torrent || torrent._seedingAttached) return torrent;
+    torrent._seedingAttached = true;
+
+    torrent.uploadedOffset = Number(record?.uploaded) || 0;
+    torrent.seedingTime = Number(record?.seedingTime) || 0;
+    torrent.seedingPolicy = record?.seedingPolicy || null;
+    torrent.lastUploadAt = null;
+    torrent.seedingSince = null;
+
+    return torrent;
+  }
+
+  setPolicy(policy) {
+    this.policy = normalizePolicy(policy, this.policy);
+    return this.policy;
+  }
+
+  /**
+   * Set or clear (null) a torrent's override; null fields inherit
+   */
+  setTorrentPolicy(torrent, override) {
+    if (!override) {
+      torrent.seedingPolicy = null;
+      return null;
+    }
+
+    const merged = { ...(torrent.seedingPolicy || {}), ...override };
+    const cleaned = {};
+    [...LIMIT_FIELDS, 'action'].forEach(field => {
+      if (merged[field] !== undefined && merged[field] !== null) cleaned[field] = merged[field];
+    });
+
+    torrent.seedingPolicy = Object.keys(cleaned).length > 0 ? cleaned : null;
+    return torrent.seedingPolicy;
+  }
+
+  effectivePolicy(torrent) {
+    return normalizePolicy(torrent.seedingPolicy || {}, this.policy);
+  }
+
+  totalUploaded(torrent) {
+    return (torrent.uploadedOffset || 0) + (torrent.uploaded || 0);
+  }
+
+  ratio(torrent) {
+    const downloaded = torrent.downloaded || 0;
+    return downloaded > 0 ? this.totalUploaded(torrent) / downloaded : 0;
+  }
+
+  /**
+   * Seeding fields reported alongside torrent stats
+   */
+  describe(torrent) {
+    return {
+      ratio: Math.round(this.ratio(torrent) * 1000) / 1000,
+      seedingTime: Math.floor(torrent.seedingTime || 0),
+      seedingPolicy: torrent.seedingPolicy || null
+    };
+  }
+
+  isSeeding(torrent) {
+    return !!torrent.done && !torrent.paused && !torrent.queued;
+  }
+
+  /**
+   * Which limit (if any) the torrent has reached
+   * @returns {string|null} Human readable reason
+   */
+  checkLimits(torrent, now = Date.now()) {
+    const policy = this.effectivePolicy(torrent);
+
+    if (policy.ratioLimit >= 0 && this.ratio(torrent) >= policy.ratioLimit) {
+      return `ratio ${this.ratio(torrent).toFixed(2)} reached ${policy.ratioLimit}`;
+    }
+
+    if (policy.seedingTimeLimit >= 0 && torrent.seedingTime >= policy.seedingTimeLimit * 60) {
+      return `seeded for ${Math.floor(torrent.seedingTime / 60)} min`;
+    }
+
+    if (policy.idleTimeLimit >= 0 && torrent.seedingSince) {
+      const idleSince = Math.max(torrent.lastUploadAt || 0, torrent.seedingSince);
+      if (now - idleSince >= policy.idleTimeLimit * 60 * 1000) {
+        return `idle for ${Math.floor((now - idleSince) / 60000)} min`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Update running totals and act on any torrent past its limits
+   */
+  evaluate(now = Date.now()) {
+    const elapsed = Math.max(0, (now - this.lastTick) / 1000);
+    this.lastTick = now;
+
+    this.getTorrents().forEach(torrent => {
+      if (!torrent || torrent.destroyed || !torrent.ready) return;
+      if (!torrent._seedingAttached || torrent._seedingActionTaken) return;
+
+      let changed = false;
+      const uploaded = this.totalUploaded(torrent);
+      if (uploaded !== torrent._lastUploaded) {
+        if (torrent._lastUploaded !== undefined) torrent.lastUploadAt = now;
+        torrent._lastUploaded = uploaded;
+        changed = true;
+      }
+
+      if (!this.isSeeding(torrent)) {
+        torrent.seedingSince = null;
+        if (changed) this.onProgress(torrent);
+        return;
+      }
+
+      if (torrent.seedingSince) {
+        torrent.seedingTime = (torrent.seedingTime || 0) + elapsed;
+      } else {
+        torrent.seedingSince = now;
+      }
+      this.onProgress(torrent);
+
+      if (torrent.forceStart) return;
+
+      const reason = this.checkLimits(torrent, now);
+      if (reason) {
+        torrent._seedingActionTaken = true;
+        const { action } = this.effectivePolicy(torrent);
+        this.onLimitReached(torrent, { action, reason });
+      }
+    });
+  }
+
+  /**
+   * Let a paused torrent be acted on again once it's seeding
+   */
+  reset(torrent) {
+    torrent._seedingActionTaken = false;
+    torrent.seedingSince = null;
+  }
+
+  start(interval = 30000) {
+    if (this.timer) return;
+    this.lastTick = Date.now();
+    this.timer = setInterval(() => this.evaluate(), interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  SeedingPolicyEngine,
+  SEEDING_ACTIONS,
+  validatePolicy
+};
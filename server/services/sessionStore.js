@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Durable Torrent Session Store
+ *
+ * Keeps one record per torrent (keyed by infoHash) in a JSON file so the
+ * library survives restarts. Writes are debounced, atomic and one at a time
+ * (see jsonFile.js); flushSync() is for shutdown paths where we can't wait on
+ * the event loop.
+ *
+ * Record shape:
+ * {
+ *   infoHash, name, torrentId,  // original magnet/hash/filename
+ *   torrentFile,                // base64 .torrent (metadata), when known
+ *   path, addedAt,
+ *   filePriorities,             // skip/low/normal/high per file index, or null
+ *   uploadLimit, downloadLimit,
+ *   strategy, paused, forceStart,
+ *   queuePosition,              // 1-based, see torrentQueue
+ *   uploaded, seedingTime,      // running totals, see seedingPolicy
+ *   seedingPolicy,              // per-torrent override, or null
+ *   pinned, lastStreamedAt      // cache retention, see cacheRetention
+ * }
+ */
+
+class SessionStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'session.json');
+    this.records = new Map();
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'session',
+      saveDelay: options.saveDelay || 1000,
+      serialize: () => this.serialize()
+    });
+  }
+
+  /**
+   * Load records from disk. A missing or corrupt file starts an empty session.
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const records = Array.isArray(data.torrents) ? data.torrents : [];
+
+      records.forEach(record => {
+        if (record && record.infoHash) {
+          this.records.set(record.infoHash, record);
+        }
+      });
+
+      console.log(`💾 Session loaded: ${this.records.size} torrents from ${this.filePath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load session from ${this.filePath}:`, error.message);
+    }
+
+    return this.all();
+  }
+
+  /**
+   * Get a copy of every stored record
+   */
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  get(infoHash) {
+    return this.records.get(infoHash) || null;
+  }
+
+  has(infoHash) {
+    return this.records.has(infoHash);
+  }
+
+  /**
+   * Create or merge a record, then schedule a save
+   */
+  upsert(infoHash, fields = {}) {
+    if (!infoHash) return null;
+
+    const record = {
+      ...(this.records.get(infoHash) || { infoHash }),
+      ...fields,
+      infoHash
+    };
+
+    this.records.set(infoHash, record);
+    this.scheduleSave();
+    return record;
+  }
+
+  remove(infoHash) {
+    if (this.records.delete(infoHash)) {
+      this.scheduleSave();
+    }
+  }
+
+  clear() {
+    this.records.clear();
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      torrents: this.all()
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    if (this.file.flushSync({ force: true })) {
+      console.log(`💾 Session saved: ${this.records.size} torrents`);
+    }
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Runtime Settings Store
+ *
+ * Settings changed through the API (queue limits, ...) are kept here, one
+ * section per feature, so they outlive a restart. Environment variables only
+ * provide the defaults a section starts from.
+ */
+
+class SettingsStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'settings.json');
+    this.sections = {};
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'settings',
+      saveDelay: options.saveDelay || 500,
+      serialize: () => this.serialize()
+    });
+  }
+
+  /**
+   * Load settings from disk. A missing or corrupt file keeps the defaults.
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.sections = data && typeof data.sections === 'object' ? data.sections : {};
+        console.log(`⚙️ Settings loaded from ${this.filePath}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load settings from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get a section merged over its defaults
+   */
+  get(section, defaults = {}) {
+    return { ...defaults, ...(this.sections[section] || {}) };
+  }
+
+  /**
+   * Merge values into a section, then schedule a save
+   */
+  update(section, values = {}) {
+    this.sections[section] = { ...(this.sections[section] || {}), ...values };
+    this.scheduleSave();
+    return this.sections[section];
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      sections: this.sections
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ThrottleGroup } = require('speed-limiter');
+const JsonFile = require('./jsonFile');
+
+/**
+ * Share Links
+ *
+ * Signed, expiring links to one file's /stream or /download route, for
+ * sending an episode to someone without an account. The URL carries the link
+ * id, its expiry and an HMAC-SHA256 over both plus the torrent, file and mode,
+ * so none of them can be edited without breaking the signature:
+ *
+ *   /api/torrents/<infoHash>/files/<idx>/stream?share=<id>&expires=<ms>&sig=<hmac>
+ *
+ * Links are also kept on disk so they can be listed, counted and revoked.
+ * A "use" is one viewer (client IP and user agent) playing the file: every
+ * request the viewer makes counts towards the same use - players re-request
+ * from byte 0 and seek freely - until it has been idle for USE_IDLE_MS. Once a
+ * link is used up, new viewers are refused whatever range they ask for. An
+ * optional bandwidth cap is shared by every request of a link.
+ *
+ * The signing key comes from SHARE_LINK_SECRET, or is generated once into the
+ * data directory. Changing it invalidates every link.
+ *
+ * Record shape:
+ * { id, infoHash, fileIdx, fileName, mode, createdBy, createdAt, expiresAt, maxUses, uses, bandwidthLimit, lastUsedAt }
+ */
+
+const MODES = ['stream', 'download'];
+const MAX_EXPIRY_HOURS = 30 * 24;
+const USE_IDLE_MS = 60 * 60 * 1000;
+
+class ShareLinkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ShareLinks {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where links are kept
+   * @param {string} options.secret - Signing key; generated into secretPath when missing
+   * @param {string} options.secretPath - Where a generated key is kept
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'share-links.json');
+    this.secretPath = options.secretPath || path.join(path.dirname(this.filePath), 'share-secret');
+    this.secret = options.secret || null;
+    this.links = new Map(); // id -> record
+    this.throttles = new Map(); // id -> ThrottleGroup
+    this.viewers = new Map(); // id -> Map(viewer -> last request time), uses in progress
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'share links',
+      saveDelay: options.saveDelay || 500,
+      serialize: () => this.serialize()
+    });
+  }
+
+  load() {
+    if (!this.secret) {
+      this.secret = this.loadSecret();
+    }
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (Array.isArray(data.links) ? data.links : []).forEach(record => {
+          if (record && record.id && record.infoHash && MODES.includes(record.mode)) {
+            this.links.set(record.id, record);
+          }
+        });
+        this.prune();
+        console.log(`🔗 ${this.links.size} share link${this.links.size === 1 ? '' : 's'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load share links from ${this.filePath}:`, error.message);
+    }
+
+    return this;
+  }
+
+  loadSecret() {
+    try {
+      if (fs.existsSync(this.secretPath)) {
+        const secret = fs.readFileSync(this.secretPath, 'utf8').trim();
+        if (secret) return secret;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to read share link key from ${this.secretPath}:`, error.message);
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    try {
+      fs.mkdirSync(path.dirname(this.secretPath), { recursive: true });
+      fs.writeFileSync(this.secretPath, secret, { mode: 0o600 });
+    } catch (error) {
+      // Links still work until the next restart
+      console.error(`❌ Failed to save share link key to ${this.secretPath}:`, error.message);
+    }
+    return secret;
+  }
+
+  sign(record) {
+    const payload = [record.id, record.infoHash, record.fileIdx, record.mode, Date.parse(record.expiresAt)].join(':');
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Query string for a link's player page, /share/<id>?expires=...&sig=...
+   */
+  pageQuery(record) {
+    return `expires=${Date.parse(record.expiresAt)}&sig=${this.sign(record)}`;
+  }
+
+  /**
+   * Query string that authorizes a link's media URL
+   */
+  query(record) {
+    return `share=${record.id}&${this.pageQuery(record)}`;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {number} options.expiresInHours - Up to 30 days, default 24 hours
+   * @param {number} options.maxUses - Omit for unlimited
+   * @param {number} options.bandwidthLimit - Bytes/sec for all requests of the link, omit for uncapped
+   */
+  create({ infoHash, fileIdx, fileName, mode = 'stream', createdBy = null, expiresInHours = 24, maxUses = null, bandwidthLimit = null } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new ShareLinkError(`Mode must be one of: ${MODES.join(', ')}`);
+    }
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+      throw new ShareLinkError(`"expiresInHours" must be between 0 and ${MAX_EXPIRY_HOURS}`);
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new ShareLinkError('"maxUses" must be a whole number of at least 1');
+    }
+    if (bandwidthLimit !== null && (!Number.isInteger(bandwidthLimit) || bandwidthLimit < 1024)) {
+      throw new ShareLinkError('"bandwidthLimit" must be at least 1 KB/s');
+    }
+
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      infoHash: infoHash.toLowerCase(),
+      fileIdx,
+      fileName,
+      mode,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+      maxUses,
+      uses: 0,
+      bandwidthLimit,
+      lastUsedAt: null
+    };
+
+    this.links.set(record.id, record);
+    this.scheduleSave();
+    return record;
+  }
+
+  /**
+   * Check a link's signature and state without using it up
+   * @throws {ShareLinkError} 404 unknown or revoked, 403 bad signature, 410 expired or used up
+   */
+  verify({ id, expires, sig, infoHash = null, fileIdx = null, mode = null }) {
+    const record = id && this.links.get(String(id));
+    if (!record) {
+      throw new ShareLinkError('Share link not found or revoked', 404);
+    }
+
+    // The link must be used exactly as it was signed
+    const expected = Buffer.from(this.sign(record));
+    const actual = Buffer.from(String(sig || ''));
+    const matchesRequest = String(Date.parse(record.expiresAt)) === String(expires) &&
+      (infoHash === null || record.infoHash === String(infoHash).toLowerCase()) &&
+      (fileIdx === null || record.fileIdx === parseInt(fileIdx, 10)) &&
+      (mode === null || record.mode === mode);
+    if (!matchesRequest || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new ShareLinkError('Invalid share link signature', 403);
+    }
+
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      throw new ShareLinkError('This share link has expired', 410);
+    }
+    return record;
+  }
+
+  /**
+   * Verify a media request made with a link, counting it when it starts a new use
+   * @param {Object} request - verify() fields plus the viewer making the request
+   * @param {string} request.viewer - Identifies one client, e.g. its IP and user agent
+   */
+  authorize({ viewer, ...request }) {
+    const record = this.verify(request);
+    const now = Date.now();
+
+    let viewers = this.viewers.get(record.id);
+    if (!viewers) {
+      viewers = new Map();
+      this.viewers.set(record.id, viewers);
+    }
+
+    const key = String(viewer || '');
+    const lastSeen = viewers.get(key);
+    if (lastSeen === undefined || now - lastSeen > USE_IDLE_MS) {
+      if (record.maxUses !== null && record.uses >= record.maxUses) {
+        viewers.delete(key);
+        throw new ShareLinkError('This share link has been used up', 410);
+      }
+      record.uses++;
+      record.lastUsedAt = new Date(now).toISOString();
+      this.scheduleSave();
+    }
+    viewers.set(key, now);
+
+    // Forget viewers whose use has ended
+    viewers.forEach((seen, other) => {
+      if (now - seen > USE_IDLE_MS) viewers.delete(other);
+    });
+    return record;
+  }
+
+  /**
+   * A throttle stream for one response, sharing the link's bandwidth cap; null when uncapped
+   */
+  throttle(record) {
+    if (!record.bandwidthLimit) return null;
+
+    let group = this.throttles.get(record.id);
+    if (!group) {
+      group = new ThrottleGroup({ rate: record.bandwidthLimit, enabled: true });
+      this.throttles.set(record.id, group);
+    }
+    return group.throttle();
+  }
+
+  get(id) {
+    return this.links.get(id) || null;
+  }
+
+  /**
+   * @param {string} userId - Only links this account created, when given
+   */
+  list(userId = null) {
+    this.prune();
+    return Array.from(this.links.values())
+      .filter(record => !userId || record.createdBy === userId)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * @param {string} userId - Only when this account created it, when given
+   * @returns {boolean} Whether there was one
+   */
+  revoke(id, userId = null) {
+    const record = this.links.get(id);
+    if (!record || (userId && record.createdBy !== userId)) return false;
+
+    this.links.delete(id);
+    this.dropThrottle(id);
+    this.viewers.delete(id);
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Revoke every link to a torrent, e.g. when it's removed
+   */
+  revokeTorrent(infoHash) {
+    let removed = 0;
+    this.links.forEach((record, id) => {
+      if (record.infoHash === infoHash.toLowerCase()) {
+        this.links.delete(id);
+        this.dropThrottle(id);
+        this.viewers.delete(id);
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  dropThrottle(id) {
+    const group = this.throttles.get(id);
+    if (group) {
+      group.destroy();
+      this.throttles.delete(id);
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    this.links.forEach((record, id) => {
+      if (Date.parse(record.expiresAt) <= now) {
+        this.links.delete(id);
+        this.dropThrottle(id);
+        this.viewers.delete(id);
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      links: Array.from(this.links.values())
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = {
+  ShareLinks,
+  ShareLinkError,
+  MODES,
+  USE_IDLE_MS
+};
@@ -0,0 +1,531 @@
+/**
+ * Subtitle to WebVTT Conversion
+ *
+ * Browsers' <track> element only plays WebVTT, while torrents ship SRT,
+ * ASS/SSA, SBV/SubViewer and MicroDVD .sub files in whatever encoding the
+ * author used. Everything is parsed into one cue list - { start, end, text,
+ * settings } with times in ms - and written back out as WebVTT, shifted by an
+ * optional offset.
+ *
+ * ASS styling is approximated: italic/bold/underline map to <i>/<b>/<u>,
+ * colours to <c.color-rrggbb> classes declared in a STYLE block, and
+ * top/middle/left/right alignment to cue settings. Positioning, fonts,
+ * karaoke and drawings are dropped.
+ */
+
+const SUPPORTED_FORMATS = ['vtt', 'srt', 'ass', 'ssa', 'sbv', 'sub'];
+
+// HH:MM:SS.fff, MM:SS.fff, or with a comma; the fraction is decimal (".5" = 500 ms)
+const TIME = '(?:(\\d+):)?(\\d{1,2}):(\\d{1,2})[,.](\\d{1,3})';
+const TIME_PATTERN = new RegExp(`^${TIME}$`);
+const CUE_TIMING = new RegExp(`^\\s*(${TIME.replace(/\((?!\?)/g, '(?:')})\\s*-->\\s*(${TIME.replace(/\((?!\?)/g, '(?:')})(.*)$`);
+const PAIR_TIMING = new RegExp(`^\\s*(${TIME.replace(/\((?!\?)/g, '(?:')})\\s*,\\s*(${TIME.replace(/\((?!\?)/g, '(?:')})\\s*$`);
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 +
+    parseInt(fraction.padEnd(3, '0'), 10);
+}
+
+function formatTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function colorClass(hex) {
+  return `color-${hex.toLowerCase()}`;
+}
+
+// ---------------------------------------------------------------------------
+// Encoding
+
+/**
+ * Decode a subtitle file to a string. BOMs win; UTF-16 without a BOM is
+ * spotted by its zero bytes; then UTF-8 if the bytes are valid, else a choice
+ * between CP1251 (Cyrillic) and Windows-1252 (Latin-1) by how much of the text
+ * is high-bit letters.
+ * @param {Buffer} buffer
+ * @param {string} encoding - Force an encoding instead of guessing
+ * @returns {{ text: string, encoding: string }}
+ */
+function decodeSubtitle(buffer, encoding = null) {
+  const decode = (label, data = buffer) => new TextDecoder(label).decode(data);
+
+  if (encoding) {
+    return { text: decode(encoding).replace(/^\uFEFF/, ''), encoding };
+  }
+
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: decode('utf-8', buffer.subarray(3)), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: decode('utf-16le', buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: decode('utf-16be', buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  const sample = buffer.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length * 0.2) return { text: decode('utf-16le'), encoding: 'utf-16le' };
+  if (evenZeros > sample.length * 0.2) return { text: decode('utf-16be'), encoding: 'utf-16be' };
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (e) {
+    // Not UTF-8 - pick a single-byte code page
+  }
+
+  let asciiLetters = 0;
+  let highLetters = 0;
+  for (const byte of buffer) {
+    if ((byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A)) asciiLetters++;
+    else if (byte >= 0xC0 || byte === 0xA8 || byte === 0xB8) highLetters++;
+  }
+
+  // Cyrillic text is almost all high-bit letters; accented Latin text only sprinkles them
+  const cyrillic = highLetters > (asciiLetters + highLetters) * 0.4;
+  const label = cyrillic ? 'windows-1251' : 'windows-1252';
+  return { text: decode(label), encoding: label };
+}
+
+// ---------------------------------------------------------------------------
+// Format detection
+
+/**
+ * Work out the format from the content, falling back to the file extension
+ */
+function detectFormat(text, extension = null) {
+  const head = text.slice(0, 4096);
+
+  if (/^\uFEFF?WEBVTT/.test(head)) return 'vtt';
+  if (/^\s*\[Script Info\]/im.test(head) || /^\s*\[V4\+? Styles\]/im.test(head)) return 'ass';
+  if (/^\s*\{\d+\}\{\d*\}/m.test(head)) return 'sub';
+  if (/-->/.test(head)) return 'srt';
+  if (head.split(/\r?\n/).some(line => PAIR_TIMING.test(line))) return 'sbv';
+
+  const ext = (extension || '').toLowerCase();
+  return SUPPORTED_FORMATS.includes(ext) ? ext : null;
+}
+
+// ---------------------------------------------------------------------------
+// Parsers - each returns { cues: [{ start, end, text, settings }], styles }
+
+function splitBlocks(text) {
+  return text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).map(block => block.split('\n'));
+}
+
+/**
+ * SRT-style inline markup: <i>/<b>/<u> survive, <font color> becomes a colour
+ * class, "{\an8}" style ASS tags move the cue
+ */
+function convertHtmlMarkup(text, colors) {
+  let settings = '';
+
+  const withoutAss = text.replace(/\{\\an?(\d+)\}/g, (match, alignment) => {
+    settings = alignmentSettings(parseInt(alignment, 10));
+    return '';
+  }).replace(/\{\\[^}]*\}/g, '');
+
+  const output = [];
+  const openFonts = [];
+  const TAG = /<\s*(\/?)\s*(i|b|u|font)\b([^>]*)>/gi;
+  let last = 0;
+  let match;
+
+  while ((match = TAG.exec(withoutAss)) !== null) {
+    output.push(escapeText(withoutAss.slice(last, match.index)));
+    last = TAG.lastIndex;
+
+    const closing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+
+    if (tag !== 'font') {
+      output.push(`<${closing ? '/' : ''}${tag}>`);
+    } else if (closing) {
+      if (openFonts.pop()) output.push('</c>');
+    } else {
+      const color = /color\s*=\s*["']?#?([0-9a-f]{6})/i.exec(match[3]);
+      openFonts.push(!!color);
+      if (color) {
+        colors.add(color[1].toLowerCase());
+        output.push(`<c.${colorClass(color[1])}>`);
+      }
+    }
+  }
+  output.push(escapeText(withoutAss.slice(last)));
+  openFonts.forEach(open => open && output.push('</c>'));
+
+  return { text: output.join(''), settings };
+}
+
+function parseSrt(text) {
+  const colors = new Set();
+  const cues = [];
+
+  splitBlocks(text).forEach(lines => {
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = CUE_TIMING.exec(lines[timingIndex]);
+    const markup = convertHtmlMarkup(lines.slice(timingIndex + 1).join('\n').trim(), colors);
+    cues.push({ start: parseTime(start), end: parseTime(end), ...markup });
+  });
+
+  return { cues, colors };
+}
+
+function parseVtt(text) {
+  const colors = new Set();
+  const cues = [];
+  const styles = [];
+
+  splitBlocks(text).forEach(lines => {
+    if (/^STYLE\b/.test(lines[0])) {
+      styles.push(lines.slice(1).join('\n'));
+      return;
+    }
+
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    // Cue text is already WebVTT markup - keep it as is
+    const [, start, end, settings] = CUE_TIMING.exec(lines[timingIndex]);
+    cues.push({
+      start: parseTime(start),
+      end: parseTime(end),
+      text: lines.slice(timingIndex + 1).join('\n').trim(),
+      settings: settings.trim()
+    });
+  });
+
+  return { cues, colors, styles };
+}
+
+/**
+ * SBV (YouTube) and SubViewer 2: "start,end" line then text; SubViewer uses [br]
+ */
+function parseSbv(text) {
+  const colors = new Set();
+  const cues = [];
+
+  splitBlocks(text).forEach(lines => {
+    const timingIndex = lines.findIndex(line => PAIR_TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = PAIR_TIMING.exec(lines[timingIndex]);
+    const body = lines.slice(timingIndex + 1).join('\n').replace(/\[br\]/gi, '\n').trim();
+    cues.push({ start: parseTime(start), end: parseTime(end), ...convertHtmlMarkup(body, colors) });
+  });
+
+  return { cues, colors };
+}
+
+/**
+ * MicroDVD: "{startFrame}{endFrame}text|next line". Frame numbers need the
+ * frame rate, which some files give on a first "{1}{1}23.976" line.
+ */
+function parseMicroDvd(text, { fps = 23.976 } = {}) {
+  const cues = [];
+  let frameRate = fps;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+    const match = /^\{(\d+)\}\{(\d*)\}(.*)$/.exec(line.trim());
+    if (!match) return;
+
+    const [, startFrame, endFrame, body] = match;
+    if (index === 0 && startFrame === '1' && /^\d+(\.\d+)?$/.test(body.trim())) {
+      frameRate = parseFloat(body) || frameRate;
+      return;
+    }
+
+    // {y:i} / {Y:b} style switches apply to the line; "/" prefixes italic lines
+    const italic = /\{y:[^}]*i/i.test(body);
+    const bold = /\{y:[^}]*b/i.test(body);
+    const lines = body.replace(/\{[^}]*\}/g, '').split('|').map(part => {
+      const italicLine = part.startsWith('/');
+      const content = escapeText(italicLine ? part.slice(1) : part);
+      return italicLine && !italic ? `<i>${content}</i>` : content;
+    });
+
+    let cueText = lines.join('\n');
+    if (italic) cueText = `<i>${cueText}</i>`;
+    if (bold) cueText = `<b>${cueText}</b>`;
+
+    const start = (parseInt(startFrame, 10) / frameRate) * 1000;
+    const end = endFrame ? (parseInt(endFrame, 10) / frameRate) * 1000 : start + 3000;
+    cues.push({ start, end, text: cueText, settings: '' });
+  });
+
+  return { cues, colors: new Set() };
+}
+
+// ---------------------------------------------------------------------------
+// ASS / SSA
+
+/**
+ * Numpad alignment (ASS \an) to WebVTT cue settings. Bottom centre is the default.
+ */
+function alignmentSettings(alignment) {
+  const settings = [];
+  if (alignment >= 7 && alignment <= 9) settings.push('line:0');
+  else if (alignment >= 4 && alignment <= 6) settings.push('line:50%');
+  if ([1, 4, 7].includes(alignment)) settings.push('align:start');
+  if ([3, 6, 9].includes(alignment)) settings.push('align:end');
+  return settings.join(' ');
+}
+
+// SSA v4 "\a" alignment: 1-3 bottom, +4 top, +8 middle
+function legacyAlignment(value) {
+  if (value >= 9) return value - 5;
+  if (value >= 5) return value + 2;
+  return value;
+}
+
+// &HAABBGGRR& or &HBBGGRR -> rrggbb
+function assColor(value) {
+  const raw = String(value || '').trim();
+
+  // Old SSA styles store colours as decimal numbers
+  const hex = /^\d+$/.test(raw)
+    ? parseInt(raw, 10).toString(16)
+    : (/^&?H([0-9a-f]{1,8})&?$/i.exec(raw) || [])[1];
+  if (!hex) return null;
+
+  const bgr = hex.padStart(8, '0').slice(2);
+  return `${bgr.slice(4, 6)}${bgr.slice(2, 4)}${bgr.slice(0, 2)}`.toLowerCase();
+}
+
+function assFlag(value) {
+  return value !== undefined && value !== '0' && value !== '';
+}
+
+function parseAssFields(line, format) {
+  const values = line.slice(line.indexOf(':') + 1).split(',');
+  const fields = {};
+  format.forEach((name, index) => {
+    fields[name] = index === format.length - 1
+      ? values.slice(index).join(',')
+      : (values[index] || '').trim();
+  });
+  return fields;
+}
+
+/**
+ * Turn one ASS Text field into WebVTT markup, starting from its style
+ */
+function convertAssText(text, style, colors) {
+  const base = {
+    i: !!style?.italic,
+    b: !!style?.bold,
+    u: !!style?.underline,
+    color: style?.color || null
+  };
+  let state = { ...base };
+  let alignment = style?.alignment || 2;
+  let drawing = false;
+
+  const openTags = (current) => {
+    const tags = [];
+    if (current.color && current.color !== 'ffffff') {
+      colors.add(current.color);
+      tags.push(`<c.${colorClass(current.color)}>`);
+    }
+    if (current.b) tags.push('<b>');
+    if (current.i) tags.push('<i>');
+    if (current.u) tags.push('<u>');
+    return tags;
+  };
+  const closeTags = (tags) => tags.slice().reverse().map(tag => tag.startsWith('<c.') ? '</c>' : tag.replace('<', '</'));
+
+  let open = openTags(state);
+  const output = [...open];
+
+  text.split(/(\{[^}]*\})/).forEach(part => {
+    if (!part) return;
+
+    if (part.startsWith('{') && part.endsWith('}')) {
+      const next = { ...state };
+      const TAG = /\\(an|a|[1]?c|i|b|u|r|p)([^\\}]*)/g;
+      let match;
+
+      while ((match = TAG.exec(part)) !== null) {
+        const [, name, rawValue] = match;
+        const value = rawValue.trim();
+
+        // Longer tags share these prefixes (\blur, \bord, \clip, \pos, \alpha) - skip them
+        const numeric = /^\d*$/.test(value);
+        if (name !== 'r' && !numeric && !/^(1?c)$/.test(name)) continue;
+        if (/^(1?c)$/.test(name) && value && !/^&?H[0-9a-f]+&?$/i.test(value)) continue;
+
+        if (name === 'an') alignment = parseInt(value, 10) || alignment;
+        else if (name === 'a') alignment = legacyAlignment(parseInt(value, 10)) || alignment;
+        else if (name === 'c' || name === '1c') next.color = value ? assColor(value) : base.color;
+        else if (name === 'i') next.i = value === '' ? base.i : value === '1';
+        else if (name === 'b') next.b = value === '' ? base.b : (value === '1' || parseInt(value, 10) >= 600);
+        else if (name === 'u') next.u = value === '' ? base.u : value === '1';
+        else if (name === 'r') Object.assign(next, base);
+        else if (name === 'p') drawing = parseInt(value, 10) > 0;
+      }
+
+      if (JSON.stringify(next) !== JSON.stringify(state)) {
+        output.push(...closeTags(open));
+        state = next;
+        open = openTags(state);
+        output.push(...open);
+      }
+      return;
+    }
+
+    // Vector drawings aren't text
+    if (drawing) return;
+
+    output.push(escapeText(part)
+      .replace(/\\N/g, '\n')
+      .replace(/\\n/g, '\n')
+      .replace(/\\h/g, ' '));
+  });
+
+  output.push(...closeTags(open));
+
+  const markup = output.join('')
+    .replace(/<(b|i|u|c\.[\w-]+)><\/(b|i|u|c)>/g, '') // empty spans from back-to-back overrides
+    .trim();
+
+  return { text: markup, settings: alignmentSettings(alignment) };
+}
+
+function parseAss(text) {
+  const colors = new Set();
+  const styles = {};
+  const cues = [];
+  let section = '';
+  let styleFormat = null;
+  let eventFormat = null;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const sectionMatch = /^\[(.+)\]$/.exec(line);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      return;
+    }
+
+    if (/^Format:/i.test(line)) {
+      const format = line.slice(7).split(',').map(name => name.trim().toLowerCase());
+      if (section.includes('styles')) styleFormat = format;
+      else if (section === 'events') eventFormat = format;
+      return;
+    }
+
+    if (/^Style:/i.test(line) && styleFormat) {
+      const fields = parseAssFields(line, styleFormat);
+      const legacy = section === 'v4 styles';
+      styles[fields.name] = {
+        bold: assFlag(fields.bold),
+        italic: assFlag(fields.italic),
+        underline: assFlag(fields.underline),
+        color: assColor(fields.primarycolour),
+        alignment: legacy
+          ? legacyAlignment(parseInt(fields.alignment, 10) || 2)
+          : parseInt(fields.alignment, 10) || 2
+      };
+      return;
+    }
+
+    if (/^Dialogue:/i.test(line) && eventFormat) {
+      const fields = parseAssFields(rawLine.trimStart(), eventFormat);
+      const style = styles[fields.style] || styles[(fields.style || '').replace(/^\*/, '')] || styles.Default;
+      const converted = convertAssText(fields.text || '', style, colors);
+      if (!converted.text) return;
+
+      cues.push({
+        start: parseTime(fields.start),
+        end: parseTime(fields.end),
+        ...converted
+      });
+    }
+  });
+
+  return { cues, colors };
+}
+
+// ---------------------------------------------------------------------------
+// Writer
+
+const PARSERS = {
+  vtt: parseVtt,
+  srt: parseSrt,
+  ass: parseAss,
+  ssa: parseAss,
+  sbv: parseSbv,
+  sub: parseMicroDvd
+};
+
+/**
+ * Convert subtitle text to WebVTT
+ * @param {string} text - Decoded subtitle file
+ * @param {Object} options
+ * @param {string} options.format - Source format (see SUPPORTED_FORMATS)
+ * @param {number} options.offset - Shift in seconds; negative shows subtitles earlier
+ * @param {number} options.fps - Frame rate for MicroDVD files without one
+ * @returns {{ vtt: string, cues: number }}
+ */
+function toWebVtt(text, { format, offset = 0, fps } = {}) {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+
+  const { cues, colors, styles = [] } = parse(text, { fps });
+  const shift = Math.round(offset * 1000);
+
+  const blocks = cues
+    .filter(cue => cue.start !== null && cue.end !== null && cue.text)
+    .map(cue => ({ ...cue, start: cue.start + shift, end: cue.end + shift }))
+    .filter(cue => cue.end > 0 && cue.end > cue.start)
+    .sort((a, b) => a.start - b.start)
+    .map(cue => {
+      // A blank line or "-->" inside a cue would end it early
+      const body = cue.text.replace(/\n{2,}/g, '\n').replace(/-->/g, '--&gt;');
+      const timing = `${formatTime(cue.start)} --> ${formatTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+      return `${timing}\n${body}`;
+    });
+
+  const styleRules = [
+    ...styles,
+    ...[...colors].map(color => `::cue(.${colorClass(color)}) { color: #${color}; }`)
+  ];
+
+  const parts = ['WEBVTT'];
+  if (styleRules.length > 0) parts.push(`STYLE\n${styleRules.join('\n')}`);
+  parts.push(...blocks);
+
+  return { vtt: parts.join('\n\n') + '\n', cues: blocks.length };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  decodeSubtitle,
+  detectFormat,
+  toWebVtt
+};
@@ -0,0 +1,62 @@
+/**
+ * Subtitle language codes
+ *
+ * Providers speak different dialects (ISO 639-1 "en", 639-2 "eng", plain
+ * "English"); everything is normalized to one entry of this table.
+ */
+
+const LANGUAGES = [
+  { code: 'en', code3: 'eng', name: 'English' },
+  { code: 'es', code3: 'spa', name: 'Spanish' },
+  { code: 'fr', code3: 'fre', name: 'French', aliases: ['fra'] },
+  { code: 'de', code3: 'ger', name: 'German', aliases: ['deu'] },
+  { code: 'it', code3: 'ita', name: 'Italian' },
+  { code: 'pt', code3: 'por', name: 'Portuguese' },
+  { code: 'pb', code3: 'pob', name: 'Portuguese (BR)', aliases: ['pt-br', 'ptbr'] },
+  { code: 'nl', code3: 'dut', name: 'Dutch', aliases: ['nld'] },
+  { code: 'ru', code3: 'rus', name: 'Russian' },
+  { code: 'pl', code3: 'pol', name: 'Polish' },
+  { code: 'sv', code3: 'swe', name: 'Swedish' },
+  { code: 'da', code3: 'dan', name: 'Danish' },
+  { code: 'no', code3: 'nor', name: 'Norwegian', aliases: ['nob'] },
+  { code: 'fi', code3: 'fin', name: 'Finnish' },
+  { code: 'tr', code3: 'tur', name: 'Turkish' },
+  { code: 'el', code3: 'ell', name: 'Greek', aliases: ['gre'] },
+  { code: 'ar', code3: 'ara', name: 'Arabic' },
+  { code: 'he', code3: 'heb', name: 'Hebrew' },
+  { code: 'hi', code3: 'hin', name: 'Hindi' },
+  { code: 'zh', code3: 'chi', name: 'Chinese', aliases: ['zho'] },
+  { code: 'ja', code3: 'jpn', name: 'Japanese' },
+  { code: 'ko', code3: 'kor', name: 'Korean' },
+  { code: 'vi', code3: 'vie', name: 'Vietnamese' },
+  { code: 'id', code3: 'ind', name: 'Indonesian' },
+  { code: 'ro', code3: 'rum', name: 'Romanian', aliases: ['ron'] },
+  { code: 'hu', code3: 'hun', name: 'Hungarian' },
+  { code: 'cs', code3: 'cze', name: 'Czech', aliases: ['ces'] }
+];
+
+const UNKNOWN = { code: 'und', code3: 'und', name: 'Unknown' };
+
+const lookup = new Map();
+LANGUAGES.forEach(language => {
+  [language.code, language.code3, language.name, ...(language.aliases || [])]
+    .forEach(key => lookup.set(key.toLowerCase(), language));
+});
+
+/**
+ * Resolve any code or name to a language entry, or null
+ */
+function findLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  return lookup.get(value.trim().toLowerCase()) || null;
+}
+
+function normalizeLanguage(value) {
+  return findLanguage(value) || UNKNOWN;
+}
+
+module.exports = {
+  LANGUAGES,
+  findLanguage,
+  normalizeLanguage
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { findLanguage, normalizeLanguage } = require('./languages');
+
+/**
+ * Local directory provider
+ *
+ * Serves subtitle files from a folder on disk, e.g. a hand-curated library or
+ * fixtures for testing the search pipeline without network access. The
+ * language is read from the name suffix: "Movie.2019.1080p.en.srt".
+ */
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa', '.sub'];
+const MAX_DEPTH = 4;
+
+class LocalDirectoryProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Folder to scan (recursively)
+   * @param {string} options.id - Provider id, when registering more than one folder
+   * @param {string} options.name - Display name shown as the result source
+   */
+  constructor(options = {}) {
+    this.id = options.id || 'local';
+    this.name = options.name || 'Local';
+    this.directory = path.resolve(options.directory);
+  }
+
+  listFiles(directory = this.directory, depth = 0) {
+    if (depth > MAX_DEPTH || !fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) return this.listFiles(fullPath, depth + 1);
+      return SUBTITLE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+  }
+
+  describeFile(filePath) {
+    const extension = path.extname(filePath);
+    let release = path.basename(filePath, extension);
+
+    // "Name.en" / "Name.eng" / "Name.English" - peel the language off the release name
+    const suffix = path.extname(release).slice(1);
+    const language = findLanguage(suffix);
+    if (language) {
+      release = release.slice(0, -(suffix.length + 1));
+    }
+
+    return {
+      ref: Buffer.from(path.relative(this.directory, filePath)).toString('base64url'),
+      release,
+      fileName: path.basename(filePath),
+      language: language || normalizeLanguage(null),
+      format: extension.slice(1).toLowerCase(),
+      downloads: 0,
+      hashMatch: false
+    };
+  }
+
+  /**
+   * Everything in the folder is a candidate; the subtitle service ranks and trims
+   */
+  async search() {
+    return this.listFiles().map(filePath => this.describeFile(filePath));
+  }
+
+  async download(ref) {
+    const relativePath = Buffer.from(ref, 'base64url').toString('utf8');
+    const filePath = path.resolve(this.directory, relativePath);
+
+    // Never read outside the configured folder
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Invalid subtitle reference');
+    }
+    if (!SUBTITLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      throw new Error('Invalid subtitle reference');
+    }
+
+    return fs.promises.readFile(filePath);
+  }
+}
+
+module.exports = LocalDirectoryProvider;
@@ -0,0 +1,113 @@
+const zlib = require('zlib');
+const { normalizeLanguage } = require('./languages');
+
+/**
+ * OpenSubtitles provider (REST API at rest.opensubtitles.org)
+ *
+ * Searches by movie hash + size when the caller has them, and by release name
+ * otherwise - both when possible, since hash matches are exact but sparse.
+ * Download links come back gzipped.
+ */
+
+const DOWNLOAD_HOSTS = /(^|\.)opensubtitles\.(org|com)$/;
+
+class OpenSubtitlesProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - REST API base URL
+   * @param {string} options.userAgent - Registered OpenSubtitles user agent
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.id = 'opensubtitles';
+    this.name = 'OpenSubtitles';
+    this.apiUrl = (options.apiUrl || 'https://rest.opensubtitles.org').replace(/\/+$/, '');
+    this.userAgent = options.userAgent || 'TemporaryUserAgent';
+    this.timeout = options.timeout || 10000;
+  }
+
+  async request(url) {
+    const response = await fetch(url, {
+      headers: { 'X-User-Agent': this.userAgent },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} returned ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * @param {Object} params - { query, movieHash, size, languages: [{ code3 }] }
+   */
+  async search({ query, movieHash, size, languages = [] }) {
+    const languageFilter = languages.length > 0
+      ? `/sublanguageid-${languages.map(language => language.code3).join(',')}`
+      : '';
+    const searches = [];
+
+    if (movieHash && size) {
+      searches.push(`${this.apiUrl}/search/moviebytesize-${size}/moviehash-${movieHash}${languageFilter}`);
+    }
+    if (query) {
+      searches.push(`${this.apiUrl}/search/query-${encodeURIComponent(query.toLowerCase())}${languageFilter}`);
+    }
+
+    const seen = new Set();
+    const results = [];
+
+    for (const url of searches) {
+      const response = await this.request(url);
+      const entries = await response.json();
+      if (!Array.isArray(entries)) continue;
+
+      entries.forEach(entry => {
+        if (!entry.SubDownloadLink || seen.has(entry.IDSubtitleFile)) return;
+        seen.add(entry.IDSubtitleFile);
+
+        results.push({
+          ref: Buffer.from(entry.SubDownloadLink).toString('base64url'),
+          release: entry.MovieReleaseName || entry.SubFileName || '',
+          fileName: entry.SubFileName || null,
+          language: normalizeLanguage(entry.ISO639 || entry.SubLanguageID),
+          format: (entry.SubFormat || 'srt').toLowerCase(),
+          downloads: parseInt(entry.SubDownloadsCnt, 10) || 0,
+          hashMatch: entry.MatchedBy === 'moviehash'
+        });
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * @param {string} ref - Opaque reference from search()
+   * @returns {Promise<Buffer>} Raw subtitle file
+   */
+  async download(ref) {
+    const link = Buffer.from(ref, 'base64url').toString('utf8');
+
+    // The reference comes back from the browser - only ever fetch OpenSubtitles
+    let url;
+    try {
+      url = new URL(link);
+    } catch (e) {
+      throw new Error('Invalid subtitle reference');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Invalid subtitle reference');
+    }
+    if (!DOWNLOAD_HOSTS.test(url.hostname)) {
+      throw new Error('Invalid subtitle reference');
+    }
+
+    const response = await this.request(url.toString());
+    const data = Buffer.from(await response.arrayBuffer());
+
+    // gzip magic number - links normally end in .gz but don't rely on it
+    return data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data;
+  }
+}
+
+module.exports = OpenSubtitlesProvider;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { findLanguage } = require('./subtitleProviders/languages');
+const { decodeSubtitle, detectFormat } = require('./subtitleConverter');
+
+/**
+ * Subtitle Search Service
+ *
+ * Fans a search out to every registered provider, ranks the merged results
+ * and keeps downloaded files in an on-disk cache.
+ *
+ * A provider is any object with:
+ *   id                         - short unique id, prefixes result urls
+ *   name                       - shown to the user as the result source
+ *   search(params)             - resolves to [{ ref, release, fileName, language,
+ *                                format, downloads, hashMatch }]
+ *   download(ref)              - resolves to a Buffer with the subtitle file
+ *
+ * Results are addressed as "<providerId>:<ref>" so the browser never hands the
+ * server a URL to fetch.
+ *
+ * Ranking: preferred languages first, in the order given; within a language,
+ * exact hash matches, then release-name similarity, then popularity.
+ */
+
+const MIN_SIMILARITY = 0.15;
+const MAX_RESULTS = 30;
+
+function tokenize(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]{2,4}$/, '') // file extension
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Dice coefficient over release-name tokens, 0..1
+ */
+function releaseSimilarity(a, b) {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  left.forEach(token => {
+    if (right.has(token)) shared++;
+  });
+  return (2 * shared) / (left.size + right.size);
+}
+
+/**
+ * OpenSubtitles movie hash: file size plus the 64-bit little-endian word sums
+ * of the first and last 64 KB. Only computed when those pieces are on disk.
+ * @returns {Promise<string|null>} 16 hex digits, or null
+ */
+async function computeMovieHash(torrent, file) {
+  const CHUNK = 64 * 1024;
+  if (!torrent || !file || file.length < CHUNK || !torrent.bitfield) return null;
+
+  const pieceOf = (position) => Math.floor((file.offset + position) / torrent.pieceLength);
+  const ranges = [[0, CHUNK - 1], [file.length - CHUNK, file.length - 1]];
+  const available = ranges.every(([start, end]) => {
+    for (let piece = pieceOf(start); piece <= pieceOf(end); piece++) {
+      if (!torrent.bitfield.get(piece)) return false;
+    }
+    return true;
+  });
+  if (!available) return null;
+
+  const readRange = ([start, end]) => new Promise((resolve, reject) => {
+    const chunks = [];
+    file.createReadStream({ start, end })
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+
+  let hash = BigInt(file.length);
+  for (const range of ranges) {
+    const data = await readRange(range);
+    for (let offset = 0; offset + 8 <= data.length; offset += 8) {
+      hash = (hash + data.readBigUInt64LE(offset)) & 0xFFFFFFFFFFFFFFFFn;
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+class SubtitleService {
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheDir - Where downloaded subtitles are kept
+   * @param {string[]} options.languages - Default language preference, e.g. ['en', 'es']
+   */
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.cacheDir = options.cacheDir || path.join('data', 'subtitles');
+    this.languages = this.resolveLanguages(options.languages);
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  /**
+   * Turn codes/names into language entries, dropping unknown ones
+   */
+  resolveLanguages(languages) {
+    const list = Array.isArray(languages) ? languages : String(languages || '').split(',');
+    return list.map(findLanguage).filter(Boolean);
+  }
+
+  /**
+   * Search every provider and return ranked results
+   * @param {Object} params - { query, filename, movieHash, size, languages }
+   */
+  async search(params = {}) {
+    const requested = this.resolveLanguages(params.languages);
+    const languages = requested.length > 0 ? requested : this.languages;
+    const providers = [...this.providers.values()];
+
+    const settled = await Promise.allSettled(
+      providers.map(provider => provider.search({ ...params, languages }))
+    );
+
+    const results = [];
+    settled.forEach((outcome, index) => {
+      const provider = providers[index];
+      if (outcome.status === 'rejected') {
+        console.log(`⚠️ Subtitle provider ${provider.name} failed: ${outcome.reason?.message}`);
+        return;
+      }
+
+      (outcome.value || []).forEach(result => {
+        const similarity = Math.max(
+          releaseSimilarity(result.release, params.filename),
+          releaseSimilarity(result.release, params.query)
+        );
+        const languageRank = languages.findIndex(language => language.code === result.language.code);
+
+        if (!result.hashMatch && similarity < MIN_SIMILARITY) return;
+        if (languages.length > 0 && languageRank === -1) return;
+
+        results.push({
+          url: `${provider.id}:${result.ref}`,
+          source: provider.name,
+          language: result.language.name,
+          languageCode: result.language.code,
+          release: result.release,
+          fileName: result.fileName,
+          format: result.format,
+          downloads: result.downloads || 0,
+          hashMatch: !!result.hashMatch,
+          similarity: Math.round(similarity * 100) / 100,
+          languageRank
+        });
+      });
+    });
+
+    results.sort((a, b) =>
+      a.languageRank - b.languageRank ||
+      Number(b.hashMatch) - Number(a.hashMatch) ||
+      b.similarity - a.similarity ||
+      b.downloads - a.downloads
+    );
+
+    return results.slice(0, MAX_RESULTS).map(({ languageRank, ...result }) => result);
+  }
+
+  /**
+   * Split a result url into its provider and the provider's own reference
+   * @returns {{ provider: Object, ref: string }|null}
+   */
+  resolve(url) {
+    const separator = typeof url === 'string' ? url.indexOf(':') : -1;
+    const provider = separator > 0 ? this.providers.get(url.slice(0, separator)) : null;
+    return provider ? { provider, ref: url.slice(separator + 1) } : null;
+  }
+
+  cachePath(url) {
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.cacheDir, `${key}.txt`);
+  }
+
+  /**
+   * Fetch a subtitle by its result url, from the disk cache when we can
+   * @param {string} url - "<providerId>:<ref>" from search()
+   * @returns {Promise<{ content: string, format: string, cached: boolean }>}
+   */
+  async download(url) {
+    const source = this.resolve(url);
+    if (!source) {
+      throw new Error('Unknown subtitle source');
+    }
+
+    const cacheFile = this.cachePath(url);
+
+    try {
+      const content = await fs.promises.readFile(cacheFile, 'utf8');
+      return { content, format: detectFormat(content) || 'srt', cached: true };
+    } catch (e) {
+      // Not cached yet
+    }
+
+    const { text: content } = decodeSubtitle(await source.provider.download(source.ref));
+
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    const tmpFile = `${cacheFile}.tmp`;
+    await fs.promises.writeFile(tmpFile, content, 'utf8');
+    await fs.promises.rename(tmpFile, cacheFile);
+
+    return { content, format: detectFormat(content) || 'srt', cached: false };
+  }
+}
+
+module.exports = {
+  SubtitleService,
+  computeMovieHash,
+  releaseSimilarity
+};
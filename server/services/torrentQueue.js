@@ -0,0 +1,280 @@
+/**
+ * Download Queue
+ *
+ * Keeps a user-ordered list of torrents (by infoHash) and lets only the first
+ * `maxActiveDownloads` incomplete and `maxActiveSeeds` complete torrents move
+ * data. Everything after that is queued:
+ *
+ * - before metadata: peers still connect so the info dictionary arrives, but
+ *   no pieces are requested
+ * - after metadata: peers are dropped and no new ones accepted, which hands
+ *   the connection budget to the active torrents
+ *
+ * Paused and force-started torrents never take a slot, and neither does a
+ * torrent streamed within `streamGraceMs` - playback must not wait on the
+ * queue. Limits use -1 for unlimited.
+ */
+
+const { assertTorrentInternals } = require('./torrentThrottle');
+
+const QUEUE_MOVES = ['up', 'down', 'top', 'bottom'];
+
+/**
+ * Normalize a slot limit to an integer or -1 (unlimited)
+ */
+function normalizeMaxActive(value, fallback = -1) {
+  if (value === null || value === undefined || value === '') return fallback;
+
+  const max = Number(value);
+  if (!Number.isFinite(max)) return fallback;
+
+  return max < 0 ? -1 : Math.floor(max);
+}
+
+function dropPeers(torrent) {
+  Object.keys(torrent._peers || {}).forEach(peerId => {
+    try {
+      torrent.removePeer(peerId);
+    } catch (e) {
+      console.log(`⚠️ Error removing peer from queued torrent: ${e.message}`);
+    }
+  });
+}
+
+// Peers were dropped while queued, so ask trackers and DHT for a fresh set
+function reannounce(torrent) {
+  if (!torrent.discovery) return;
+
+  try {
+    if (torrent.discovery.tracker) torrent.discovery.tracker.update();
+    if (torrent.discovery.dht && torrent.infoHash) torrent.discovery.dht.lookup(torrent.infoHash);
+  } catch (e) {
+    console.log(`⚠️ Re-announce after leaving queue failed: ${e.message}`);
+  }
+}
+
+class TorrentQueue {
+  constructor(options = {}) {
+    this.maxActiveDownloads = normalizeMaxActive(options.maxActiveDownloads, 3);
+    this.maxActiveSeeds = normalizeMaxActive(options.maxActiveSeeds, 3);
+    this.streamGraceMs = options.streamGraceMs || 10 * 60 * 1000;
+    this.getTorrents = options.getTorrents || (() => []);
+    this.order = [];
+    this.timer = null;
+  }
+
+  /**
+   * Hook a torrent into the queue. Call right after client.add().
+   * @param {Object} torrent - WebTorrent torrent
+   * @returns {Object} The same torrent
+   */
+  attach(torrent) {
+    if (!torrent || torrent._queueAttached) return torrent;
+    assertTorrentInternals(torrent, ['_updateWire', '_drain', '_addIncomingPeer']);
+    torrent._queueAttached = true;
+    torrent.queued = false;
+
+    const updateWire = torrent._updateWire;
+    torrent._updateWire = function (wire) {
+      if (this.queued) return false;
+      return updateWire.call(this, wire);
+    };
+
+    // Metadata is the only thing a queued torrent needs peers for
+    const drain = torrent._drain;
+    torrent._drain = function () {
+      if (this.queued && this.ready) return;
+      return drain.call(this);
+    };
+
+    const addIncomingPeer = torrent._addIncomingPeer;
+    torrent._addIncomingPeer = function (peer) {
+      if (this.queued && this.ready) return peer.destroy(new Error('torrent is queued'));
+      return addIncomingPeer.call(this, peer);
+    };
+
+    if (torrent.infoHash) {
+      this.add(torrent.infoHash);
+    } else {
+      torrent.once('infoHash', () => this.add(torrent.infoHash));
+    }
+
+    torrent.once('ready', () => {
+      if (torrent.queued) dropPeers(torrent);
+    });
+
+    // A finished download moves to the seed slots and frees its own
+    torrent.on('done', () => this.update());
+
+    return torrent;
+  }
+
+  add(infoHash) {
+    if (infoHash && !this.order.includes(infoHash)) {
+      this.order.push(infoHash);
+    }
+  }
+
+  remove(infoHash) {
+    this.order = this.order.filter(hash => hash !== infoHash);
+  }
+
+  clear() {
+    this.order = [];
+  }
+
+  has(infoHash) {
+    return this.order.includes(infoHash);
+  }
+
+  /**
+   * 1-based queue position, or null if the torrent isn't queued
+   */
+  position(infoHash) {
+    const index = this.order.indexOf(infoHash);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Move a torrent one step or to either end of the queue
+   * @param {string} infoHash
+   * @param {string} direction - up | down | top | bottom
+   * @returns {boolean} Whether the position changed
+   */
+  move(infoHash, direction) {
+    const index = this.order.indexOf(infoHash);
+    if (index === -1 || !QUEUE_MOVES.includes(direction)) return false;
+
+    const target = {
+      up: Math.max(index - 1, 0),
+      down: Math.min(index + 1, this.order.length - 1),
+      top: 0,
+      bottom: this.order.length - 1
+    }[direction];
+
+    if (target === index) return false;
+
+    this.order.splice(index, 1);
+    this.order.splice(target, 0, infoHash);
+    return true;
+  }
+
+  /**
+   * Put the given torrents first, in the given order (drag and drop).
+   * Unknown hashes are ignored; torrents not listed keep their relative order.
+   */
+  reorder(infoHashes) {
+    const listed = [...new Set(infoHashes)].filter(hash => this.order.includes(hash));
+    const rest = this.order.filter(hash => !listed.includes(hash));
+    this.order = [...listed, ...rest];
+  }
+
+  setLimits(limits = {}) {
+    if (limits.maxActiveDownloads !== undefined) {
+      this.maxActiveDownloads = normalizeMaxActive(limits.maxActiveDownloads, this.maxActiveDownloads);
+    }
+    if (limits.maxActiveSeeds !== undefined) {
+      this.maxActiveSeeds = normalizeMaxActive(limits.maxActiveSeeds, this.maxActiveSeeds);
+    }
+  }
+
+  getLimits() {
+    return {
+      maxActiveDownloads: this.maxActiveDownloads,
+      maxActiveSeeds: this.maxActiveSeeds
+    };
+  }
+
+  /**
+   * Mark a torrent as being streamed so it skips the queue for a while
+   */
+  touch(torrent) {
+    torrent.lastStreamedAt = Date.now();
+    if (torrent.queued) this.update();
+  }
+
+  /**
+   * Queue fields reported alongside torrent stats
+   */
+  describe(torrent) {
+    return {
+      queuePosition: this.position(torrent.infoHash),
+      queueState: torrent.queueState || (torrent.queued ? 'queued' : 'downloading')
+    };
+  }
+
+  /**
+   * Walk the queue in order and start/queue torrents to fit the slot limits
+   */
+  update() {
+    const live = new Map();
+    this.getTorrents().forEach(torrent => {
+      if (torrent && !torrent.destroyed && torrent.infoHash) {
+        live.set(torrent.infoHash, torrent);
+        this.add(torrent.infoHash);
+      }
+    });
+
+    const now = Date.now();
+    let downloads = 0;
+    let seeds = 0;
+
+    this.order.forEach(infoHash => {
+      const torrent = live.get(infoHash);
+      if (!torrent) return;
+
+      let state;
+      if (torrent.paused) {
+        state = 'paused';
+      } else if (torrent.forceStart) {
+        state = 'forced';
+      } else if (torrent.lastStreamedAt && now - torrent.lastStreamedAt < this.streamGraceMs) {
+        state = 'streaming';
+      } else if (torrent.done) {
+        state = this.maxActiveSeeds < 0 || seeds < this.maxActiveSeeds ? 'seeding' : 'queued';
+        if (state === 'seeding') seeds++;
+      } else {
+        state = this.maxActiveDownloads < 0 || downloads < this.maxActiveDownloads ? 'downloading' : 'queued';
+        if (state === 'downloading') downloads++;
+      }
+
+      torrent.queueState = state;
+      this.setQueued(torrent, state === 'queued');
+    });
+  }
+
+  setQueued(torrent, queued) {
+    if (!!torrent.queued === queued) return;
+    torrent.queued = queued;
+
+    const name = torrent.name || torrent.infoHash;
+    if (queued) {
+      console.log(`⏳ Queued: ${name} (position ${this.position(torrent.infoHash)})`);
+      if (torrent.ready) dropPeers(torrent);
+    } else {
+      console.log(`▶️ Started from queue: ${name}`);
+      if (torrent.ready) {
+        reannounce(torrent);
+        torrent._drain();
+        torrent._update();
+      }
+    }
+  }
+
+  start(interval = 5000) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.update(), interval);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  TorrentQueue,
+  QUEUE_MOVES,
+  normalizeMaxActive
+};
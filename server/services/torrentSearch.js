@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const TorrentSearchApi = require('torrent-search-api');
+const { parseReleaseName, normalizeTitle, qualityScore } = require('./releaseName');
+
+/**
+ * Torrent Search
+ *
+ * One query fanned out to every enabled torrent-search-api provider in
+ * parallel. Each provider gets its own timeout, so a slow or blocked site only
+ * costs its own results; the response says how each provider did.
+ *
+ * Listings rarely carry a magnet link, so results are kept for a while under an
+ * opaque id and the magnet is only scraped (getMagnet) when one is added.
+ * Results that share an info hash are merged, keeping the best-seeded listing.
+ *
+ * The default "relevance" sort parses both the query and every title as a
+ * release name: listings whose title covers the query and whose year and
+ * season agree come first, then better copies, then better-seeded ones.
+ *
+ * Result shape:
+ * { id, title, provider, providers, size, sizeText, seeders, leechers, time, infoHash, hasMagnet, url, release }
+ */
+
+const SORTS = ['relevance', 'seeders', 'size'];
+const SIZE_UNITS = { b: 0, k: 1, m: 2, g: 3, t: 4 };
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+class SearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Bytes in a listing's size text ("1.4 GB", "700 MiB", "1,2 Go"), or null
+ */
+function parseSize(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  const match = String(text || '').match(/([\d.,]+)\s*([kmgt]?)(?:i?b|o)\b/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1].replace(/,(\d{1,2})$/, '.$1').replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  return Math.round(value * 1024 ** SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function parseCount(value) {
+  const count = parseInt(String(value ?? '').replace(/[^\d]/g, ''), 10);
+  return Number.isFinite(count) ? count : 0;
+}
+
+/**
+ * Hex info hash of a magnet link (hex or base32 btih), or null
+ */
+function infoHashFromMagnet(magnet) {
+  const match = String(magnet || '').match(/xt=urn:btih:([a-z0-9]+)/i);
+  if (!match) return null;
+
+  const hash = match[1].toLowerCase();
+  if (/^[a-f0-9]{40}$/.test(hash)) return hash;
+  if (!/^[a-z2-7]{32}$/.test(hash)) return null;
+
+  let bits = '';
+  for (const char of hash) {
+    bits += BASE32.indexOf(char).toString(2).padStart(5, '0');
+  }
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+function overlaps(wanted, found) {
+  return wanted.some(value => found.includes(value));
+}
+
+/**
+ * How well a result matches a query parsed as a release name; higher is better
+ */
+function relevanceScore(result, wanted) {
+  const release = result.release;
+  const queryWords = normalizeTitle(wanted.title).split(' ').filter(Boolean);
+  const titleWords = normalizeTitle(release.title).split(' ').filter(Boolean);
+  const matched = queryWords.filter(word => titleWords.includes(word)).length;
+
+  let score = queryWords.length > 0 ? (matched / queryWords.length) * 10 : 0;
+  if (matched === queryWords.length && titleWords.length === queryWords.length) score += 3;
+
+  if (wanted.year && release.year) score += wanted.year === release.year ? 2 : -4;
+  if (wanted.seasons.length > 0 && release.seasons.length > 0) score += overlaps(wanted.seasons, release.seasons) ? 2 : -4;
+  if (wanted.episodes.length > 0 && release.episodes.length > 0) score += overlaps(wanted.episodes, release.episodes) ? 2 : -4;
+
+  score += qualityScore(release);
+  score += result.seeders > 0 ? Math.log10(result.seeders + 1) * 2 : -5;
+  return score;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new SearchError(message, 504)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class TorrentSearch {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.providers - Provider names to enable; empty for every public one
+   * @param {number} options.timeout - Milliseconds each provider gets per search or magnet lookup
+   * @param {number} options.limit - Results asked of each provider
+   * @param {number} options.resultTtl - Minutes a result can still be added after the search
+   * @param {Object} options.api - torrent-search-api (or something shaped like it)
+   */
+  constructor(options = {}) {
+    this.api = options.api || TorrentSearchApi;
+    this.requested = options.providers || [];
+    this.timeout = options.timeout || 10000;
+    this.limit = options.limit || 30;
+    this.resultTtl = (options.resultTtl || 30) * 60 * 1000;
+    this.maxResults = options.maxResults || 2000;
+    this.enabled = []; // provider names searched
+    this.results = new Map(); // id -> { torrent, provider, magnet, storedAt }
+  }
+
+  /**
+   * Enable the configured providers, skipping names torrent-search-api doesn't know
+   */
+  init() {
+    const known = this.api.getProviders();
+    const wanted = this.requested.length > 0
+      ? this.requested
+      : known.filter(provider => provider.public).map(provider => provider.name);
+
+    this.enabled = [];
+    wanted.forEach(name => {
+      const provider = known.find(candidate => candidate.name.toLowerCase() === String(name).toLowerCase());
+      if (!provider) {
+        console.error(`⚠️ Unknown search provider "${name}" (known: ${known.map(candidate => candidate.name).join(', ')})`);
+        return;
+      }
+      try {
+        if (!this.api.isProviderActive(provider.name)) {
+          this.api.enableProvider(provider.name);
+        }
+        this.enabled.push(provider.name);
+      } catch (error) {
+        console.error(`⚠️ Failed to enable search provider ${provider.name}:`, error.message);
+      }
+    });
+
+    return this;
+  }
+
+  listProviders() {
+    return this.api.getProviders().map(provider => ({
+      name: provider.name,
+      public: provider.public,
+      enabled: this.enabled.includes(provider.name),
+      categories: provider.categories
+    }));
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.query
+   * @param {string} options.category - A provider category such as "Movies"; providers without it are skipped
+   * @param {string[]} options.providers - Narrow the search to these enabled providers
+   * @param {string} options.sort - "relevance", "seeders" or "size"
+   * @returns {Promise<{ results: Object[], providers: Object[] }>}
+   */
+  async search({ query, category = 'All', providers = [], sort = 'relevance' } = {}) {
+    const text = String(query || '').trim();
+    if (!text) {
+      throw new SearchError('A search query is required');
+    }
+    if (!SORTS.includes(sort)) {
+      throw new SearchError(`"sort" must be one of: ${SORTS.join(', ')}`);
+    }
+
+    let selected = this.enabled;
+    if (providers.length > 0) {
+      selected = providers.map(name => {
+        const match = this.enabled.find(enabled => enabled.toLowerCase() === String(name).toLowerCase());
+        if (!match) {
+          throw new SearchError(`"${name}" is not an enabled search provider`);
+        }
+        return match;
+      });
+    }
+    if (selected.length === 0) {
+      throw new SearchError('No search providers are enabled', 503);
+    }
+
+    const categories = new Map(this.api.getProviders().map(provider => [provider.name, provider.categories || []]));
+    const outcomes = await Promise.all(selected.map(name => this.searchProvider(name, text, category, categories.get(name))));
+    this.prune();
+
+    const merged = new Map();
+    outcomes.forEach(outcome => outcome.results.forEach(result => {
+      const key = result.infoHash || `${result.title.toLowerCase()}|${result.size ?? result.sizeText}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, result);
+        return;
+      }
+
+      const [best, other] = result.seeders > existing.seeders ? [result, existing] : [existing, result];
+      best.providers = Array.from(new Set([...existing.providers, ...result.providers]));
+      if (!best.hasMagnet && other.hasMagnet) {
+        // Adding the best listing can skip scraping its page
+        this.results.get(best.id).magnet = this.results.get(other.id).magnet;
+        best.hasMagnet = true;
+      }
+      merged.set(key, best);
+    }));
+
+    const results = Array.from(merged.values());
+    if (sort === 'relevance') {
+      const wanted = parseReleaseName(text);
+      const scores = new Map(results.map(result => [result, relevanceScore(result, wanted)]));
+      results.sort((a, b) => scores.get(b) - scores.get(a) || b.seeders - a.seeders);
+    } else {
+      results.sort((a, b) => sort === 'size'
+        ? (b.size || 0) - (a.size || 0) || b.seeders - a.seeders
+        : b.seeders - a.seeders || (b.size || 0) - (a.size || 0));
+    }
+
+    return {
+      query: text,
+      category,
+      sort,
+      results,
+      providers: outcomes.map(({ results: found, ...outcome }) => ({ ...outcome, count: found.length }))
+    };
+  }
+
+  async searchProvider(name, query, category, categories) {
+    const started = Date.now();
+    const outcome = { name, results: [], ms: 0, error: null };
+
+    if (category && category.toLowerCase() !== 'all' && !categories.some(known => known.toLowerCase() === category.toLowerCase())) {
+      outcome.error = `No "${category}" category`;
+      return outcome;
+    }
+
+    try {
+      const found = await withTimeout(
+        this.api.search([name], query, category, this.limit),
+        this.timeout,
+        `No answer within ${this.timeout / 1000}s`
+      );
+      outcome.results = (found || []).filter(torrent => torrent && torrent.title).map(torrent => this.store(torrent, name));
+    } catch (error) {
+      outcome.error = error.message;
+      console.error(`⚠️ Search provider ${name} failed:`, error.message);
+    }
+
+    outcome.ms = Date.now() - started;
+    return outcome;
+  }
+
+  /**
+   * Remember a provider listing so it can be added later, returning its public shape
+   */
+  store(torrent, providerName) {
+    const provider = torrent.provider || providerName;
+    const magnet = /^magnet:\?/i.test(torrent.magnet || '') ? torrent.magnet : null;
+    const id = crypto.createHash('sha1')
+      .update(`${provider}\n${torrent.desc || ''}\n${torrent.title}\n${torrent.size || ''}`)
+      .digest('hex')
+      .slice(0, 16);
+
+    this.results.delete(id);
+    this.results.set(id, { torrent, provider, magnet, storedAt: Date.now() });
+
+    const title = String(torrent.title).trim();
+    return {
+      id,
+      title,
+      provider,
+      providers: [provider],
+      size: parseSize(torrent.size),
+      sizeText: torrent.size || null,
+      seeders: parseCount(torrent.seeds),
+      leechers: parseCount(torrent.peers),
+      time: torrent.time || null,
+      infoHash: infoHashFromMagnet(magnet),
+      hasMagnet: Boolean(magnet),
+      url: torrent.desc || null,
+      release: parseReleaseName(title)
+    };
+  }
+
+  /**
+   * The magnet link of a search result, scraped from its provider page when the listing didn't have it
+   * @throws {SearchError} 404 when the result expired, 502 when the provider has no magnet for it
+   */
+  async resolveMagnet(id) {
+    const entry = this.results.get(id);
+    if (!entry || Date.now() - entry.storedAt > this.resultTtl) {
+      throw new SearchError('Search result not found or expired, search again', 404);
+    }
+    if (entry.magnet) return entry.magnet;
+
+    let magnet;
+    try {
+      magnet = await withTimeout(
+        this.api.getMagnet(entry.torrent),
+        this.timeout,
+        `${entry.provider} didn't answer within ${this.timeout / 1000}s`
+      );
+    } catch (error) {
+      throw new SearchError(error.message, error.status || 502);
+    }
+
+    if (!/^magnet:\?/i.test(magnet || '')) {
+      throw new SearchError(`${entry.provider} has no magnet link for this result`, 502);
+    }
+    entry.magnet = magnet;
+    return magnet;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.results) {
+      if (this.results.size <= this.maxResults && now - entry.storedAt <= this.resultTtl) break;
+      this.results.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  TorrentSearch,
+  SearchError,
+  parseSize,
+  infoHashFromMagnet,
+  SORTS
+};
@@ -0,0 +1,144 @@
+const { compose } = require('stream');
+const { ThrottleGroup } = require('speed-limiter');
+const { version: webtorrentVersion } = require('webtorrent/package.json');
+
+/**
+ * Per-torrent Rate Limits
+ *
+ * WebTorrent 1.x only throttles at the client level, so `torrent.uploadLimit`
+ * on its own is just a property. attachTorrentThrottle() gives a torrent its
+ * own throttle groups, chained with the client's, and turns `downloadLimit` /
+ * `uploadLimit` into live accessors.
+ *
+ * Limits are bytes/sec using WebTorrent's convention: -1 = unlimited,
+ * 0 = blocked. Groups are applied when a peer's pipes are built, which for
+ * outgoing, WebRTC and web seed peers happens after the torrent registers
+ * them. Incoming TCP peers are piped before their torrent is known, so they
+ * only see the client-wide limit.
+ *
+ * This (and the download queue) wraps private WebTorrent 1.x methods, so any
+ * other major version refuses to load instead of quietly not limiting.
+ */
+
+const SUPPORTED_WEBTORRENT_MAJOR = 1;
+
+if (parseInt(webtorrentVersion, 10) !== SUPPORTED_WEBTORRENT_MAJOR) {
+  throw new Error(`Per-torrent limits and the download queue need webtorrent ${SUPPORTED_WEBTORRENT_MAJOR}.x, but ${webtorrentVersion} is installed`);
+}
+
+/**
+ * Throw unless a torrent has the private methods about to be wrapped
+ * @param {Object} torrent - WebTorrent torrent
+ * @param {string[]} methods - Method names, e.g. ['_registerPeer']
+ */
+function assertTorrentInternals(torrent, methods) {
+  const missing = methods.filter(name => typeof torrent[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`webtorrent ${webtorrentVersion} torrents lack ${missing.join(', ')}; per-torrent limits and the download queue can't work`);
+  }
+}
+
+/**
+ * Normalize a user supplied limit to an integer rate or -1 (unlimited)
+ */
+function normalizeLimit(value) {
+  if (value === null || value === undefined || value === '') return -1;
+
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit < 0) return -1;
+
+  return Math.floor(limit);
+}
+
+function createGroup(limit) {
+  return new ThrottleGroup({ rate: Math.max(limit, 0), enabled: limit >= 0 });
+}
+
+function applyLimit(group, limit) {
+  if (limit < 0) {
+    group.setEnabled(false);
+    return;
+  }
+
+  group.setRate(limit);
+  group.setEnabled(true);
+}
+
+/**
+ * Give a torrent its own download/upload throttle groups.
+ * Call right after client.add(), before the first peers are registered.
+ * @param {Object} torrent - WebTorrent torrent
+ * @param {Object} client - WebTorrent client that owns the torrent
+ * @returns {Object} The same torrent
+ */
+function attachTorrentThrottle(torrent, client) {
+  if (!torrent || torrent.throttleGroups) return torrent;
+  assertTorrentInternals(torrent, ['_registerPeer']);
+
+  // Keep whatever was assigned before we took over the properties
+  let downloadLimit = normalizeLimit(torrent.downloadLimit);
+  let uploadLimit = normalizeLimit(torrent.uploadLimit);
+
+  const groups = {
+    down: createGroup(downloadLimit),
+    up: createGroup(uploadLimit)
+  };
+
+  // Peers pipe through `throttleGroups.{down,up}.throttle()`; hand them a
+  // composed client + torrent throttle instead of the client's alone
+  const chainedGroups = {
+    down: {
+      throttle: () => compose(client.throttleGroups.down.throttle(), groups.down.throttle())
+    },
+    up: {
+      throttle: () => compose(groups.up.throttle(), client.throttleGroups.up.throttle())
+    }
+  };
+
+  const registerPeer = torrent._registerPeer;
+  torrent._registerPeer = function (peer) {
+    // `wire` is only created once the peer connects and its pipes are built
+    if (peer && !peer.wire) {
+      peer.throttleGroups = chainedGroups;
+    }
+    return registerPeer.call(this, peer);
+  };
+
+  Object.defineProperty(torrent, 'throttleGroups', {
+    value: groups,
+    enumerable: false
+  });
+
+  Object.defineProperty(torrent, 'downloadLimit', {
+    configurable: true,
+    enumerable: true,
+    get: () => downloadLimit,
+    set: (value) => {
+      downloadLimit = normalizeLimit(value);
+      applyLimit(groups.down, downloadLimit);
+    }
+  });
+
+  Object.defineProperty(torrent, 'uploadLimit', {
+    configurable: true,
+    enumerable: true,
+    get: () => uploadLimit,
+    set: (value) => {
+      uploadLimit = normalizeLimit(value);
+      applyLimit(groups.up, uploadLimit);
+    }
+  });
+
+  torrent.once('close', () => {
+    groups.down.destroy();
+    groups.up.destroy();
+  });
+
+  return torrent;
+}
+
+module.exports = {
+  attachTorrentThrottle,
+  assertTorrentInternals,
+  normalizeLimit
+};
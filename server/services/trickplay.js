@@ -0,0 +1,305 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Trickplay Thumbnails
+ *
+ * Seek-bar previews: JPEG sprite sheets of small frames taken every few
+ * seconds, plus a WebVTT map pointing each time range at its tile
+ * ("sprite-000.jpg#xywh=160,0,160,90"), kept on disk per file.
+ *
+ * Work happens in the background, one file at a time, with a cooldown
+ * between files and ffmpeg at the lowest CPU priority. Only fully downloaded
+ * files are processed - every byte comes from disk, so thumbnails never take
+ * bandwidth from a stream - and nothing starts while a transcode is running.
+ * Files someone asked for go first, then the rest of the library.
+ *
+ * Only keyframes are decoded (-skip_frame nokey), so a feature film takes
+ * seconds to a couple of minutes rather than a full decode.
+ */
+
+const VIDEO_FILE_PATTERN = /\.(mp4|mkv|avi|mov|wmv|flv|webm|m4v|ts)$/i;
+const TICK_INTERVAL = 5000;
+const SCAN_INTERVAL = 60 * 1000;     // How often the library is checked for new files
+const COOLDOWN = 30 * 1000;          // Pause between two files
+const GENERATE_TIMEOUT = 30 * 60 * 1000;
+
+function formatTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * The WebVTT map for a generated set of sprites
+ * @param {Object} layout - { duration, interval, width, height, columns, rows, sprites }
+ */
+function buildThumbnailMap({ duration, interval, width, height, columns, rows, sprites }) {
+  const perSheet = columns * rows;
+  const count = Math.min(Math.ceil(duration / interval), sprites * perSheet);
+  const cues = [];
+
+  for (let i = 0; i < count; i++) {
+    const tile = i % perSheet;
+    const x = (tile % columns) * width;
+    const y = Math.floor(tile / columns) * height;
+    const sprite = `sprite-${String(Math.floor(i / perSheet)).padStart(3, '0')}.jpg`;
+    const end = Math.min(duration, (i + 1) * interval);
+    cues.push(`${formatTimestamp(i * interval)} --> ${formatTimestamp(end)}\n${sprite}#xywh=${x},${y},${width},${height}`);
+  }
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+class TrickplayService {
+  /**
+   * @param {Object} options
+   * @param {MediaSource} options.source - Loopback source ffmpeg reads torrent files from
+   * @param {MediaProbe} options.prober - Duration and frame size
+   * @param {string} options.ffmpegPath
+   * @param {string} options.cacheDir - Where sprites and maps are kept
+   * @param {Function} options.getTorrents - Returns the live torrents
+   * @param {Function} options.isBusy - True while streams need the CPU (transcodes)
+   * @param {number} options.interval - Seconds between thumbnails
+   * @param {number} options.width - Thumbnail width in pixels
+   */
+  constructor(options = {}) {
+    this.source = options.source;
+    this.prober = options.prober;
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    this.cacheDir = path.resolve(options.cacheDir || path.join('data', 'trickplay'));
+    this.getTorrents = options.getTorrents || (() => []);
+    this.isBusy = options.isBusy || (() => false);
+    this.interval = parseInt(options.interval, 10) || 10;
+    this.width = parseInt(options.width, 10) || 160;
+    this.columns = 10;
+    this.rows = 10;
+
+    this.requested = [];       // [{ torrent, fileIndex }] asked for by a player, first served
+    this.failed = new Map();   // "<infoHash>:<fileIndex>" -> error message
+    this.current = null;       // { key, child } while generating
+    this.lastFinished = 0;
+    this.lastScan = 0;
+    this.timer = null;
+  }
+
+  start(intervalMs = TICK_INTERVAL) {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.current?.child) this.current.child.kill('SIGKILL');
+  }
+
+  directory(infoHash, fileIndex) {
+    return path.join(this.cacheDir, infoHash, String(fileIndex));
+  }
+
+  mapPath(infoHash, fileIndex) {
+    return path.join(this.directory(infoHash, fileIndex), 'thumbnails.vtt');
+  }
+
+  spritePath(infoHash, fileIndex, sprite) {
+    return path.join(this.directory(infoHash, fileIndex), sprite);
+  }
+
+  isReady(torrent, fileIndex) {
+    return fs.existsSync(this.mapPath(torrent.infoHash, fileIndex));
+  }
+
+  /**
+   * Where a file's thumbnails are at
+   * @returns {{ status: 'ready'|'generating'|'queued'|'waiting'|'failed', progress?: number, error?: string }}
+   */
+  status(torrent, fileIndex) {
+    const key = `${torrent.infoHash}:${fileIndex}`;
+    const file = torrent.files[fileIndex];
+
+    if (this.isReady(torrent, fileIndex)) return { status: 'ready' };
+    if (this.current?.key === key) return { status: 'generating' };
+    if (this.failed.has(key)) return { status: 'failed', error: this.failed.get(key) };
+    if (!file.done) return { status: 'waiting', progress: Math.round((file.progress || 0) * 100) };
+    return { status: 'queued' };
+  }
+
+  /**
+   * Put a file at the front of the line
+   */
+  request(torrent, fileIndex) {
+    const status = this.status(torrent, fileIndex);
+    const queued = this.requested.some(entry => entry.torrent === torrent && entry.fileIndex === fileIndex);
+
+    if (!queued && status.status !== 'ready' && status.status !== 'failed' && status.status !== 'generating') {
+      this.requested.unshift({ torrent, fileIndex });
+    }
+    return status;
+  }
+
+  /**
+   * The next downloaded file without thumbnails: requested ones first, then
+   * (at most once a minute) anything else in the library
+   */
+  next() {
+    const pending = (torrent, fileIndex) => {
+      const file = torrent.files[fileIndex];
+      return file && file.done && !this.failed.has(`${torrent.infoHash}:${fileIndex}`) && !this.isReady(torrent, fileIndex);
+    };
+
+    this.requested = this.requested.filter(entry => !entry.torrent.destroyed && !this.isReady(entry.torrent, entry.fileIndex));
+    const wanted = this.requested.find(entry => pending(entry.torrent, entry.fileIndex));
+    if (wanted) return wanted;
+
+    if (Date.now() - this.lastScan < SCAN_INTERVAL) return null;
+    this.lastScan = Date.now();
+
+    for (const torrent of this.getTorrents()) {
+      if (!torrent.files || torrent.destroyed) continue;
+      const fileIndex = torrent.files.findIndex((file, index) => VIDEO_FILE_PATTERN.test(file.name) && pending(torrent, index));
+      if (fileIndex !== -1) return { torrent, fileIndex };
+    }
+    return null;
+  }
+
+  tick() {
+    if (this.current || Date.now() - this.lastFinished < COOLDOWN || this.isBusy()) return;
+
+    const job = this.next();
+    if (!job) return;
+
+    const key = `${job.torrent.infoHash}:${job.fileIndex}`;
+    this.current = { key, child: null };
+    this.requested = this.requested.filter(entry => entry !== job);
+
+    this.generate(job.torrent, job.fileIndex)
+      .catch(error => {
+        if (job.torrent.destroyed) return;
+        console.log(`⚠️ Thumbnails failed for ${job.torrent.files[job.fileIndex]?.name}: ${error.message}`);
+        this.failed.set(key, error.message);
+      })
+      .finally(() => {
+        this.current = null;
+        this.lastFinished = Date.now();
+      });
+  }
+
+  async generate(torrent, fileIndex) {
+    const file = torrent.files[fileIndex];
+    const report = await this.prober.report(torrent, fileIndex);
+    const video = report.video[0];
+    if (!video || !report.duration) {
+      throw new Error('No video stream with a known duration');
+    }
+
+    // Even height for the JPEG encoder, same aspect as the source
+    const height = Math.max(2, Math.round((this.width * video.height) / video.width / 2) * 2);
+    const finalDir = this.directory(torrent.infoHash, fileIndex);
+    const workDir = `${finalDir}.tmp`;
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    console.log(`🖼️ Generating thumbnails for ${file.name}`);
+    try {
+      await this.render(torrent, file, video.index, height, workDir);
+    } catch (error) {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    const sprites = (await fs.promises.readdir(workDir)).filter(name => /^sprite-\d+\.jpg$/.test(name)).length;
+    if (sprites === 0) {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+      throw new Error('ffmpeg produced no frames');
+    }
+
+    const map = buildThumbnailMap({
+      duration: report.duration,
+      interval: this.interval,
+      width: this.width,
+      height,
+      columns: this.columns,
+      rows: this.rows,
+      sprites
+    });
+    await fs.promises.writeFile(path.join(workDir, 'thumbnails.vtt'), map, 'utf8');
+
+    await fs.promises.rm(finalDir, { recursive: true, force: true });
+    await fs.promises.rename(workDir, finalDir);
+    console.log(`🖼️ Thumbnails ready for ${file.name}: ${sprites} sprite sheet${sprites === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Run ffmpeg over the whole file, writing tiled sprite sheets to workDir
+   */
+  async render(torrent, file, streamIndex, height, workDir) {
+    const input = await this.source.open(torrent, file);
+
+    try {
+      await new Promise((resolve, reject) => {
+        const child = spawn(this.ffmpegPath, [
+          '-hide_banner', '-loglevel', 'error', '-nostdin',
+          '-threads', '1',
+          '-skip_frame', 'nokey',
+          '-i', input.url,
+          '-map', `0:${streamIndex}`,
+          '-an', '-sn', '-dn',
+          '-vf', `fps=1/${this.interval},scale=${this.width}:${height},tile=${this.columns}x${this.rows}`,
+          '-q:v', '5',
+          '-start_number', '0',
+          path.join(workDir, 'sprite-%03d.jpg')
+        ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+        this.current.child = child;
+        try {
+          os.setPriority(child.pid, 19);
+        } catch (e) {
+          // Not permitted everywhere - still one job at a time
+        }
+
+        let lastError = null;
+        const timeout = setTimeout(() => child.kill('SIGKILL'), GENERATE_TIMEOUT);
+        child.stderr.on('data', chunk => {
+          lastError = chunk.toString().trim().split('\n').pop();
+        });
+        child.on('error', (error) => {
+          clearTimeout(timeout);
+          reject(error.code === 'ENOENT' ? new Error('ffmpeg is not installed') : error);
+        });
+        child.on('close', (code) => {
+          clearTimeout(timeout);
+          if (code === 0) resolve();
+          else reject(new Error(lastError || (code === null ? 'ffmpeg was stopped' : `ffmpeg exited with code ${code}`)));
+        });
+      });
+    } finally {
+      input.release();
+    }
+  }
+
+  /**
+   * Drop a removed torrent's thumbnails and anything queued for it
+   */
+  forget(infoHash) {
+    this.requested = this.requested.filter(entry => entry.torrent.infoHash !== infoHash);
+    [...this.failed.keys()]
+      .filter(key => key.startsWith(`${infoHash}:`))
+      .forEach(key => this.failed.delete(key));
+    if (this.current?.key.startsWith(`${infoHash}:`) && this.current.child) {
+      this.current.child.kill('SIGKILL');
+    }
+    fs.rm(path.join(this.cacheDir, infoHash), { recursive: true, force: true }, () => {});
+  }
+}
+
+module.exports = {
+  TrickplayService,
+  buildThumbnailMap,
+  VIDEO_FILE_PATTERN
+};
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+/**
+ * User Accounts
+ *
+ * Everyone who logs in has an account with one of three roles:
+ *   viewer  - browse and stream
+ *   member  - also add torrents, and manage or remove the ones they added
+ *   admin   - manage everything: every torrent, global settings, users
+ *
+ * Passwords are kept as scrypt hashes. Slack user ids can be linked to an
+ * account so the Slack bot acts with that account's role and ownership.
+ *
+ * On first start (no users file) an admin account is created from the old
+ * single-password setup, so existing installs keep logging in.
+ *
+ * Record shape:
+ * { id, username, role, passwordHash, slackUserIds, createdAt }
+ */
+
+const ROLES = ['viewer', 'member', 'admin'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{1,32}$/;
+
+class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a user has at least the given role
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Admins manage every torrent, members the ones they added, viewers none
+ */
+function canManageTorrent(user, torrent) {
+  if (hasRole(user, 'admin')) return true;
+  return hasRole(user, 'member') && Boolean(torrent) && torrent.addedBy === user.id;
+}
+
+class UserStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where accounts are kept
+   * @param {Object} options.bootstrap - { username, password } for the first admin
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('data', 'users.json');
+    this.bootstrap = options.bootstrap || { username: 'admin', password: 'seedbox123' };
+    this.users = new Map(); // id -> record
+    this.file = new JsonFile({
+      filePath: this.filePath,
+      name: 'users',
+      saveDelay: options.saveDelay || 500,
+      mode: 0o600,
+      serialize: () => this.serialize()
+    });
+  }
+
+  /**
+   * Load accounts from disk; with none yet, create the first admin
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (Array.isArray(data.users) ? data.users : []).forEach(record => {
+          if (record && record.id && record.username && ROLES.includes(record.role)) {
+            this.users.set(record.id, { slackUserIds: [], ...record });
+          }
+        });
+        console.log(`👥 ${this.users.size} user account${this.users.size === 1 ? '' : 's'} loaded`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load users from ${this.filePath}:`, error.message);
+    }
+
+    if (this.users.size === 0) {
+      // The access password may predate the length rule, so it isn't checked here
+      this.create({ ...this.bootstrap, role: 'admin' }, { checkPassword: false });
+      this.flushSync();
+      console.log(`👥 Created admin account "${this.bootstrap.username}" with the access password`);
+    }
+
+    return this;
+  }
+
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  findByUsername(username) {
+    if (typeof username !== 'string') return null;
+    const wanted = username.toLowerCase();
+    return Array.from(this.users.values()).find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  findBySlackId(slackUserId) {
+    if (!slackUserId) return null;
+    return Array.from(this.users.values()).find(user => user.slackUserIds.includes(slackUserId)) || null;
+  }
+
+  /**
+   * The account for a username and password, or null
+   */
+  authenticate(username, password) {
+    const user = this.findByUsername(username);
+    if (!user) {
+      // Same work as a real check, so timing doesn't reveal which usernames exist
+      verifyPassword(password, hashPassword('x'));
+      return null;
+    }
+    return verifyPassword(password, user.passwordHash) ? user : null;
+  }
+
+  list() {
+    return Array.from(this.users.values())
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(user => this.describe(user));
+  }
+
+  create({ username, password, role = 'viewer', slackUserIds = [] } = {}, { checkPassword = true } = {}) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new UserError('Username must be 1-32 letters, digits, dots, dashes or underscores');
+    }
+    if (this.findByUsername(username)) {
+      throw new UserError(`User "${username}" already exists`, 409);
+    }
+    if (checkPassword) this.validatePassword(password);
+    this.validateRole(role);
+
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      role,
+      passwordHash: hashPassword(password),
+      slackUserIds: this.validateSlackIds(slackUserIds),
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.set(user.id, user);
+    this.scheduleSave();
+    return this.describe(user);
+  }
+
+  /**
+   * Change role, password or linked Slack ids
+   */
+  update(id, changes = {}) {
+    const user = this.get(id);
+    if (!user) throw new UserError('User not found', 404);
+
+    if (changes.role !== undefined) {
+      this.validateRole(changes.role);
+      if (user.role === 'admin' && changes.role !== 'admin') this.assertNotLastAdmin(user);
+    }
+    if (changes.password !== undefined) this.validatePassword(changes.password);
+    const slackUserIds = changes.slackUserIds !== undefined
+      ? this.validateSlackIds(changes.slackUserIds, user.id)
+      : user.slackUserIds;
+
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.password !== undefined) user.passwordHash = hashPassword(changes.password);
+    user.slackUserIds = slackUserIds;
+
+    this.scheduleSave();
+    return this.describe(user);
+  }
+
+  remove(id) {
+    const user = this.get(id);
+    if (!user) throw new UserError('User not found', 404);
+    if (user.role === 'admin') this.assertNotLastAdmin(user);
+
+    this.users.delete(id);
+    this.scheduleSave();
+    return this.describe(user);
+  }
+
+  assertNotLastAdmin(user) {
+    const admins = Array.from(this.users.values()).filter(other => other.role === 'admin');
+    if (admins.length === 1 && admins[0].id === user.id) {
+      throw new UserError('The last admin account must stay an admin', 409);
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new UserError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+      throw new UserError('Password must be at least 6 characters');
+    }
+  }
+
+  validateSlackIds(slackUserIds, ownerId = null) {
+    if (!Array.isArray(slackUserIds) || slackUserIds.some(slackId => typeof slackId !== 'string' || !slackId.trim())) {
+      throw new UserError('"slackUserIds" must be an array of Slack user ids');
+    }
+
+    const ids = [...new Set(slackUserIds.map(slackId => slackId.trim()))];
+    ids.forEach(slackId => {
+      const linked = this.findBySlackId(slackId);
+      if (linked && linked.id !== ownerId) {
+        throw new UserError(`Slack user ${slackId} is already linked to "${linked.username}"`, 409);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * What's safe to show about an account - never the password hash
+   */
+  describe(user) {
+    if (!user) return null;
+    const { passwordHash, ...account } = user;
+    return account;
+  }
+
+  scheduleSave() {
+    this.file.scheduleSave();
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      users: Array.from(this.users.values())
+    }, null, 2);
+  }
+
+  /**
+   * Write immediately and synchronously (used by signal handlers)
+   */
+  flushSync() {
+    this.file.flushSync();
+  }
+}
+
+module.exports = {
+  UserStore,
+  UserError,
+  ROLES,
+  hasRole,
+  canManageTorrent
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watch Folders
+ *
+ * Directories that other download tooling drops torrents into. New .torrent
+ * files, and .magnet text files holding a magnet link or info hash, are added
+ * the same way as an upload and then moved into done/ or failed/ inside their
+ * watch folder. A failed file gets a "<name>.reason.txt" next to it saying why.
+ *
+ * Folders are polled rather than watched with fs.watch, which misses events on
+ * network shares and Docker volumes; polling also picks up files that arrived
+ * while the server was down. A file is only read once its size and mtime held
+ * still across two polls, so half-written files are left alone.
+ *
+ * Each folder can give its torrents a default category and download location.
+ *
+ * Folder shape:
+ * { path, category, downloadPath, enabled }
+ */
+
+const WATCH_EXTENSIONS = ['.torrent', '.magnet'];
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+const MAX_TORRENT_FILE_SIZE = 5 * 1024 * 1024; // Same limit as uploads
+const MIN_INTERVAL = 2; // seconds
+
+/**
+ * Validate { interval, folders }, either field optional, returning an error message or null
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Watch folder settings must be an object';
+  }
+
+  const { interval, folders } = settings;
+  if (interval !== undefined && (typeof interval !== 'number' || !Number.isFinite(interval) || interval < MIN_INTERVAL)) {
+    return `"interval" must be at least ${MIN_INTERVAL} seconds`;
+  }
+
+  if (folders === undefined) return null;
+  if (!Array.isArray(folders)) {
+    return '"folders" must be an array';
+  }
+
+  const seen = new Set();
+  for (const folder of folders) {
+    if (!folder || typeof folder !== 'object' || typeof folder.path !== 'string' || !folder.path.trim()) {
+      return 'Each watch folder needs a "path"';
+    }
+    for (const field of ['category', 'downloadPath']) {
+      const value = folder[field];
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return `"${field}" must be a string or null`;
+      }
+    }
+    if (folder.category && folder.category.trim().length > 64) {
+      return '"category" must be at most 64 characters';
+    }
+    if (folder.enabled !== undefined && typeof folder.enabled !== 'boolean') {
+      return '"enabled" must be a boolean';
+    }
+
+    const resolved = path.resolve(folder.path.trim());
+    if (seen.has(resolved)) {
+      return `${folder.path} is listed more than once`;
+    }
+    seen.add(resolved);
+  }
+
+  return null;
+}
+
+function normalizeFolder(folder) {
+  return {
+    path: path.resolve(folder.path.trim()),
+    category: folder.category?.trim() || null,
+    downloadPath: folder.downloadPath?.trim() || null,
+    enabled: folder.enabled !== false
+  };
+}
+
+/**
+ * Parse WATCH_FOLDERS: "dir[|category[|downloadPath]]" entries separated by ";"
+ */
+function parseFolderList(value) {
+  if (!value) return [];
+  return String(value).split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [dir, category, downloadPath] = entry.split('|').map(part => part.trim());
+      return { path: dir, category: category || null, downloadPath: downloadPath || null };
+    });
+}
+
+/**
+ * The magnet link or info hash a .magnet file holds, or null
+ */
+function parseMagnetFile(text) {
+  const line = String(text).split(/\r?\n/)
+    .map(part => part.trim())
+    .find(part => /^magnet:\?/i.test(part) || /^[a-f0-9]{40}$/i.test(part));
+  return line || null;
+}
+
+class WatchFolderService {
+  /**
+   * @param {Object} options
+   * @param {Array} options.folders - Folder settings
+   * @param {number} options.interval - Seconds between polls
+   * @param {Function} options.addTorrentFile - async (buffer, { sourceName, category, downloadPath }) => torrent
+   * @param {Function} options.addMagnet - async (magnetOrHash, { category, downloadPath }) => torrent
+   * @param {number} options.maxHistory - Processed files remembered for the status
+   */
+  constructor(options = {}) {
+    this.folders = (options.folders || []).map(normalizeFolder);
+    this.interval = Math.max(MIN_INTERVAL, Number(options.interval) || 10);
+    this.addTorrentFile = options.addTorrentFile;
+    this.addMagnet = options.addMagnet;
+    this.maxHistory = options.maxHistory || 100;
+    this.pending = new Map(); // file path -> { size, mtimeMs } seen on the last poll
+    this.processing = new Set(); // file paths being added right now
+    this.stuck = new Set(); // processed files that couldn't be moved out
+    this.missing = new Set(); // folders already reported as missing
+    this.history = []; // newest first
+    this.timer = null;
+    this.running = false;
+  }
+
+  setSettings({ folders, interval } = {}) {
+    if (folders !== undefined) {
+      this.folders = folders.map(normalizeFolder);
+      this.pending.clear();
+      this.missing.clear();
+      this.stuck.clear();
+    }
+    if (interval !== undefined) {
+      this.interval = Math.max(MIN_INTERVAL, interval);
+    }
+
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+    return this.toJSON();
+  }
+
+  toJSON() {
+    return {
+      interval: this.interval,
+      folders: this.folders.map(folder => ({ ...folder }))
+    };
+  }
+
+  /**
+   * Settings plus whether each folder exists, and the recently processed files
+   */
+  status() {
+    return {
+      ...this.toJSON(),
+      folders: this.folders.map(folder => ({ ...folder, exists: fs.existsSync(folder.path) })),
+      processing: this.processing.size,
+      recent: this.history
+    };
+  }
+
+  async scan() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const present = new Set();
+      for (const folder of this.folders) {
+        if (!folder.enabled) continue;
+        const files = await this.scanFolder(folder);
+        files.forEach(filePath => present.add(filePath));
+      }
+
+      // Forget files that were moved or deleted by someone else
+      Array.from(this.pending.keys()).forEach(filePath => {
+        if (!present.has(filePath)) this.pending.delete(filePath);
+      });
+    } catch (error) {
+      console.error('❌ Watch folder scan failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start any files that are ready
+   * @returns {string[]} Candidate file paths still in the folder
+   */
+  async scanFolder(folder) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folder.path, { withFileTypes: true });
+    } catch (error) {
+      if (!this.missing.has(folder.path)) {
+        this.missing.add(folder.path);
+        console.error(`⚠️ Watch folder ${folder.path} can't be read:`, error.message);
+      }
+      return [];
+    }
+    this.missing.delete(folder.path);
+
+    const candidates = entries
+      .filter(entry => entry.isFile() && WATCH_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+      .map(entry => path.join(folder.path, entry.name));
+
+    for (const filePath of candidates) {
+      if (this.processing.has(filePath) || this.stuck.has(filePath)) continue;
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        continue; // Gone between readdir and stat
+      }
+
+      const last = this.pending.get(filePath);
+      if (!last || last.size !== stats.size || last.mtimeMs !== stats.mtimeMs) {
+        this.pending.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+        continue;
+      }
+
+      this.pending.delete(filePath);
+      this.processing.add(filePath);
+      // Magnets can take a while to find peers, so don't hold up the other files
+      this.processFile(folder, filePath, stats)
+        .finally(() => this.processing.delete(filePath));
+    }
+
+    return candidates;
+  }
+
+  async processFile(folder, filePath, stats) {
+    const fileName = path.basename(filePath);
+    const options = { category: folder.category, downloadPath: folder.downloadPath };
+    console.log(`👀 Watch folder picked up ${fileName} from ${folder.path}`);
+
+    let torrent;
+    try {
+      if (path.extname(fileName).toLowerCase() === '.magnet') {
+        const magnet = parseMagnetFile(await fs.promises.readFile(filePath, 'utf8'));
+        if (!magnet) {
+          throw new Error('No magnet link or info hash found in the file');
+        }
+        torrent = await this.addMagnet(magnet, options);
+      } else {
+        if (stats.size > MAX_TORRENT_FILE_SIZE) {
+          throw new Error(`Torrent file is larger than ${MAX_TORRENT_FILE_SIZE / 1024 / 1024} MB`);
+        }
+        const buffer = await fs.promises.readFile(filePath);
+        torrent = await this.addTorrentFile(buffer, { sourceName: fileName, ...options });
+      }
+    } catch (error) {
+      console.error(`❌ Watch folder failed to add ${fileName}:`, error.message);
+      await this.finish(folder, filePath, FAILED_DIR, { reason: error.message });
+      return;
+    }
+
+    console.log(`📥 Added ${torrent.name || torrent.infoHash} from watch folder ${folder.path}`);
+    await this.finish(folder, filePath, DONE_DIR, { infoHash: torrent.infoHash, name: torrent.name || null });
+  }
+
+  /**
+   * Move a processed file into done/ or failed/ and remember the outcome
+   */
+  async finish(folder, filePath, dirName, { infoHash = null, name = null, reason = null } = {}) {
+    const fileName = path.basename(filePath);
+    const entry = {
+      at: new Date().toISOString(),
+      folder: folder.path,
+      file: fileName,
+      outcome: dirName,
+      infoHash,
+      name,
+      reason
+    };
+
+    try {
+      const targetDir = path.join(folder.path, dirName);
+      await fs.promises.mkdir(targetDir, { recursive: true });
+      const target = this.freePath(targetDir, fileName);
+      await fs.promises.rename(filePath, target);
+      entry.movedTo = target;
+
+      if (reason) {
+        await fs.promises.writeFile(`${target}.reason.txt`, `${entry.at}\n${reason}\n`);
+      }
+    } catch (error) {
+      // Left in place it would be retried on every poll, so keep it out of the way
+      this.stuck.add(filePath);
+      entry.reason = [reason, `not moved: ${error.message}`].filter(Boolean).join('; ');
+      console.error(`❌ Failed to move ${fileName} to ${dirName}/ (ignoring it until the folders change or a restart):`, error.message);
+    }
+
+    this.history.unshift(entry);
+    if (this.history.length > this.maxHistory) {
+      this.history.length = this.maxHistory;
+    }
+  }
+
+  /**
+   * A path in dir for fileName that isn't taken yet
+   */
+  freePath(dir, fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    let candidate = path.join(dir, fileName);
+    for (let attempt = 1; fs.existsSync(candidate); attempt++) {
+      candidate = path.join(dir, `${base} (${attempt})${ext}`);
+    }
+    return candidate;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.scan(), this.interval * 1000);
+    if (this.timer.unref) this.timer.unref();
+    this.scan();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  WatchFolderService,
+  validateSettings,
+  parseFolderList
+};
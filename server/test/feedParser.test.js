@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../services/feedParser');
+
+const sampleFeed = fs.readFileSync(path.join(__dirname, '../fixtures/rss/sample-feed.xml'), 'utf8');
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom &amp; friends</title>
+  <entry>
+    <title>Some Film 2026 1080p</title>
+    <id>urn:uuid:some-film</id>
+    <updated>2026-10-01T10:00:00Z</updated>
+    <link rel="alternate" href="https://example.com/some-film"/>
+    <link rel="enclosure" type="application/x-bittorrent" href="https://example.com/some-film.torrent"/>
+  </entry>
+  <entry>
+    <title><![CDATA[Other <Film> 2026]]></title>
+    <id>urn:uuid:other-film</id>
+    <link href="https://example.com/other-film"/>
+    <link rel="enclosure" href="magnet:?xt=urn:btih:5555555555555555555555555555555555555555&amp;dn=Other"/>
+  </entry>
+</feed>`;
+
+test('RSS items take their torrent from a magnet link, ezRSS tag, enclosure or torznab info hash', () => {
+  const { title, items } = parseFeed(sampleFeed);
+  const byGuid = Object.fromEntries(items.map(item => [item.guid, item]));
+
+  assert.strictEqual(title, 'Seedbox Lite sample feed');
+  assert.strictEqual(items.length, 6);
+
+  assert.strictEqual(byGuid['example-show-s02e05-1080p'].torrentUrl,
+    'magnet:?xt=urn:btih:1111111111111111111111111111111111111111&dn=The.Example.Show.S02E05.1080p.WEB.h264-GROUP');
+  assert.strictEqual(byGuid['example-show-s02e05-1080p'].publishedAt, '2026-10-12T20:00:00.000Z');
+
+  assert.strictEqual(byGuid['example-show-s02e05-720p'].torrentUrl,
+    'magnet:?xt=urn:btih:2222222222222222222222222222222222222222&dn=The.Example.Show.S02E05.720p.WEB.h264-GROUP');
+
+  const enclosure = byGuid['example-show-s02e04-2160p'];
+  assert.strictEqual(enclosure.torrentUrl, 'https://example.com/download/example-show-s02e04.torrent');
+  assert.strictEqual(enclosure.size, 52428800);
+
+  const torznab = byGuid['another-series-3x07'];
+  assert.strictEqual(torznab.torrentUrl, '3333333333333333333333333333333333333333');
+  assert.strictEqual(torznab.infoHash, '3333333333333333333333333333333333333333');
+  assert.strictEqual(torznab.size, 734003200);
+
+  const noLink = byGuid['example-show-s02e03-no-link'];
+  assert.strictEqual(noLink.torrentUrl, null);
+  assert.strictEqual(noLink.link, 'https://example.com/details/example-show-s02e03');
+});
+
+test('a magnet beats a .torrent link in the same item', () => {
+  const { items } = parseFeed(`<rss><channel><item>
+    <title>Both</title>
+    <enclosure url="https://example.com/both.torrent" />
+    <torznab:attr name="magneturl" value="magnet:?xt=urn:btih:6666666666666666666666666666666666666666" />
+  </item></channel></rss>`);
+
+  assert.strictEqual(items[0].torrentUrl, 'magnet:?xt=urn:btih:6666666666666666666666666666666666666666');
+});
+
+test('Atom entries use rel="enclosure" links and the alternate link as the page', () => {
+  const { title, items } = parseFeed(ATOM);
+
+  assert.strictEqual(title, 'Atom & friends');
+  assert.strictEqual(items.length, 2);
+
+  assert.deepStrictEqual(
+    { guid: items[0].guid, link: items[0].link, torrentUrl: items[0].torrentUrl, publishedAt: items[0].publishedAt },
+    {
+      guid: 'urn:uuid:some-film',
+      link: 'https://example.com/some-film',
+      torrentUrl: 'https://example.com/some-film.torrent',
+      publishedAt: '2026-10-01T10:00:00.000Z'
+    }
+  );
+
+  assert.strictEqual(items[1].title, 'Other <Film> 2026');
+  assert.strictEqual(items[1].link, 'https://example.com/other-film');
+  assert.strictEqual(items[1].torrentUrl, 'magnet:?xt=urn:btih:5555555555555555555555555555555555555555&dn=Other');
+});
+
+test('documents that are not feeds are rejected', () => {
+  assert.throws(() => parseFeed('<html><body>Not found</body></html>'), /Not an RSS or Atom feed/);
+  assert.throws(() => parseFeed(''), /Not an RSS or Atom feed/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFile = require('../services/jsonFile');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedbox-json-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'store.json');
+}
+
+test('overlapping saves write in order and leave no tmp files', async (t) => {
+  const filePath = tempFile(t);
+  let value = 0;
+  const file = new JsonFile({ filePath, serialize: () => JSON.stringify({ value }) });
+
+  const saves = [];
+  for (let i = 1; i <= 5; i++) {
+    value = i;
+    saves.push(file.save());
+  }
+  await Promise.all(saves);
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { value: 5 });
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['store.json']);
+});
+
+test('flushSync writes pending changes, and a slower save never lands over it', async (t) => {
+  const filePath = tempFile(t);
+  let value = 'old';
+  const file = new JsonFile({ filePath, serialize: () => JSON.stringify({ value }) });
+
+  const save = file.save();
+  value = 'new';
+  file.scheduleSave();
+  assert.strictEqual(file.flushSync(), true);
+  await save;
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { value: 'new' });
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['store.json']);
+  assert.strictEqual(file.flushSync(), false);
+});
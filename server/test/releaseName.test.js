@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReleaseName, normalizeTitle } = require('../services/releaseName');
+const releaseNames = require('../fixtures/release-names.json');
+
+// Only the fields each fixture lists are compared, so cases stay short
+test('release names parse as listed in fixtures/release-names.json', async (t) => {
+  for (const { name, expected } of releaseNames) {
+    await t.test(name, () => {
+      const release = parseReleaseName(name);
+      Object.entries(expected).forEach(([field, value]) => {
+        assert.deepStrictEqual(release[field], value, `${field} of ${name}`);
+      });
+    });
+  }
+});
+
+test('normalizeTitle matches titles across punctuation, accents and "&"', () => {
+  assert.strictEqual(normalizeTitle("Marvel's Agents of S.H.I.E.L.D."), normalizeTitle('Marvels Agents of SHIELD'));
+  assert.strictEqual(normalizeTitle('Amélie'), 'amelie');
+  assert.strictEqual(normalizeTitle('Law & Order'), 'law and order');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShareLinks, USE_IDLE_MS } = require('../services/shareLinks');
+
+const INFO_HASH = 'a'.repeat(40);
+
+function createLinks(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedbox-share-'));
+  const links = new ShareLinks({ filePath: path.join(dir, 'share-links.json'), secret: 'test-secret' }).load();
+  t.after(() => {
+    links.flushSync();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return links;
+}
+
+// The fields a media request for the link carries, as the URL would
+function request(links, record, overrides = {}) {
+  return {
+    id: record.id,
+    expires: String(Date.parse(record.expiresAt)),
+    sig: links.sign(record),
+    infoHash: record.infoHash,
+    fileIdx: String(record.fileIdx),
+    mode: record.mode,
+    ...overrides
+  };
+}
+
+function assertStatus(fn, status) {
+  assert.throws(fn, error => error.status === status);
+}
+
+test('verify accepts a link used exactly as signed', (t) => {
+  const links = createLinks(t);
+  const record = links.create({ infoHash: INFO_HASH, fileIdx: 2, fileName: 'ep.mkv' });
+
+  assert.strictEqual(links.verify(request(links, record)), record);
+});
+
+test('verify rejects a link with any signed field changed', (t) => {
+  const links = createLinks(t);
+  const record = links.create({ infoHash: INFO_HASH, fileIdx: 2, fileName: 'ep.mkv' });
+
+  assertStatus(() => links.verify(request(links, record, { infoHash: 'b'.repeat(40) })), 403);
+  assertStatus(() => links.verify(request(links, record, { fileIdx: '3' })), 403);
+  assertStatus(() => links.verify(request(links, record, { mode: 'download' })), 403);
+  assertStatus(() => links.verify(request(links, record, { expires: String(Date.parse(record.expiresAt) + 1000) })), 403);
+  assertStatus(() => links.verify(request(links, record, { sig: 'x'.repeat(43) })), 403);
+  assertStatus(() => links.verify(request(links, record, { id: 'unknown' })), 404);
+});
+
+test('verify answers 410 once the link has expired', (t) => {
+  const links = createLinks(t);
+  const record = links.create({ infoHash: INFO_HASH, fileIdx: 0, fileName: 'movie.mp4', expiresInHours: 1 });
+
+  t.mock.method(Date, 'now', () => Date.parse(record.expiresAt) + 1);
+  assertStatus(() => links.verify(request(links, record)), 410);
+});
+
+test('authorize counts one use per viewer until they go idle', (t) => {
+  const links = createLinks(t);
+  const record = links.create({ infoHash: INFO_HASH, fileIdx: 0, fileName: 'movie.mp4' });
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  // A player re-requesting from byte 0 and seeking is still one use
+  links.authorize({ ...request(links, record), viewer: 'tv' });
+  now += 1000;
+  links.authorize({ ...request(links, record), viewer: 'tv' });
+  assert.strictEqual(record.uses, 1);
+
+  links.authorize({ ...request(links, record), viewer: 'phone' });
+  assert.strictEqual(record.uses, 2);
+
+  // Coming back after the idle window starts a new use
+  now += USE_IDLE_MS + 1;
+  links.authorize({ ...request(links, record), viewer: 'tv' });
+  assert.strictEqual(record.uses, 3);
+});
+
+test('authorize refuses new viewers once maxUses is reached, but not the one watching', (t) => {
+  const links = createLinks(t);
+  const record = links.create({ infoHash: INFO_HASH, fileIdx: 0, fileName: 'movie.mp4', maxUses: 1 });
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  links.authorize({ ...request(links, record), viewer: 'tv' });
+  assertStatus(() => links.authorize({ ...request(links, record), viewer: 'phone' }), 410);
+
+  now += 60 * 1000;
+  assert.strictEqual(links.authorize({ ...request(links, record), viewer: 'tv' }), record);
+
+  now += USE_IDLE_MS + 1;
+  assertStatus(() => links.authorize({ ...request(links, record), viewer: 'tv' }), 410);
+  assert.strictEqual(record.uses, 1);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toWebVtt, detectFormat } = require('../services/subtitleConverter');
+
+const SRT = [
+  '1',
+  '00:00:01,500 --> 00:00:04,000',
+  'Hello <i>there</i>',
+  '',
+  '2',
+  '01:02:03,4 --> 01:02:05,040',
+  'Second line',
+  ''
+].join('\r\n');
+
+const ASS = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic, Underline, Alignment',
+  'Style: Default,Arial,20,&H00FFFFFF,0,0,0,2',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Dialogue: 0,0:00:02.50,0:00:05.00,Default,,0,0,0,,{\\i1}Hi{\\i0}, you\\Nthere',
+  'Dialogue: 0,1:00:00.05,1:00:01.00,Default,,0,0,0,,Later',
+  ''
+].join('\n');
+
+test('SRT timestamps become WebVTT timestamps', () => {
+  const { vtt, cues } = toWebVtt(SRT, { format: 'srt' });
+
+  assert.strictEqual(cues, 2);
+  assert.match(vtt, /^WEBVTT\n/);
+  assert.match(vtt, /\n00:00:01\.500 --> 00:00:04\.000\nHello <i>there<\/i>\n/);
+  // ",4" is four tenths, not four milliseconds
+  assert.match(vtt, /\n01:02:03\.400 --> 01:02:05\.040\nSecond line\n/);
+});
+
+test('ASS dialogue times, commas in text and line breaks survive conversion', () => {
+  const { vtt, cues } = toWebVtt(ASS, { format: 'ass' });
+
+  assert.strictEqual(cues, 2);
+  assert.match(vtt, /\n00:00:02\.500 --> 00:00:05\.000\n<i>Hi<\/i>, you\nthere\n/);
+  assert.match(vtt, /\n01:00:00\.050 --> 01:00:01\.000\nLater\n/);
+});
+
+test('offset shifts cues and drops the ones that end before zero', () => {
+  const earlier = toWebVtt(SRT, { format: 'srt', offset: -2 });
+  assert.strictEqual(earlier.cues, 2);
+  assert.match(earlier.vtt, /\n00:00:00\.000 --> 00:00:02\.000\n/);
+
+  const muchEarlier = toWebVtt(SRT, { format: 'srt', offset: -5 });
+  assert.strictEqual(muchEarlier.cues, 1);
+  assert.doesNotMatch(muchEarlier.vtt, /Hello/);
+
+  const later = toWebVtt(SRT, { format: 'srt', offset: 1.25 });
+  assert.match(later.vtt, /\n00:00:02\.750 --> 00:00:05\.250\n/);
+});
+
+test('formats are detected from extension or content', () => {
+  assert.strictEqual(detectFormat(SRT), 'srt');
+  assert.strictEqual(detectFormat(ASS), 'ass');
+  assert.strictEqual(detectFormat('', 'SBV'), 'sbv');
+  assert.strictEqual(detectFormat('', 'txt'), null);
+});
+
+test('unsupported formats are rejected', () => {
+  assert.throws(() => toWebVtt(SRT, { format: 'idx' }), /Unsupported subtitle format/);
+});